@@ -0,0 +1,417 @@
+/**
+ * EO Activity Chain
+ *
+ * Makes the activity log tamper-evident:
+ * - Every activity carries a hash of its content, the hash of the previous activity of its
+ *   writer (chain) and the hash of the previous activity of the same entity
+ * - Sequence numbers per chain and per entity reveal deleted rows
+ * - Periodic checkpoints { chain_id, seq, hash, created_at } are signed (HMAC-SHA256) with a secret
+ *   and logged as 'chain_checkpoint' activities, so history can be verified up to a point in time
+ *
+ * Hashing and signing use Web Crypto (crypto.subtle), so sealing, checkpoints and verification are
+ * async. Seals and checkpoints run one at a time in call order, each linking to the one before.
+ *
+ * Each writer (browser profile) has its own chain; the chain head and entity heads are persisted
+ * through a storage adapter from eo_change_store.js (stores: 'chain', 'checkpoints').
+ *
+ * Chain fields added to an activity:
+ * { chain_id, chain_seq, entity_seq, content_hash, prev_hash, entity_prev_hash, hash }
+ */
+
+// Activity fields covered by content_hash (the fields of XanoIntegration.normalizeActivity);
+// fields added by the server (ids, received times) are ignored
+const ACTIVITY_CHAIN_FIELDS = [
+    'activity_id', 'timestamp',
+    'user_id', 'user_email', 'user_name',
+    'action', 'entity_type', 'entity_id', 'entity_name',
+    'table_id', 'table_name', 'base_id',
+    'before', 'after', 'changes', 'checksum_before', 'checksum_after',
+    'sync_direction', 'sync_session_id', 'conflict_resolution',
+    'eo_operator', 'eo_position', 'context',
+    'source_system', 'source_url',
+    'metadata', 'tags'
+];
+
+class ActivityChain {
+    constructor(config = {}) {
+        this.storage = config.storage || null;
+        this.secret = config.secret || null; // Checkpoint signing key (unsigned checkpoints without one)
+        this.checkpointInterval = Math.max(config.checkpointInterval || 100, 2); // Activities between checkpoints (the checkpoint activity counts)
+
+        // Chain state (restored from storage)
+        this.chainId = config.chainId || ActivityChain.generateChainId();
+        this.seq = 0;
+        this.head = null; // Hash of the last sealed activity
+        this.entityHeads = new Map(); // 'entity_type:entity_id' -> { seq, hash }
+        this.checkpoints = []; // Oldest first
+
+        // Seals and checkpoints in progress (each waits for the previous one)
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Restore the chain head, entity heads and checkpoints from storage
+     */
+    async restore() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            await this.storage.open();
+
+            const [entries, checkpoints] = await Promise.all([
+                this.storage.getAll('chain'),
+                this.storage.getAll('checkpoints')
+            ]);
+
+            for (const { key, value } of entries) {
+                if (key === 'head') {
+                    this.chainId = value.chainId;
+                    this.seq = value.seq;
+                    this.head = value.hash;
+                } else if (key.startsWith('entity:')) {
+                    this.entityHeads.set(key.slice('entity:'.length), value);
+                }
+            }
+
+            this.checkpoints = checkpoints.map(entry => entry.value).sort((a, b) => a.seq - b.seq);
+        } catch (error) {
+            console.error('Failed to restore activity chain:', error);
+        }
+    }
+
+    /**
+     * Run a step once the seals and checkpoints before it are done
+     */
+    inOrder(step) {
+        const run = this.pending.then(step);
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Add the chain fields to a normalized activity (in place) and advance the chain
+     */
+    seal(activity) {
+        return this.inOrder(() => this.sealNext(activity));
+    }
+
+    async sealNext(activity) {
+        const entityKey = ActivityChain.entityKey(activity);
+        const entityHead = this.entityHeads.get(entityKey);
+
+        activity.chain_id = this.chainId;
+        activity.chain_seq = this.seq + 1;
+        activity.entity_seq = (entityHead?.seq || 0) + 1;
+        activity.content_hash = await ActivityChain.contentHash(activity);
+        activity.prev_hash = this.head;
+        activity.entity_prev_hash = entityHead?.hash || null;
+        activity.hash = await ActivityChain.linkHash(activity);
+
+        this.seq = activity.chain_seq;
+        this.head = activity.hash;
+        this.entityHeads.set(entityKey, { seq: activity.entity_seq, hash: activity.hash });
+
+        this.persist('put', 'chain', 'head', { chainId: this.chainId, seq: this.seq, hash: this.head });
+        this.persist('put', 'chain', `entity:${entityKey}`, this.entityHeads.get(entityKey));
+
+        return activity;
+    }
+
+    /**
+     * Check if enough activities were sealed since the last checkpoint
+     */
+    isCheckpointDue() {
+        const last = this.checkpoints[this.checkpoints.length - 1];
+        return this.seq - (last?.seq || 0) >= this.checkpointInterval;
+    }
+
+    /**
+     * Checkpoint the current head, signed when there is a secret
+     */
+    createCheckpoint() {
+        return this.inOrder(() => this.createCheckpointNow());
+    }
+
+    async createCheckpointNow() {
+        const checkpoint = {
+            chain_id: this.chainId,
+            seq: this.seq,
+            hash: this.head,
+            created_at: new Date().toISOString(),
+            signature: null
+        };
+
+        if (this.secret) {
+            checkpoint.signature = await ActivityChain.signCheckpoint(checkpoint, this.secret);
+        }
+
+        this.checkpoints.push(checkpoint);
+        this.persist('put', 'checkpoints', String(checkpoint.seq), checkpoint);
+
+        return checkpoint;
+    }
+
+    /**
+     * Latest checkpoint of this chain, or null
+     */
+    getLatestCheckpoint() {
+        return this.checkpoints[this.checkpoints.length - 1] || null;
+    }
+
+    /**
+     * Write through to storage (fire-and-forget)
+     */
+    persist(operation, storeName, key, value) {
+        if (!this.storage) {
+            return Promise.resolve();
+        }
+
+        return Promise.resolve()
+            .then(() => this.storage[operation](storeName, key, value))
+            .catch(error => {
+                console.error(`Failed to persist activity chain ${operation} on ${storeName}:`, error);
+            });
+    }
+
+    /**
+     * Verify activities (e.g. getHistory items, in any order).
+     * @param {Object} options - { scope: 'all' (the whole log: chain sequence gaps are breaks) or
+     *   'entity' (one entity's whole history: only entity sequences are checked), secret (checks
+     *   checkpoint signatures), checkpoints (known checkpoints besides those logged in the items) }
+     * @returns {Object} { verified, checked, unchained, breaks: [{ type, chainId, seq, activityId, ... }],
+     *   chains: [{ chainId, firstSeq, lastSeq, verifiedSeq, verifiedUpTo: { seq, at, signed } }], verifiedUpTo }
+     *   (signed: the checkpoint signature was checked against the secret)
+     */
+    static async verify(items, options = {}) {
+        const scope = options.scope || 'all';
+        const report = { verified: true, checked: 0, unchained: 0, breaks: [], chains: [], verifiedUpTo: null };
+        const byChain = new Map();
+        const checkpoints = [...(options.checkpoints || [])];
+
+        for (const item of items) {
+            if (item.action === 'chain_checkpoint' && item.metadata?.checkpoint) {
+                checkpoints.push(item.metadata.checkpoint);
+            }
+
+            if (!item.chain_id) {
+                report.unchained++;
+                continue;
+            }
+
+            if (!byChain.has(item.chain_id)) {
+                byChain.set(item.chain_id, []);
+            }
+            byChain.get(item.chain_id).push(item);
+        }
+
+        // A known checkpoint of a chain with no rows at all means the whole chain was deleted
+        if (scope === 'all') {
+            checkpoints.filter(checkpoint => !byChain.has(checkpoint.chain_id))
+                .forEach(checkpoint => byChain.set(checkpoint.chain_id, []));
+        }
+
+        for (const [chainId, chainItems] of byChain) {
+            const breaks = [];
+            const sorted = [...chainItems].sort((a, b) => a.chain_seq - b.chain_seq);
+            const bySeq = new Map(sorted.map(item => [item.chain_seq, item]));
+            const entityLast = new Map(); // entity key -> last item seen
+            let previous = null;
+            let verifiedSeq = 0;
+
+            for (const item of sorted) {
+                const problems = [];
+                const entityKey = ActivityChain.entityKey(item);
+                const entityPrevious = entityLast.get(entityKey);
+                const at = { chainId, seq: item.chain_seq, activityId: item.activity_id };
+
+                report.checked++;
+
+                if (await ActivityChain.contentHash(item) !== item.content_hash) {
+                    problems.push({ type: 'content_modified', ...at });
+                } else if (await ActivityChain.linkHash(item) !== item.hash) {
+                    problems.push({ type: 'hash_modified', ...at });
+                }
+
+                if (scope === 'all') {
+                    const expectedSeq = previous ? previous.chain_seq + 1 : 1;
+
+                    if (item.chain_seq > expectedSeq) {
+                        problems.push({ type: 'missing', chainId, seq: expectedSeq, activityId: null, fromSeq: expectedSeq, toSeq: item.chain_seq - 1 });
+                    } else if (item.chain_seq < expectedSeq) {
+                        problems.push({ type: 'duplicate', ...at });
+                    } else if (item.prev_hash !== (previous?.hash || null)) {
+                        problems.push({ type: 'link_mismatch', ...at });
+                    }
+                }
+
+                // Over the whole log an entity gap is always also a chain gap, reported above
+                const expectedEntitySeq = entityPrevious ? entityPrevious.entity_seq + 1 : 1;
+
+                if (item.entity_seq > expectedEntitySeq && scope === 'entity') {
+                    problems.push({ type: 'entity_missing', ...at, entity: entityKey, fromSeq: expectedEntitySeq, toSeq: item.entity_seq - 1 });
+                } else if (item.entity_seq === expectedEntitySeq && item.entity_prev_hash !== (entityPrevious?.hash || null)) {
+                    problems.push({ type: 'entity_link_mismatch', ...at, entity: entityKey });
+                }
+
+                breaks.push(...problems);
+
+                if (breaks.length === 0) {
+                    verifiedSeq = item.chain_seq;
+                }
+
+                previous = item;
+                entityLast.set(entityKey, item);
+            }
+
+            // Checkpoints: signature, hash at their sequence, and rows missing after the last one
+            let verifiedCheckpoint = null;
+            const seen = new Set();
+
+            for (const checkpoint of checkpoints.filter(c => c.chain_id === chainId).sort((a, b) => a.seq - b.seq)) {
+                // The same checkpoint is usually known locally and logged; altered copies are checked on their own
+                const checkpointKey = ActivityChain.canonicalize(checkpoint);
+                if (seen.has(checkpointKey)) {
+                    continue;
+                }
+                seen.add(checkpointKey);
+
+                const at = { chainId, seq: checkpoint.seq, activityId: null };
+                const signed = Boolean(options.secret && checkpoint.signature);
+
+                // Unsigned checkpoints (created without a secret) are still checked against the rows
+                if (signed && checkpoint.signature !== await ActivityChain.signCheckpoint(checkpoint, options.secret)) {
+                    breaks.push({ type: 'checkpoint_signature', ...at });
+                    continue;
+                }
+
+                const row = bySeq.get(checkpoint.seq);
+
+                if (row && row.hash !== checkpoint.hash) {
+                    breaks.push({ type: 'checkpoint_mismatch', ...at, activityId: row.activity_id });
+                } else if (!row && scope === 'all' && checkpoint.seq > (previous?.chain_seq || 0)) {
+                    breaks.push({ type: 'missing', ...at, seq: (previous?.chain_seq || 0) + 1, fromSeq: (previous?.chain_seq || 0) + 1, toSeq: checkpoint.seq });
+                } else if (row && checkpoint.seq <= verifiedSeq) {
+                    verifiedCheckpoint = { seq: checkpoint.seq, at: checkpoint.created_at, signed };
+                }
+            }
+
+            report.breaks.push(...breaks);
+            report.chains.push({
+                chainId,
+                firstSeq: sorted[0]?.chain_seq ?? null,
+                lastSeq: previous?.chain_seq ?? null,
+                verifiedSeq,
+                verifiedUpTo: verifiedCheckpoint
+            });
+        }
+
+        report.verified = report.breaks.length === 0;
+
+        const verifiedTimes = report.chains.map(chain => chain.verifiedUpTo).filter(Boolean);
+        report.verifiedUpTo = verifiedTimes.sort((a, b) => b.at.localeCompare(a.at))[0] || null;
+
+        return report;
+    }
+
+    /**
+     * Hash of an activity's content fields
+     */
+    static async contentHash(activity) {
+        const content = {};
+        ACTIVITY_CHAIN_FIELDS.forEach(field => { content[field] = activity[field] ?? null; });
+        return ActivityChain.sha256(ActivityChain.canonicalize(content));
+    }
+
+    /**
+     * Hash linking an activity to its chain and entity predecessors
+     */
+    static async linkHash(activity) {
+        return ActivityChain.sha256([
+            activity.chain_id,
+            activity.chain_seq,
+            activity.entity_seq,
+            activity.content_hash,
+            activity.prev_hash || '',
+            activity.entity_prev_hash || ''
+        ].join('|'));
+    }
+
+    /**
+     * Signature of a checkpoint
+     */
+    static async signCheckpoint(checkpoint, secret) {
+        return ActivityChain.hmac(secret, [checkpoint.chain_id, checkpoint.seq, checkpoint.hash, checkpoint.created_at].join('|'));
+    }
+
+    static entityKey(activity) {
+        return `${activity.entity_type}:${activity.entity_id}`;
+    }
+
+    static generateChainId() {
+        return `chain_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * JSON with sorted keys (undefined object values dropped), so stored and re-read activities hash alike
+     */
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ActivityChain.canonicalize(item === undefined ? null : item)).join(',')}]`;
+        }
+
+        if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${ActivityChain.canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+
+        return JSON.stringify(value ?? null);
+    }
+
+    /**
+     * HMAC-SHA256 (hex) of a text
+     */
+    static async hmac(secret, text) {
+        const subtle = ActivityChain.subtle();
+        const key = await subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+
+        return ActivityChain.toHex(new Uint8Array(await subtle.sign('HMAC', key, new TextEncoder().encode(text))));
+    }
+
+    /**
+     * SHA-256 (hex) of a text
+     */
+    static async sha256(text) {
+        return ActivityChain.toHex(new Uint8Array(await ActivityChain.subtle().digest('SHA-256', new TextEncoder().encode(text))));
+    }
+
+    /**
+     * Whether Web Crypto is available (browsers only expose crypto.subtle on secure origins)
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    static subtle() {
+        if (!ActivityChain.isSupported()) {
+            throw new Error('Web Crypto (crypto.subtle) is required for the activity chain');
+        }
+        return crypto.subtle;
+    }
+
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACTIVITY_CHAIN_FIELDS,
+        ActivityChain
+    };
+}
@@ -0,0 +1,419 @@
+/**
+ * EO Activity Projector
+ *
+ * Rebuilds EO state locally by replaying the activity log (event sourcing):
+ * - Folds normalized activities (XanoIntegration.normalizeActivity format) into record state
+ * - Record state at any timestamp, set (table) state at any timestamp, timelines
+ * - Batch activities (set rewinds, branch merges) are expanded into one activity per record
+ * - Works offline from the local activity cache and outbox; history can be loaded from Xano
+ *   to complete the log and to cross-check the server's snapshots
+ *
+ * Ingested activities can be persisted through a storage adapter from eo_change_store.js
+ * (store: 'activities'), so projections survive a reload without a connection.
+ */
+
+// How each action changes a projected record:
+// 'replace' - `after` is the full record; 'patch' - apply `changes` (or the before/after diff);
+// 'remove' - the record no longer exists. Other actions (sync_complete, schema_changed, ...) are ignored.
+const ACTIVITY_PROJECTION_RULES = {
+    create: 'replace',
+    restore: 'replace',
+    rewind: 'replace',
+    branch_merge: 'replace',
+    update: 'patch',
+    sync: 'patch',
+    conflict_resolved: 'patch',
+    delete: 'remove',
+    archive: 'remove'
+};
+
+class ActivityProjector {
+    constructor(config = {}) {
+        this.storage = config.storage || null;
+        this.entityTypes = config.entityTypes || ['record']; // Entity types that are projected
+
+        // Activity log
+        this.activities = new Map(); // activity_id -> activity
+        this.byEntity = new Map(); // entity_id -> activities, oldest first
+        this.unsorted = new Set(); // entity_ids whose list needs sorting
+        this.ingestOrder = new Map(); // activity_id -> ingest counter (tie-break for equal timestamps)
+        this.ingestCounter = 0;
+
+        // Server history already loaded: getHistory filter -> receipt time it was loaded up to
+        this.loadedUntil = new Map();
+    }
+
+    /**
+     * Restore persisted activities
+     */
+    async restore() {
+        if (!this.storage) {
+            return 0;
+        }
+
+        try {
+            await this.storage.open();
+            const entries = await this.storage.getAll('activities');
+            const restored = this.ingest(entries.map(entry => entry.value), { persist: false });
+
+            console.log(`✓ Restored ${restored} projected activities`);
+            return restored;
+        } catch (error) {
+            console.error('Failed to restore activity projection:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Add activities to the log (duplicates by activity_id are ignored).
+     * Activities with equal timestamps keep their ingest order, so ingest oldest first.
+     * @returns {number} Number of new activities
+     */
+    ingest(activities, options = {}) {
+        let added = 0;
+
+        for (const activity of activities.flatMap(ActivityProjector.expand)) {
+            if (!activity?.activity_id || this.activities.has(activity.activity_id) ||
+                !this.entityTypes.includes(activity.entity_type) || !ACTIVITY_PROJECTION_RULES[activity.action]) {
+                continue;
+            }
+
+            this.activities.set(activity.activity_id, activity);
+            this.ingestOrder.set(activity.activity_id, this.ingestCounter++);
+
+            if (!this.byEntity.has(activity.entity_id)) {
+                this.byEntity.set(activity.entity_id, []);
+            }
+            this.byEntity.get(activity.entity_id).push(activity);
+            this.unsorted.add(activity.entity_id);
+
+            if (options.persist !== false) {
+                this.persist('put', activity.activity_id, activity);
+            }
+            added++;
+        }
+
+        return added;
+    }
+
+    /**
+     * Ingest what a XanoIntegration holds locally: delivered (cached), queued and dead-lettered activities
+     */
+    ingestLocal(xano) {
+        const envelopes = [...xano.pendingQueue, ...xano.outbox.deadLetters];
+
+        return this.ingest([
+            ...[...xano.activityCache].reverse(), // cache is newest first
+            ...envelopes.map(envelope => envelope.activity)
+        ]);
+    }
+
+    /**
+     * Load history from Xano (all pages) into the log. After the first load only activities the
+     * server received since then are requested (see XanoIntegration.loadHistory); a load without
+     * filters also covers later filtered loads. Pass full: true to read everything again.
+     * @param {Object} options - getHistory filters (entityType, entityId, ...), pageSize and full
+     */
+    async loadFromXano(xano, options = {}) {
+        const { full = false, pageSize, ...filter } = options;
+        const key = JSON.stringify(filter);
+        const loaded = [this.loadedUntil.get(key), this.loadedUntil.get('{}')].filter(Boolean).sort().pop();
+        const { items, receivedUntil } = await xano.loadHistory({
+            ...filter,
+            pageSize,
+            receivedSince: full ? null : loaded || null
+        });
+
+        if (receivedUntil) {
+            this.loadedUntil.set(key, receivedUntil);
+        } else {
+            this.loadedUntil.delete(key);
+        }
+
+        // History is newest first
+        return this.ingest(items.reverse());
+    }
+
+    /**
+     * Activities of an entity, oldest first
+     */
+    getEntityActivities(entityId) {
+        const activities = this.byEntity.get(entityId) || [];
+
+        if (this.unsorted.has(entityId)) {
+            activities.sort((a, b) => this.compareActivities(a, b));
+            this.unsorted.delete(entityId);
+        }
+
+        return activities;
+    }
+
+    /**
+     * Order by time, then chain sequence (same writer), then ingest order
+     */
+    compareActivities(a, b) {
+        const byTime = new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+        if (byTime !== 0) {
+            return byTime;
+        }
+
+        if (a.chain_id && a.chain_id === b.chain_id) {
+            return a.chain_seq - b.chain_seq;
+        }
+
+        return this.ingestOrder.get(a.activity_id) - this.ingestOrder.get(b.activity_id);
+    }
+
+    /**
+     * Projected state of an entity at a timestamp (default: now)
+     * @returns {Object|null} { entityId, entityType, tableId, exists, data, createdAt, deletedAt,
+     *   timestamp, activityId, action, version } or null when no activity precedes the timestamp
+     */
+    getEntityAt(entityId, timestamp = null) {
+        const target = timestamp ? new Date(timestamp).getTime() : Infinity;
+        let state = null;
+
+        for (const activity of this.getEntityActivities(entityId)) {
+            if (new Date(activity.timestamp).getTime() > target) {
+                break;
+            }
+            state = this.apply(state, activity);
+        }
+
+        return state;
+    }
+
+    /**
+     * Projected records of a set (table) at a timestamp; pass tableId null for every table
+     * @returns {Object} { tableId, timestamp, records: [state], deleted: [state] }
+     */
+    getSetAt(tableId, timestamp = null) {
+        const set = { tableId, timestamp, records: [], deleted: [] };
+
+        for (const entityId of this.byEntity.keys()) {
+            const state = this.getEntityAt(entityId, timestamp);
+
+            if (!state || (tableId && state.tableId !== tableId)) {
+                continue;
+            }
+
+            (state.exists ? set.records : set.deleted).push(state);
+        }
+
+        return set;
+    }
+
+    /**
+     * Projected timeline of an entity, newest first (the shape of XanoIntegration.getTimeline
+     * entries, with before/after being the projected record before and after each activity)
+     */
+    getTimeline(entityId, options = {}) {
+        const timeline = [];
+        let state = null;
+
+        for (const activity of this.getEntityActivities(entityId)) {
+            const before = state?.exists ? state.data : null;
+            state = this.apply(state, activity);
+            const after = state.exists ? state.data : null;
+
+            timeline.unshift({
+                timestamp: activity.timestamp,
+                action: activity.action,
+                activityId: activity.activity_id,
+                user: {
+                    id: activity.user_id,
+                    name: activity.user_name,
+                    email: activity.user_email
+                },
+                changes: ActivityProjector.diff(before, after),
+                before,
+                after,
+                canRewind: state.exists,
+                source: 'local'
+            });
+        }
+
+        return timeline.slice(0, options.limit || timeline.length);
+    }
+
+    /**
+     * Activities of an entity, newest first, with getHistory's date filters
+     */
+    getActivities(entityId, options = {}) {
+        const start = options.startDate ? new Date(options.startDate).getTime() : -Infinity;
+        const end = options.endDate ? new Date(options.endDate).getTime() : Infinity;
+
+        const activities = this.getEntityActivities(entityId)
+            .filter(activity => {
+                const time = new Date(activity.timestamp).getTime();
+                return time >= start && time <= end;
+            })
+            .reverse();
+
+        return activities.slice(0, options.limit || activities.length);
+    }
+
+    /**
+     * Apply one activity to a projected state (returns a new state)
+     */
+    apply(state, activity) {
+        const next = state
+            ? { ...state, data: { ...state.data } }
+            : {
+                entityId: activity.entity_id,
+                entityType: activity.entity_type,
+                tableId: null,
+                exists: false,
+                data: {},
+                createdAt: null,
+                deletedAt: null,
+                version: 0
+            };
+
+        switch (ACTIVITY_PROJECTION_RULES[activity.action]) {
+            case 'replace':
+                next.data = ActivityProjector.clone(activity.after || {});
+                next.exists = true;
+                next.createdAt = next.createdAt || activity.timestamp;
+                next.deletedAt = null;
+                break;
+
+            case 'patch':
+                this.applyPatch(next.data, activity);
+                next.exists = true;
+                next.createdAt = next.createdAt || activity.timestamp;
+                next.deletedAt = null;
+                break;
+
+            case 'remove':
+                next.exists = false;
+                next.deletedAt = activity.timestamp;
+                break;
+
+            default:
+                return state;
+        }
+
+        next.tableId = activity.table_id || next.tableId;
+        next.timestamp = activity.timestamp;
+        next.activityId = activity.activity_id;
+        next.action = activity.action;
+        next.version++;
+
+        return next;
+    }
+
+    /**
+     * Apply an update: its field-level `changes`, else the difference between `before` and
+     * `after` (fields the update did not touch keep their projected value)
+     */
+    applyPatch(data, activity) {
+        const changes = Array.isArray(activity.changes) && activity.changes.length > 0
+            ? activity.changes
+            : ActivityProjector.isObject(activity.before)
+                ? ActivityProjector.diff(activity.before, activity.after || {})
+                : Object.entries(activity.after || {}).map(([field, after]) => ({ field, after }));
+
+        for (const change of changes) {
+            if (change.after === undefined || change.after === null || change.type === 'removed') {
+                delete data[change.field];
+            } else {
+                data[change.field] = ActivityProjector.clone(change.after);
+            }
+        }
+    }
+
+    /**
+     * Batch activities (set rewinds and branch merges list their records in metadata.entities) become one
+     * activity per record; other activities are returned as they are
+     */
+    static expand(activity) {
+        const entities = activity?.metadata?.entities;
+        if (!Array.isArray(entities)) {
+            return [activity];
+        }
+
+        return entities.map(entity => ({
+            ...activity,
+            activity_id: `${activity.activity_id}:${entity.entityId}`,
+            entity_type: entity.entityType || 'record',
+            entity_id: entity.entityId,
+            table_id: entity.tableId || activity.table_id,
+            action: entity.after ? activity.action : 'delete',
+            before: entity.before ?? null,
+            after: entity.after ?? null,
+            changes: null
+        }));
+    }
+
+    /**
+     * Field-level differences between two records: [{ field, before, after, type }]
+     */
+    static diff(before, after) {
+        const differences = [];
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        for (const field of fields) {
+            const value1 = before?.[field];
+            const value2 = after?.[field];
+
+            if (JSON.stringify(value1) !== JSON.stringify(value2)) {
+                differences.push({
+                    field,
+                    before: value1,
+                    after: value2,
+                    type: value1 === undefined || value1 === null ? 'added'
+                        : value2 === undefined || value2 === null ? 'removed'
+                            : 'modified'
+                });
+            }
+        }
+
+        return differences;
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Forget all activities (and persisted ones)
+     */
+    clear() {
+        this.activities.clear();
+        this.byEntity.clear();
+        this.unsorted.clear();
+        this.ingestOrder.clear();
+
+        return this.storage ? this.storage.clear('activities').catch(error => {
+            console.error('Failed to clear activity projection:', error);
+        }) : Promise.resolve();
+    }
+
+    /**
+     * Write through to storage (fire-and-forget)
+     */
+    persist(operation, key, value) {
+        if (!this.storage) {
+            return Promise.resolve();
+        }
+
+        return Promise.resolve()
+            .then(() => this.storage[operation]('activities', key, value))
+            .catch(error => {
+                console.error(`Failed to persist projected activity ${operation}:`, error);
+            });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACTIVITY_PROJECTION_RULES,
+        ActivityProjector
+    };
+}
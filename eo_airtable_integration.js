@@ -6,14 +6,21 @@
  * - Record synchronization (two-way sync)
  * - View configuration import
  * - Real-time change detection
+ * - Rate limiting: token bucket per base, 429/Retry-After backoff, request priorities
+ * - Webhooks: change payloads listed by cursor, for push sync
  */
 
+// Queue order for API requests: user edits go before background sync traffic
+const AIRTABLE_REQUEST_PRIORITIES = { interactive: 0, background: 1 };
+
 class AirtableIntegration {
     constructor(config = {}) {
+        this.type = 'airtable'; // Sync connector type (see eo_sync_connector.js)
         this.apiKey = config.apiKey || null;
         this.baseId = config.baseId || null;
         this.baseUrl = 'https://api.airtable.com/v0';
         this.metaApiUrl = 'https://api.airtable.com/v0/meta';
+        this.fetch = config.fetch || null; // Optional fetch implementation (e.g. MockAirtableServer)
 
         // Sync state
         this.syncState = {
@@ -23,12 +30,28 @@ class AirtableIntegration {
             views: new Map() // viewId -> { config, filters, sorts, grouping }
         };
 
-        // Rate limiting
-        this.rateLimiter = {
-            requestsPerSecond: 5,
-            queue: [],
-            processing: false
+        // Rate limiting: one token bucket per base (Airtable allows 5 requests per second per base).
+        // Integrations for the same base share a bucket by passing { rateLimiter: other.rateLimiter }.
+        const requestsPerSecond = config.requestsPerSecond || 5;
+        this.rateLimiter = config.rateLimiter || {
+            requestsPerSecond,
+            burst: config.rateLimitBurst || requestsPerSecond, // Bucket size
+            tokens: config.rateLimitBurst || requestsPerSecond,
+            refilledAt: Date.now(),
+            maxConcurrent: config.maxConcurrentRequests || 3, // Requests in flight at once
+            active: 0,
+            blockedUntil: 0, // No requests before this time (after a 429)
+            maxRetries: config.maxRetries ?? 5, // 429 retries per request
+            retryBaseDelay: config.retryBaseDelay || 1000, // Backoff when a 429 has no Retry-After
+            retryMaxDelay: config.retryMaxDelay || 30000,
+            queue: [], // [{ priority, sequence, attempts, send, method, resolve, reject }] in priority order
+            sequence: 0,
+            timer: null,
+            rateLimited: 0 // 429 responses received
         };
+
+        // Request counters of this integration (see getRequestStats)
+        this.requestStats = { sent: 0, retried: 0, failed: 0 };
     }
 
     /**
@@ -60,18 +83,18 @@ class AirtableIntegration {
     /**
      * Fetch base metadata using Meta API
      */
-    async fetchBaseMetadata() {
-        const response = await this.apiRequest(`${this.metaApiUrl}/bases/${this.baseId}/tables`);
+    async fetchBaseMetadata(options = {}) {
+        const response = await this.apiRequest(`${this.metaApiUrl}/bases/${this.baseId}/tables`, { priority: options.priority });
         return response;
     }
 
     /**
      * Sync schema: tables, fields, and views
      */
-    async syncSchema() {
+    async syncSchema(options = {}) {
         console.log('🔄 Syncing schema from Airtable...');
 
-        const metadata = await this.fetchBaseMetadata();
+        const metadata = await this.fetchBaseMetadata(options);
 
         for (const table of metadata.tables) {
             const tableSchema = {
@@ -101,6 +124,22 @@ class AirtableIntegration {
             console.log(`  ✓ Synced table: ${table.name} (${table.fields.length} fields, ${table.views.length} views)`);
         }
 
+        // Forget tables and views deleted in Airtable
+        const tableIds = new Set(metadata.tables.map(t => t.id));
+        const viewIds = new Set(metadata.tables.flatMap(t => t.views.map(v => v.id)));
+
+        for (const tableId of this.syncState.tables.keys()) {
+            if (!tableIds.has(tableId)) {
+                this.syncState.tables.delete(tableId);
+            }
+        }
+
+        for (const viewId of this.syncState.views.keys()) {
+            if (!viewIds.has(viewId)) {
+                this.syncState.views.delete(viewId);
+            }
+        }
+
         return metadata;
     }
 
@@ -121,6 +160,8 @@ class AirtableIntegration {
             // Handle linked records - infer EO operator
             if (field.type === 'multipleRecordLinks') {
                 eoField.linkedTableId = field.options?.linkedTableId;
+                eoField.inverseLinkFieldId = field.options?.inverseLinkFieldId || null;
+                eoField.prefersSingleRecordLink = field.options?.prefersSingleRecordLink === true;
                 eoField.eoOperator = this.inferOperatorFromFieldName(field.name);
                 eoField.isSymmetric = field.options?.isSymmetric || false;
             }
@@ -244,6 +285,52 @@ class AirtableIntegration {
         return 'CON';
     }
 
+    /**
+     * Discover tables and fields (sync connector contract)
+     */
+    async discoverSchema(options = {}) {
+        await this.syncSchema(options);
+        return this.getTables();
+    }
+
+    /**
+     * Fetch one page of records in EO format (sync connector contract)
+     * Returns { records, offset } where offset is null on the last page.
+     */
+    async readPage(tableIdOrName, options = {}) {
+        const table = this.getTableByIdOrName(tableIdOrName);
+        if (!table) {
+            throw new Error(`Table not found: ${tableIdOrName}`);
+        }
+
+        const params = new URLSearchParams({
+            pageSize: options.pageSize || 100,
+            ...(options.offset && { offset: options.offset }),
+            ...(options.view && { view: options.view }),
+            ...(options.fields && { fields: options.fields.join(',') }),
+            ...(options.filterByFormula && { filterByFormula: options.filterByFormula }),
+            ...(options.sort && { sort: JSON.stringify(options.sort) })
+        });
+
+        const response = await this.apiRequest(
+            `${this.baseUrl}/${this.baseId}/${table.schema.id}?${params}`,
+            { priority: options.priority }
+        );
+
+        const records = response.records.map(record => {
+            const eoRecord = this.convertAirtableRecordToEO(record, table.schema);
+
+            // Prefer the configured timestamp field as modification time
+            if (options.timestampField && record.fields[options.timestampField]) {
+                eoRecord.lastModified = record.fields[options.timestampField];
+            }
+
+            return eoRecord;
+        });
+
+        return { records, offset: response.offset || null };
+    }
+
     /**
      * Fetch all records from a table with full context
      */
@@ -255,32 +342,28 @@ class AirtableIntegration {
 
         console.log(`📥 Fetching records from table: ${table.schema.name}`);
 
-        let allRecords = [];
+        let eoRecords = [];
         let offset = null;
 
         do {
-            const params = new URLSearchParams({
-                pageSize: options.pageSize || 100,
-                ...(offset && { offset }),
-                ...(options.view && { view: options.view }),
-                ...(options.fields && { fields: options.fields.join(',') }),
-                ...(options.filterByFormula && { filterByFormula: options.filterByFormula }),
-                ...(options.sort && { sort: JSON.stringify(options.sort) })
-            });
+            const page = await this.readPage(table.schema.id, { ...options, offset });
 
-            const response = await this.apiRequest(
-                `${this.baseUrl}/${this.baseId}/${table.schema.id}?${params}`
-            );
+            eoRecords = eoRecords.concat(page.records);
+            offset = page.offset;
 
-            allRecords = allRecords.concat(response.records);
-            offset = response.offset;
-
-            console.log(`  Retrieved ${response.records.length} records (total: ${allRecords.length})`);
+            console.log(`  Retrieved ${page.records.length} records (total: ${eoRecords.length})`);
 
         } while (offset);
 
-        // Process records into EO format with context
-        const eoRecords = allRecords.map(record => this.convertAirtableRecordToEO(record, table.schema));
+        // A full scan is authoritative: forget cached records that no longer exist
+        if (!options.filterByFormula && !options.view) {
+            const fetchedIds = new Set(eoRecords.map(r => r.id));
+            for (const [recordId, cached] of this.syncState.records.entries()) {
+                if (cached.data.tableId === table.schema.id && !fetchedIds.has(recordId)) {
+                    this.syncState.records.delete(recordId);
+                }
+            }
+        }
 
         // Update sync state
         for (const record of eoRecords) {
@@ -296,6 +379,69 @@ class AirtableIntegration {
         return eoRecords;
     }
 
+    /**
+     * Fetch only records modified after a high-water mark.
+     * Uses LAST_MODIFIED_TIME() unless a timestamp field is configured.
+     */
+    async fetchChangedRecords(tableIdOrName, since, options = {}) {
+        const modifiedSince = this.buildModifiedSinceFormula(since, options.timestampField);
+
+        return await this.fetchTableRecords(tableIdOrName, {
+            ...options,
+            filterByFormula: options.filterByFormula
+                ? `AND(${options.filterByFormula}, ${modifiedSince})`
+                : modifiedSince
+        });
+    }
+
+    /**
+     * Build filterByFormula for records modified after a timestamp
+     */
+    buildModifiedSinceFormula(since, timestampField = null) {
+        const fieldRef = timestampField ? `{${timestampField}}` : 'LAST_MODIFIED_TIME()';
+        return `IS_AFTER(${fieldRef}, DATETIME_PARSE('${new Date(since).toISOString()}'))`;
+    }
+
+    /**
+     * Get last fetched records for a table from the local cache
+     */
+    getCachedRecords(tableIdOrName) {
+        const table = this.getTableByIdOrName(tableIdOrName);
+        if (!table) {
+            return [];
+        }
+
+        return Array.from(this.syncState.records.values())
+            .filter(cached => cached.data.tableId === table.schema.id)
+            .map(cached => cached.data);
+    }
+
+    /**
+     * Fetch specific records (e.g. the ones a webhook payload reported as changed).
+     * Requested records that no longer exist are dropped from the local cache.
+     */
+    async fetchRecordsById(tableIdOrName, recordIds, options = {}) {
+        const table = this.getTableByIdOrName(tableIdOrName);
+        if (!table) {
+            throw new Error(`Table not found: ${tableIdOrName}`);
+        }
+
+        const batchSize = 50; // Keeps the formula well under URL length limits
+        let records = [];
+
+        for (let i = 0; i < recordIds.length; i += batchSize) {
+            const batch = recordIds.slice(i, i + batchSize);
+            const filterByFormula = `OR(${batch.map(id => `RECORD_ID()='${id}'`).join(',')})`;
+
+            records = records.concat(await this.fetchTableRecords(table.schema.id, { ...options, filterByFormula }));
+        }
+
+        const fetchedIds = new Set(records.map(r => r.id));
+        recordIds.filter(id => !fetchedIds.has(id)).forEach(id => this.syncState.records.delete(id));
+
+        return records;
+    }
+
     /**
      * Convert Airtable record to EO format with full context
      */
@@ -338,11 +484,42 @@ class AirtableIntegration {
                 airtableType: fieldSchema?.airtableType,
                 context: { ...eoRecord.context }
             };
+
+            // Linked record ids (resolved into EO connections by the sync engine)
+            if (fieldSchema?.linkedTableId) {
+                eoRecord.fields[fieldName].linkedTableId = fieldSchema.linkedTableId;
+            }
+
+            // Attachment metadata (URLs are signed and expire; the sync engine caches the files)
+            if (fieldSchema?.airtableType === 'multipleAttachments' && Array.isArray(value)) {
+                eoRecord.fields[fieldName].value = value.map(attachment => this.convertAirtableAttachment(attachment));
+            }
         }
 
         return eoRecord;
     }
 
+    /**
+     * Convert an Airtable attachment object to EO attachment metadata
+     */
+    convertAirtableAttachment(attachment) {
+        const thumbnails = {};
+
+        for (const [size, thumbnail] of Object.entries(attachment.thumbnails || {})) {
+            thumbnails[size] = { url: thumbnail.url, width: thumbnail.width, height: thumbnail.height };
+        }
+
+        return {
+            id: attachment.id,
+            filename: attachment.filename,
+            size: attachment.size ?? null,
+            mime: attachment.type || null,
+            url: attachment.url,
+            ...(attachment.width !== undefined && { width: attachment.width, height: attachment.height }),
+            ...(Object.keys(thumbnails).length > 0 && { thumbnails })
+        };
+    }
+
     /**
      * Create or update record in Airtable
      */
@@ -369,7 +546,8 @@ class AirtableIntegration {
 
         const response = await this.apiRequest(url, {
             method,
-            body: JSON.stringify(airtableRecord)
+            body: JSON.stringify(airtableRecord),
+            priority: options.priority
         });
 
         console.log(`✓ ${isUpdate ? 'Updated' : 'Created'} record in ${table.schema.name}: ${response.id}`);
@@ -389,9 +567,18 @@ class AirtableIntegration {
         const batchSize = 10;
         const results = [];
 
-        for (let i = 0; i < records.length; i += batchSize) {
-            const batch = records.slice(i, i + batchSize);
-            const hasIds = batch.every(r => r.id && r.id.startsWith('rec'));
+        // Updates and creates go in separate requests (PATCH vs POST)
+        const isExisting = r => r.id && r.id.startsWith('rec');
+        const batches = [];
+
+        for (const group of [records.filter(isExisting), records.filter(r => !isExisting(r))]) {
+            for (let i = 0; i < group.length; i += batchSize) {
+                batches.push(group.slice(i, i + batchSize));
+            }
+        }
+
+        for (const batch of batches) {
+            const hasIds = isExisting(batch[0]);
 
             const method = hasIds ? 'PATCH' : 'POST';
             const url = `${this.baseUrl}/${this.baseId}/${table.schema.id}`;
@@ -406,7 +593,8 @@ class AirtableIntegration {
 
             const response = await this.apiRequest(url, {
                 method,
-                body: JSON.stringify(payload)
+                body: JSON.stringify(payload),
+                priority: options.priority
             });
 
             results.push(...response.records);
@@ -419,7 +607,7 @@ class AirtableIntegration {
     /**
      * Delete record from Airtable
      */
-    async deleteRecord(tableIdOrName, recordId) {
+    async deleteRecord(tableIdOrName, recordId, options = {}) {
         const table = this.getTableByIdOrName(tableIdOrName);
         if (!table) {
             throw new Error(`Table not found: ${tableIdOrName}`);
@@ -427,7 +615,7 @@ class AirtableIntegration {
 
         await this.apiRequest(
             `${this.baseUrl}/${this.baseId}/${table.schema.id}/${recordId}`,
-            { method: 'DELETE' }
+            { method: 'DELETE', priority: options.priority }
         );
 
         // Remove from sync state
@@ -436,6 +624,141 @@ class AirtableIntegration {
         console.log(`✓ Deleted record from ${table.schema.name}: ${recordId}`);
     }
 
+    /**
+     * Delete records in batches of 10 (sync connector contract)
+     */
+    async deleteRecords(tableIdOrName, recordIds, options = {}) {
+        const table = this.getTableByIdOrName(tableIdOrName);
+        if (!table) {
+            throw new Error(`Table not found: ${tableIdOrName}`);
+        }
+
+        const batchSize = 10;
+
+        for (let i = 0; i < recordIds.length; i += batchSize) {
+            const batch = recordIds.slice(i, i + batchSize);
+            const params = new URLSearchParams();
+            batch.forEach(id => params.append('records[]', id));
+
+            await this.apiRequest(
+                `${this.baseUrl}/${this.baseId}/${table.schema.id}?${params}`,
+                { method: 'DELETE', priority: options.priority }
+            );
+
+            batch.forEach(id => this.syncState.records.delete(id));
+            console.log(`✓ Batch deleted ${batch.length} records from ${table.schema.name}`);
+        }
+    }
+
+    /**
+     * Create a webhook for record and schema changes in the base.
+     * Airtable pings notificationUrl on changes; the changes themselves are listed with
+     * listWebhookPayloads(). Returns { id, macSecretBase64, expirationTime }.
+     */
+    async createWebhook(notificationUrl, options = {}) {
+        return await this.apiRequest(`${this.baseUrl}/bases/${this.baseId}/webhooks`, {
+            method: 'POST',
+            priority: options.priority,
+            body: JSON.stringify({
+                notificationUrl,
+                specification: {
+                    options: {
+                        filters: { dataTypes: options.dataTypes || ['tableData', 'tableFields', 'tableMetadata'] }
+                    }
+                }
+            })
+        });
+    }
+
+    /**
+     * List webhook payloads from a cursor (the first payload has cursor 1).
+     * Returns { payloads, cursor, mightHaveMore } where cursor is the next one to request.
+     */
+    async listWebhookPayloads(webhookId, cursor = 1, options = {}) {
+        const params = new URLSearchParams({
+            cursor,
+            ...(options.limit && { limit: options.limit })
+        });
+
+        return await this.apiRequest(
+            `${this.baseUrl}/bases/${this.baseId}/webhooks/${webhookId}/payloads?${params}`,
+            { priority: options.priority }
+        );
+    }
+
+    /**
+     * Extend a webhook's expiration (webhooks expire 7 days after creation or the last refresh)
+     */
+    async refreshWebhook(webhookId, options = {}) {
+        return await this.apiRequest(`${this.baseUrl}/bases/${this.baseId}/webhooks/${webhookId}/refresh`, {
+            method: 'POST',
+            priority: options.priority
+        });
+    }
+
+    /**
+     * Delete a webhook
+     */
+    async deleteWebhook(webhookId, options = {}) {
+        await this.apiRequest(`${this.baseUrl}/bases/${this.baseId}/webhooks/${webhookId}`, {
+            method: 'DELETE',
+            priority: options.priority
+        });
+    }
+
+    /**
+     * Reduce webhook payloads to what changed:
+     * { tables: { tableId: { created, changed, destroyed } }, schemaChanged, errors }.
+     * Record ids are deduplicated across payloads; schemaChanged is set for field or table changes.
+     */
+    summarizeWebhookPayloads(payloads) {
+        const summary = { tables: {}, schemaChanged: false, errors: [] };
+        const sets = new Map(); // tableId -> { created, changed, destroyed } as Sets
+
+        for (const payload of payloads) {
+            if (payload.error) {
+                summary.errors.push(payload.code || 'UNKNOWN_ERROR');
+                continue;
+            }
+
+            if (Object.keys(payload.createdTablesById || {}).length > 0 || (payload.destroyedTableIds || []).length > 0) {
+                summary.schemaChanged = true;
+            }
+
+            for (const [tableId, change] of Object.entries(payload.changedTablesById || {})) {
+                if (change.changedMetadata ||
+                    Object.keys(change.createdFieldsById || {}).length > 0 ||
+                    Object.keys(change.changedFieldsById || {}).length > 0 ||
+                    (change.destroyedFieldIds || []).length > 0) {
+                    summary.schemaChanged = true;
+                }
+
+                if (!sets.has(tableId)) {
+                    sets.set(tableId, { created: new Set(), changed: new Set(), destroyed: new Set() });
+                }
+
+                const table = sets.get(tableId);
+                Object.keys(change.createdRecordsById || {}).forEach(id => table.created.add(id));
+                Object.keys(change.changedRecordsById || {}).forEach(id => table.changed.add(id));
+                (change.destroyedRecordIds || []).forEach(id => table.destroyed.add(id));
+            }
+        }
+
+        for (const [tableId, table] of sets) {
+            // Ids keep only their latest state: created then destroyed is destroyed, created then changed is created
+            table.destroyed.forEach(id => { table.created.delete(id); table.changed.delete(id); });
+            table.created.forEach(id => table.changed.delete(id));
+
+            summary.tables[tableId] = {
+                created: Array.from(table.created),
+                changed: Array.from(table.changed),
+                destroyed: Array.from(table.destroyed)
+            };
+        }
+
+        return summary;
+    }
+
     /**
      * Convert EO fields back to Airtable format
      */
@@ -459,6 +782,20 @@ class AirtableIntegration {
                 continue;
             }
 
+            // Linked records are written as an array of record ids
+            if (fieldSchema.airtableType === 'multipleRecordLinks') {
+                value = (Array.isArray(value) ? value : [value])
+                    .map(link => typeof link === 'string' ? link : link?.id)
+                    .filter(Boolean);
+            }
+
+            // Existing attachments are kept by id, new ones are fetched by Airtable from their URL
+            if (fieldSchema.airtableType === 'multipleAttachments' && Array.isArray(value)) {
+                value = value.map(attachment => attachment.id
+                    ? { id: attachment.id }
+                    : { url: attachment.url, filename: attachment.filename });
+            }
+
             airtableFields[fieldName] = value;
         }
 
@@ -506,59 +843,181 @@ class AirtableIntegration {
     }
 
     /**
-     * Rate-limited API request with retry logic
+     * Queue an API request through the rate limiter.
+     * options.priority: 'interactive' (default, e.g. user edits) or 'background' (sync traffic)
      */
     async apiRequest(url, options = {}) {
-        const headers = {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-            ...options.headers
-        };
+        const { priority = 'interactive', ...fetchOptions } = options;
 
         const requestOptions = {
-            ...options,
-            headers
+            ...fetchOptions,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json',
+                ...fetchOptions.headers
+            }
         };
 
-        // Add to rate limiter queue
         return new Promise((resolve, reject) => {
-            this.rateLimiter.queue.push({ url, options: requestOptions, resolve, reject });
-            this.processQueue();
+            this.enqueueRequest({
+                priority: AIRTABLE_REQUEST_PRIORITIES[priority] === undefined ? 'interactive' : priority,
+                sequence: ++this.rateLimiter.sequence,
+                attempts: 0,
+                send: () => (this.fetch || fetch)(url, requestOptions),
+                method: requestOptions.method || 'GET',
+                resolve,
+                reject
+            });
         });
     }
 
     /**
-     * Process rate-limited request queue
+     * Insert a request by priority, then age (retried requests keep their place)
      */
-    async processQueue() {
-        if (this.rateLimiter.processing || this.rateLimiter.queue.length === 0) {
-            return;
+    enqueueRequest(entry) {
+        const queue = this.rateLimiter.queue;
+        const rank = e => AIRTABLE_REQUEST_PRIORITIES[e.priority];
+        const index = queue.findIndex(e => rank(e) > rank(entry) || (rank(e) === rank(entry) && e.sequence > entry.sequence));
+
+        queue.splice(index === -1 ? queue.length : index, 0, entry);
+        this.processQueue();
+    }
+
+    /**
+     * Start queued requests while tokens and concurrency slots are available
+     */
+    processQueue() {
+        const limiter = this.rateLimiter;
+
+        while (limiter.queue.length > 0 && limiter.active < limiter.maxConcurrent) {
+            const wait = this.takeToken();
+
+            if (wait > 0) {
+                if (!limiter.timer) {
+                    limiter.timer = setTimeout(() => {
+                        limiter.timer = null;
+                        this.processQueue();
+                    }, wait);
+                }
+                return;
+            }
+
+            const entry = limiter.queue.shift();
+            limiter.active++;
+
+            this.executeRequest(entry).finally(() => {
+                limiter.active--;
+                this.processQueue();
+            });
+        }
+    }
+
+    /**
+     * Take a token from the bucket; returns 0, or the milliseconds until one is available
+     */
+    takeToken() {
+        const limiter = this.rateLimiter;
+        const now = Date.now();
+
+        if (now < limiter.blockedUntil) {
+            return limiter.blockedUntil - now;
         }
 
-        this.rateLimiter.processing = true;
+        if (!limiter.requestsPerSecond) {
+            return 0;
+        }
 
-        while (this.rateLimiter.queue.length > 0) {
-            const { url, options, resolve, reject } = this.rateLimiter.queue.shift();
+        limiter.tokens = Math.min(limiter.burst, limiter.tokens + (now - limiter.refilledAt) / 1000 * limiter.requestsPerSecond);
+        limiter.refilledAt = now;
 
-            try {
-                const response = await fetch(url, options);
+        if (limiter.tokens >= 1) {
+            limiter.tokens -= 1;
+            return 0;
+        }
 
-                if (!response.ok) {
-                    const error = await response.json();
-                    throw new Error(`Airtable API error: ${error.error?.message || response.statusText}`);
-                }
+        return Math.ceil((1 - limiter.tokens) * 1000 / limiter.requestsPerSecond);
+    }
+
+    /**
+     * Send a request. A 429 pauses the whole bucket for Retry-After (or a backoff) and
+     * requeues the request; other errors reject with the status and Airtable error type.
+     */
+    async executeRequest(entry) {
+        const limiter = this.rateLimiter;
+
+        try {
+            this.requestStats.sent++;
+            const response = await entry.send();
+
+            if (response.status === 429 && entry.attempts < limiter.maxRetries) {
+                const delay = this.getRetryDelay(response, entry.attempts);
+
+                entry.attempts++;
+                limiter.rateLimited++;
+                this.requestStats.retried++;
+                limiter.blockedUntil = Math.max(limiter.blockedUntil, Date.now() + delay);
+                limiter.tokens = 0;
 
-                const data = options.method === 'DELETE' ? { deleted: true } : await response.json();
-                resolve(data);
-            } catch (error) {
-                reject(error);
+                console.warn(`Airtable rate limit reached, retrying in ${delay}ms (attempt ${entry.attempts}/${limiter.maxRetries})`);
+                this.enqueueRequest(entry);
+                return;
             }
 
-            // Rate limiting: wait between requests
-            await new Promise(resolve => setTimeout(resolve, 1000 / this.rateLimiter.requestsPerSecond));
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                const error = new Error(`Airtable API error: ${body.error?.message || body.message || response.statusText}`);
+
+                error.status = response.status;
+                error.type = typeof body.error === 'string' ? body.error : body.error?.type || null;
+                throw error;
+            }
+
+            entry.resolve(entry.method === 'DELETE' ? { deleted: true } : await response.json());
+        } catch (error) {
+            this.requestStats.failed++;
+            entry.reject(error);
         }
+    }
 
-        this.rateLimiter.processing = false;
+    /**
+     * Delay before retrying a 429: Retry-After (seconds or HTTP date), else exponential backoff with jitter
+     */
+    getRetryDelay(response, attempts) {
+        const retryAfter = response.headers.get('Retry-After');
+
+        if (retryAfter) {
+            const delay = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+            if (delay > 0) {
+                return delay;
+            }
+        }
+
+        const delay = Math.min(this.rateLimiter.retryMaxDelay, this.rateLimiter.retryBaseDelay * 2 ** attempts);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Reject queued (not yet sent) requests, e.g. background sync requests when auto-sync stops.
+     * Rejections carry error.cancelled = true. Returns the number of cancelled requests.
+     */
+    cancelQueuedRequests(filter = {}) {
+        const limiter = this.rateLimiter;
+        const cancelled = limiter.queue.filter(entry => !filter.priority || entry.priority === filter.priority);
+
+        limiter.queue = limiter.queue.filter(entry => !cancelled.includes(entry));
+
+        if (limiter.queue.length === 0 && limiter.timer) {
+            clearTimeout(limiter.timer);
+            limiter.timer = null;
+        }
+
+        for (const entry of cancelled) {
+            const error = new Error('Airtable request cancelled');
+            error.cancelled = true;
+            entry.reject(error);
+        }
+
+        return cancelled.length;
     }
 
     /**
@@ -584,6 +1043,13 @@ class AirtableIntegration {
         return views;
     }
 
+    /**
+     * Request counters of this integration: { sent, retried (429s), failed }
+     */
+    getRequestStats() {
+        return { ...this.requestStats };
+    }
+
     /**
      * Get sync statistics
      */
@@ -593,6 +1059,9 @@ class AirtableIntegration {
             tableCount: this.syncState.tables.size,
             recordCount: this.syncState.records.size,
             viewCount: this.syncState.views.size,
+            queuedRequests: this.rateLimiter.queue.length,
+            rateLimited: this.rateLimiter.rateLimited,
+            requests: this.getRequestStats(),
             tables: Array.from(this.syncState.tables.values()).map(t => ({
                 id: t.schema.id,
                 name: t.schema.name,
@@ -6,7 +6,7 @@
  * - Airtable API integration
  * - Xano activity logging
  * - Softr user context
- * - Sync engine with conflict resolution
+ * - Sync engine with conflict resolution (one per sync profile, each with its own schedule)
  * - Change tracking
  * - Rewind functionality
  * - Views integration
@@ -14,27 +14,48 @@
  */
 
 class EOAirtableSync {
-    constructor() {
+    constructor(options = {}) {
         // Configuration
         this.configManager = new SyncConfiguration();
 
+        // EO workbench state that linked records become relations and connections in
+        // (index.html's state; each engine keeps its own when not given)
+        this.eoState = options.eoState || null;
+
         // Core integrations
         this.airtable = null;
         this.xano = null;
         this.softr = null;
 
+        // Sync profiles: profileId -> { profile, airtable, syncEngine, scheduler }.
+        // The default profile's integration and engine are also this.airtable and this.syncEngine.
+        this.profiles = new Map();
+
         // Engines
         this.syncEngine = null;
         this.rewindEngine = null;
         this.changeTracker = null;
         this.viewsIntegration = null;
 
+        // Attachments (files cached locally; the uploader hosts local files so Airtable can fetch them)
+        this.attachmentStore = null;
+        this.attachmentUploader = null;
+        this.attachmentPruneInterval = 24 * 60 * 60 * 1000; // Unreferenced files are pruned after a sync at most daily
+        this.lastAttachmentPrune = 0;
+
         // UI
         this.syncUI = null;
 
         // State
         this.initialized = false;
         this.isRunning = false;
+        this.awaitingUnlock = false; // initialize() stopped at a locked vault
+
+        // Locking the credential vault pauses syncing; unlocking resumes it
+        if (this.configManager.vault) {
+            this.configManager.vault.on('locked', () => this.handleVaultLocked());
+            this.configManager.vault.on('unlocked', () => this.handleVaultUnlocked());
+        }
     }
 
     /**
@@ -51,6 +72,11 @@ class EOAirtableSync {
 
             const cfg = this.configManager.getConfig();
 
+            this.awaitingUnlock = this.configManager.isVaultLocked();
+            if (this.awaitingUnlock) {
+                throw new Error('Credential vault is locked. Unlock it in the sync configuration.');
+            }
+
             // Step 1: Initialize Softr context (detect user)
             console.log('1/7 Initializing Softr context...');
             this.softr = new SoftrContext({
@@ -60,13 +86,24 @@ class EOAirtableSync {
             });
             await this.softr.initialize();
 
-            // Step 2: Initialize Airtable integration
+            // Step 2: Initialize Airtable integration (one per profile; profiles on the same base share its rate limit)
             console.log('2/7 Initializing Airtable integration...');
-            this.airtable = new AirtableIntegration({
-                apiKey: cfg.airtable.apiKey,
-                baseId: cfg.airtable.baseId
-            });
-            await this.airtable.initialize();
+            this.profiles.clear();
+
+            for (const profile of this.configManager.getProfiles()) {
+                const sameBase = [...this.profiles.values()].find(entry => entry.profile.baseId === profile.baseId);
+                const airtable = new AirtableIntegration({
+                    apiKey: cfg.airtable.apiKey,
+                    baseId: profile.baseId,
+                    requestsPerSecond: cfg.airtable.requestsPerSecond,
+                    rateLimiter: sameBase?.airtable.rateLimiter
+                });
+                await airtable.initialize();
+
+                this.profiles.set(profile.id, { profile, airtable, syncEngine: null, scheduler: null });
+            }
+
+            this.airtable = this.profiles.get('default').airtable;
 
             // Step 3: Initialize Xano integration
             console.log('3/7 Initializing Xano integration...');
@@ -75,7 +112,15 @@ class EOAirtableSync {
                 authToken: cfg.xano.authToken,
                 activityEndpoint: cfg.xano.activityEndpoint,
                 historyEndpoint: cfg.xano.historyEndpoint,
-                snapshotEndpoint: cfg.xano.snapshotEndpoint
+                snapshotEndpoint: cfg.xano.snapshotEndpoint,
+                outboxStorage: typeof createDefaultStorageAdapter === 'function'
+                    ? createDefaultStorageAdapter({ dbName: 'eo_activity_outbox', storeNames: ['outbox', 'deadLetters'] })
+                    : null,
+                chainStorage: typeof createDefaultStorageAdapter === 'function'
+                    ? createDefaultStorageAdapter({ dbName: 'eo_activity_chain', storeNames: ['chain', 'checkpoints'] })
+                    : null,
+                chainSecret: cfg.xano.chainSecret,
+                checkpointInterval: cfg.xano.checkpointInterval
             });
             await this.xano.initialize();
 
@@ -85,30 +130,74 @@ class EOAirtableSync {
                 xano: this.xano,
                 softr: this.softr,
                 autoSave: true,
-                batchDelay: 2000
+                batchDelay: 2000,
+                storage: typeof createDefaultStorageAdapter === 'function' ? createDefaultStorageAdapter() : null
             });
-            this.changeTracker.initialize();
+            await this.changeTracker.initialize();
 
             // Step 5: Initialize sync engine
             console.log('5/7 Initializing sync engine...');
-            this.syncEngine = new SyncEngine({
-                airtable: this.airtable,
-                xano: this.xano,
-                softr: this.softr,
-                direction: cfg.sync.direction,
-                conflictResolution: cfg.sync.conflictResolution,
-                autoSync: cfg.sync.autoSync,
-                syncInterval: cfg.sync.syncInterval,
-                batchSize: cfg.sync.batchSize
+            if (typeof AttachmentStore === 'function') {
+                this.attachmentStore = new AttachmentStore({
+                    storage: typeof createDefaultStorageAdapter === 'function'
+                        ? createDefaultStorageAdapter({ dbName: 'eo_attachments', storeNames: ATTACHMENT_STORE_NAMES, version: 2 })
+                        : null
+                });
+            }
+
+            for (const entry of this.profiles.values()) {
+                entry.scheduler = typeof SyncScheduler === 'function'
+                    ? new SyncScheduler({
+                        schedule: entry.profile.schedule,
+                        tableSchedules: this.resolveTableSchedules(entry.profile.tableSchedules, entry.airtable.getTables())
+                    })
+                    : null;
+                entry.syncEngine = this.createSyncEngine(entry, cfg);
+            }
+
+            this.syncEngine = this.profiles.get('default').syncEngine;
+
+            for (const entry of this.profiles.values()) {
+                entry.syncEngine.on('syncComplete', () => {
+                    if (Date.now() - this.lastAttachmentPrune >= this.attachmentPruneInterval) {
+                        this.pruneAttachments().catch(error => console.warn('Failed to prune attachments:', error));
+                    }
+                });
+            }
+
+            // Local record deletions become tombstones so they propagate to Airtable
+            this.changeTracker.on('change', (change) => {
+                if (change.entityType === 'record' && change.action === 'delete') {
+                    this.getEngineForTable(change.tableId).recordLocalDeletion(change.entityId, change.tableId, change.before);
+                }
             });
-            await this.syncEngine.initialize();
+
+            // Undo/redo and batch rewinds write records back through the sync engine's EO hooks
+            this.changeTracker.registerApplier('record', (change, value, direction) => this.applyRecordState(change, value, direction));
+
+            for (const entry of this.profiles.values()) {
+                await entry.syncEngine.initialize();
+            }
 
             // Step 6: Initialize rewind engine
             console.log('6/7 Initializing rewind engine...');
             this.rewindEngine = new RewindEngine({
                 xano: this.xano,
                 softr: this.softr,
-                changeTracker: this.changeTracker
+                changeTracker: this.changeTracker,
+                projectionStorage: typeof createDefaultStorageAdapter === 'function'
+                    ? createDefaultStorageAdapter({ dbName: 'eo_activity_projection', storeNames: ['activities'] })
+                    : null,
+                branchStorage: typeof createDefaultStorageAdapter === 'function'
+                    ? createDefaultStorageAdapter({ dbName: 'eo_rewind_branches', storeNames: ['branches'] })
+                    : null,
+                schemaStorage: typeof createDefaultStorageAdapter === 'function'
+                    ? createDefaultStorageAdapter({ dbName: 'eo_schema_history', storeNames: ['schema'] })
+                    : null,
+                // Sync schema migrations converted values with the sync engine's converter
+                schemaConverters: {
+                    sync: (value, change) => this.getEngineForTable(change.setId).convertFieldValue(value, change.fromType, change.toType)
+                }
             });
             this.rewindEngine.initialize();
 
@@ -159,6 +248,133 @@ class EOAirtableSync {
         }
     }
 
+    /**
+     * Create the sync engine of a profile. Profiles other than the default keep their
+     * schema and webhook state in their own databases.
+     */
+    createSyncEngine(entry, cfg) {
+        const { profile, airtable, scheduler } = entry;
+        const suffix = profile.id === 'default' ? '' : `_${profile.id}`;
+        const storage = (dbName, storeNames) => typeof createDefaultStorageAdapter === 'function'
+            ? createDefaultStorageAdapter({ dbName: `${dbName}${suffix}`, storeNames })
+            : null;
+
+        return new SyncEngine({
+            airtable,
+            xano: this.xano,
+            softr: this.softr,
+            tables: profile.tables,
+            scheduler,
+            direction: profile.direction || cfg.sync.direction,
+            conflictResolution: profile.conflictResolution || cfg.sync.conflictResolution,
+            autoSync: cfg.sync.autoSync,
+            syncInterval: profile.schedule?.interval || cfg.sync.syncInterval,
+            dryRun: cfg.sync.dryRun,
+            batchSize: cfg.sync.batchSize,
+            tableConcurrency: cfg.sync.tableConcurrency,
+            incremental: cfg.sync.incremental,
+            timestampField: cfg.sync.timestampField,
+            fullReconcileInterval: cfg.sync.fullReconcileInterval,
+            webhookNotificationUrl: cfg.sync.webhookNotificationUrl,
+            softDelete: cfg.sync.softDelete,
+            archiveSetId: cfg.sync.archiveSetId,
+            schemaMigration: cfg.sync.schemaMigration,
+            fieldMappings: cfg.sync.fieldMappings,
+            attachmentStore: this.attachmentStore,
+            attachmentUploader: this.attachmentUploader,
+            eoState: this.eoState,
+            schemaStorage: storage('eo_sync_schema', ['schema']),
+            baseStorage: storage('eo_sync_bases', ['bases']),
+            tombstoneStorage: storage('eo_sync_tombstones', ['tombstones']),
+            linkStorage: storage('eo_sync_links', ['relations', 'connections', 'deferred']),
+            webhookStorage: storage('eo_sync_webhook', ['webhook']),
+            historyStorage: storage('eo_sync_history', ['sessions'])
+        });
+    }
+
+    /**
+     * Key table schedules by table id (the configuration may name tables)
+     */
+    resolveTableSchedules(tableSchedules, tables) {
+        const resolved = {};
+
+        for (const [key, schedule] of Object.entries(tableSchedules || {})) {
+            const table = tables.find(t => t.id === key || t.name === key);
+            if (table) {
+                resolved[table.id] = schedule;
+            } else {
+                console.warn(`Schedule for unknown table "${key}" ignored`);
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Sync engine of the profile that syncs a table (the default engine if none does)
+     */
+    getEngineForTable(tableId) {
+        const entry = [...this.profiles.values()]
+            .find(({ syncEngine }) => syncEngine.getSyncTables().some(table => table.id === tableId));
+
+        return entry ? entry.syncEngine : this.syncEngine;
+    }
+
+    /**
+     * Vault locked (manually or when idle): stop syncing and drop the credentials
+     * the integrations hold
+     */
+    handleVaultLocked() {
+        if (!this.initialized) {
+            return;
+        }
+
+        for (const { airtable, syncEngine } of this.profiles.values()) {
+            syncEngine.stopAutoSync();
+            airtable.apiKey = null;
+        }
+
+        this.xano.stopBatchProcessing();
+        this.xano.authToken = null;
+        if (this.xano.chain) {
+            this.xano.chain.secret = null;
+        }
+        this.isRunning = false;
+
+        console.log('🔒 Credential vault locked - sync paused');
+    }
+
+    /**
+     * Vault unlocked: hand the credentials back and resume syncing (or initialize, if
+     * initialization was waiting for the unlock)
+     */
+    handleVaultUnlocked() {
+        if (!this.initialized) {
+            if (this.awaitingUnlock) {
+                this.initialize().catch(error => console.error('Initialization after unlock failed:', error));
+            }
+            return;
+        }
+
+        const cfg = this.configManager.getConfig();
+
+        for (const { airtable, syncEngine } of this.profiles.values()) {
+            airtable.apiKey = cfg.airtable.apiKey;
+            if (cfg.sync.autoSync) {
+                syncEngine.startAutoSync();
+            }
+        }
+
+        this.xano.authToken = cfg.xano.authToken;
+        if (this.xano.chain) {
+            this.xano.chain.secret = cfg.xano.chainSecret || null;
+        }
+        this.xano.startBatchProcessing();
+        this.isRunning = true;
+
+        console.log('🔓 Credential vault unlocked - sync resumed');
+    }
+
     /**
      * Initialize UI
      */
@@ -169,7 +385,9 @@ class EOAirtableSync {
             syncEngine: this.syncEngine,
             rewindEngine: this.rewindEngine,
             changeTracker: this.changeTracker,
-            airtable: this.airtable
+            airtable: this.airtable,
+            xano: this.xano,
+            profiles: [...this.profiles.values()].map(({ profile, syncEngine }) => ({ id: profile.id, name: profile.name, syncEngine }))
         });
 
         this.syncUI.initialize();
@@ -189,16 +407,84 @@ class EOAirtableSync {
     }
 
     /**
-     * Perform manual sync
+     * Perform manual sync of a profile
+     */
+    async sync(profileId = 'default') {
+        if (!this.initialized) {
+            throw new Error('System not initialized. Call initialize() first.');
+        }
+
+        const entry = this.profiles.get(profileId);
+        if (!entry) {
+            throw new Error(`Unknown sync profile: ${profileId}`);
+        }
+
+        console.log(`🔄 Starting manual sync (${entry.profile.name})...`);
+
+        return await entry.syncEngine.performFullSync();
+    }
+
+    /**
+     * Perform manual sync of every profile; returns { profileId: result }
+     */
+    async syncAll() {
+        const results = {};
+
+        for (const profileId of this.profiles.keys()) {
+            results[profileId] = await this.sync(profileId);
+        }
+
+        return results;
+    }
+
+    /**
+     * Forward an Airtable webhook ping ({ base: { id }, webhook: { id }, timestamp }), e.g. relayed
+     * from the notification URL over a websocket or postMessage. Syncs only the changed records.
      */
-    async sync() {
+    async handleWebhookNotification(notification) {
         if (!this.initialized) {
             throw new Error('System not initialized. Call initialize() first.');
         }
 
-        console.log('🔄 Starting manual sync...');
+        // Each profile's engine owns a webhook; the ping names the one that changed
+        const entry = [...this.profiles.values()]
+            .find(({ syncEngine }) => syncEngine.webhookState.webhook?.id === notification.webhook?.id);
+
+        return await (entry ? entry.syncEngine : this.syncEngine).handleWebhookNotification(notification);
+    }
+
+    /**
+     * Set the uploader for attachments added in EO:
+     * async (file, { tableId, recordId, fieldName }) => ({ url }), where url is publicly readable
+     */
+    setAttachmentUploader(uploader) {
+        this.attachmentUploader = uploader;
+
+        for (const { syncEngine } of this.profiles.values()) {
+            if (syncEngine) {
+                syncEngine.attachments.uploader = uploader;
+            }
+        }
+    }
+
+    /**
+     * Drop cached attachment files that no EO record of any profile refers to any more
+     */
+    async pruneAttachments() {
+        if (!this.attachmentStore) {
+            return null;
+        }
+
+        const referenced = new Set();
+        for (const { syncEngine } of this.profiles.values()) {
+            syncEngine?.getReferencedAttachments().forEach(checksum => referenced.add(checksum));
+        }
+
+        this.lastAttachmentPrune = Date.now();
+        const result = await this.attachmentStore.prune(referenced);
+        console.log(`🧹 Pruned ${result.removed} cached attachment files (${result.freedBytes} bytes)`);
 
-        return await this.syncEngine.performFullSync();
+        return result;
     }
 
     /**
@@ -212,6 +498,38 @@ class EOAirtableSync {
         return await this.rewindEngine.rewindTo(entityId, timestamp);
     }
 
+    /**
+     * Rewind a whole set (table) to a previous state as one undoable batch
+     * @param {Object} options - { preview, validate }
+     */
+    async rewindSet(tableId, timestamp, options = {}) {
+        if (!this.initialized) {
+            throw new Error('System not initialized. Call initialize() first.');
+        }
+
+        return await this.rewindEngine.rewindSet(tableId, timestamp, options);
+    }
+
+    /**
+     * Write a record state from the change tracker (undo/redo, batch rewind) into EO.
+     * A null value deletes the record; a field-level change updates that field only.
+     */
+    async applyRecordState(change, value, direction) {
+        const engine = this.getEngineForTable(change.tableId);
+        const previous = direction === 'undo' ? change.after : change.before;
+
+        if (change.field) {
+            await engine.updateEORecord({ id: change.entityId, fields: { [change.field]: value ?? null } });
+        } else if (value === null || value === undefined) {
+            await engine.deleteEORecord(change.entityId);
+        } else if (previous === null || previous === undefined) {
+            const table = engine.getSyncTables().find(t => t.id === change.tableId) || { id: change.tableId, name: change.tableName };
+            await engine.createEORecord({ id: change.entityId, fields: value }, table);
+        } else {
+            await engine.updateEORecord({ id: change.entityId, fields: value });
+        }
+    }
+
     /**
      * Get sync status
      */
@@ -228,6 +546,7 @@ class EOAirtableSync {
             isRunning: this.isRunning,
             user: this.softr.getUser(),
             syncStatus: this.syncEngine.getStatus(),
+            profiles: this.getProfileStatus(),
             changeTrackerStats: this.changeTracker.getStats(),
             airtableStats: this.airtable.getSyncStats(),
             xanoQueueStatus: this.xano.getQueueStatus(),
@@ -235,6 +554,25 @@ class EOAirtableSync {
         };
     }
 
+    /**
+     * Sync status per profile, with its tables' status and next scheduled sync
+     */
+    getProfileStatus() {
+        return [...this.profiles.values()].map(({ profile, syncEngine }) => {
+            const status = syncEngine.getStatus();
+
+            return {
+                id: profile.id,
+                name: profile.name,
+                baseId: profile.baseId,
+                isRunning: status.isRunning,
+                lastSync: status.lastSync,
+                nextSync: status.nextSync,
+                tables: status.tables
+            };
+        });
+    }
+
     /**
      * Get activity history
      */
@@ -254,7 +592,7 @@ class EOAirtableSync {
             throw new Error('System not initialized. Call initialize() first.');
         }
 
-        return await this.xano.getTimeline(entityId, options);
+        return await this.rewindEngine.getTimeline(entityId, options);
     }
 
     /**
@@ -269,8 +607,8 @@ class EOAirtableSync {
         }
 
         // Stop auto-sync
-        if (this.syncEngine) {
-            this.syncEngine.stopAutoSync();
+        for (const { syncEngine } of this.profiles.values()) {
+            syncEngine?.stopAutoSync();
         }
 
         // Stop batch processing
@@ -303,9 +641,11 @@ class EOAirtableSync {
             xano: this.xano,
             softr: this.softr,
             syncEngine: this.syncEngine,
+            profiles: this.profiles,
             rewindEngine: this.rewindEngine,
             changeTracker: this.changeTracker,
-            viewsIntegration: this.viewsIntegration
+            viewsIntegration: this.viewsIntegration,
+            attachmentStore: this.attachmentStore
         };
     }
 }
@@ -316,9 +656,9 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Global initialization helper
-window.initializeEOAirtableSync = async function(config = null) {
+window.initializeEOAirtableSync = async function(config = null, options = {}) {
     // Create instance
-    window.eoSync = new EOAirtableSync();
+    window.eoSync = new EOAirtableSync(options);
 
     try {
         // Initialize
@@ -0,0 +1,416 @@
+/**
+ * EO Attachment Store
+ *
+ * Local content-addressed cache for attachment files, so attachments synced from
+ * Airtable (whose signed URLs expire within hours) stay readable:
+ * - Blobs keyed by their SHA-256 checksum (identical files are stored once)
+ * - Source index (remote attachment id -> checksum), so known attachments are not downloaded again
+ * - EO attachment metadata: { id, filename, size, mime, width, height, thumbnails, checksum }
+ * - Size cap (maxBytes): past it, the oldest files with a known source id are evicted and
+ *   downloaded again when needed; prune() drops files no EO record refers to any more
+ *
+ * Persists through a storage adapter from eo_change_store.js (stores: 'blobs', 'sources', 'entries');
+ * without one, blobs are kept in memory. Adapters that keep binary values (IndexedDB) store files
+ * as Blobs, the others as base64.
+ */
+
+const ATTACHMENT_STORE_NAMES = ['blobs', 'sources', 'entries'];
+
+class AttachmentStore {
+    constructor(config = {}) {
+        this.storage = config.storage || null;
+        this.fetch = config.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+        this.thumbnailSizes = config.thumbnailSizes || ['small', 'large']; // Thumbnails cached along with the file
+        this.maxBytes = config.maxBytes !== undefined ? config.maxBytes : 256 * 1024 * 1024; // Cache size cap (null: unlimited)
+        this.pruneGrace = config.pruneGrace ?? 60 * 60 * 1000; // Files stored this recently are kept by prune() (not saved to a record yet)
+        this.binary = this.storage ? Boolean(this.storage.binary) : true; // Files kept as Blobs rather than base64
+
+        this.blobs = new Map(); // checksum -> { checksum, size, mime, data, storedAt } (no storage adapter)
+        this.sources = new Map(); // remote attachment id -> { checksum, thumbnails: { size: checksum } }
+        this.entries = new Map(); // checksum -> { size, mime, storedAt } for every cached file
+        this.opened = false;
+    }
+
+    /**
+     * Open the storage adapter and load the source index
+     */
+    async open() {
+        if (this.opened) {
+            return this;
+        }
+
+        if (this.storage) {
+            await this.storage.open();
+            const [sources, entries] = await Promise.all([
+                this.storage.getAll('sources'),
+                this.storage.getAll('entries')
+            ]);
+            sources.forEach(({ key, value }) => this.sources.set(key, value));
+            entries.forEach(({ key, value }) => this.entries.set(key, value));
+
+            // Caches written before the entry index existed
+            if (this.entries.size === 0) {
+                for (const { key, value } of await this.storage.getAll('blobs')) {
+                    const entry = { size: value.size, mime: value.mime, storedAt: value.storedAt };
+                    this.entries.set(key, entry);
+                    await this.storage.put('entries', key, entry);
+                }
+            }
+        }
+
+        this.opened = true;
+        return this;
+    }
+
+    /**
+     * Store file contents; returns { checksum, size, mime }
+     * @param {Uint8Array|ArrayBuffer|Blob|string} data
+     */
+    async put(data, mime = null) {
+        await this.open();
+
+        const bytes = await this.toBytes(data);
+        const checksum = await this.digest(bytes);
+        const type = mime || (typeof Blob !== 'undefined' && data instanceof Blob ? data.type : null) || 'application/octet-stream';
+
+        if (!(await this.has(checksum))) {
+            const entry = {
+                checksum,
+                size: bytes.length,
+                mime: type,
+                data: this.encodeData(bytes, type),
+                storedAt: new Date().toISOString()
+            };
+            const indexed = { size: entry.size, mime: entry.mime, storedAt: entry.storedAt };
+
+            if (this.storage) {
+                await this.storage.put('blobs', checksum, entry);
+                await this.storage.put('entries', checksum, indexed);
+            } else {
+                this.blobs.set(checksum, entry);
+            }
+
+            this.entries.set(checksum, indexed);
+            await this.enforceLimit(checksum);
+        }
+
+        return { checksum, size: bytes.length, mime: type };
+    }
+
+    /**
+     * Check if a blob is cached
+     */
+    async has(checksum) {
+        if (!checksum) {
+            return false;
+        }
+
+        await this.open();
+        return this.entries.has(checksum);
+    }
+
+    /**
+     * Total size of the cached files in bytes
+     */
+    getSize() {
+        let size = 0;
+        this.entries.forEach(entry => { size += entry.size; });
+        return size;
+    }
+
+    /**
+     * Evict the oldest files with a known source id (downloaded again when needed) until the
+     * cache fits maxBytes. Local files that were never uploaded are not evicted.
+     * @returns {Promise<string[]>} evicted checksums
+     */
+    async enforceLimit(keep = null) {
+        let size = this.getSize();
+        if (!this.maxBytes || size <= this.maxBytes) {
+            return [];
+        }
+
+        const downloadable = new Set();
+        for (const source of this.sources.values()) {
+            downloadable.add(source.checksum);
+            Object.values(source.thumbnails || {}).forEach(checksum => downloadable.add(checksum));
+        }
+
+        const candidates = Array.from(this.entries.entries())
+            .filter(([checksum]) => checksum !== keep && downloadable.has(checksum))
+            .sort(([, a], [, b]) => a.storedAt.localeCompare(b.storedAt));
+        const evicted = [];
+
+        for (const [checksum, entry] of candidates) {
+            if (size <= this.maxBytes) {
+                break;
+            }
+
+            await this.removeBlob(checksum);
+            size -= entry.size;
+            evicted.push(checksum);
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Drop the files no EO record refers to, and the source ids pointing at them.
+     * Files stored within pruneGrace are kept (e.g. added but not saved to a record yet).
+     * @param {Iterable<string>} referenced - checksums in use (attachments and their thumbnails)
+     * @returns {Promise<Object>} { removed, freedBytes }
+     */
+    async prune(referenced) {
+        await this.open();
+
+        const keep = new Set(referenced);
+        const graceStart = new Date(Date.now() - this.pruneGrace).toISOString();
+        let removed = 0;
+        let freedBytes = 0;
+
+        for (const [checksum, entry] of Array.from(this.entries.entries())) {
+            if (!keep.has(checksum) && entry.storedAt < graceStart) {
+                await this.removeBlob(checksum);
+                removed++;
+                freedBytes += entry.size;
+            }
+        }
+
+        for (const [sourceId, source] of Array.from(this.sources.entries())) {
+            if (!this.entries.has(source.checksum) && !keep.has(source.checksum)) {
+                this.sources.delete(sourceId);
+                if (this.storage) {
+                    await this.storage.delete('sources', sourceId);
+                }
+            }
+        }
+
+        return { removed, freedBytes };
+    }
+
+    /**
+     * Delete a cached file
+     */
+    async removeBlob(checksum) {
+        this.entries.delete(checksum);
+
+        if (this.storage) {
+            await this.storage.delete('blobs', checksum);
+            await this.storage.delete('entries', checksum);
+        } else {
+            this.blobs.delete(checksum);
+        }
+    }
+
+    /**
+     * Get a cached blob: { checksum, size, mime, storedAt, data: Uint8Array }, or null
+     */
+    async get(checksum) {
+        await this.open();
+
+        const entry = this.storage ? await this.storage.get('blobs', checksum) : this.blobs.get(checksum);
+        if (!entry) {
+            return null;
+        }
+
+        return { ...entry, data: await this.decodeData(entry.data) };
+    }
+
+    /**
+     * Get a cached blob as a browser Blob (e.g. for URL.createObjectURL), or null
+     */
+    async getBlob(checksum) {
+        const entry = await this.get(checksum);
+        return entry && typeof Blob !== 'undefined' ? new Blob([entry.data], { type: entry.mime }) : null;
+    }
+
+    /**
+     * Add a local file as an EO attachment (not uploaded yet, so it has no remote id)
+     */
+    async addFile(data, { filename, mime = null } = {}) {
+        const stored = await this.put(data, mime);
+
+        return {
+            id: null,
+            filename: filename || stored.checksum,
+            size: stored.size,
+            mime: stored.mime,
+            checksum: stored.checksum
+        };
+    }
+
+    /**
+     * Turn a remote attachment ({ id, url, filename, size, mime|type, thumbnails }) into EO
+     * attachment metadata, downloading the file and its thumbnails unless already cached.
+     * The result has no URLs: changes are detected by checksum, not by (expiring) URL.
+     */
+    async localize(attachment) {
+        await this.open();
+
+        const known = attachment.id ? this.sources.get(attachment.id) : null;
+        let checksum = known?.checksum || attachment.checksum || null;
+        let learned = !known;
+
+        if (!(await this.has(checksum))) {
+            if (!attachment.url) {
+                throw new Error(`Attachment ${attachment.filename || attachment.id} is not cached and has no URL`);
+            }
+
+            checksum = (await this.put(await this.download(attachment.url), attachment.mime || attachment.type)).checksum;
+            learned = true;
+        }
+
+        const thumbnails = {};
+        const thumbnailChecksums = {};
+
+        for (const [size, thumbnail] of Object.entries(attachment.thumbnails || {})) {
+            thumbnails[size] = { width: thumbnail.width, height: thumbnail.height };
+
+            if (!this.thumbnailSizes.includes(size)) {
+                continue;
+            }
+
+            let thumbnailChecksum = known?.thumbnails?.[size] || thumbnail.checksum || null;
+
+            if (!(await this.has(thumbnailChecksum)) && thumbnail.url) {
+                thumbnailChecksum = (await this.put(await this.download(thumbnail.url))).checksum;
+                learned = true;
+            }
+
+            if (thumbnailChecksum) {
+                thumbnails[size].checksum = thumbnailChecksum;
+                thumbnailChecksums[size] = thumbnailChecksum;
+            }
+        }
+
+        if (attachment.id && learned) {
+            await this.remember(attachment.id, checksum, thumbnailChecksums);
+        }
+
+        return {
+            id: attachment.id || null,
+            filename: attachment.filename,
+            size: attachment.size ?? null,
+            mime: attachment.mime || attachment.type || null,
+            ...(attachment.width !== undefined && { width: attachment.width, height: attachment.height }),
+            ...(Object.keys(thumbnails).length > 0 && { thumbnails }),
+            checksum
+        };
+    }
+
+    /**
+     * Index a remote attachment id (e.g. right after uploading the file it was created from)
+     */
+    async remember(sourceId, checksum, thumbnails = {}) {
+        const source = { checksum, thumbnails };
+        this.sources.set(sourceId, source);
+
+        if (this.storage) {
+            await this.storage.put('sources', sourceId, source);
+        }
+    }
+
+    /**
+     * Download a file; returns its bytes
+     */
+    async download(url) {
+        if (!this.fetch) {
+            throw new Error('No fetch implementation available to download attachments');
+        }
+
+        const response = await this.fetch(url);
+        if (!response.ok) {
+            throw new Error(`Attachment download failed (${response.status})`);
+        }
+
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    /**
+     * SHA-256 checksum (hex) of file contents
+     */
+    async digest(bytes) {
+        const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+        if (!subtle) {
+            throw new Error('Web Crypto (crypto.subtle) is required to checksum attachments');
+        }
+
+        const hash = new Uint8Array(await subtle.digest('SHA-256', bytes));
+        return Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Convert supported inputs to bytes
+     */
+    async toBytes(data) {
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+
+        if (ArrayBuffer.isView(data)) {
+            return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+
+        if (typeof Blob !== 'undefined' && data instanceof Blob) {
+            return new Uint8Array(await data.arrayBuffer());
+        }
+
+        if (typeof data === 'string') {
+            return new TextEncoder().encode(data);
+        }
+
+        throw new Error('Attachment data must be bytes, a Blob or a string');
+    }
+
+    /**
+     * File contents as stored: a Blob where binary values are kept, base64 otherwise
+     */
+    encodeData(bytes, mime) {
+        if (!this.binary) {
+            return this.encodeBase64(bytes);
+        }
+
+        return typeof Blob !== 'undefined' ? new Blob([bytes], { type: mime }) : bytes.slice();
+    }
+
+    async decodeData(data) {
+        if (typeof data === 'string') {
+            return this.decodeBase64(data);
+        }
+
+        return typeof Blob !== 'undefined' && data instanceof Blob
+            ? new Uint8Array(await data.arrayBuffer())
+            : new Uint8Array(data);
+    }
+
+    /**
+     * Base64 encoding (for storage adapters that hold JSON-compatible values only)
+     */
+    encodeBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    decodeBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ATTACHMENT_STORE_NAMES,
+        AttachmentStore
+    };
+}
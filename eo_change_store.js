@@ -0,0 +1,231 @@
+/**
+ * EO Change Store
+ *
+ * Pluggable storage adapters for persisting local change history:
+ * - IndexedDB backend (browser)
+ * - JSON file backend (Node, for tests and tooling)
+ * - In-memory backend (fallback / tests)
+ *
+ * Every adapter exposes the same async interface over named stores:
+ *   open(), get(store, key), getAll(store), put(store, key, value), delete(store, key), clear(store)
+ */
+
+const CHANGE_STORE_NAMES = ['changes', 'snapshots', 'dirty', 'meta'];
+
+/**
+ * In-memory adapter (nothing survives a reload)
+ */
+class MemoryStorageAdapter {
+    constructor(config = {}) {
+        this.stores = new Map((config.storeNames || CHANGE_STORE_NAMES).map(name => [name, new Map()]));
+    }
+
+    async open() {
+        return this;
+    }
+
+    async get(storeName, key) {
+        const value = this.getStore(storeName).get(key);
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    async getAll(storeName) {
+        const store = this.getStore(storeName);
+        return Array.from(store.entries()).map(([key, value]) => ({
+            key,
+            value: JSON.parse(JSON.stringify(value))
+        }));
+    }
+
+    async put(storeName, key, value) {
+        this.getStore(storeName).set(key, JSON.parse(JSON.stringify(value)));
+    }
+
+    async delete(storeName, key) {
+        this.getStore(storeName).delete(key);
+    }
+
+    async clear(storeName) {
+        this.getStore(storeName).clear();
+    }
+
+    getStore(storeName) {
+        if (!this.stores.has(storeName)) {
+            this.stores.set(storeName, new Map());
+        }
+        return this.stores.get(storeName);
+    }
+}
+
+/**
+ * JSON file adapter for Node (writes the whole file on each mutation)
+ */
+class FileStorageAdapter extends MemoryStorageAdapter {
+    constructor(config = {}) {
+        super(config);
+        this.filePath = config.filePath || 'eo_change_store.json';
+        this.fs = config.fs || require('fs');
+        this.writeChain = Promise.resolve();
+    }
+
+    async open() {
+        if (!this.fs.existsSync(this.filePath)) {
+            return this;
+        }
+
+        const raw = await this.fs.promises.readFile(this.filePath, 'utf8');
+        const parsed = raw ? JSON.parse(raw) : {};
+
+        for (const [storeName, entries] of Object.entries(parsed.stores || {})) {
+            this.stores.set(storeName, new Map(Object.entries(entries)));
+        }
+
+        return this;
+    }
+
+    async put(storeName, key, value) {
+        await super.put(storeName, key, value);
+        await this.persist();
+    }
+
+    async delete(storeName, key) {
+        await super.delete(storeName, key);
+        await this.persist();
+    }
+
+    async clear(storeName) {
+        await super.clear(storeName);
+        await this.persist();
+    }
+
+    /**
+     * Serialize writes so concurrent mutations never interleave
+     */
+    persist() {
+        this.writeChain = this.writeChain.then(() => {
+            const stores = {};
+            for (const [storeName, store] of this.stores.entries()) {
+                stores[storeName] = Object.fromEntries(store.entries());
+            }
+            return this.fs.promises.writeFile(this.filePath, JSON.stringify({ stores }));
+        });
+
+        return this.writeChain;
+    }
+}
+
+/**
+ * IndexedDB adapter (browser)
+ */
+class IndexedDBStorageAdapter {
+    constructor(config = {}) {
+        this.dbName = config.dbName || 'eo_change_tracker';
+        this.version = config.version || 1;
+        this.storeNames = config.storeNames || CHANGE_STORE_NAMES;
+        this.indexedDB = config.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.binary = true; // Values are structured clones, so Blobs and typed arrays are stored as they are
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) {
+            return this;
+        }
+
+        if (!this.indexedDB) {
+            throw new Error('IndexedDB is not available in this environment');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.storeNames.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this;
+    }
+
+    async get(storeName, key) {
+        const value = await this.transaction(storeName, 'readonly', (store) => this.wrapRequest(store.get(key)));
+        return value === undefined ? null : value;
+    }
+
+    async getAll(storeName) {
+        return this.transaction(storeName, 'readonly', (store) => new Promise((resolve, reject) => {
+            const results = [];
+            const request = store.openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    results.push({ key: cursor.key, value: cursor.value });
+                    cursor.continue();
+                } else {
+                    resolve(results);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    async put(storeName, key, value) {
+        return this.transaction(storeName, 'readwrite', (store) => this.wrapRequest(store.put(value, key)));
+    }
+
+    async delete(storeName, key) {
+        return this.transaction(storeName, 'readwrite', (store) => this.wrapRequest(store.delete(key)));
+    }
+
+    async clear(storeName) {
+        return this.transaction(storeName, 'readwrite', (store) => this.wrapRequest(store.clear()));
+    }
+
+    async transaction(storeName, mode, operation) {
+        await this.open();
+        const tx = this.db.transaction(storeName, mode);
+        return operation(tx.objectStore(storeName));
+    }
+
+    wrapRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * Pick the best adapter for the current environment
+ */
+function createDefaultStorageAdapter(config = {}) {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBStorageAdapter(config);
+    }
+
+    if (config.filePath && typeof require !== 'undefined') {
+        return new FileStorageAdapter(config);
+    }
+
+    return new MemoryStorageAdapter(config);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHANGE_STORE_NAMES,
+        MemoryStorageAdapter,
+        FileStorageAdapter,
+        IndexedDBStorageAdapter,
+        createDefaultStorageAdapter
+    };
+}
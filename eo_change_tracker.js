@@ -5,9 +5,18 @@
  * - Real-time change detection
  * - Activity logging integration
  * - Dirty state tracking
- * - Undo/redo support
+ * - Undo/redo through registered appliers, with transactions grouping multi-step actions
+ * - Persistent local history via pluggable storage adapters
  */
 
+// Action logged when a change is undone (the inverse action); other actions log themselves
+const INVERSE_ACTIONS = {
+    create: 'delete',
+    delete: 'create',
+    archive: 'restore',
+    restore: 'archive'
+};
+
 class ChangeTracker {
     constructor(config = {}) {
         this.xano = config.xano; // XanoIntegration instance
@@ -18,11 +27,16 @@ class ChangeTracker {
         this.snapshots = new Map(); // entityId -> snapshot
         this.dirtyEntities = new Set(); // Set of entityIds with unsaved changes
 
-        // Undo/redo stacks
+        // Undo/redo stacks of entries: { id, label, timestamp, changes: [changeRecord] }
         this.undoStack = [];
         this.redoStack = [];
         this.maxStackSize = 50;
 
+        // Undo/redo appliers: entityType -> function(change, value, direction)
+        this.appliers = new Map();
+        this.transactions = []; // Open transactions, innermost last
+        this.replaying = false; // True while undo/redo/rollback applies changes
+
         // Activity batching
         this.pendingActivities = [];
         this.batchInterval = null;
@@ -34,7 +48,8 @@ class ChangeTracker {
             dirty: [],
             clean: [],
             undo: [],
-            redo: []
+            redo: [],
+            history: []
         };
 
         // Auto-save configuration
@@ -43,14 +58,32 @@ class ChangeTracker {
             interval: config.autoSaveInterval || 30000, // 30 seconds
             handle: null
         };
+
+        // Persistent storage (see eo_change_store.js)
+        this.storage = config.storage || null; // Storage adapter instance
+
+        // Retention policy for persisted history
+        this.retention = {
+            maxAge: config.retention?.maxAge || 30 * 24 * 60 * 60 * 1000, // 30 days
+            maxChangesPerEntity: config.retention?.maxChangesPerEntity || 500,
+            compactInterval: config.retention?.compactInterval || 60 * 60 * 1000, // 1 hour
+            handle: null
+        };
     }
 
     /**
      * Initialize change tracker
      */
-    initialize() {
+    async initialize() {
         console.log('📊 Initializing Change Tracker...');
 
+        // Restore persisted history before anything else touches state
+        if (this.storage) {
+            await this.rehydrate();
+            await this.compact();
+            this.startCompaction();
+        }
+
         // Start batch processing
         this.startBatchProcessing();
 
@@ -60,13 +93,15 @@ class ChangeTracker {
         }
 
         // Listen for window unload to flush pending changes
-        window.addEventListener('beforeunload', (e) => {
-            if (this.dirtyEntities.size > 0) {
-                e.preventDefault();
-                e.returnValue = 'You have unsaved changes. Are you sure you want to leave?';
-                this.flush();
-            }
-        });
+        if (typeof window !== 'undefined') {
+            window.addEventListener('beforeunload', (e) => {
+                if (this.dirtyEntities.size > 0) {
+                    e.preventDefault();
+                    e.returnValue = 'You have unsaved changes. Are you sure you want to leave?';
+                    this.flush();
+                }
+            });
+        }
 
         console.log('✓ Change Tracker initialized');
     }
@@ -84,7 +119,10 @@ class ChangeTracker {
             after,
             field,
             tableId,
-            tableName
+            tableName,
+            label,
+            metadata,
+            logActivity
         } = change;
 
         // Create change record
@@ -100,6 +138,8 @@ class ChangeTracker {
             after,
             tableId,
             tableName,
+            metadata,
+            logActivity: logActivity === false ? false : undefined, // false: the caller logs it (e.g. as one batch)
             user: this.softr?.getUserContext() || null,
             checksumBefore: this.calculateChecksum(before),
             checksumAfter: this.calculateChecksum(after)
@@ -110,15 +150,23 @@ class ChangeTracker {
             this.changes.set(entityId, []);
         }
         this.changes.get(entityId).push(changeRecord);
+        this.persist('put', 'changes', changeRecord.id, changeRecord);
 
         // Mark entity as dirty
         this.markDirty(entityId);
 
-        // Add to undo stack
-        this.addToUndoStack(changeRecord);
-
-        // Clear redo stack on new change
-        this.redoStack = [];
+        // Changes made while undoing/redoing are logged but not undoable themselves;
+        // inside a transaction they join its group
+        const transaction = this.transactions[this.transactions.length - 1];
+        if (transaction && !this.replaying) {
+            transaction.changes.push(changeRecord);
+        } else if (!this.replaying) {
+            this.addToUndoStack(this.createUndoEntry(label || this.describeChange(changeRecord), [changeRecord]));
+
+            // Clear redo stack on new change
+            this.redoStack = [];
+            this.historyChanged();
+        }
 
         // Queue for activity logging
         this.queueActivity(changeRecord);
@@ -131,6 +179,33 @@ class ChangeTracker {
         return changeRecord;
     }
 
+    /**
+     * Register how changes to an entity type are applied on undo/redo.
+     * The applier receives (change, value, direction): value is change.before on undo and
+     * change.after on redo; null/undefined means the entity (or field) should not exist.
+     * It may be async; a thrown error aborts the undo/redo and leaves the stacks untouched.
+     */
+    registerApplier(entityType, applier) {
+        this.appliers.set(entityType, applier);
+    }
+
+    /**
+     * Remove an applier
+     */
+    unregisterApplier(entityType) {
+        this.appliers.delete(entityType);
+    }
+
+    /**
+     * Human-readable label for a single change (e.g. "Update record Name")
+     */
+    describeChange(change) {
+        const action = change.action ? change.action.charAt(0).toUpperCase() + change.action.slice(1) : 'Change';
+        const target = change.entityName || change.entityType || 'entity';
+
+        return `${action} ${target}${change.field ? ` ${change.field}` : ''}`;
+    }
+
     /**
      * Mark entity as dirty
      */
@@ -139,6 +214,7 @@ class ChangeTracker {
         this.dirtyEntities.add(entityId);
 
         if (!wasDirty) {
+            this.persist('put', 'dirty', entityId, { entityId, markedAt: new Date().toISOString() });
             this.emit('dirty', { entityId, count: this.dirtyEntities.size });
         }
     }
@@ -151,6 +227,7 @@ class ChangeTracker {
         this.dirtyEntities.delete(entityId);
 
         if (wasDirty) {
+            this.persist('delete', 'dirty', entityId);
             this.emit('clean', { entityId, count: this.dirtyEntities.size });
         }
     }
@@ -173,11 +250,14 @@ class ChangeTracker {
      * Create snapshot of current state
      */
     createSnapshot(entityId, data) {
-        this.snapshots.set(entityId, {
+        const snapshot = {
             timestamp: new Date().toISOString(),
             data: JSON.parse(JSON.stringify(data)), // Deep copy
             checksum: this.calculateChecksum(data)
-        });
+        };
+
+        this.snapshots.set(entityId, snapshot);
+        this.persist('put', 'snapshots', entityId, snapshot);
 
         console.log(`📸 Created snapshot for ${entityId}`);
     }
@@ -302,7 +382,7 @@ class ChangeTracker {
      * Queue activity for batch logging
      */
     queueActivity(change) {
-        if (!this.xano) {
+        if (!this.xano || change.logActivity === false) {
             return;
         }
 
@@ -314,8 +394,12 @@ class ChangeTracker {
             field: change.field,
             before: change.before,
             after: change.after,
+            changes: change.field
+                ? [{ field: change.field, before: change.before, after: change.after, type: this.getChangeType(change.before, change.after) }]
+                : undefined,
             tableId: change.tableId,
             tableName: change.tableName,
+            metadata: change.metadata,
             timestamp: change.timestamp,
             user: change.user,
             checksumBefore: change.checksumBefore,
@@ -389,11 +473,23 @@ class ChangeTracker {
         console.log('✓ All changes flushed');
     }
 
+    /**
+     * Create an undo/redo entry for a group of changes
+     */
+    createUndoEntry(label, changes, id = null) {
+        return {
+            id: id || this.generateTransactionId(),
+            label,
+            timestamp: changes[changes.length - 1]?.timestamp || new Date().toISOString(),
+            changes
+        };
+    }
+
     /**
      * Add to undo stack
      */
-    addToUndoStack(change) {
-        this.undoStack.push(change);
+    addToUndoStack(entry) {
+        this.undoStack.push(entry);
 
         // Limit stack size
         if (this.undoStack.length > this.maxStackSize) {
@@ -402,64 +498,240 @@ class ChangeTracker {
     }
 
     /**
-     * Undo last change
+     * Undo the last entry: applies each change's 'before' state, newest first
+     * @returns {Promise<Object|null>} The undone entry, or null when there is nothing to undo
      */
-    undo() {
+    async undo() {
         if (this.undoStack.length === 0) {
             console.warn('Nothing to undo');
             return null;
         }
 
-        const change = this.undoStack.pop();
+        if (this.replaying || this.transactions.length > 0) {
+            console.warn('Cannot undo while a transaction or another undo/redo is in progress');
+            return null;
+        }
+
+        const entry = this.undoStack[this.undoStack.length - 1];
+        console.log(`⏪ Undoing: ${entry.label}`);
 
-        // Apply undo (restore 'before' state)
-        // This is a stub - actual implementation depends on your data structure
-        console.log(`⏪ Undoing: ${change.action} on ${change.entityType} ${change.entityId}`);
+        await this.replay(entry.changes, 'undo');
 
-        // Add to redo stack
-        this.redoStack.push(change);
+        // Move to redo stack
+        this.undoStack.pop();
+        this.redoStack.push(entry);
+        this.historyChanged();
 
         // Emit undo event
-        this.emit('undo', change);
+        this.emit('undo', entry);
 
-        return change;
+        return entry;
     }
 
     /**
-     * Redo last undone change
+     * Redo the last undone entry: applies each change's 'after' state, oldest first
+     * @returns {Promise<Object|null>} The redone entry, or null when there is nothing to redo
      */
-    redo() {
+    async redo() {
         if (this.redoStack.length === 0) {
             console.warn('Nothing to redo');
             return null;
         }
 
-        const change = this.redoStack.pop();
+        if (this.replaying || this.transactions.length > 0) {
+            console.warn('Cannot redo while a transaction or another undo/redo is in progress');
+            return null;
+        }
+
+        const entry = this.redoStack[this.redoStack.length - 1];
+        console.log(`⏩ Redoing: ${entry.label}`);
 
-        // Apply redo (restore 'after' state)
-        console.log(`⏩ Redoing: ${change.action} on ${change.entityType} ${change.entityId}`);
+        await this.replay(entry.changes, 'redo');
 
         // Add back to undo stack
-        this.undoStack.push(change);
+        this.redoStack.pop();
+        this.undoStack.push(entry);
+        this.historyChanged();
 
         // Emit redo event
-        this.emit('redo', change);
+        this.emit('redo', entry);
+
+        return entry;
+    }
+
+    /**
+     * Apply changes through their appliers ('undo': before states in reverse order,
+     * 'redo': after states in order). If an applier fails, the changes already applied
+     * are put back before the error is rethrown. Applied changes are logged as new
+     * changes (undone ones with their inverse action) so the activity log follows.
+     */
+    async replay(changes, direction) {
+        const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+        const unsupported = ordered.find(change => !this.appliers.has(change.entityType));
+
+        if (unsupported) {
+            throw new Error(`No undo applier registered for ${unsupported.entityType}`);
+        }
+
+        const valueFor = (change, dir) => (dir === 'undo' ? change.before : change.after);
+        const applied = [];
+
+        this.replaying = true;
+
+        try {
+            for (const change of ordered) {
+                await this.appliers.get(change.entityType)(change, valueFor(change, direction), direction);
+                applied.push(change);
+            }
+        } catch (error) {
+            const back = direction === 'undo' ? 'redo' : 'undo';
+
+            for (const change of applied.reverse()) {
+                try {
+                    await this.appliers.get(change.entityType)(change, valueFor(change, back), back);
+                } catch (revertError) {
+                    console.error(`Failed to revert ${change.id} after ${direction} error:`, revertError);
+                }
+            }
+
+            throw error;
+        } finally {
+            this.replaying = false;
+        }
+
+        // Log what was applied (not undoable itself)
+        this.replaying = true;
+        try {
+            for (const change of applied) {
+                this.trackChange({
+                    ...change,
+                    action: direction === 'undo' ? (INVERSE_ACTIONS[change.action] || change.action) : change.action,
+                    before: direction === 'undo' ? change.after : change.before,
+                    after: valueFor(change, direction),
+                    metadata: { [direction === 'undo' ? 'undoOf' : 'redoOf']: change.id }
+                });
+            }
+        } finally {
+            this.replaying = false;
+        }
+
+        return applied;
+    }
+
+    /**
+     * Start a transaction: changes tracked until it is committed form one undo entry.
+     * Transactions nest; an inner commit folds its changes into the outer transaction.
+     */
+    beginTransaction(label = 'Change') {
+        const transaction = {
+            id: this.generateTransactionId(),
+            label,
+            startedAt: new Date().toISOString(),
+            changes: []
+        };
+
+        this.transactions.push(transaction);
+
+        return transaction;
+    }
+
+    /**
+     * Commit the innermost transaction
+     * @returns {Object|null} The undo entry (outermost transaction only, null when nothing changed)
+     */
+    commitTransaction() {
+        const transaction = this.transactions.pop();
+        if (!transaction) {
+            throw new Error('No transaction in progress');
+        }
+
+        const parent = this.transactions[this.transactions.length - 1];
+        if (parent) {
+            parent.changes.push(...transaction.changes);
+            return null;
+        }
+
+        if (transaction.changes.length === 0) {
+            return null;
+        }
+
+        const entry = this.createUndoEntry(transaction.label, transaction.changes, transaction.id);
+        this.addToUndoStack(entry);
+        this.redoStack = [];
+        this.historyChanged();
+
+        console.log(`📦 Committed transaction: ${entry.label} (${entry.changes.length} changes)`);
+
+        return entry;
+    }
+
+    /**
+     * Roll back the innermost transaction: its changes are undone through the appliers
+     * and nothing is added to the undo stack
+     */
+    async rollbackTransaction() {
+        const transaction = this.transactions.pop();
+        if (!transaction) {
+            throw new Error('No transaction in progress');
+        }
+
+        if (transaction.changes.length > 0) {
+            await this.replay(transaction.changes, 'undo');
+        }
+
+        console.log(`↩️ Rolled back transaction: ${transaction.label}`);
+
+        return transaction;
+    }
+
+    /**
+     * Run fn inside a transaction: committed when it returns, rolled back when it throws
+     */
+    async transaction(label, fn) {
+        const transaction = this.beginTransaction(label);
 
-        return change;
+        try {
+            const result = await fn(transaction);
+            this.commitTransaction();
+            return result;
+        } catch (error) {
+            while (this.transactions.includes(transaction)) {
+                await this.rollbackTransaction();
+            }
+            throw error;
+        }
     }
 
     /**
      * Can undo?
      */
     canUndo() {
-        return this.undoStack.length > 0;
+        return this.undoStack.length > 0 && !this.replaying;
     }
 
     /**
      * Can redo?
      */
     canRedo() {
-        return this.redoStack.length > 0;
+        return this.redoStack.length > 0 && !this.replaying;
+    }
+
+    /**
+     * Labelled undo/redo history, newest first
+     * @returns {Object} { undo: [{ id, label, timestamp, changeCount }], redo: [...] }
+     */
+    getUndoHistory() {
+        const describe = entry => ({
+            id: entry.id,
+            label: entry.label,
+            timestamp: entry.timestamp,
+            changeCount: entry.changes.length
+        });
+
+        return {
+            undo: [...this.undoStack].reverse().map(describe),
+            redo: [...this.redoStack].reverse().map(describe)
+        };
     }
 
     /**
@@ -468,9 +740,18 @@ class ChangeTracker {
     clearHistory() {
         this.undoStack = [];
         this.redoStack = [];
+        this.historyChanged();
         console.log('✓ Undo/redo history cleared');
     }
 
+    /**
+     * Persist the stacks and notify history listeners
+     */
+    historyChanged() {
+        this.emit('history', this.getUndoHistory());
+        return this.persistStacks();
+    }
+
     /**
      * Start auto-save
      */
@@ -529,6 +810,13 @@ class ChangeTracker {
         return `chg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Generate transaction (undo entry) ID
+     */
+    generateTransactionId() {
+        return `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     /**
      * Get statistics
      */
@@ -552,10 +840,207 @@ class ChangeTracker {
         this.dirtyEntities.clear();
         this.undoStack = [];
         this.redoStack = [];
+        this.transactions = [];
         this.pendingActivities = [];
+
+        if (this.storage) {
+            ChangeTracker.storeNames().forEach(storeName => {
+                this.persist('clear', storeName);
+            });
+        }
+
         console.log('✓ Change tracker cleared');
     }
 
+    /**
+     * Stores the tracker persists to (CHANGE_STORE_NAMES from eo_change_store.js)
+     */
+    static storeNames() {
+        if (typeof CHANGE_STORE_NAMES !== 'undefined') {
+            return CHANGE_STORE_NAMES;
+        }
+        return typeof require === 'function' ? require('./eo_change_store.js').CHANGE_STORE_NAMES : [];
+    }
+
+    /**
+     * Write through to the storage adapter (fire-and-forget)
+     */
+    persist(operation, storeName, key, value) {
+        if (!this.storage) {
+            return Promise.resolve();
+        }
+
+        const args = operation === 'clear' ? [storeName] : [storeName, key, value];
+
+        return Promise.resolve()
+            .then(() => this.storage[operation](...args))
+            .catch(error => {
+                console.error(`Failed to persist ${operation} on ${storeName}:`, error);
+            });
+    }
+
+    /**
+     * Persist undo/redo stacks as entries referencing change IDs
+     */
+    persistStacks() {
+        const serialize = entry => ({
+            id: entry.id,
+            label: entry.label,
+            timestamp: entry.timestamp,
+            changeIds: entry.changes.map(c => c.id)
+        });
+
+        return this.persist('put', 'meta', 'stacks', {
+            undoStack: this.undoStack.map(serialize),
+            redoStack: this.redoStack.map(serialize)
+        });
+    }
+
+    /**
+     * Restore changes, snapshots, dirty markers and undo/redo stacks from storage
+     */
+    async rehydrate() {
+        console.log('💾 Rehydrating change history from storage...');
+
+        await this.storage.open();
+
+        const [changes, snapshots, dirty, meta] = await Promise.all(
+            ['changes', 'snapshots', 'dirty', 'meta'].map(storeName => this.storage.getAll(storeName))
+        );
+
+        const changesById = new Map();
+
+        changes
+            .map(entry => entry.value)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(change => {
+                if (!this.changes.has(change.entityId)) {
+                    this.changes.set(change.entityId, []);
+                }
+                this.changes.get(change.entityId).push(change);
+                changesById.set(change.id, change);
+            });
+
+        snapshots.forEach(entry => {
+            this.snapshots.set(entry.key, entry.value);
+        });
+
+        dirty.forEach(entry => {
+            this.dirtyEntities.add(entry.value?.entityId || entry.key);
+        });
+
+        // Entries whose changes were not all restored are dropped (a partial undo would be wrong).
+        // Older stacks stored one change ID per entry.
+        const restoreEntry = item => {
+            const changeIds = typeof item === 'string' ? [item] : item.changeIds || [];
+            const entryChanges = changeIds.map(id => changesById.get(id));
+
+            if (entryChanges.length === 0 || entryChanges.some(change => !change)) {
+                return null;
+            }
+
+            return typeof item === 'string'
+                ? this.createUndoEntry(this.describeChange(entryChanges[0]), entryChanges)
+                : { id: item.id, label: item.label, timestamp: item.timestamp, changes: entryChanges };
+        };
+
+        const stacks = meta.find(entry => entry.key === 'stacks')?.value;
+        if (stacks) {
+            this.undoStack = (stacks.undoStack || []).map(restoreEntry).filter(Boolean);
+            this.redoStack = (stacks.redoStack || []).map(restoreEntry).filter(Boolean);
+        }
+
+        console.log(`✓ Rehydrated ${changesById.size} changes, ${this.snapshots.size} snapshots, ${this.dirtyEntities.size} dirty entities`);
+
+        return {
+            changes: changesById.size,
+            snapshots: this.snapshots.size,
+            dirtyEntities: this.dirtyEntities.size
+        };
+    }
+
+    /**
+     * Compact persisted history according to the retention policy: changes older than maxAge or
+     * beyond maxChangesPerEntity, and snapshots older than maxAge.
+     * Changes and snapshots of dirty entities are always kept so unsaved work survives.
+     */
+    async compact() {
+        const cutoff = new Date(Date.now() - this.retention.maxAge).toISOString();
+        const removed = [];
+
+        for (const [entityId, changes] of this.changes.entries()) {
+            if (this.dirtyEntities.has(entityId)) {
+                continue;
+            }
+
+            let kept = changes.filter(c => c.timestamp >= cutoff);
+            if (kept.length > this.retention.maxChangesPerEntity) {
+                kept = kept.slice(-this.retention.maxChangesPerEntity);
+            }
+
+            if (kept.length === changes.length) {
+                continue;
+            }
+
+            const keptIds = new Set(kept.map(c => c.id));
+            removed.push(...changes.filter(c => !keptIds.has(c.id)));
+
+            if (kept.length === 0) {
+                this.changes.delete(entityId);
+            } else {
+                this.changes.set(entityId, kept);
+            }
+        }
+
+        const staleSnapshots = [...this.snapshots.entries()]
+            .filter(([entityId, snapshot]) => !this.dirtyEntities.has(entityId) && snapshot.timestamp < cutoff)
+            .map(([entityId]) => entityId);
+
+        staleSnapshots.forEach(entityId => this.snapshots.delete(entityId));
+        await Promise.all(staleSnapshots.map(entityId => this.persist('delete', 'snapshots', entityId)));
+
+        if (removed.length === 0) {
+            return { removed: 0, snapshots: staleSnapshots.length };
+        }
+
+        const removedIds = new Set(removed.map(c => c.id));
+        const intact = entry => !entry.changes.some(c => removedIds.has(c.id));
+        this.undoStack = this.undoStack.filter(intact);
+        this.redoStack = this.redoStack.filter(intact);
+
+        await Promise.all(removed.map(c => this.persist('delete', 'changes', c.id)));
+        await this.persistStacks();
+
+        console.log(`🧹 Compacted ${removed.length} changes and ${staleSnapshots.length} snapshots older than retention policy`);
+
+        return { removed: removed.length, snapshots: staleSnapshots.length };
+    }
+
+    /**
+     * Start periodic compaction
+     */
+    startCompaction() {
+        if (this.retention.handle) {
+            clearInterval(this.retention.handle);
+        }
+
+        this.retention.handle = setInterval(() => {
+            this.compact().catch(error => {
+                console.error('Compaction error:', error);
+            });
+        }, this.retention.compactInterval);
+    }
+
+    /**
+     * Stop periodic compaction
+     */
+    stopCompaction() {
+        if (this.retention.handle) {
+            clearInterval(this.retention.handle);
+            this.retention.handle = null;
+        }
+    }
+
     /**
      * Event management
      */
@@ -0,0 +1,327 @@
+/**
+ * EO Credential Vault
+ *
+ * Keeps sync credentials (API keys, auth tokens) encrypted at rest:
+ * - AES-GCM encryption with a key derived from a passphrase (PBKDF2, SHA-256)
+ * - Unlocked once per session: the derived key lives only in memory and is not extractable
+ * - Passphrase rotation (new salt, key and ciphertext; the iteration count is upgraded too)
+ * - Lock on idle: after `idleTimeout` without activity the key and secrets are dropped
+ *
+ * The encrypted record is stored through a localStorage-like object (getItem/setItem/removeItem):
+ * { version, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data, updatedAt }
+ */
+
+const CREDENTIAL_VAULT_VERSION = 1;
+
+class CredentialVault {
+    constructor(config = {}) {
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = config.storageKey || 'eo_sync_vault';
+        this.iterations = config.iterations || 310000; // OWASP recommendation for PBKDF2-HMAC-SHA256
+        this.idleTimeout = config.idleTimeout ?? 15 * 60 * 1000; // 0 disables lock on idle
+        this.subtle = config.subtle || (typeof crypto !== 'undefined' ? crypto.subtle : null);
+
+        // Session state (never persisted)
+        this.key = null;
+        this.secrets = null;
+        this.idleTimer = null;
+        this.lastActivity = null;
+
+        // Event listeners
+        this.listeners = {
+            unlocked: [],
+            locked: [],
+            changed: []
+        };
+    }
+
+    /**
+     * Check if a vault has been created
+     */
+    exists() {
+        return this.readRecord() !== null;
+    }
+
+    /**
+     * Check if the vault is unlocked in this session
+     */
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    /**
+     * Create the vault, encrypting the given secrets (replaces an existing vault)
+     */
+    async create(passphrase, secrets = {}) {
+        this.assertPassphrase(passphrase);
+
+        const salt = this.randomBytes(16);
+        this.key = await this.deriveKey(passphrase, salt, this.iterations);
+        this.secrets = JSON.parse(JSON.stringify(secrets));
+
+        await this.writeRecord({ salt, iterations: this.iterations });
+        this.touch();
+        this.emit('unlocked', { created: true });
+
+        return this.getSecrets();
+    }
+
+    /**
+     * Unlock with the passphrase; returns the secrets. Throws on a wrong passphrase.
+     */
+    async unlock(passphrase) {
+        const record = this.readRecord();
+        if (!record) {
+            throw new Error('No credential vault to unlock');
+        }
+
+        const key = await this.deriveKey(passphrase, this.decodeBase64(record.kdf.salt), record.kdf.iterations);
+        const secrets = await this.decrypt(key, record);
+
+        this.key = key;
+        this.secrets = secrets;
+        this.touch();
+        this.emit('unlocked', { created: false });
+
+        return this.getSecrets();
+    }
+
+    /**
+     * Drop the key and the decrypted secrets
+     */
+    lock(reason = 'manual') {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        if (!this.key) {
+            return;
+        }
+
+        this.key = null;
+        this.secrets = null;
+        this.emit('locked', { reason });
+    }
+
+    /**
+     * Copy of the decrypted secrets
+     */
+    getSecrets() {
+        this.assertUnlocked();
+        return JSON.parse(JSON.stringify(this.secrets));
+    }
+
+    /**
+     * Replace the stored secrets (re-encrypted with a fresh IV)
+     */
+    async setSecrets(secrets) {
+        this.assertUnlocked();
+
+        const record = this.readRecord();
+        this.secrets = JSON.parse(JSON.stringify(secrets));
+
+        await this.writeRecord({ salt: this.decodeBase64(record.kdf.salt), iterations: record.kdf.iterations });
+        this.touch();
+        this.emit('changed', { rotated: false });
+    }
+
+    /**
+     * Re-encrypt the secrets under a new passphrase. The current passphrase is checked
+     * even while unlocked, so an unattended session cannot change it.
+     */
+    async rotate(currentPassphrase, newPassphrase) {
+        this.assertPassphrase(newPassphrase);
+
+        const record = this.readRecord();
+        if (!record) {
+            throw new Error('No credential vault to rotate');
+        }
+
+        const currentKey = await this.deriveKey(currentPassphrase, this.decodeBase64(record.kdf.salt), record.kdf.iterations);
+        const secrets = await this.decrypt(currentKey, record);
+
+        const salt = this.randomBytes(16);
+        this.key = await this.deriveKey(newPassphrase, salt, this.iterations);
+        this.secrets = secrets;
+
+        await this.writeRecord({ salt, iterations: this.iterations });
+        this.touch();
+        this.emit('changed', { rotated: true });
+    }
+
+    /**
+     * Delete the vault; returns the secrets it held (the vault must be unlocked)
+     */
+    destroy() {
+        const secrets = this.getSecrets();
+
+        this.storage.removeItem(this.storageKey);
+        this.lock('destroyed');
+
+        return secrets;
+    }
+
+    /**
+     * Record activity, restarting the idle timer
+     */
+    touch() {
+        if (!this.key) {
+            return;
+        }
+
+        this.lastActivity = Date.now();
+        clearTimeout(this.idleTimer);
+
+        if (this.idleTimeout > 0) {
+            this.idleTimer = setTimeout(() => this.lock('idle'), this.idleTimeout);
+        }
+    }
+
+    /**
+     * Count user input on a target (e.g. document) as activity; returns a function that stops watching
+     */
+    watchActivity(target = typeof document !== 'undefined' ? document : null) {
+        if (!target) {
+            return () => {};
+        }
+
+        let throttled = false;
+        const onActivity = () => {
+            if (!throttled) {
+                throttled = true;
+                setTimeout(() => { throttled = false; }, 1000);
+                this.touch();
+            }
+        };
+        const events = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+        events.forEach(event => target.addEventListener(event, onActivity, { passive: true }));
+        return () => events.forEach(event => target.removeEventListener(event, onActivity));
+    }
+
+    /**
+     * Derive the AES-GCM key from a passphrase
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        if (!this.subtle) {
+            throw new Error('Web Crypto (crypto.subtle) is required for the credential vault');
+        }
+
+        const material = await this.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+        return this.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Decrypt a stored record's secrets
+     */
+    async decrypt(key, record) {
+        try {
+            const plaintext = await this.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.decodeBase64(record.cipher.iv) },
+                key,
+                this.decodeBase64(record.data)
+            );
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            throw new Error('Wrong passphrase or corrupted credential vault');
+        }
+    }
+
+    /**
+     * Encrypt the session secrets with the session key and store them
+     */
+    async writeRecord({ salt, iterations }) {
+        const iv = this.randomBytes(12);
+        const ciphertext = await this.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(this.secrets))
+        );
+
+        this.storage.setItem(this.storageKey, JSON.stringify({
+            version: CREDENTIAL_VAULT_VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.encodeBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.encodeBase64(iv) },
+            data: this.encodeBase64(new Uint8Array(ciphertext)),
+            updatedAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Read the stored record (null when there is no vault)
+     */
+    readRecord() {
+        const stored = this.storage?.getItem(this.storageKey);
+        if (!stored) {
+            return null;
+        }
+
+        const record = JSON.parse(stored);
+        if (record.version !== CREDENTIAL_VAULT_VERSION) {
+            throw new Error(`Unsupported credential vault version: ${record.version}`);
+        }
+        return record;
+    }
+
+    assertUnlocked() {
+        if (!this.key) {
+            throw new Error('Credential vault is locked');
+        }
+    }
+
+    assertPassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < 8) {
+            throw new Error('Vault passphrase must be at least 8 characters');
+        }
+    }
+
+    randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    encodeBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    decodeBase64(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Register event listener
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CREDENTIAL_VAULT_VERSION,
+        CredentialVault
+    };
+}
@@ -0,0 +1,1888 @@
+/**
+ * EO Mock Services
+ *
+ * In-process stand-ins for the external APIs used by the sync system, so
+ * SyncEngine, RewindEngine and the integrations can run without credentials:
+ * - Airtable REST + Meta API (records, pagination offsets, filterByFormula, typecast)
+ * - Airtable per-base rate limiting (429 + Retry-After)
+ * - Airtable attachments served from signed URLs that expire
+ * - Airtable webhooks: change payloads listed by cursor, notification pings, payload expiry
+ * - Xano activity log, snapshot and timeline endpoints
+ * - A generic REST/JSON collection API (for RestConnector)
+ * - Injectable failures and a request log for assertions
+ *
+ * Each server exposes a fetch-compatible `fetch(url, options)` that can be
+ * passed as `config.fetch` to AirtableIntegration / XanoIntegration.
+ */
+
+class MockService {
+    constructor(config = {}) {
+        this.now = config.now || (() => Date.now());
+
+        // Every handled request: { method, url, path, query, body, status, timestamp }
+        this.requests = [];
+
+        // Injected failures: { status, body, headers, remaining, match }
+        this.failures = [];
+
+        this.fetch = this.fetch.bind(this);
+    }
+
+    /**
+     * Check if this service serves a URL (implemented by subclasses)
+     */
+    handles(url) {
+        return false;
+    }
+
+    /**
+     * Fetch-compatible entry point
+     */
+    async fetch(url, options = {}) {
+        const parsed = new URL(url);
+        const method = (options.method || 'GET').toUpperCase();
+        const headers = this.normalizeHeaders(options.headers);
+
+        let body = null;
+        if (options.body) {
+            try {
+                body = JSON.parse(options.body);
+            } catch (error) {
+                return this.recordResponse({ method, url, parsed, body: options.body },
+                    this.errorResponse(400, 'INVALID_REQUEST_BODY', 'Request body is not valid JSON'));
+            }
+        }
+
+        const request = { method, url, parsed, headers, body };
+
+        const failure = this.takeFailure(request);
+        if (failure) {
+            return this.recordResponse(request, this.jsonResponse(failure.status, failure.body, failure.headers));
+        }
+
+        let result;
+        try {
+            result = await this.route(request);
+        } catch (error) {
+            result = this.errorResponse(500, 'SERVER_ERROR', error.message);
+        }
+
+        return this.recordResponse(request, result);
+    }
+
+    /**
+     * Route a request (implemented by subclasses)
+     */
+    async route(request) {
+        return this.errorResponse(404, 'NOT_FOUND', 'Not found');
+    }
+
+    /**
+     * Make the next matching request(s) fail with the given status
+     */
+    failNext(status, options = {}) {
+        this.failures.push({
+            status,
+            body: options.body || { error: { type: 'INJECTED_FAILURE', message: `Injected ${status} failure` }, message: `Injected ${status} failure` },
+            headers: options.headers || {},
+            remaining: options.count || 1,
+            match: options.match || null // (request) => boolean
+        });
+    }
+
+    /**
+     * Consume an injected failure for a request, if any
+     */
+    takeFailure(request) {
+        const failure = this.failures.find(f => !f.match || f.match(request));
+        if (!failure) {
+            return null;
+        }
+
+        failure.remaining--;
+        if (failure.remaining <= 0) {
+            this.failures.splice(this.failures.indexOf(failure), 1);
+        }
+
+        return failure;
+    }
+
+    /**
+     * Get logged requests, optionally filtered by method and/or path prefix
+     */
+    getRequests(filter = {}) {
+        return this.requests.filter(r =>
+            (!filter.method || r.method === filter.method) &&
+            (!filter.path || r.path.startsWith(filter.path))
+        );
+    }
+
+    /**
+     * Clear the request log
+     */
+    clearRequests() {
+        this.requests = [];
+    }
+
+    /**
+     * Log a request with its response status
+     */
+    recordResponse(request, response) {
+        this.requests.push({
+            method: request.method,
+            url: request.url,
+            path: request.parsed.pathname,
+            query: Object.fromEntries(request.parsed.searchParams.entries()),
+            body: request.body,
+            status: response.status,
+            timestamp: new Date(this.now()).toISOString()
+        });
+
+        return response;
+    }
+
+    /**
+     * Normalize request headers into a lower-cased plain object
+     */
+    normalizeHeaders(headers = {}) {
+        const normalized = {};
+        const entries = typeof headers.entries === 'function' ? Array.from(headers.entries()) : Object.entries(headers);
+
+        for (const [key, value] of entries) {
+            normalized[key.toLowerCase()] = value;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Build a JSON response
+     */
+    jsonResponse(status, body, headers = {}) {
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        });
+    }
+
+    /**
+     * Build an error response (Airtable-style body, with a Xano-style message)
+     */
+    errorResponse(status, type, message, headers = {}) {
+        return this.jsonResponse(status, { error: { type, message }, message }, headers);
+    }
+
+    /**
+     * Generate an Airtable-style id (prefix + 14 characters)
+     */
+    generateId(prefix) {
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        let id = prefix;
+        for (let i = 0; i < 14; i++) {
+            id += chars[Math.floor(Math.random() * chars.length)];
+        }
+        return id;
+    }
+}
+
+/**
+ * Mock Airtable REST + Meta API
+ */
+class MockAirtableServer extends MockService {
+    constructor(config = {}) {
+        super(config);
+
+        this.apiKey = config.apiKey || 'keyMockAirtable00';
+        this.baseId = config.baseId || 'appMockBase000000';
+        this.baseName = config.baseName || 'Mock Base';
+        this.baseUrl = 'https://api.airtable.com/v0';
+
+        this.tables = new Map(); // tableId -> { id, name, primaryFieldId, fields, views, records: Map }
+        this.offsets = new Map(); // offset token -> { tableId, queryKey, position }
+
+        // Airtable allows 5 requests per second per base, then blocks for 30 seconds
+        this.rateLimit = {
+            requestsPerSecond: config.requestsPerSecond === undefined ? 5 : config.requestsPerSecond, // null disables
+            penalty: config.rateLimitPenalty === undefined ? 30000 : config.rateLimitPenalty,
+            window: [], // request timestamps within the last second
+            blockedUntil: 0
+        };
+
+        this.maxPageSize = 100;
+        this.maxRecordsPerWrite = 10;
+
+        // Attachments: cells hold [{ id }], files are served from signed URLs that expire
+        this.contentUrl = 'https://v5.airtableusercontent.com';
+        this.fileHostUrl = config.fileHostUrl || 'https://files.example.com'; // Stand-in for where uploaders put new files
+        this.attachmentUrlTtl = config.attachmentUrlTtl || 2 * 60 * 60 * 1000; // 2 hours
+        this.files = new Map(); // fileKey -> { data: Uint8Array, type }
+        this.attachments = new Map(); // attachmentId -> { id, fileKey, filename }
+
+        // Webhooks: every change becomes a payload for each webhook that covers its data type
+        this.webhooks = new Map(); // webhookId -> { id, notificationUrl, specification, macSecretBase64, expirationTime, payloads, firstCursor }
+        this.webhookTtl = config.webhookTtl || 7 * 24 * 60 * 60 * 1000; // 7 days
+        this.notifications = []; // Pings sent to notification URLs: [{ base: { id }, webhook: { id }, timestamp }]
+        this.transactionNumber = 0;
+        this.pendingRecordChanges = new Map(); // tableId -> { created, changed, destroyed } for the next payload
+    }
+
+    /**
+     * Serve api.airtable.com, attachment content URLs and the file host
+     */
+    handles(url) {
+        return url.startsWith(this.baseUrl) || url.startsWith(this.contentUrl) || url.startsWith(this.fileHostUrl);
+    }
+
+    /**
+     * Add a table. Fields: [{ name, type, options }], the first field is primary.
+     */
+    addTable({ name, fields = [], views = [{ name: 'Grid view', type: 'grid' }], description = '' }) {
+        const tableFields = fields.map(field => ({
+            id: field.id || this.generateId('fld'),
+            name: field.name,
+            type: field.type || 'singleLineText',
+            ...(field.description && { description: field.description }),
+            ...(field.options && { options: JSON.parse(JSON.stringify(field.options)) })
+        }));
+
+        const table = {
+            id: this.generateId('tbl'),
+            name,
+            description,
+            primaryFieldId: tableFields[0]?.id || null,
+            fields: tableFields,
+            views: views.map(view => ({ id: this.generateId('viw'), name: view.name, type: view.type || 'grid' })),
+            records: new Map()
+        };
+
+        this.tables.set(table.id, table);
+        this.emitWebhookPayload('tableMetadata', 'client', {
+            createdTablesById: { [table.id]: { metadata: { name, description } } }
+        });
+        return table;
+    }
+
+    /**
+     * Add a field to an existing table (simulates a schema edit in Airtable)
+     */
+    addField(tableIdOrName, field) {
+        const table = this.getTable(tableIdOrName);
+        const newField = {
+            id: field.id || this.generateId('fld'),
+            name: field.name,
+            type: field.type || 'singleLineText',
+            ...(field.options && { options: JSON.parse(JSON.stringify(field.options)) })
+        };
+
+        table.fields.push(newField);
+        this.emitWebhookPayload('tableFields', 'client', {
+            changedTablesById: { [table.id]: { createdFieldsById: { [newField.id]: { name: newField.name, type: newField.type } } } }
+        });
+        return newField;
+    }
+
+    /**
+     * Add a two-way link between tables: the field plus its inverse field in the linked table
+     */
+    addLinkField(tableIdOrName, { name, linkedTable, inverseName, prefersSingleRecordLink = false, inversePrefersSingleRecordLink = false }) {
+        const table = this.getTable(tableIdOrName);
+        const target = this.getTable(linkedTable);
+        const fieldId = this.generateId('fld');
+        const inverseId = this.generateId('fld');
+
+        const field = this.addField(table.id, {
+            id: fieldId,
+            name,
+            type: 'multipleRecordLinks',
+            options: { linkedTableId: target.id, inverseLinkFieldId: inverseId, isReversed: false, prefersSingleRecordLink }
+        });
+
+        const inverseField = this.addField(target.id, {
+            id: inverseId,
+            name: inverseName || table.name,
+            type: 'multipleRecordLinks',
+            options: { linkedTableId: table.id, inverseLinkFieldId: fieldId, isReversed: true, prefersSingleRecordLink: inversePrefersSingleRecordLink }
+        });
+
+        return { field, inverseField };
+    }
+
+    /**
+     * Rename and/or retype a field (simulates a schema edit in Airtable).
+     * Stored values follow the rename; a type change converts them like Airtable does.
+     */
+    updateField(tableIdOrName, fieldIdOrName, changes) {
+        const table = this.getTable(tableIdOrName);
+        const field = table.fields.find(f => f.id === fieldIdOrName || f.name === fieldIdOrName);
+        const previousName = field.name;
+        const previous = { name: field.name, type: field.type };
+
+        Object.assign(field, changes.name && { name: changes.name }, changes.type && { type: changes.type });
+        if (changes.options) {
+            field.options = JSON.parse(JSON.stringify(changes.options));
+        }
+
+        for (const record of table.records.values()) {
+            if (!(previousName in record.fields)) continue;
+
+            let value = record.fields[previousName];
+            delete record.fields[previousName];
+
+            if (changes.type) {
+                const textTypes = ['singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber'];
+                const coerced = textTypes.includes(field.type)
+                    ? { value: Array.isArray(value) ? value.join(', ') : String(value) }
+                    : this.coerceValue(field, value, true);
+                value = coerced.error ? null : coerced.value; // Airtable clears values it cannot convert
+            }
+
+            record.fields = this.compactFields({ ...record.fields, [field.name]: value });
+        }
+
+        this.emitWebhookPayload('tableFields', 'client', {
+            changedTablesById: { [table.id]: { changedFieldsById: { [field.id]: { current: { name: field.name, type: field.type }, previous } } } }
+        });
+        return field;
+    }
+
+    /**
+     * Delete a field and its values (simulates a schema edit in Airtable)
+     */
+    removeField(tableIdOrName, fieldIdOrName) {
+        const table = this.getTable(tableIdOrName);
+        const field = table.fields.find(f => f.id === fieldIdOrName || f.name === fieldIdOrName);
+
+        table.fields = table.fields.filter(f => f !== field);
+        for (const record of table.records.values()) {
+            delete record.fields[field.name];
+        }
+
+        this.emitWebhookPayload('tableFields', 'client', {
+            changedTablesById: { [table.id]: { destroyedFieldIds: [field.id] } }
+        });
+        return field;
+    }
+
+    /**
+     * Insert records directly (no request logged, no validation; inverse links are kept)
+     */
+    seedRecords(tableIdOrName, fieldsList) {
+        const table = this.getTable(tableIdOrName);
+
+        const seeded = fieldsList.map(fields => {
+            const timestamp = new Date(this.now()).toISOString();
+            const record = {
+                id: this.generateId('rec'),
+                createdTime: timestamp,
+                lastModifiedTime: timestamp,
+                fields: this.compactFields(fields)
+            };
+
+            table.records.set(record.id, record);
+            this.noteRecordChange(table, record, 'created');
+            this.updateInverseLinks(table, record);
+            return this.serializeRecord(table, record);
+        });
+
+        this.emitWebhookPayload('tableData', 'client');
+        return seeded;
+    }
+
+    /**
+     * Edit a record directly, as a user would in the Airtable UI
+     */
+    editRecord(tableIdOrName, recordId, fields) {
+        const table = this.getTable(tableIdOrName);
+        const record = table.records.get(recordId);
+
+        if (!record) {
+            throw new Error(`Mock record not found: ${recordId}`);
+        }
+
+        const previous = record.fields;
+        record.fields = this.compactFields({ ...record.fields, ...fields });
+        record.lastModifiedTime = new Date(this.now()).toISOString();
+        this.noteRecordChange(table, record, 'changed', previous);
+        this.updateInverseLinks(table, record, previous);
+        this.emitWebhookPayload('tableData', 'client');
+
+        return this.serializeRecord(table, record);
+    }
+
+    /**
+     * Delete a record directly, as a user would in the Airtable UI
+     */
+    removeRecord(tableIdOrName, recordId) {
+        const table = this.getTable(tableIdOrName);
+        const record = table.records.get(recordId);
+        const removed = table.records.delete(recordId);
+
+        if (removed) {
+            this.noteRecordChange(table, record, 'destroyed');
+            this.unlinkRecord(recordId);
+            this.emitWebhookPayload('tableData', 'client');
+        }
+
+        return removed;
+    }
+
+    /**
+     * Keep inverse link fields in step with a record's link fields (like Airtable's two-way links)
+     */
+    updateInverseLinks(table, record, previousFields = {}) {
+        for (const field of table.fields) {
+            if (field.type !== 'multipleRecordLinks' || !field.options?.inverseLinkFieldId) continue;
+
+            const target = this.tables.get(field.options.linkedTableId);
+            const inverse = target?.fields.find(f => f.id === field.options.inverseLinkFieldId);
+            if (!inverse) continue;
+
+            const before = previousFields[field.name] || [];
+            const after = record.fields[field.name] || [];
+
+            for (const targetId of new Set([...before, ...after])) {
+                const linked = target.records.get(targetId);
+                if (!linked || before.includes(targetId) === after.includes(targetId)) continue;
+
+                const ids = (linked.fields[inverse.name] || []).filter(id => id !== record.id);
+                if (after.includes(targetId)) {
+                    ids.push(record.id);
+                }
+
+                const previous = linked.fields;
+                linked.fields = this.compactFields({ ...linked.fields, [inverse.name]: ids });
+                linked.lastModifiedTime = new Date(this.now()).toISOString();
+                this.noteRecordChange(target, linked, 'changed', previous);
+            }
+        }
+    }
+
+    /**
+     * Remove a deleted record from every link field that references it
+     */
+    unlinkRecord(recordId) {
+        for (const table of this.tables.values()) {
+            const linkFields = table.fields.filter(f => f.type === 'multipleRecordLinks');
+
+            for (const record of table.records.values()) {
+                const linked = linkFields.filter(f => (record.fields[f.name] || []).includes(recordId));
+                if (linked.length === 0) continue;
+
+                const fields = { ...record.fields };
+                const previous = record.fields;
+                linked.forEach(f => { fields[f.name] = fields[f.name].filter(id => id !== recordId); });
+                record.fields = this.compactFields(fields);
+                record.lastModifiedTime = new Date(this.now()).toISOString();
+                this.noteRecordChange(table, record, 'changed', previous);
+            }
+        }
+    }
+
+    /**
+     * Store a file as a new attachment; returns the cell value item ({ id }) for seedRecords/editRecord
+     */
+    createAttachment({ data, filename, type = 'application/octet-stream' }) {
+        const fileKey = this.storeFile(data, type);
+        const attachment = { id: this.generateId('att'), fileKey, filename: filename || fileKey };
+
+        this.attachments.set(attachment.id, attachment);
+        return { id: attachment.id };
+    }
+
+    /**
+     * Host a file outside Airtable (as an attachment uploader would); returns its public URL
+     */
+    hostFile(data, type = 'application/octet-stream') {
+        return `${this.fileHostUrl}/${this.storeFile(data, type)}`;
+    }
+
+    /**
+     * Keep file contents under a new key
+     */
+    storeFile(data, type) {
+        const fileKey = this.generateId('file');
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+
+        this.files.set(fileKey, { data: bytes, type });
+        return fileKey;
+    }
+
+    /**
+     * Find the stored file behind a content or file host URL (null if unknown or expired)
+     */
+    getFileForUrl(url) {
+        const parsed = new URL(url);
+        const fileKey = decodeURIComponent(parsed.pathname.split('/')[1] || '');
+
+        if (url.startsWith(this.contentUrl) && !(Number(parsed.searchParams.get('expires')) > this.now())) {
+            return null;
+        }
+
+        return this.files.get(fileKey) || null;
+    }
+
+    /**
+     * GET a file from a signed content URL or the file host
+     */
+    serveFile(request) {
+        const file = request.method === 'GET' ? this.getFileForUrl(request.url) : null;
+
+        if (!file) {
+            return this.errorResponse(request.url.startsWith(this.contentUrl) ? 410 : 404, 'NOT_FOUND', 'File not found or URL expired');
+        }
+
+        return new Response(file.data, { status: 200, headers: { 'Content-Type': file.type } });
+    }
+
+    /**
+     * Sign a content URL for a file (a new URL on every read, like Airtable)
+     */
+    signFileUrl(fileKey, filename) {
+        const expires = this.now() + this.attachmentUrlTtl;
+        return `${this.contentUrl}/${fileKey}/${encodeURIComponent(filename)}?expires=${expires}&signature=${this.generateId('')}`;
+    }
+
+    /**
+     * Attachment object as returned by the API; images get thumbnails
+     */
+    serializeAttachment(attachmentId) {
+        const attachment = this.attachments.get(attachmentId);
+        const file = attachment && this.files.get(attachment.fileKey);
+
+        if (!file) {
+            return { id: attachmentId };
+        }
+
+        const serialized = {
+            id: attachment.id,
+            url: this.signFileUrl(attachment.fileKey, attachment.filename),
+            filename: attachment.filename,
+            size: file.data.length,
+            type: file.type
+        };
+
+        if (file.type.startsWith('image/')) {
+            const thumbnail = (width, height) => ({ url: this.signFileUrl(attachment.fileKey, attachment.filename), width, height });
+            Object.assign(serialized, {
+                width: 512,
+                height: 512,
+                thumbnails: { small: thumbnail(36, 36), large: thumbnail(512, 512), full: thumbnail(3000, 3000) }
+            });
+        }
+
+        return serialized;
+    }
+
+    /**
+     * Remember a record change for the next webhook payload
+     */
+    noteRecordChange(table, record, kind, previousFields = {}) {
+        if (this.webhooks.size === 0) {
+            return;
+        }
+
+        if (!this.pendingRecordChanges.has(table.id)) {
+            this.pendingRecordChanges.set(table.id, { created: new Map(), changed: new Map(), destroyed: new Set() });
+        }
+
+        const changes = this.pendingRecordChanges.get(table.id);
+        const byFieldId = fields => Object.fromEntries(table.fields
+            .filter(field => field.name in fields)
+            .map(field => [field.id, JSON.parse(JSON.stringify(fields[field.name]))]));
+
+        if (kind === 'destroyed') {
+            changes.created.delete(record.id);
+            changes.changed.delete(record.id);
+            changes.destroyed.add(record.id);
+        } else if (kind === 'created') {
+            changes.created.set(record.id, { createdTime: record.createdTime, cellValuesByFieldId: byFieldId(record.fields) });
+        } else if (changes.created.has(record.id)) {
+            changes.created.get(record.id).cellValuesByFieldId = byFieldId(record.fields);
+        } else {
+            const names = new Set([...Object.keys(previousFields), ...Object.keys(record.fields)]);
+            const changedNames = Array.from(names).filter(name => JSON.stringify(previousFields[name]) !== JSON.stringify(record.fields[name]));
+            const pick = fields => byFieldId(Object.fromEntries(changedNames.filter(name => name in fields).map(name => [name, fields[name]])));
+            const existing = changes.changed.get(record.id);
+
+            changes.changed.set(record.id, {
+                current: { cellValuesByFieldId: { ...existing?.current.cellValuesByFieldId, ...pick(record.fields) } },
+                previous: { cellValuesByFieldId: { ...pick(previousFields), ...existing?.previous.cellValuesByFieldId } }
+            });
+        }
+    }
+
+    /**
+     * Turn pending record changes (tableData) or a schema change into a payload for every
+     * webhook whose filters include the data type, and ping its notification URL
+     */
+    emitWebhookPayload(dataType, source, changes = {}) {
+        if (dataType === 'tableData') {
+            changes = { changedTablesById: {} };
+
+            for (const [tableId, pending] of this.pendingRecordChanges) {
+                changes.changedTablesById[tableId] = {
+                    ...(pending.created.size > 0 && { createdRecordsById: Object.fromEntries(pending.created) }),
+                    ...(pending.changed.size > 0 && { changedRecordsById: Object.fromEntries(pending.changed) }),
+                    ...(pending.destroyed.size > 0 && { destroyedRecordIds: Array.from(pending.destroyed) })
+                };
+            }
+
+            this.pendingRecordChanges.clear();
+
+            if (Object.keys(changes.changedTablesById).length === 0) {
+                return;
+            }
+        }
+
+        const timestamp = new Date(this.now()).toISOString();
+        let payload = null;
+
+        for (const webhook of this.webhooks.values()) {
+            const dataTypes = webhook.specification?.options?.filters?.dataTypes || [];
+            if (!dataTypes.includes(dataType) || Date.parse(webhook.expirationTime) <= this.now()) {
+                continue;
+            }
+
+            payload = payload || {
+                timestamp,
+                baseTransactionNumber: ++this.transactionNumber,
+                actionMetadata: { source, sourceMetadata: {} },
+                payloadFormat: 'v0',
+                ...JSON.parse(JSON.stringify(changes))
+            };
+
+            webhook.payloads.push(payload);
+            this.notifications.push({ base: { id: this.baseId }, webhook: { id: webhook.id }, timestamp });
+        }
+    }
+
+    /**
+     * Drop the oldest payloads of a webhook (or all webhooks), as Airtable does after 7 days.
+     * A client whose cursor pointed at them has a gap in its change history.
+     */
+    expireWebhookPayloads(webhookId = null, count = Infinity) {
+        for (const webhook of this.webhooks.values()) {
+            if (webhookId && webhook.id !== webhookId) continue;
+
+            const expired = webhook.payloads.splice(0, Math.min(count, webhook.payloads.length));
+            webhook.firstCursor += expired.length;
+        }
+    }
+
+    /**
+     * Get a webhook that has not expired (expired webhooks are removed, like Airtable disables them)
+     */
+    getWebhook(webhookId) {
+        const webhook = this.webhooks.get(webhookId);
+
+        if (webhook && Date.parse(webhook.expirationTime) <= this.now()) {
+            this.webhooks.delete(webhookId);
+            return null;
+        }
+
+        return webhook || null;
+    }
+
+    /**
+     * Webhooks API: create/list webhooks, list payloads, refresh, delete
+     */
+    routeWebhooks(request, webhookId, action) {
+        const expirationTime = () => new Date(this.now() + this.webhookTtl).toISOString();
+
+        if (!webhookId) {
+            if (request.method === 'POST') {
+                if (!request.body?.notificationUrl || !request.body?.specification?.options?.filters?.dataTypes) {
+                    return this.errorResponse(422, 'INVALID_WEBHOOK_SPECIFICATION', 'notificationUrl and specification.options.filters.dataTypes are required');
+                }
+
+                const webhook = {
+                    id: this.generateId('ach'),
+                    notificationUrl: request.body.notificationUrl,
+                    specification: JSON.parse(JSON.stringify(request.body.specification)),
+                    macSecretBase64: btoa(this.generateId('')),
+                    expirationTime: expirationTime(),
+                    payloads: [],
+                    firstCursor: 1
+                };
+
+                this.webhooks.set(webhook.id, webhook);
+                return this.jsonResponse(200, { id: webhook.id, macSecretBase64: webhook.macSecretBase64, expirationTime: webhook.expirationTime });
+            }
+
+            if (request.method === 'GET') {
+                const webhooks = Array.from(this.webhooks.keys()).map(id => this.getWebhook(id)).filter(Boolean);
+                return this.jsonResponse(200, {
+                    webhooks: webhooks.map(webhook => ({
+                        id: webhook.id,
+                        notificationUrl: webhook.notificationUrl,
+                        specification: webhook.specification,
+                        expirationTime: webhook.expirationTime,
+                        cursorForNextPayload: webhook.firstCursor + webhook.payloads.length,
+                        isHookEnabled: true
+                    }))
+                });
+            }
+        }
+
+        const webhook = webhookId && this.getWebhook(webhookId);
+        if (!webhook) {
+            return this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+        }
+
+        if (!action && request.method === 'DELETE') {
+            this.webhooks.delete(webhook.id);
+            return this.jsonResponse(200, {});
+        }
+
+        if (action === 'refresh' && request.method === 'POST') {
+            webhook.expirationTime = expirationTime();
+            return this.jsonResponse(200, { expirationTime: webhook.expirationTime });
+        }
+
+        if (action === 'payloads' && request.method === 'GET') {
+            // Cursors older than the oldest retained payload start at the oldest one
+            const limit = Math.min(Number(request.parsed.searchParams.get('limit')) || 50, 50);
+            const cursor = Math.max(Number(request.parsed.searchParams.get('cursor')) || 1, webhook.firstCursor);
+            const start = cursor - webhook.firstCursor;
+            const payloads = webhook.payloads.slice(start, start + limit);
+
+            return this.jsonResponse(200, {
+                payloads,
+                cursor: cursor + payloads.length,
+                mightHaveMore: start + payloads.length < webhook.payloads.length
+            });
+        }
+
+        return this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+    }
+
+    /**
+     * Get a table's records as API objects
+     */
+    getRecords(tableIdOrName) {
+        const table = this.getTable(tableIdOrName);
+        return Array.from(table.records.values()).map(record => this.serializeRecord(table, record));
+    }
+
+    /**
+     * Get a single record as an API object
+     */
+    getRecord(tableIdOrName, recordId) {
+        const table = this.getTable(tableIdOrName);
+        const record = table.records.get(recordId);
+        return record ? this.serializeRecord(table, record) : null;
+    }
+
+    /**
+     * Find a table by id or name
+     */
+    getTable(tableIdOrName) {
+        if (this.tables.has(tableIdOrName)) {
+            return this.tables.get(tableIdOrName);
+        }
+
+        for (const table of this.tables.values()) {
+            if (table.name === tableIdOrName) {
+                return table;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Route an Airtable request
+     */
+    async route(request) {
+        if (!request.url.startsWith(this.baseUrl)) {
+            return this.serveFile(request);
+        }
+
+        if (request.headers['authorization'] !== `Bearer ${this.apiKey}`) {
+            return this.errorResponse(401, 'AUTHENTICATION_REQUIRED', 'Authentication required');
+        }
+
+        const limited = this.checkRateLimit();
+        if (limited) {
+            return limited;
+        }
+
+        const segments = request.parsed.pathname.replace(/^\/v0\//, '').split('/').map(decodeURIComponent);
+
+        // Webhooks API: /v0/bases/{baseId}/webhooks[/{webhookId}[/payloads|/refresh]]
+        if (segments[0] === 'bases') {
+            return segments[1] === this.baseId && segments[2] === 'webhooks'
+                ? this.routeWebhooks(request, segments[3], segments[4])
+                : this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+        }
+
+        // Meta API: /v0/meta/bases/{baseId}/tables
+        if (segments[0] === 'meta') {
+            if (segments[1] === 'bases' && segments[2] === this.baseId && segments[3] === 'tables' && request.method === 'GET') {
+                return this.jsonResponse(200, this.getBaseSchema());
+            }
+
+            return this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+        }
+
+        const [baseId, tableIdOrName, recordId] = segments;
+
+        if (baseId !== this.baseId) {
+            return this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+        }
+
+        const table = this.getTable(tableIdOrName);
+        if (!table) {
+            return this.errorResponse(404, 'TABLE_NOT_FOUND', `Could not find table ${tableIdOrName} in application ${baseId}`);
+        }
+
+        if (recordId) {
+            switch (request.method) {
+                case 'GET': return this.getRecordResponse(table, recordId);
+                case 'PATCH': return this.updateRecords(table, [{ id: recordId, fields: request.body?.fields }], request.body, false);
+                case 'PUT': return this.updateRecords(table, [{ id: recordId, fields: request.body?.fields }], request.body, true);
+                case 'DELETE': return this.deleteRecords(table, [recordId], false);
+            }
+        } else {
+            switch (request.method) {
+                case 'GET': return this.listRecords(table, request.parsed.searchParams);
+                case 'POST': return this.createRecords(table, request.body || {});
+                case 'PATCH': return this.updateRecords(table, request.body?.records, request.body, false, true);
+                case 'PUT': return this.updateRecords(table, request.body?.records, request.body, true, true);
+                case 'DELETE': return this.deleteRecords(table, request.parsed.searchParams.getAll('records[]'), true);
+            }
+        }
+
+        return this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+    }
+
+    /**
+     * Enforce the per-base request rate; returns a 429 response when exceeded
+     */
+    checkRateLimit() {
+        const { requestsPerSecond, penalty } = this.rateLimit;
+        if (!requestsPerSecond) {
+            return null;
+        }
+
+        const now = this.now();
+        const retryAfter = () => Math.max(1, Math.ceil((this.rateLimit.blockedUntil - now) / 1000));
+
+        if (now < this.rateLimit.blockedUntil) {
+            return this.errorResponse(429, 'RATE_LIMIT_REACHED', 'Rate limit exceeded. Please try again later',
+                { 'Retry-After': String(retryAfter()) });
+        }
+
+        this.rateLimit.window = this.rateLimit.window.filter(t => now - t < 1000);
+
+        if (this.rateLimit.window.length >= requestsPerSecond) {
+            this.rateLimit.blockedUntil = now + penalty;
+            return this.errorResponse(429, 'RATE_LIMIT_REACHED', 'Rate limit exceeded. Please try again later',
+                { 'Retry-After': String(retryAfter()) });
+        }
+
+        this.rateLimit.window.push(now);
+        return null;
+    }
+
+    /**
+     * Reset rate limit state (e.g. between test scenarios)
+     */
+    resetRateLimit() {
+        this.rateLimit.window = [];
+        this.rateLimit.blockedUntil = 0;
+    }
+
+    /**
+     * Meta API schema response
+     */
+    getBaseSchema() {
+        return {
+            id: this.baseId,
+            name: this.baseName,
+            tables: Array.from(this.tables.values()).map(table => ({
+                id: table.id,
+                name: table.name,
+                description: table.description,
+                primaryFieldId: table.primaryFieldId,
+                fields: JSON.parse(JSON.stringify(table.fields)),
+                views: table.views.map(view => ({ ...view }))
+            }))
+        };
+    }
+
+    /**
+     * GET a single record
+     */
+    getRecordResponse(table, recordId) {
+        const record = table.records.get(recordId);
+
+        if (!record) {
+            return this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+        }
+
+        return this.jsonResponse(200, this.serializeRecord(table, record));
+    }
+
+    /**
+     * GET list records with pagination, filtering, sorting and field selection
+     */
+    listRecords(table, params) {
+        if (params.get('view') && !table.views.some(v => v.id === params.get('view') || v.name === params.get('view'))) {
+            return this.errorResponse(422, 'VIEW_NAME_NOT_FOUND', `Could not find view ${params.get('view')}`);
+        }
+
+        const pageSize = Math.min(parseInt(params.get('pageSize')) || this.maxPageSize, this.maxPageSize);
+        const maxRecords = parseInt(params.get('maxRecords')) || null;
+        const formula = params.get('filterByFormula');
+
+        let records = Array.from(table.records.values());
+
+        if (formula) {
+            try {
+                const evaluator = new MockFormulaEvaluator(formula);
+                records = records.filter(record => MockFormulaEvaluator.isTruthy(evaluator.evaluate(record)));
+            } catch (error) {
+                return this.errorResponse(422, 'INVALID_FILTER_BY_FORMULA', `The formula for filtering records is invalid: ${error.message}`);
+            }
+        }
+
+        const sort = this.parseSort(params);
+        if (sort.length > 0) {
+            records.sort((a, b) => {
+                for (const { field, direction } of sort) {
+                    const av = a.fields[field];
+                    const bv = b.fields[field];
+                    if (av === bv) continue;
+                    const cmp = av === undefined ? -1 : bv === undefined ? 1 : (av < bv ? -1 : 1);
+                    return direction === 'desc' ? -cmp : cmp;
+                }
+                return 0;
+            });
+        }
+
+        if (maxRecords) {
+            records = records.slice(0, maxRecords);
+        }
+
+        // Offsets are only valid for the same query
+        const queryKey = JSON.stringify([formula, params.get('view'), params.get('sort'), maxRecords, pageSize]);
+        let position = 0;
+
+        if (params.get('offset')) {
+            const cursor = this.offsets.get(params.get('offset'));
+            if (!cursor || cursor.tableId !== table.id || cursor.queryKey !== queryKey) {
+                return this.errorResponse(422, 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE', 'Iterator not available');
+            }
+            position = cursor.position;
+            this.offsets.delete(params.get('offset'));
+        }
+
+        const page = records.slice(position, position + pageSize);
+        const fields = params.getAll('fields[]').length > 0
+            ? params.getAll('fields[]')
+            : (params.get('fields') ? params.get('fields').split(',') : null);
+
+        const response = {
+            records: page.map(record => this.serializeRecord(table, record, fields))
+        };
+
+        if (position + pageSize < records.length) {
+            const token = `itr${this.generateId('').slice(0, 14)}/${records[position + pageSize].id}`;
+            this.offsets.set(token, { tableId: table.id, queryKey, position: position + pageSize });
+            response.offset = token;
+        }
+
+        return this.jsonResponse(200, response);
+    }
+
+    /**
+     * Parse sort from JSON (`sort=[...]`) or bracket params (`sort[0][field]=...`)
+     */
+    parseSort(params) {
+        if (params.get('sort')) {
+            try {
+                return JSON.parse(params.get('sort'));
+            } catch (error) {
+                return [];
+            }
+        }
+
+        const sort = [];
+        for (let i = 0; params.get(`sort[${i}][field]`); i++) {
+            sort.push({ field: params.get(`sort[${i}][field]`), direction: params.get(`sort[${i}][direction]`) || 'asc' });
+        }
+        return sort;
+    }
+
+    /**
+     * POST create one record ({ fields }) or many ({ records: [{ fields }] })
+     */
+    createRecords(table, body) {
+        const batch = Array.isArray(body.records);
+        const inputs = batch ? body.records : [{ fields: body.fields }];
+
+        if (inputs.length > this.maxRecordsPerWrite) {
+            return this.errorResponse(422, 'INVALID_RECORDS', `You can create up to ${this.maxRecordsPerWrite} records per request`);
+        }
+
+        const prepared = [];
+        for (const input of inputs) {
+            const result = this.validateFields(table, input.fields || {}, body.typecast === true);
+            if (result.error) {
+                return result.error;
+            }
+            prepared.push(result.fields);
+        }
+
+        const created = prepared.map(fields => {
+            const timestamp = new Date(this.now()).toISOString();
+            const record = {
+                id: this.generateId('rec'),
+                createdTime: timestamp,
+                lastModifiedTime: timestamp,
+                fields: this.compactFields(fields)
+            };
+            table.records.set(record.id, record);
+            this.noteRecordChange(table, record, 'created');
+            this.updateInverseLinks(table, record);
+            return this.serializeRecord(table, record);
+        });
+
+        this.emitWebhookPayload('tableData', 'publicApi');
+        return this.jsonResponse(200, batch ? { records: created } : created[0]);
+    }
+
+    /**
+     * PATCH (merge) or PUT (replace) one or many records
+     */
+    updateRecords(table, inputs, body, replace, batch = false) {
+        if (!Array.isArray(inputs)) {
+            return this.errorResponse(422, 'INVALID_REQUEST_MISSING_FIELDS', 'Could not find field "records" in the request body');
+        }
+
+        if (inputs.length > this.maxRecordsPerWrite) {
+            return this.errorResponse(422, 'INVALID_RECORDS', `You can update up to ${this.maxRecordsPerWrite} records per request`);
+        }
+
+        const prepared = [];
+        for (const input of inputs) {
+            const record = table.records.get(input.id);
+            if (!record) {
+                return this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+            }
+
+            const result = this.validateFields(table, input.fields || {}, body?.typecast === true);
+            if (result.error) {
+                return result.error;
+            }
+            prepared.push({ record, fields: result.fields });
+        }
+
+        const updated = prepared.map(({ record, fields }) => {
+            const previous = record.fields;
+            record.fields = this.compactFields(replace ? fields : { ...record.fields, ...fields });
+            record.lastModifiedTime = new Date(this.now()).toISOString();
+            this.noteRecordChange(table, record, 'changed', previous);
+            this.updateInverseLinks(table, record, previous);
+            return this.serializeRecord(table, record);
+        });
+
+        this.emitWebhookPayload('tableData', 'publicApi');
+        return this.jsonResponse(200, batch ? { records: updated } : updated[0]);
+    }
+
+    /**
+     * DELETE one record or many (`records[]=recXXX`)
+     */
+    deleteRecords(table, recordIds, batch) {
+        if (recordIds.length > this.maxRecordsPerWrite) {
+            return this.errorResponse(422, 'INVALID_RECORDS', `You can delete up to ${this.maxRecordsPerWrite} records per request`);
+        }
+
+        if (recordIds.some(id => !table.records.has(id))) {
+            return this.errorResponse(404, 'NOT_FOUND', 'Could not find what you are looking for');
+        }
+
+        recordIds.forEach(id => {
+            this.noteRecordChange(table, table.records.get(id), 'destroyed');
+            table.records.delete(id);
+            this.unlinkRecord(id);
+        });
+        this.emitWebhookPayload('tableData', 'publicApi');
+        const deleted = recordIds.map(id => ({ id, deleted: true }));
+
+        return this.jsonResponse(200, batch ? { records: deleted } : deleted[0]);
+    }
+
+    /**
+     * Validate (and with typecast, coerce) cell values against the table schema
+     */
+    validateFields(table, fields, typecast) {
+        const validated = {};
+        const computed = ['formula', 'rollup', 'count', 'lookup', 'multipleLookupValues', 'autoNumber',
+            'createdTime', 'createdBy', 'lastModifiedTime', 'lastModifiedBy'];
+
+        for (const [name, rawValue] of Object.entries(fields)) {
+            const field = table.fields.find(f => f.name === name || f.id === name);
+
+            if (!field) {
+                return { error: this.errorResponse(422, 'UNKNOWN_FIELD_NAME', `Unknown field name: "${name}"`) };
+            }
+
+            if (computed.includes(field.type)) {
+                return { error: this.errorResponse(422, 'INVALID_VALUE_FOR_COLUMN', `Field "${field.name}" cannot accept a value because the field is computed`) };
+            }
+
+            const result = this.coerceValue(field, rawValue, typecast);
+            if (result.error) {
+                return { error: this.errorResponse(422, result.type || 'INVALID_VALUE_FOR_COLUMN', result.error) };
+            }
+
+            validated[field.name] = result.value;
+        }
+
+        return { fields: validated };
+    }
+
+    /**
+     * Coerce a single cell value; typecast creates select options and parses strings
+     */
+    coerceValue(field, value, typecast) {
+        if (value === null || value === undefined || value === '') {
+            return { value: null };
+        }
+
+        switch (field.type) {
+            case 'number':
+            case 'currency':
+            case 'percent':
+            case 'rating':
+            case 'duration': {
+                if (typeof value === 'number') return { value };
+                const parsed = Number(value);
+                if (typecast && !Number.isNaN(parsed)) return { value: parsed };
+                return { error: `Field "${field.name}" cannot accept the provided value` };
+            }
+
+            case 'checkbox':
+                if (typeof value === 'boolean') return { value };
+                if (typecast) return { value: value === 'true' || value === 1 || value === true };
+                return { error: `Field "${field.name}" cannot accept the provided value` };
+
+            case 'singleSelect':
+                return this.coerceSelectValues(field, [String(value)], typecast, v => v[0]);
+
+            case 'multipleSelects': {
+                const values = Array.isArray(value) ? value.map(String)
+                    : (typecast ? String(value).split(',').map(v => v.trim()) : null);
+                if (!values) return { error: `Field "${field.name}" cannot accept the provided value` };
+                return this.coerceSelectValues(field, values, typecast, v => v);
+            }
+
+            case 'multipleRecordLinks': {
+                const ids = Array.isArray(value) ? value : (typecast ? [value] : null);
+                if (!ids || ids.some(id => typeof id !== 'string' || !id.startsWith('rec'))) {
+                    return { error: `Value is not an array of record IDs` };
+                }
+
+                const linkedTable = this.tables.get(field.options?.linkedTableId);
+                const missing = linkedTable && ids.find(id => !linkedTable.records.has(id));
+                if (missing) {
+                    return { type: 'ROW_DOES_NOT_EXIST', error: `Record ID ${missing} does not exist` };
+                }
+
+                return { value: ids };
+            }
+
+            case 'multipleAttachments': {
+                if (!Array.isArray(value) || value.some(item => !item || (!item.id && !item.url))) {
+                    return { type: 'INVALID_ATTACHMENT_OBJECT', error: `Field "${field.name}" expects an array of attachment objects with an id or url` };
+                }
+
+                const attachments = [];
+
+                for (const item of value) {
+                    if (item.id && this.attachments.has(item.id)) {
+                        attachments.push({ id: item.id });
+                        continue;
+                    }
+
+                    const file = item.url && this.getFileForUrl(item.url);
+                    if (!file) {
+                        return { type: 'INVALID_ATTACHMENT_OBJECT', error: `Could not download attachment ${item.id || item.url}` };
+                    }
+
+                    attachments.push(this.createAttachment({ data: file.data, filename: item.filename, type: file.type }));
+                }
+
+                return { value: attachments };
+            }
+
+            default:
+                if (typeof value === 'object' && !Array.isArray(value) && !['barcode', 'singleCollaborator', 'button'].includes(field.type)) {
+                    return typecast ? { value: JSON.stringify(value) } : { error: `Field "${field.name}" cannot accept the provided value` };
+                }
+                return { value };
+        }
+    }
+
+    /**
+     * Check select values against choices, adding new choices when typecasting
+     */
+    coerceSelectValues(field, values, typecast, pick) {
+        field.options = field.options || {};
+        field.options.choices = field.options.choices || [];
+
+        for (const name of values) {
+            if (!field.options.choices.some(choice => choice.name === name)) {
+                if (!typecast) {
+                    return {
+                        type: 'INVALID_MULTIPLE_CHOICE_OPTIONS',
+                        error: `Insufficient permissions to create new select option ""${name}""`
+                    };
+                }
+
+                field.options.choices.push({ id: this.generateId('sel'), name, color: 'blueLight2' });
+            }
+        }
+
+        return { value: pick(values) };
+    }
+
+    /**
+     * Drop empty cells (Airtable omits them from responses)
+     */
+    compactFields(fields) {
+        const compact = {};
+
+        for (const [name, value] of Object.entries(fields)) {
+            if (value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+                compact[name] = value;
+            }
+        }
+
+        return compact;
+    }
+
+    /**
+     * Record as returned by the API, including computed timestamp fields
+     */
+    serializeRecord(table, record, onlyFields = null) {
+        const fields = JSON.parse(JSON.stringify(record.fields));
+
+        for (const field of table.fields) {
+            if (field.type === 'multipleAttachments' && Array.isArray(fields[field.name])) {
+                fields[field.name] = fields[field.name].map(attachment => this.serializeAttachment(attachment.id));
+            } else if (field.type === 'lastModifiedTime') {
+                fields[field.name] = record.lastModifiedTime;
+            } else if (field.type === 'createdTime') {
+                fields[field.name] = record.createdTime;
+            }
+        }
+
+        if (onlyFields) {
+            for (const name of Object.keys(fields)) {
+                if (!onlyFields.includes(name)) {
+                    delete fields[name];
+                }
+            }
+        }
+
+        return { id: record.id, createdTime: record.createdTime, fields };
+    }
+}
+
+/**
+ * Minimal Airtable formula evaluator for filterByFormula.
+ * Supports field references, string/number literals, comparison operators,
+ * `&` concatenation and a small set of functions (logic, text, dates).
+ */
+class MockFormulaEvaluator {
+    constructor(formula) {
+        this.tokens = this.tokenize(formula);
+        this.pos = 0;
+        this.ast = this.parseExpression();
+
+        if (this.pos < this.tokens.length) {
+            throw new Error(`Unexpected token "${this.tokens[this.pos].value}"`);
+        }
+    }
+
+    /**
+     * Evaluate the formula against a mock record
+     */
+    evaluate(record) {
+        return this.evaluateNode(this.ast, record);
+    }
+
+    /**
+     * Airtable truthiness for filter results
+     */
+    static isTruthy(value) {
+        return !(value === null || value === undefined || value === false || value === 0 || value === '' ||
+            (Array.isArray(value) && value.length === 0));
+    }
+
+    tokenize(formula) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < formula.length) {
+            const char = formula[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '{') {
+                const end = formula.indexOf('}', i);
+                if (end === -1) throw new Error('Unterminated field reference');
+                tokens.push({ type: 'field', value: formula.slice(i + 1, end) });
+                i = end + 1;
+            } else if (char === '"' || char === "'") {
+                let end = i + 1;
+                let value = '';
+                while (end < formula.length && formula[end] !== char) {
+                    if (formula[end] === '\\' && end + 1 < formula.length) end++;
+                    value += formula[end++];
+                }
+                if (end >= formula.length) throw new Error('Unterminated string');
+                tokens.push({ type: 'string', value });
+                i = end + 1;
+            } else if (/[0-9.]/.test(char)) {
+                const match = formula.slice(i).match(/^[0-9]*\.?[0-9]+/);
+                tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                i += match[0].length;
+            } else if (/[A-Za-z_]/.test(char)) {
+                const match = formula.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+                tokens.push({ type: 'name', value: match[0].toUpperCase() });
+                i += match[0].length;
+            } else {
+                const op = ['!=', '<=', '>='].find(o => formula.startsWith(o, i)) || char;
+                if (!['=', '!=', '<', '>', '<=', '>=', '&', '+', '-', '*', '/', '(', ')', ','].includes(op)) {
+                    throw new Error(`Unexpected character "${char}"`);
+                }
+                tokens.push({ type: 'op', value: op });
+                i += op.length;
+            }
+        }
+
+        return tokens;
+    }
+
+    peek(value) {
+        const token = this.tokens[this.pos];
+        return token && token.type === 'op' && token.value === value;
+    }
+
+    expect(value) {
+        if (!this.peek(value)) {
+            throw new Error(`Expected "${value}"`);
+        }
+        this.pos++;
+    }
+
+    parseExpression() {
+        let left = this.parseConcat();
+
+        while (['=', '!=', '<', '>', '<=', '>='].some(op => this.peek(op))) {
+            const op = this.tokens[this.pos++].value;
+            left = { type: 'binary', op, left, right: this.parseConcat() };
+        }
+
+        return left;
+    }
+
+    parseConcat() {
+        let left = this.parseAdditive();
+
+        while (this.peek('&')) {
+            this.pos++;
+            left = { type: 'binary', op: '&', left, right: this.parseAdditive() };
+        }
+
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+
+        while (this.peek('+') || this.peek('-')) {
+            const op = this.tokens[this.pos++].value;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parsePrimary();
+
+        while (this.peek('*') || this.peek('/')) {
+            const op = this.tokens[this.pos++].value;
+            left = { type: 'binary', op, left, right: this.parsePrimary() };
+        }
+
+        return left;
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.pos++];
+
+        if (!token) {
+            throw new Error('Unexpected end of formula');
+        }
+
+        if (token.type === 'field' || token.type === 'string' || token.type === 'number') {
+            return token;
+        }
+
+        if (token.type === 'op' && token.value === '(') {
+            const inner = this.parseExpression();
+            this.expect(')');
+            return inner;
+        }
+
+        if (token.type === 'op' && token.value === '-') {
+            return { type: 'binary', op: '-', left: { type: 'number', value: 0 }, right: this.parsePrimary() };
+        }
+
+        if (token.type === 'name') {
+            this.expect('(');
+            const args = [];
+            while (!this.peek(')')) {
+                args.push(this.parseExpression());
+                if (!this.peek(',')) break;
+                this.pos++;
+            }
+            this.expect(')');
+            return { type: 'call', name: token.value, args };
+        }
+
+        throw new Error(`Unexpected token "${token.value}"`);
+    }
+
+    evaluateNode(node, record) {
+        switch (node.type) {
+            case 'field':
+                return record.fields[node.value] ?? null;
+            case 'string':
+            case 'number':
+                return node.value;
+            case 'binary':
+                return this.evaluateBinary(node.op, this.evaluateNode(node.left, record), this.evaluateNode(node.right, record));
+            case 'call':
+                return this.evaluateCall(node, record);
+        }
+    }
+
+    evaluateBinary(op, left, right) {
+        switch (op) {
+            case '&': return `${left ?? ''}${right ?? ''}`;
+            case '+': return (Number(left) || 0) + (Number(right) || 0);
+            case '-': return (Number(left) || 0) - (Number(right) || 0);
+            case '*': return (Number(left) || 0) * (Number(right) || 0);
+            case '/': return Number(right) ? (Number(left) || 0) / Number(right) : null;
+            case '=': return (left ?? '') == (right ?? '');
+            case '!=': return (left ?? '') != (right ?? '');
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+        }
+    }
+
+    evaluateCall(node, record) {
+        const arg = (i) => this.evaluateNode(node.args[i], record);
+        const all = () => node.args.map((_, i) => arg(i));
+        const time = (value) => value === null || value === undefined ? NaN : new Date(value).getTime();
+
+        switch (node.name) {
+            case 'AND': return all().every(MockFormulaEvaluator.isTruthy);
+            case 'OR': return all().some(MockFormulaEvaluator.isTruthy);
+            case 'NOT': return !MockFormulaEvaluator.isTruthy(arg(0));
+            case 'IF': return MockFormulaEvaluator.isTruthy(arg(0)) ? arg(1) : (node.args[2] ? arg(2) : null);
+            case 'TRUE': return true;
+            case 'FALSE': return false;
+            case 'BLANK': return null;
+            case 'RECORD_ID': return record.id;
+            case 'CREATED_TIME': return record.createdTime;
+            case 'LAST_MODIFIED_TIME': return record.lastModifiedTime;
+            case 'NOW': return new Date().toISOString();
+            case 'DATETIME_PARSE': return new Date(arg(0)).toISOString();
+            case 'IS_AFTER': return time(arg(0)) > time(arg(1));
+            case 'IS_BEFORE': return time(arg(0)) < time(arg(1));
+            case 'IS_SAME': return time(arg(0)) === time(arg(1));
+            case 'LOWER': return String(arg(0) ?? '').toLowerCase();
+            case 'UPPER': return String(arg(0) ?? '').toUpperCase();
+            case 'LEN': return String(arg(0) ?? '').length;
+            case 'FIND': {
+                const index = String(arg(1) ?? '').indexOf(String(arg(0) ?? ''));
+                return index + 1;
+            }
+            case 'SEARCH': {
+                const index = String(arg(1) ?? '').toLowerCase().indexOf(String(arg(0) ?? '').toLowerCase());
+                return index === -1 ? null : index + 1;
+            }
+            case 'CONCATENATE': return all().map(v => v ?? '').join('');
+            default:
+                throw new Error(`Unknown function ${node.name}`);
+        }
+    }
+}
+
+/**
+ * Mock Xano activity API
+ */
+class MockXanoServer extends MockService {
+    constructor(config = {}) {
+        super(config);
+
+        this.baseUrl = config.baseUrl || 'https://mock.xano.io/api:mock';
+        this.authToken = config.authToken || null;
+
+        // Same defaults as XanoIntegration
+        this.endpoints = {
+            activity: config.activityEndpoint || '/activity',
+            snapshot: config.snapshotEndpoint || '/activity/snapshot',
+            timeline: config.timelineEndpoint || '/activity/timeline'
+        };
+
+        this.activities = []; // stored in insertion order
+    }
+
+    /**
+     * Serve the configured Xano base URL
+     */
+    handles(url) {
+        return url.startsWith(this.baseUrl);
+    }
+
+    /**
+     * Route a Xano request
+     */
+    async route(request) {
+        if (this.authToken && request.headers['authorization'] !== `Bearer ${this.authToken}`) {
+            return this.errorResponse(401, 'ERROR_CODE_UNAUTHORIZED', 'Unauthorized');
+        }
+
+        const basePath = new URL(this.baseUrl).pathname.replace(/\/$/, '');
+        const path = request.parsed.pathname.slice(basePath.length) || '/';
+        const params = request.parsed.searchParams;
+
+        if (path === this.endpoints.snapshot && request.method === 'GET') {
+            return this.getSnapshot(params);
+        }
+
+        if (path === this.endpoints.timeline && request.method === 'GET') {
+            return this.getTimeline(params);
+        }
+
+        if (path === this.endpoints.activity) {
+            if (request.method === 'GET') {
+                return this.listActivities(params);
+            }
+
+            if (request.method === 'PUT' || request.method === 'POST') {
+                return this.storeActivities(request.body);
+            }
+        }
+
+        return this.errorResponse(404, 'ERROR_CODE_NOT_FOUND', 'Unable to locate request');
+    }
+
+    /**
+     * Store one activity or a batch ({ activities: [...] }), idempotent by activity_id
+     */
+    storeActivities(body) {
+        if (!body) {
+            return this.errorResponse(400, 'ERROR_CODE_BAD_REQUEST', 'Missing request body');
+        }
+
+        const incoming = Array.isArray(body.activities) ? body.activities : [body];
+        let inserted = 0;
+
+        for (const activity of incoming) {
+            if (!activity.activity_id || this.activities.some(a => a.activity_id === activity.activity_id)) {
+                continue;
+            }
+
+            this.activities.push({
+                ...JSON.parse(JSON.stringify(activity)),
+                timestamp: activity.timestamp || new Date(this.now()).toISOString(),
+                received_at: new Date(this.now()).toISOString()
+            });
+            inserted++;
+        }
+
+        return this.jsonResponse(200, { success: true, received: incoming.length, inserted });
+    }
+
+    /**
+     * GET activity history, newest first
+     */
+    listActivities(params) {
+        const filtered = this.filterActivities(params)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+        const offset = parseInt(params.get('offset')) || 0;
+        const limit = parseInt(params.get('limit')) || filtered.length;
+
+        return this.jsonResponse(200, {
+            items: filtered.slice(offset, offset + limit),
+            total: filtered.length,
+            offset,
+            limit
+        });
+    }
+
+    /**
+     * GET entity state at a timestamp (latest `after` at or before it)
+     */
+    getSnapshot(params) {
+        const entityId = params.get('entity_id');
+        const timestamp = params.get('timestamp');
+
+        if (!entityId || !timestamp) {
+            return this.errorResponse(400, 'ERROR_CODE_BAD_REQUEST', 'entity_id and timestamp are required');
+        }
+
+        const target = new Date(timestamp).getTime();
+        const activity = this.activities
+            .filter(a => a.entity_id === entityId && a.after && new Date(a.timestamp).getTime() <= target)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0];
+
+        if (!activity) {
+            return this.errorResponse(404, 'ERROR_CODE_NOT_FOUND', `No snapshot for ${entityId} at ${timestamp}`);
+        }
+
+        return this.jsonResponse(200, {
+            entity_id: entityId,
+            timestamp: activity.timestamp,
+            activity_id: activity.activity_id,
+            data: activity.after
+        });
+    }
+
+    /**
+     * GET chronological timeline for an entity
+     */
+    getTimeline(params) {
+        if (!params.get('entity_id')) {
+            return this.errorResponse(400, 'ERROR_CODE_BAD_REQUEST', 'entity_id is required');
+        }
+
+        const items = this.filterActivities(params)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        return this.jsonResponse(200, { items, total: items.length });
+    }
+
+    /**
+     * Apply the query filters supported by XanoIntegration.getHistory
+     */
+    filterActivities(params) {
+        const equals = {
+            entity_type: params.get('entity_type'),
+            entity_id: params.get('entity_id'),
+            user_id: params.get('user_id'),
+            action: params.get('action')
+        };
+        const start = params.get('start_date') ? new Date(params.get('start_date')).getTime() : null;
+        const end = params.get('end_date') ? new Date(params.get('end_date')).getTime() : null;
+        const receivedSince = params.get('received_since') ? new Date(params.get('received_since')).getTime() : null;
+
+        return this.activities.filter(activity => {
+            for (const [key, value] of Object.entries(equals)) {
+                if (value && activity[key] !== value) return false;
+            }
+
+            const time = new Date(activity.timestamp).getTime();
+            if (start !== null && time < start) return false;
+            if (end !== null && time > end) return false;
+            if (receivedSince !== null && new Date(activity.received_at).getTime() < receivedSince) return false;
+
+            return true;
+        });
+    }
+
+    /**
+     * Get stored activities, optionally filtered by entity id and/or action
+     */
+    getActivities(filter = {}) {
+        return this.activities.filter(a =>
+            (!filter.entityId || a.entity_id === filter.entityId) &&
+            (!filter.action || a.action === filter.action)
+        );
+    }
+}
+
+/**
+ * Mock generic REST/JSON API (for RestConnector)
+ *
+ * Collections of JSON rows with limit/offset paging:
+ *   GET    /{collection}?limit=&offset=&updated_since=   → { items: [...] }
+ *   POST   /{collection}                                 → row
+ *   PATCH  /{collection}/{id}                            → row
+ *   DELETE /{collection}/{id}                            → 204
+ */
+class MockRestServer extends MockService {
+    constructor(config = {}) {
+        super(config);
+
+        this.baseUrl = config.baseUrl || 'https://mock.rest.local/api';
+        this.authToken = config.authToken || null;
+        this.idField = config.idField || 'id';
+        this.updatedField = config.updatedField || 'updated_at';
+
+        this.collections = new Map(); // name -> rows in insertion order
+        this.nextId = 1;
+    }
+
+    /**
+     * Serve the configured base URL
+     */
+    handles(url) {
+        return url.startsWith(this.baseUrl);
+    }
+
+    /**
+     * Insert rows directly (bypassing the API)
+     */
+    seedRows(collection, rows = []) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, []);
+        }
+
+        return rows.map(row => this.insertRow(collection, row));
+    }
+
+    /**
+     * Edit a row directly, as another client would
+     */
+    editRow(collection, id, changes) {
+        const row = this.getRow(collection, id);
+        Object.assign(row, changes, { [this.updatedField]: new Date(this.now()).toISOString() });
+        return row;
+    }
+
+    /**
+     * Get rows of a collection
+     */
+    getRows(collection) {
+        return this.collections.get(collection) || [];
+    }
+
+    /**
+     * Get a row by id
+     */
+    getRow(collection, id) {
+        return this.getRows(collection).find(row => String(row[this.idField]) === String(id)) || null;
+    }
+
+    /**
+     * Route a REST request
+     */
+    async route(request) {
+        if (this.authToken && request.headers['authorization'] !== `Bearer ${this.authToken}`) {
+            return this.errorResponse(401, 'UNAUTHORIZED', 'Unauthorized');
+        }
+
+        const basePath = new URL(this.baseUrl).pathname.replace(/\/$/, '');
+        const [collection, id] = request.parsed.pathname.slice(basePath.length).split('/').filter(Boolean).map(decodeURIComponent);
+
+        if (!collection || !this.collections.has(collection)) {
+            return this.errorResponse(404, 'NOT_FOUND', `Unknown collection: ${collection}`);
+        }
+
+        if (!id && request.method === 'GET') {
+            return this.listRows(collection, request.parsed.searchParams);
+        }
+
+        if (!id && request.method === 'POST') {
+            return this.jsonResponse(201, this.insertRow(collection, request.body || {}));
+        }
+
+        const row = id ? this.getRow(collection, id) : null;
+        if (!row) {
+            return this.errorResponse(404, 'NOT_FOUND', `Row not found: ${id}`);
+        }
+
+        if (request.method === 'GET') {
+            return this.jsonResponse(200, row);
+        }
+
+        if (request.method === 'PATCH' || request.method === 'PUT') {
+            const { [this.idField]: ignored, ...changes } = request.body || {};
+            return this.jsonResponse(200, this.editRow(collection, id, changes));
+        }
+
+        if (request.method === 'DELETE') {
+            this.collections.set(collection, this.getRows(collection).filter(r => r !== row));
+            return new Response(null, { status: 204 });
+        }
+
+        return this.errorResponse(405, 'METHOD_NOT_ALLOWED', `${request.method} not allowed`);
+    }
+
+    /**
+     * List rows with limit/offset paging and an optional updated_since filter
+     */
+    listRows(collection, params) {
+        let rows = this.getRows(collection);
+
+        if (params.get('updated_since')) {
+            const since = new Date(params.get('updated_since')).getTime();
+            rows = rows.filter(row => new Date(row[this.updatedField]).getTime() > since);
+        }
+
+        const offset = parseInt(params.get('offset')) || 0;
+        const limit = parseInt(params.get('limit')) || 100;
+
+        return this.jsonResponse(200, { items: rows.slice(offset, offset + limit), total: rows.length });
+    }
+
+    /**
+     * Insert a row, assigning id and timestamp
+     */
+    insertRow(collection, row) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, []);
+        }
+
+        const stored = {
+            [this.idField]: row[this.idField] || String(this.nextId++),
+            ...row,
+            [this.updatedField]: new Date(this.now()).toISOString()
+        };
+
+        this.collections.get(collection).push(stored);
+        return stored;
+    }
+}
+
+/**
+ * Combine mock services into one fetch function that routes by URL
+ */
+function createMockFetch(...services) {
+    return async (url, options = {}) => {
+        const service = services.find(s => s.handles(String(url)));
+
+        if (!service) {
+            throw new TypeError(`fetch failed: no mock service for ${url}`);
+        }
+
+        return service.fetch(String(url), options);
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MockService,
+        MockAirtableServer,
+        MockFormulaEvaluator,
+        MockXanoServer,
+        MockRestServer,
+        createMockFetch
+    };
+}
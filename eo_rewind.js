@@ -3,9 +3,15 @@
  *
  * Provides time-travel functionality using Xano activity history:
  * - Rewind to previous states
+ * - Rewind a whole set, or records with their linked records, as one undoable batch
  * - Preview changes before applying
  * - Rollback with validation
  * - Timeline visualization
+ * - Offline snapshots, timelines and comparisons from a local projection of the activity
+ *   log (eo_activity_projector.js), and cross-checks of the server's snapshots
+ * - What-if branches forked from a timestamp (eo_rewind_branches.js)
+ * - Schema-aware restores: historical values are mapped onto the current schema, or the
+ *   workbench schema is restored too (eo_schema_history.js)
  */
 
 class RewindEngine {
@@ -20,12 +26,29 @@ class RewindEngine {
             previewMode: false,
             currentSnapshot: null,
             targetSnapshot: null,
+            plan: null, // Previewed batch rewind plan
             timeline: []
         };
 
         // Preview cache
         this.previewCache = new Map(); // timestamp -> preview data
 
+        // Local projection of the activity log
+        this.projector = config.projector || (typeof ActivityProjector !== 'undefined'
+            ? new ActivityProjector({ storage: config.projectionStorage || null })
+            : null);
+        this.schemaHistory = config.schemaHistory || (typeof SchemaHistory !== 'undefined'
+            ? new SchemaHistory({ storage: config.schemaStorage || null, converters: config.schemaConverters })
+            : null);
+        this.snapshotSource = config.snapshotSource || 'auto'; // 'auto' (server, local when unreachable) | 'server' | 'local'
+        this.projectionReady = Promise.resolve();
+        this.replayLogging = Promise.resolve(); // Activity of the last batch rewind undo/redo
+
+        // What-if branches
+        this.branches = config.branches || (typeof BranchManager !== 'undefined'
+            ? new BranchManager({ rewind: this, storage: config.branchStorage || null })
+            : null);
+
         // Listeners
         this.listeners = {
             rewindStart: [],
@@ -45,6 +68,24 @@ class RewindEngine {
             throw new Error('Xano integration is required for rewind functionality');
         }
 
+        if (this.projector) {
+            this.projectionReady = this.projector.restore();
+        }
+
+        if (this.schemaHistory) {
+            this.projectionReady = Promise.all([this.projectionReady, this.schemaHistory.restore()]);
+        }
+
+        if (this.branches) {
+            this.branches.restore();
+        }
+
+        // Undoing/redoing a batch rewind through the change tracker is logged as one activity too
+        if (this.changeTracker) {
+            this.changeTracker.on('undo', entry => this.logBatchReplay(entry, 'undo'));
+            this.changeTracker.on('redo', entry => this.logBatchReplay(entry, 'redo'));
+        }
+
         console.log('✓ Rewind Engine initialized');
     }
 
@@ -55,7 +96,13 @@ class RewindEngine {
         console.log(`📅 Loading timeline for ${entityId}...`);
 
         try {
-            const timeline = await this.xano.getTimeline(entityId, options);
+            const timeline = await this.withFallback(
+                () => this.xano.getTimeline(entityId, options),
+                async () => {
+                    await this.refreshProjection(entityId, { fromServer: false });
+                    return this.projector.getTimeline(entityId, options);
+                }
+            );
 
             this.rewindState.timeline = timeline;
 
@@ -82,8 +129,8 @@ class RewindEngine {
         }
 
         try {
-            // Get snapshot from Xano
-            const snapshot = await this.xano.getSnapshot(entityId, timestamp);
+            // Get snapshot from Xano (or the local projection)
+            const snapshot = await this.getSnapshot(entityId, timestamp);
 
             if (!snapshot || !snapshot.data) {
                 console.warn('No snapshot found at this time');
@@ -91,17 +138,21 @@ class RewindEngine {
             }
 
             // Get activity history up to this point
-            const history = await this.xano.getHistory({
-                entityId,
+            const history = await this.getEntityHistory(entityId, {
                 endDate: timestamp,
                 limit: 10
             });
 
+            // The same values in the current schema (renamed fields, converted types)
+            const tableId = snapshot.table_id || this.projector?.getEntityAt(entityId)?.tableId || null;
+
             const preview = {
                 entityId,
                 timestamp,
                 data: snapshot.data,
-                activity: history.items?.[0] || null,
+                schema: this.mapToCurrentSchema({ tableId, timestamp: snapshot.timestamp || timestamp, data: snapshot.data }),
+                source: snapshot.source,
+                activity: history[0] || null,
                 canRewind: true,
                 nextStates: await this.getNextStates(entityId, timestamp),
                 previousStates: await this.getPreviousStates(entityId, timestamp)
@@ -126,26 +177,24 @@ class RewindEngine {
      * Get next states in timeline
      */
     async getNextStates(entityId, currentTimestamp, limit = 5) {
-        const history = await this.xano.getHistory({
-            entityId,
+        const history = await this.getEntityHistory(entityId, {
             startDate: currentTimestamp,
             limit: limit + 1 // +1 to exclude current
         });
 
-        return (history.items || []).slice(1); // Skip current
+        return history.slice(1); // Skip current
     }
 
     /**
      * Get previous states in timeline
      */
     async getPreviousStates(entityId, currentTimestamp, limit = 5) {
-        const history = await this.xano.getHistory({
-            entityId,
+        const history = await this.getEntityHistory(entityId, {
             endDate: currentTimestamp,
             limit: limit + 1 // +1 to exclude current
         });
 
-        return (history.items || []).slice(1); // Skip current
+        return history.slice(1); // Skip current
     }
 
     /**
@@ -163,11 +212,7 @@ class RewindEngine {
 
         try {
             // Get target state
-            const targetState = await this.xano.rewind(entityId, targetTimestamp);
-
-            if (!targetState || !targetState.snapshot) {
-                throw new Error('Target state not found');
-            }
+            const targetState = await this.getRewindTarget(entityId, targetTimestamp);
 
             // Validate rewind if requested
             if (options.validate) {
@@ -207,8 +252,9 @@ class RewindEngine {
                 this.changeTracker.trackChange({
                     entityType: 'record',
                     entityId,
+                    tableId: targetState.tableId,
                     action: 'rewind',
-                    before: currentState,
+                    before: currentState?.data ?? null,
                     after: targetState.snapshot,
                     timestamp: targetTimestamp
                 });
@@ -229,6 +275,556 @@ class RewindEngine {
         }
     }
 
+    /**
+     * Get the state to rewind to: { snapshot, activity, timestamp, entityId, source }
+     */
+    async getRewindTarget(entityId, targetTimestamp) {
+        const snapshot = await this.getSnapshot(entityId, targetTimestamp);
+
+        if (!snapshot || !snapshot.data) {
+            throw new Error(`No snapshot found for ${entityId} at ${targetTimestamp}`);
+        }
+
+        // Activity that led to this state
+        const [activity] = await this.getEntityHistory(entityId, { endDate: targetTimestamp, limit: 1 });
+
+        // Values written before later schema changes are mapped onto the current schema
+        const current = await this.captureCurrentState(entityId);
+        const tableId = snapshot.table_id || current?.tableId || null;
+        const schema = this.mapToCurrentSchema({ tableId, timestamp: snapshot.timestamp || targetTimestamp, data: snapshot.data },
+            { current: current?.data });
+
+        return {
+            snapshot: schema.data,
+            original: snapshot.data,
+            schema,
+            activity: activity || null,
+            timestamp: targetTimestamp,
+            entityId,
+            tableId,
+            source: snapshot.source
+        };
+    }
+
+    /**
+     * Rewind a whole set (table) to a point in time as one batch
+     * @param {Object} options - { preview, validate } (see applyRewindPlan)
+     */
+    async rewindSet(tableId, targetTimestamp, options = {}) {
+        return this.rewindSelection({ tableId }, targetTimestamp, options);
+    }
+
+    /**
+     * Rewind several records (optionally with the records they link to) as one batch
+     * @param {Object} options - { includeLinked, linkDepth, preview, validate }
+     */
+    async rewindEntities(entityIds, targetTimestamp, options = {}) {
+        const { includeLinked, linkDepth, ...applyOptions } = options;
+        return this.rewindSelection({ entityIds, includeLinked, linkDepth }, targetTimestamp, applyOptions);
+    }
+
+    /**
+     * Plan a batch rewind, then preview it (options.preview) or apply it
+     * @param {Object} options - { preview, validate, schema } (see planRewind and applyRewindPlan)
+     */
+    async rewindSelection(selection, targetTimestamp, options = {}) {
+        const plan = await this.planRewind(selection, targetTimestamp, { schema: options.schema });
+
+        if (options.preview) {
+            this.rewindState.previewMode = true;
+            this.rewindState.plan = plan;
+
+            console.log(`✓ Preview mode: ${plan.summary.changed} of ${plan.entities.length} records would change`);
+
+            return { preview: true, plan };
+        }
+
+        return this.applyRewindPlan(plan, options);
+    }
+
+    /**
+     * Plan a rewind of several records to a point in time from the local projection
+     * (refreshed from Xano when reachable). Every record gets an action: 'update',
+     * 'restore' (deleted since), 'delete' (created since, or deleted by then) or 'unchanged'.
+     * @param {Object} selection - { tableId } for a whole set and/or { entityIds, includeLinked, linkDepth }
+     * @param {Object} options - { schema: 'map' (default: values are mapped onto the current schema) |
+     *   'restore' (whole sets only: the set's workbench fields and views are restored too) }
+     * @returns {Object} { id, label, targetTimestamp, createdAt, selection, tableIds, entities, summary, schema }
+     */
+    async planRewind(selection, targetTimestamp, options = {}) {
+        if (!selection?.tableId && !selection?.entityIds?.length) {
+            throw new Error('Select a set (tableId) or entityIds to rewind');
+        }
+
+        const restoreSchema = options.schema === 'restore';
+        if (restoreSchema && !selection.tableId) {
+            throw new Error('Restoring the schema requires a whole-set rewind (tableId)');
+        }
+
+        if (new Date(targetTimestamp).getTime() > Date.now()) {
+            throw new Error('Cannot rewind to future state');
+        }
+
+        await this.refreshProjection(null);
+
+        const selected = new Set(selection.entityIds || []);
+        if (selection.tableId) {
+            for (const set of [this.projector.getSetAt(selection.tableId), this.projector.getSetAt(selection.tableId, targetTimestamp)]) {
+                [...set.records, ...set.deleted].forEach(state => selected.add(state.entityId));
+            }
+        }
+
+        const linked = selection.includeLinked
+            ? this.findLinkedEntities(selected, targetTimestamp, selection.linkDepth ?? 1)
+            : new Set();
+
+        // Restored schema changes of the set are not mapped: the records go back to that schema
+        const restored = restoreSchema && this.schemaHistory
+            ? change => change.setId === selection.tableId && this.schemaHistory.isRestorable(change)
+            : null;
+
+        const entities = [...selected, ...linked].map(entityId => {
+            const current = this.projector.getEntityAt(entityId);
+            const target = this.projector.getEntityAt(entityId, targetTimestamp);
+            const before = this.mapToCurrentSchema(current).data;
+            const schema = this.mapToCurrentSchema(target, { current: before, skip: restored });
+            const after = schema.data;
+            const differences = this.findDifferences(before, after);
+
+            return {
+                entityId,
+                tableId: target?.tableId || current?.tableId || null,
+                action: !before && !after ? 'unchanged'
+                    : !after ? 'delete'
+                        : !before ? 'restore'
+                            : differences.length > 0 ? 'update' : 'unchanged',
+                linked: linked.has(entityId),
+                before,
+                after,
+                differences,
+                schemaWarnings: schema.warnings
+            };
+        });
+
+        const summary = { update: 0, restore: 0, delete: 0, unchanged: 0 };
+        entities.forEach(entity => summary[entity.action]++);
+        summary.changed = entities.length - summary.unchanged;
+
+        return {
+            id: `rwd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            label: selection.tableId
+                ? `Rewind set ${selection.tableId} to ${targetTimestamp}`
+                : `Rewind ${entities.length} records to ${targetTimestamp}`,
+            targetTimestamp,
+            createdAt: new Date().toISOString(),
+            selection,
+            tableIds: [...new Set(entities.map(entity => entity.tableId).filter(Boolean))],
+            entities,
+            summary,
+            schema: {
+                mode: restoreSchema ? 'restore' : 'map',
+                changes: restoreSchema && this.schemaHistory ? this.schemaHistory.planRestore(selection.tableId, targetTimestamp) : [],
+                warnings: entities.flatMap(entity => entity.schemaWarnings.map(warning => ({ entityId: entity.entityId, ...warning })))
+            }
+        };
+    }
+
+    /**
+     * Records referenced from the given records' current or target data (link fields hold record
+     * ids, or objects with an id), followed depth levels deep. Only records with history count.
+     */
+    findLinkedEntities(entityIds, targetTimestamp, depth = 1) {
+        const found = new Set();
+        let frontier = [...entityIds];
+
+        for (let level = 0; level < depth && frontier.length > 0; level++) {
+            const next = [];
+
+            for (const entityId of frontier) {
+                const states = [this.projector.getEntityAt(entityId), this.projector.getEntityAt(entityId, targetTimestamp)];
+
+                for (const value of states.flatMap(state => Object.values(state?.data || {}))) {
+                    for (const ref of [].concat(value)) {
+                        const id = typeof ref === 'string' ? ref : ref?.id;
+
+                        if (typeof id === 'string' && this.projector.byEntity.has(id) && !entityIds.has(id) && !found.has(id)) {
+                            found.add(id);
+                            next.push(id);
+                        }
+                    }
+                }
+            }
+
+            frontier = next;
+        }
+
+        return found;
+    }
+
+    /**
+     * Apply a rewind plan as one batch: every changed record is written through the change
+     * tracker's 'record' applier inside one transaction (a single undo step), and one 'rewind'
+     * activity lists them all. Fails without writing anything if a record changed since planning.
+     * @param {Object} options - { validate: refuse records with unsaved changes }
+     */
+    async applyRewindPlan(plan = this.rewindState.plan, options = {}) {
+        if (!plan) {
+            throw new Error('No rewind plan to apply');
+        }
+
+        if (this.rewindState.isRewinding) {
+            throw new Error('Rewind already in progress');
+        }
+
+        if (!this.changeTracker?.appliers.has('record')) {
+            throw new Error("Applying a batch rewind requires a ChangeTracker with a 'record' applier");
+        }
+
+        const entities = plan.entities.filter(entity => entity.action !== 'unchanged');
+
+        this.rewindState.isRewinding = true;
+        this.emit('rewindStart', { rewindId: plan.id, targetTimestamp: plan.targetTimestamp, entityIds: entities.map(e => e.entityId) });
+
+        console.log(`⏪ ${plan.label} (${entities.length} records)...`);
+
+        try {
+            // The plan must still describe the current state
+            await this.refreshProjection(null);
+            const stale = entities.filter(entity => {
+                const current = this.mapToCurrentSchema(this.projector.getEntityAt(entity.entityId)).data;
+                return JSON.stringify(current) !== JSON.stringify(entity.before);
+            });
+
+            if (stale.length > 0) {
+                throw new Error(`Rewind plan is out of date: ${stale.map(e => e.entityId).join(', ')} changed since it was planned`);
+            }
+
+            if (options.validate) {
+                const dirty = entities.filter(entity => this.changeTracker.isDirty(entity.entityId));
+                if (dirty.length > 0) {
+                    throw new Error(`Rewind validation failed: ${dirty.map(e => e.entityId).join(', ')} have unsaved changes`);
+                }
+            }
+
+            await this.writeBatch({
+                id: plan.id,
+                action: 'rewind',
+                label: plan.label,
+                entities,
+                schema: plan.schema?.changes || [],
+                metadata: { targetTimestamp: plan.targetTimestamp, selection: plan.selection, schemaMode: plan.schema?.mode || 'map' }
+            });
+
+            this.rewindState.previewMode = false;
+            this.rewindState.plan = null;
+
+            const result = {
+                rewindId: plan.id,
+                targetTimestamp: plan.targetTimestamp,
+                applied: true,
+                summary: plan.summary,
+                entities: entities.map(({ entityId, tableId, action }) => ({ entityId, tableId, action }))
+            };
+
+            this.emit('rewindComplete', { rewindId: plan.id, plan, result });
+
+            console.log('✓ Batch rewind complete');
+
+            return result;
+        } catch (error) {
+            console.error('Batch rewind failed:', error);
+            this.emit('rewindCancel', { rewindId: plan.id, error });
+            throw error;
+        } finally {
+            this.rewindState.isRewinding = false;
+        }
+    }
+
+    /**
+     * Write records as one batch: each { entityId, tableId, before, after } goes through the change
+     * tracker's 'record' applier inside one transaction (a single undo step), and one activity with
+     * the batch action lists them all. Schema changes (field / view definitions) are applied first
+     * through their appliers and logged as usual.
+     * @param {Object} batch - { id, action, label, entities, schema, metadata }
+     */
+    async writeBatch(batch) {
+        const applier = this.changeTracker?.appliers.get('record');
+        if (!applier) {
+            throw new Error("Writing a batch requires a ChangeTracker with a 'record' applier");
+        }
+
+        const missing = (batch.schema || []).find(change => !this.changeTracker.appliers.has(change.entityType));
+        if (missing) {
+            throw new Error(`Restoring the schema requires a ChangeTracker with a '${missing.entityType}' applier`);
+        }
+
+        await this.changeTracker.transaction(batch.label, async () => {
+            for (const change of batch.schema || []) {
+                await this.changeTracker.appliers.get(change.entityType)(change, change.after, 'redo');
+                this.changeTracker.trackChange({
+                    ...change,
+                    metadata: { ...change.metadata, batchId: batch.id, batchAction: batch.action }
+                });
+            }
+
+            for (const entity of batch.entities) {
+                const change = {
+                    entityType: 'record',
+                    entityId: entity.entityId,
+                    tableId: entity.tableId,
+                    action: entity.after ? batch.action : 'delete',
+                    before: entity.before,
+                    after: entity.after,
+                    metadata: { batchId: batch.id, batchAction: batch.action }
+                };
+
+                await applier(change, entity.after, 'redo');
+                this.changeTracker.trackChange({ ...change, logActivity: false });
+            }
+        });
+
+        await this.logBatchActivity(batch.action, batch.id, batch.label, batch.entities, batch.metadata);
+        this.clearCache();
+    }
+
+    /**
+     * Undo a batch rewind (the latest one by default); it must be the change tracker's latest undo step
+     */
+    async undoRewind(rewindId = null) {
+        const entry = this.changeTracker?.undoStack[this.changeTracker.undoStack.length - 1];
+        const batch = entry?.changes[0]?.metadata;
+        const latest = batch?.batchAction === 'rewind' ? batch.batchId : null;
+
+        if (!latest || (rewindId && latest !== rewindId)) {
+            throw new Error(rewindId
+                ? `Rewind ${rewindId} is not the latest change; undo later changes first`
+                : 'The latest change is not a rewind');
+        }
+
+        const undone = await this.changeTracker.undo();
+        await this.replayLogging; // Logged by the undo listener
+
+        return undone;
+    }
+
+    /**
+     * Log one activity listing every record of a batch (metadata.entities);
+     * the local projection expands it per record
+     */
+    async logBatchActivity(action, batchId, label, entities, metadata = {}) {
+        const tableIds = [...new Set(entities.map(entity => entity.tableId))];
+
+        try {
+            await this.xano.logActivity({
+                action,
+                entityType: 'set',
+                entityId: batchId,
+                entityName: label,
+                tableId: tableIds.length === 1 ? tableIds[0] : null,
+                user: this.softr?.getUserContext() || null,
+                metadata: {
+                    batchId,
+                    ...metadata,
+                    entities: entities.map(({ entityId, tableId, before, after }) => ({ entityId, tableId, before, after }))
+                }
+            });
+        } catch (error) {
+            // Kept in the Xano outbox for retry
+            console.warn(`⚠️ Batch ${batchId} applied; its activity will be retried (${error.message})`);
+        }
+
+        // Logged or queued, the activity is held locally: project it right away
+        this.projector?.ingestLocal(this.xano);
+    }
+
+    /**
+     * Log an undo/redo of a batch (change tracker entry) as one activity with the batch action
+     */
+    logBatchReplay(entry, direction) {
+        const batch = entry?.changes[0]?.metadata;
+        if (!batch?.batchId) {
+            return;
+        }
+
+        const entities = entry.changes.filter(change => change.entityType === 'record').map(change => ({
+            entityId: change.entityId,
+            tableId: change.tableId,
+            before: direction === 'undo' ? change.after : change.before,
+            after: direction === 'undo' ? change.before : change.after
+        }));
+
+        this.clearCache();
+        this.replayLogging = this.logBatchActivity(batch.batchAction, `${batch.batchId}_${direction}_${Date.now()}`,
+            `${direction === 'undo' ? 'Undo' : 'Redo'} ${entry.label}`, entities, {
+                [direction === 'undo' ? 'undoOf' : 'redoOf']: batch.batchId
+            });
+    }
+
+    /**
+     * Get an entity's snapshot at a timestamp: { entity_id, timestamp, activity_id, data, source }
+     * or null. Comes from Xano, or from the local projection (see snapshotSource).
+     */
+    async getSnapshot(entityId, timestamp) {
+        return this.withFallback(
+            async () => {
+                try {
+                    const snapshot = await this.xano.getSnapshot(entityId, timestamp);
+                    return snapshot ? { ...snapshot, source: 'server' } : null;
+                } catch (error) {
+                    if (error.status === 404) {
+                        return null;
+                    }
+                    throw error;
+                }
+            },
+            () => this.getLocalSnapshot(entityId, timestamp)
+        );
+    }
+
+    /**
+     * Get an entity's snapshot from the local projection (data is null if it was deleted by then)
+     */
+    async getLocalSnapshot(entityId, timestamp, options = {}) {
+        await this.refreshProjection(entityId, { fromServer: options.fromServer ?? false });
+
+        const state = this.projector.getEntityAt(entityId, timestamp);
+        if (!state) {
+            return null;
+        }
+
+        return {
+            entity_id: entityId,
+            timestamp: state.timestamp,
+            activity_id: state.activityId,
+            data: state.exists ? state.data : null,
+            deleted: !state.exists,
+            source: 'local'
+        };
+    }
+
+    /**
+     * Get the records of a set (table) at a timestamp from the local projection
+     * (pass tableId null for every table): { tableId, timestamp, records, deleted }
+     */
+    async getSetAt(tableId, timestamp, options = {}) {
+        await this.refreshProjection(null, options);
+        return this.projector.getSetAt(tableId, timestamp);
+    }
+
+    /**
+     * Get an entity's activities, newest first (getHistory options: startDate, endDate, limit)
+     */
+    async getEntityHistory(entityId, options = {}) {
+        return this.withFallback(
+            async () => (await this.xano.getHistory({ entityId, ...options })).items || [],
+            async () => {
+                await this.refreshProjection(entityId, { fromServer: false });
+                return this.projector.getActivities(entityId, options);
+            }
+        );
+    }
+
+    /**
+     * Bring the local projection up to date: activities held locally by the Xano integration,
+     * plus the server history of the entity (or of everything, for a null entityId). Once loaded,
+     * only activities newer than the projection's high-water mark are requested again.
+     * @param {Object} options - { fromServer: true (required) | false (skip) | undefined (when reachable),
+     *   full: reload the whole server history }
+     */
+    async refreshProjection(entityId, options = {}) {
+        if (!this.projector) {
+            throw new Error('The local projection requires eo_activity_projector.js');
+        }
+
+        await this.projectionReady;
+        await this.changeTracker?.processBatch(); // Hand tracked changes to the Xano outbox first
+        this.projector.ingestLocal(this.xano);
+        this.schemaHistory?.ingestLocal(this.xano);
+
+        if (options.fromServer === false || (options.fromServer === undefined && this.snapshotSource === 'local')) {
+            return;
+        }
+
+        try {
+            const full = Boolean(options.full);
+            await this.projector.loadFromXano(this.xano, entityId ? { entityId, full } : { full });
+            await this.schemaHistory?.loadFromXano(this.xano, { full });
+        } catch (error) {
+            if (options.fromServer === true || !this.isUnavailable(error)) {
+                throw error;
+            }
+            console.warn(`⚠️ Could not load history from Xano (${error.message}); projecting local activities only`);
+        }
+    }
+
+    /**
+     * Compare the local projection with the server's snapshot of an entity
+     * @returns {Object} { entityId, timestamp, matches, local, server, deleted, differences }
+     */
+    async crossCheck(entityId, timestamp = new Date().toISOString()) {
+        await this.refreshProjection(entityId, { fromServer: true });
+
+        let server = null;
+        try {
+            server = await this.xano.getSnapshot(entityId, timestamp);
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+        }
+
+        const state = this.projector.getEntityAt(entityId, timestamp);
+        const local = state?.exists ? state.data : null;
+        const differences = this.findDifferences(local, server?.data || null);
+
+        const result = {
+            entityId,
+            timestamp,
+            matches: differences.length === 0 && Boolean(local) === Boolean(server?.data),
+            local,
+            server: server?.data || null,
+            deleted: state ? !state.exists : false,
+            differences
+        };
+
+        console.log(result.matches
+            ? `✓ Local projection of ${entityId} matches the server`
+            : `⚠️ Local projection of ${entityId} differs from the server (${differences.length} fields)`);
+
+        return result;
+    }
+
+    /**
+     * Run a server read; when the server is unreachable, run the local read instead
+     * (depending on snapshotSource)
+     */
+    async withFallback(serverRead, localRead) {
+        if (this.snapshotSource !== 'local') {
+            try {
+                return await serverRead();
+            } catch (error) {
+                if (this.snapshotSource === 'server' || !this.projector || !this.isUnavailable(error)) {
+                    throw error;
+                }
+                console.warn(`⚠️ Xano unavailable (${error.message}); using the local projection`);
+            }
+        }
+
+        if (!this.projector) {
+            throw new Error('The local projection requires eo_activity_projector.js');
+        }
+
+        return localRead();
+    }
+
+    /**
+     * Check if a failed request means the server could not answer (network error or 5xx)
+     * rather than a definite answer such as 404
+     */
+    isUnavailable(error) {
+        return !error.status || error.status >= 500;
+    }
+
     /**
      * Validate rewind operation
      */
@@ -269,8 +865,15 @@ class RewindEngine {
             };
         }
 
+        // Values that crossed a type change, field merge or field removal were mapped: warn
+        const warnings = targetState.schema?.warnings || [];
+        warnings.forEach(warning => {
+            console.warn(`⚠️ Rewinding ${entityId} crosses a schema change: ${warning.description} (${warning.timestamp})`);
+        });
+
         return {
-            isValid: true
+            isValid: true,
+            warnings
         };
     }
 
@@ -287,35 +890,75 @@ class RewindEngine {
     }
 
     /**
-     * Capture current state of entity
+     * Capture current state of entity from the local projection, in the current schema:
+     * { entityId, tableId, timestamp, data, schemaVersion }, or null if it was deleted
      */
     async captureCurrentState(entityId) {
-        // This is a stub - implement based on your data structure
-        // Should return current entity data
+        if (!this.projector) {
+            // Without the projection the current data is not known here
+            return {
+                entityId,
+                timestamp: new Date().toISOString(),
+                data: {}
+            };
+        }
+
+        await this.refreshProjection(entityId, { fromServer: false });
+
+        const state = this.projector.getEntityAt(entityId);
+        if (state && !state.exists) {
+            return null;
+        }
+
         return {
             entityId,
+            tableId: state?.tableId || null,
             timestamp: new Date().toISOString(),
-            data: {} // Current entity data
+            data: state ? this.mapToCurrentSchema(state).data : {},
+            schemaVersion: state?.tableId && this.schemaHistory ? this.schemaHistory.getSetVersion(state.tableId).version : null
         };
     }
 
     /**
-     * Apply rewind to entity
+     * A projected state's data in the current schema: schema changes made after the data was
+     * written are applied (SchemaHistory.mapToCurrent). Data is null when the record does not exist.
+     * @param {Object} options - SchemaHistory.mapToCurrent options ({ current, skip })
+     */
+    mapToCurrentSchema(state, options = {}) {
+        const data = state && state.exists !== false ? state.data ?? null : null;
+
+        if (!this.schemaHistory || !state?.tableId || !data) {
+            return { data, fromVersion: null, toVersion: null, mapped: [], converted: [], merged: [], dropped: [], kept: [], warnings: [] };
+        }
+
+        return this.schemaHistory.mapToCurrent(state.tableId, data, state.timestamp, options);
+    }
+
+    /**
+     * Apply rewind to entity: the (schema-mapped) snapshot is written through the change
+     * tracker's 'record' applier when one is registered
      */
     async applyRewind(entityId, targetState, options = {}) {
         console.log(`  Applying rewind to ${entityId}...`);
 
-        // This is a stub - implement based on your data structure
-        // Should:
-        // 1. Update entity with targetState.snapshot data
-        // 2. Handle any dependent entities
-        // 3. Trigger UI updates
+        const applier = this.changeTracker?.appliers.get('record');
+        if (applier) {
+            await applier({
+                entityType: 'record',
+                entityId,
+                tableId: targetState.tableId,
+                action: 'rewind',
+                before: this.rewindState.currentSnapshot?.data ?? null,
+                after: targetState.snapshot
+            }, targetState.snapshot, 'redo');
+        }
 
         const result = {
             entityId,
             timestamp: targetState.timestamp,
             applied: true,
-            changes: this.calculateRewindChanges(entityId, targetState)
+            changes: this.calculateRewindChanges(entityId, targetState),
+            schemaWarnings: targetState.schema?.warnings || []
         };
 
         console.log(`  ✓ Rewind applied`);
@@ -356,6 +999,7 @@ class RewindEngine {
 
         this.rewindState.previewMode = false;
         this.rewindState.targetSnapshot = null;
+        this.rewindState.plan = null;
 
         console.log('✓ Preview cancelled');
     }
@@ -364,6 +1008,11 @@ class RewindEngine {
      * Apply previewed rewind
      */
     async applyPreview() {
+        if (this.rewindState.previewMode && this.rewindState.plan) {
+            console.log('✓ Applying previewed batch rewind...');
+            return await this.applyRewindPlan(this.rewindState.plan);
+        }
+
         if (!this.rewindState.previewMode || !this.rewindState.targetSnapshot) {
             throw new Error('No preview to apply');
         }
@@ -390,47 +1039,123 @@ class RewindEngine {
 
     /**
      * Step backward one change
+     * @param {Object} options - { from: step from this timestamp instead of the current state,
+     *   ...rewindTo options (pass preview: true to only preview the step) }
      */
-    async stepBackward(entityId) {
-        const timeline = await this.getTimeline(entityId, { limit: 2 });
+    async stepBackward(entityId, options = {}) {
+        const { from, ...rewindOptions } = options;
+        const timeline = await this.getTimeline(entityId, from ? {} : { limit: 2 });
+
+        // Newest first: index 0 is current
+        const previousState = from
+            ? timeline.find(entry => new Date(entry.timestamp) < new Date(from))
+            : timeline[1];
 
-        if (timeline.length < 2) {
+        if (!previousState) {
             console.warn('No previous state available');
             return null;
         }
 
-        const previousState = timeline[1]; // Index 0 is current
-
-        return await this.rewindTo(entityId, previousState.timestamp);
+        return await this.rewindTo(entityId, previousState.timestamp, rewindOptions);
     }
 
     /**
      * Step forward one change
+     * @param {Object} options - { from: step from this timestamp (default: now), ...rewindTo options }
      */
-    async stepForward(entityId) {
-        const currentTime = new Date().toISOString();
-        const nextStates = await this.getNextStates(entityId, currentTime, 1);
+    async stepForward(entityId, options = {}) {
+        const { from = new Date().toISOString(), ...rewindOptions } = options;
+        const timeline = await this.getTimeline(entityId);
+
+        // Oldest state after `from`
+        const nextState = [...timeline].reverse().find(entry => new Date(entry.timestamp) > new Date(from));
 
-        if (nextStates.length === 0) {
+        if (!nextState) {
             console.warn('No next state available');
             return null;
         }
 
-        const nextState = nextStates[0];
+        return await this.fastForwardTo(entityId, nextState.timestamp, rewindOptions);
+    }
 
-        return await this.fastForwardTo(entityId, nextState.timestamp);
+    /**
+     * Restore one field of a record to its value at a timestamp (mapped onto the current schema),
+     * leaving the other fields as they are. The record is written through the change tracker's
+     * 'record' applier and tracked as an ordinary update, so it can be undone.
+     * @returns {Object} { entityId, field, timestamp, before, after }
+     */
+    async restoreField(entityId, field, targetTimestamp) {
+        const applier = this.changeTracker?.appliers.get('record');
+        if (!applier) {
+            throw new Error("Restoring a field requires a ChangeTracker with a 'record' applier");
+        }
+
+        if (this.rewindState.isRewinding) {
+            throw new Error('Rewind already in progress');
+        }
+
+        this.rewindState.isRewinding = true;
+        this.emit('rewindStart', { entityId, targetTimestamp, field });
+
+        console.log(`⏪ Restoring ${field} of ${entityId} to its value at ${targetTimestamp}...`);
+
+        try {
+            const [targetState, currentState] = await Promise.all([
+                this.getRewindTarget(entityId, targetTimestamp),
+                this.getRewindTarget(entityId, new Date().toISOString())
+            ]);
+
+            const value = targetState.snapshot[field] ?? null;
+            const after = { ...currentState.snapshot };
+            if (value === null) {
+                delete after[field];
+            } else {
+                after[field] = value;
+            }
+
+            const change = {
+                entityType: 'record',
+                entityId,
+                tableId: currentState.tableId || targetState.tableId,
+                action: 'update',
+                before: currentState.snapshot,
+                after,
+                metadata: { restoredField: field, targetTimestamp }
+            };
+
+            await applier(change, after, 'redo');
+            this.changeTracker.trackChange({ ...change, label: `Restore ${field} of ${entityId}` });
+            this.clearCache();
+
+            const result = {
+                entityId,
+                field,
+                timestamp: targetTimestamp,
+                before: currentState.snapshot[field] ?? null,
+                after: value
+            };
+
+            this.emit('rewindComplete', { entityId, targetState, result });
+
+            console.log('✓ Field restored');
+
+            return result;
+        } catch (error) {
+            console.error('Field restore failed:', error);
+            this.emit('rewindCancel', { entityId, error });
+            throw error;
+        } finally {
+            this.rewindState.isRewinding = false;
+        }
     }
 
     /**
      * Get rewind options for entity (all available restore points)
      */
     async getRewindOptions(entityId, options = {}) {
-        const history = await this.xano.getHistory({
-            entityId,
-            ...options
-        });
+        const history = await this.getEntityHistory(entityId, options);
 
-        return (history.items || []).map(activity => ({
+        return history.map(activity => ({
             timestamp: activity.timestamp,
             action: activity.action,
             user: {
@@ -444,14 +1169,14 @@ class RewindEngine {
     }
 
     /**
-     * Compare two states
+     * Compare two states; either side may be a timestamp or a branch ('branch:<name or id>')
      */
     async compareStates(entityId, timestamp1, timestamp2) {
         console.log(`🔍 Comparing states at ${timestamp1} vs ${timestamp2}...`);
 
         const [state1, state2] = await Promise.all([
-            this.xano.getSnapshot(entityId, timestamp1),
-            this.xano.getSnapshot(entityId, timestamp2)
+            this.getStateAt(entityId, timestamp1),
+            this.getStateAt(entityId, timestamp2)
         ]);
 
         const comparison = {
@@ -459,6 +1184,7 @@ class RewindEngine {
             timestamp2,
             state1: state1?.data,
             state2: state2?.data,
+            sources: [state1?.source || null, state2?.source || null],
             differences: this.findDifferences(state1?.data, state2?.data)
         };
 
@@ -467,6 +1193,22 @@ class RewindEngine {
         return comparison;
     }
 
+    /**
+     * Snapshot at a timestamp, or a record's state on a branch ('branch:<name or id>')
+     */
+    async getStateAt(entityId, ref) {
+        if (typeof ref !== 'string' || !ref.startsWith('branch:')) {
+            return this.getSnapshot(entityId, ref);
+        }
+
+        if (!this.branches) {
+            throw new Error('Branches require eo_rewind_branches.js');
+        }
+
+        const data = this.branches.getEntityState(ref.slice('branch:'.length), entityId);
+        return data ? { entityId, data, source: 'branch' } : null;
+    }
+
     /**
      * Find differences between two states
      */
@@ -520,6 +1262,7 @@ class RewindEngine {
             previewMode: this.rewindState.previewMode,
             hasCurrentSnapshot: !!this.rewindState.currentSnapshot,
             hasTargetSnapshot: !!this.rewindState.targetSnapshot,
+            hasPlan: !!this.rewindState.plan,
             timelineLength: this.rewindState.timeline.length
         };
     }
@@ -0,0 +1,432 @@
+/**
+ * EO Rewind Branches
+ *
+ * Named what-if timelines on top of RewindEngine:
+ * - Fork the state of a set (or of selected records) at a timestamp into a branch
+ * - Edit records on the branch without touching the main line (nothing is logged or written)
+ * - Compare the branch with main (RewindEngine.findDifferences, or compareStates with 'branch:<name>')
+ * - Merge the branch back with a three-way merge against the fork state, surfacing conflicts,
+ *   or discard it
+ *
+ * Branches can be persisted through a storage adapter from eo_change_store.js (store: 'branches').
+ */
+
+class BranchManager {
+    constructor(config = {}) {
+        this.rewind = config.rewind; // RewindEngine instance
+        this.storage = config.storage || null;
+
+        this.branches = new Map(); // branchId -> branch
+    }
+
+    /**
+     * Restore persisted branches
+     */
+    async restore() {
+        if (!this.storage) {
+            return 0;
+        }
+
+        try {
+            await this.storage.open();
+            const entries = await this.storage.getAll('branches');
+            entries.forEach(entry => this.branches.set(entry.key, entry.value));
+
+            console.log(`✓ Restored ${entries.length} branches`);
+            return entries.length;
+        } catch (error) {
+            console.error('Failed to restore branches:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Fork a branch from the state at a timestamp (default: now)
+     * @param {Object} selection - RewindEngine.planRewind selection: { tableId } and/or { entityIds, includeLinked }
+     * @returns {Object} branch { id, name, selection, forkedAt, createdAt, status, entities, edits }
+     */
+    async fork(name, selection, timestamp = new Date().toISOString()) {
+        if (!name) {
+            throw new Error('A branch needs a name');
+        }
+
+        if (this.findOpen(name)) {
+            throw new Error(`Branch ${name} already exists`);
+        }
+
+        const plan = await this.rewind.planRewind(selection, timestamp);
+
+        // entityId -> { tableId, base (state at the fork), data (state on the branch) }
+        const entities = {};
+        for (const entity of plan.entities) {
+            entities[entity.entityId] = {
+                tableId: entity.tableId,
+                base: entity.after,
+                data: BranchManager.clone(entity.after)
+            };
+        }
+
+        const branch = {
+            id: `br_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name,
+            selection,
+            forkedAt: timestamp,
+            createdAt: new Date().toISOString(),
+            status: 'open',
+            entities,
+            edits: []
+        };
+
+        this.branches.set(branch.id, branch);
+        this.persist('put', branch);
+
+        console.log(`🌿 Forked branch ${name} at ${timestamp} (${Object.keys(entities).length} records)`);
+
+        return branch;
+    }
+
+    /**
+     * Get a branch by id or (open branch) name
+     */
+    get(branchRef) {
+        return this.branches.get(branchRef) || this.findOpen(branchRef) || null;
+    }
+
+    /**
+     * Get an open branch, or throw
+     */
+    getOpen(branchRef) {
+        const branch = this.get(branchRef);
+
+        if (!branch) {
+            throw new Error(`Branch ${branchRef} not found`);
+        }
+
+        if (branch.status !== 'open') {
+            throw new Error(`Branch ${branch.name} is ${branch.status}`);
+        }
+
+        return branch;
+    }
+
+    findOpen(name) {
+        return [...this.branches.values()].find(branch => branch.name === name && branch.status === 'open');
+    }
+
+    /**
+     * List branches (optionally only those with a status), newest first
+     */
+    list(options = {}) {
+        return [...this.branches.values()]
+            .filter(branch => !options.status || branch.status === options.status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Records on a branch: [{ entityId, tableId, data }]
+     */
+    getRecords(branchRef) {
+        const branch = this.get(branchRef);
+        if (!branch) {
+            throw new Error(`Branch ${branchRef} not found`);
+        }
+
+        return Object.entries(branch.entities)
+            .filter(([, entity]) => entity.data)
+            .map(([entityId, entity]) => ({ entityId, tableId: entity.tableId, data: entity.data }));
+    }
+
+    /**
+     * A record's data on a branch (null when it does not exist there)
+     */
+    getEntityState(branchRef, entityId) {
+        const branch = this.get(branchRef);
+        if (!branch) {
+            throw new Error(`Branch ${branchRef} not found`);
+        }
+
+        return branch.entities[entityId]?.data || null;
+    }
+
+    /**
+     * Create a record on a branch
+     * @param {Object} options - { entityId, tableId (default: the branch's set) }
+     */
+    createRecord(branchRef, data, options = {}) {
+        const branch = this.getOpen(branchRef);
+        const entityId = options.entityId || `rec_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+
+        if (branch.entities[entityId]?.data) {
+            throw new Error(`Record ${entityId} already exists on branch ${branch.name}`);
+        }
+
+        const tableId = options.tableId || branch.selection.tableId || null;
+        branch.entities[entityId] = { tableId, base: branch.entities[entityId]?.base || null, data: BranchManager.clone(data) };
+
+        return this.recordEdit(branch, entityId, 'create', null, data);
+    }
+
+    /**
+     * Change fields of a record on a branch (a null value clears the field)
+     */
+    updateRecord(branchRef, entityId, values) {
+        const branch = this.getOpen(branchRef);
+        const entity = branch.entities[entityId];
+
+        if (!entity?.data) {
+            throw new Error(`Record ${entityId} does not exist on branch ${branch.name}`);
+        }
+
+        const before = entity.data;
+        const after = { ...before };
+        for (const [field, value] of Object.entries(values)) {
+            if (value === null || value === undefined) {
+                delete after[field];
+            } else {
+                after[field] = BranchManager.clone(value);
+            }
+        }
+
+        entity.data = after;
+
+        return this.recordEdit(branch, entityId, 'update', before, after);
+    }
+
+    /**
+     * Delete a record on a branch
+     */
+    deleteRecord(branchRef, entityId) {
+        const branch = this.getOpen(branchRef);
+        const entity = branch.entities[entityId];
+
+        if (!entity?.data) {
+            throw new Error(`Record ${entityId} does not exist on branch ${branch.name}`);
+        }
+
+        const before = entity.data;
+        entity.data = null;
+
+        return this.recordEdit(branch, entityId, 'delete', before, null);
+    }
+
+    /**
+     * Append to the branch's own edit log and persist
+     */
+    recordEdit(branch, entityId, action, before, after) {
+        const edit = {
+            id: `bed_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: new Date().toISOString(),
+            entityId,
+            action,
+            before,
+            after,
+            changes: this.rewind.findDifferences(before, after)
+        };
+
+        branch.edits.push(edit);
+        this.persist('put', branch);
+
+        return edit;
+    }
+
+    /**
+     * Compare a branch with main (the current projected state)
+     * @returns {Object} { branchId, name, entities: [{ entityId, tableId, status, base, main, branch,
+     *   differences }], summary } - status: 'same' | 'branch_changed' | 'main_changed' | 'both_changed';
+     *   differences are from main to the branch
+     */
+    async compare(branchRef) {
+        const branch = this.get(branchRef);
+        if (!branch) {
+            throw new Error(`Branch ${branchRef} not found`);
+        }
+
+        await this.rewind.refreshProjection(null);
+
+        const entities = Object.entries(branch.entities).map(([entityId, entity]) => {
+            const main = this.getMainState(entityId);
+            const branchChanged = !BranchManager.equal(entity.base, entity.data);
+            const mainChanged = !BranchManager.equal(entity.base, main);
+
+            return {
+                entityId,
+                tableId: entity.tableId,
+                status: branchChanged && mainChanged ? 'both_changed'
+                    : branchChanged ? 'branch_changed'
+                        : mainChanged ? 'main_changed' : 'same',
+                base: entity.base,
+                main,
+                branch: entity.data,
+                differences: this.rewind.findDifferences(main, entity.data)
+            };
+        });
+
+        const summary = { same: 0, branch_changed: 0, main_changed: 0, both_changed: 0 };
+        entities.forEach(entity => summary[entity.status]++);
+
+        return { branchId: branch.id, name: branch.name, entities, summary };
+    }
+
+    /**
+     * Merge a branch into main. Only what changed on the branch since the fork is merged:
+     * fields changed on the branch alone take the branch value, fields changed on main alone keep
+     * main's. A field changed differently on both sides (or a record deleted on one side and
+     * changed on the other, field '*') is a conflict; without a resolution nothing is written.
+     * @param {Object} options - { resolutions: { entityId: { field | '*': 'main' | 'branch' | { value } } } }
+     * @returns {Object} { merged, branchId, mergeId, conflicts: [{ entityId, field, base, main, branch }],
+     *   entities: [{ entityId, tableId, before, after }] }
+     */
+    async merge(branchRef, options = {}) {
+        const branch = this.getOpen(branchRef);
+        const resolutions = options.resolutions || {};
+
+        await this.rewind.refreshProjection(null);
+
+        const conflicts = [];
+        const entities = [];
+
+        for (const [entityId, entity] of Object.entries(branch.entities)) {
+            const main = this.getMainState(entityId);
+            const result = this.mergeEntity(entity.base, main, entity.data, resolutions[entityId] || {});
+
+            result.conflicts.forEach(conflict => conflicts.push({ entityId, ...conflict }));
+
+            if (result.conflicts.length === 0 && !BranchManager.equal(main, result.merged)) {
+                entities.push({ entityId, tableId: entity.tableId, before: main, after: result.merged });
+            }
+        }
+
+        if (conflicts.length > 0) {
+            console.warn(`⚠️ Branch ${branch.name} has ${conflicts.length} unresolved conflicts`);
+            return { merged: false, branchId: branch.id, mergeId: null, conflicts, entities: [] };
+        }
+
+        const mergeId = `mrg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        if (entities.length > 0) {
+            await this.rewind.writeBatch({
+                id: mergeId,
+                action: 'branch_merge',
+                label: `Merge branch ${branch.name}`,
+                entities,
+                metadata: { branchId: branch.id, branchName: branch.name, forkedAt: branch.forkedAt }
+            });
+        }
+
+        branch.status = 'merged';
+        branch.mergedAt = new Date().toISOString();
+        branch.mergeId = mergeId;
+        this.persist('put', branch);
+
+        console.log(`✓ Merged branch ${branch.name} (${entities.length} records)`);
+
+        return { merged: true, branchId: branch.id, mergeId, conflicts: [], entities };
+    }
+
+    /**
+     * Three-way merge of one record
+     * @returns {Object} { merged, conflicts: [{ field, base, main, branch }] }
+     */
+    mergeEntity(base, main, branch, resolution) {
+        const equal = BranchManager.equal;
+        const choose = (choice, mainValue, branchValue) => (choice === 'main' ? mainValue
+            : choice === 'branch' ? branchValue
+                : choice.value);
+
+        if (equal(base, branch)) {
+            return { merged: main, conflicts: [] }; // Untouched on the branch
+        }
+
+        if (equal(base, main) || equal(main, branch)) {
+            return { merged: branch, conflicts: [] };
+        }
+
+        // Created, deleted or re-created on one side while the other side changed it
+        if (!base || !main || !branch) {
+            const choice = resolution['*'];
+            return choice !== undefined
+                ? { merged: choose(choice, main, branch), conflicts: [] }
+                : { merged: null, conflicts: [{ field: '*', base, main, branch }] };
+        }
+
+        const merged = {};
+        const conflicts = [];
+        const fields = new Set([...Object.keys(base), ...Object.keys(main), ...Object.keys(branch)]);
+
+        for (const field of fields) {
+            const [b, m, t] = [base[field], main[field], branch[field]];
+            let value;
+
+            if (equal(t, b) || equal(m, t)) {
+                value = m;
+            } else if (equal(m, b)) {
+                value = t;
+            } else if (resolution[field] !== undefined) {
+                value = choose(resolution[field], m, t);
+            } else {
+                conflicts.push({ field, base: b, main: m, branch: t });
+                continue;
+            }
+
+            if (value !== undefined && value !== null) {
+                merged[field] = value;
+            }
+        }
+
+        return { merged, conflicts };
+    }
+
+    /**
+     * Discard a branch (main is untouched)
+     */
+    discard(branchRef) {
+        const branch = this.getOpen(branchRef);
+
+        this.branches.delete(branch.id);
+        this.persist('delete', branch);
+
+        console.log(`🗑️ Discarded branch ${branch.name}`);
+
+        return branch;
+    }
+
+    /**
+     * A record's current state on main, from the local projection
+     */
+    getMainState(entityId) {
+        const state = this.rewind.projector.getEntityAt(entityId);
+        return state?.exists ? state.data : null;
+    }
+
+    static equal(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    static clone(value) {
+        return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Write through to storage (fire-and-forget)
+     */
+    persist(operation, branch) {
+        if (!this.storage) {
+            return Promise.resolve();
+        }
+
+        const args = operation === 'put' ? ['branches', branch.id, branch] : ['branches', branch.id];
+
+        return Promise.resolve()
+            .then(() => this.storage[operation](...args))
+            .catch(error => {
+                console.error(`Failed to persist branch ${operation}:`, error);
+            });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BranchManager
+    };
+}
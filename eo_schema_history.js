@@ -0,0 +1,533 @@
+/**
+ * EO Schema History
+ *
+ * Schema versions of sets (tables) and views, projected from the activity log:
+ * - Sync schema migrations (schema_migration: rename_field, convert_values, archive_field) and
+ *   added fields (schema_changed), for records keyed by EO field name
+ * - Workbench field and view changes (entity_type 'field' / 'view' activities logged by the
+ *   ChangeTracker), for records keyed by field id: renames, type changes (changeFieldType),
+ *   merges (mergeFields), removals, view definitions
+ * - Maps historical record values onto the current schema and reports the incompatible
+ *   changes a restore crosses; plans restoring workbench field and view definitions
+ *
+ * Ingested activities can be persisted through a storage adapter from eo_change_store.js
+ * (store: 'schema').
+ */
+
+// Schema changes that can lose or alter a restored value
+const INCOMPATIBLE_SCHEMA_CHANGES = ['field_type_changed', 'fields_merged', 'field_removed'];
+
+class SchemaHistory {
+    constructor(config = {}) {
+        this.storage = config.storage || null;
+
+        // How type changes convert values: origin -> (value, change) => converted value
+        this.converters = {
+            workbench: (value, change) => (typeof convertValueForType === 'function'
+                ? convertValueForType(value, change.fromType, change.toType)
+                : value),
+            sync: (value) => value,
+            ...config.converters
+        };
+
+        this.activityIds = new Set();
+        this.changes = new Map(); // setId -> schema changes, oldest first
+        this.definitions = new Map(); // 'field:setId:id' | 'view:id' -> definition versions, oldest first
+        this.ingestCounter = 0;
+
+        // Server history already loaded: entity type -> receipt time it was loaded up to
+        this.loadedUntil = new Map();
+    }
+
+    /**
+     * Restore persisted activities
+     */
+    async restore() {
+        if (!this.storage) {
+            return 0;
+        }
+
+        try {
+            await this.storage.open();
+            const entries = await this.storage.getAll('schema');
+            const restored = this.ingest(entries.map(entry => entry.value), { persist: false });
+
+            console.log(`✓ Restored ${restored} schema activities`);
+            return restored;
+        } catch (error) {
+            console.error('Failed to restore schema history:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Add schema activities to the history (other and duplicate activities are ignored)
+     * @returns {number} Number of new schema activities
+     */
+    ingest(activities, options = {}) {
+        let added = 0;
+
+        for (const activity of activities) {
+            if (!activity?.activity_id || this.activityIds.has(activity.activity_id)) {
+                continue;
+            }
+
+            const changes = this.classify(activity);
+            const definition = this.toDefinition(activity);
+            if (changes.length === 0 && !definition) {
+                continue;
+            }
+
+            this.activityIds.add(activity.activity_id);
+            const order = this.ingestCounter++;
+
+            for (const change of changes) {
+                if (!this.changes.has(change.setId)) {
+                    this.changes.set(change.setId, []);
+                }
+                this.insert(this.changes.get(change.setId), { ...change, order });
+            }
+
+            if (definition) {
+                // Field ids are unique within a set, view ids across sets
+                const key = definition.entityType === 'field'
+                    ? `field:${definition.setId}:${definition.entityId}`
+                    : `view:${definition.entityId}`;
+                if (!this.definitions.has(key)) {
+                    this.definitions.set(key, []);
+                }
+                this.insert(this.definitions.get(key), { ...definition, order });
+            }
+
+            if (options.persist !== false) {
+                this.persist('put', activity.activity_id, activity);
+            }
+            added++;
+        }
+
+        return added;
+    }
+
+    /**
+     * Ingest what a XanoIntegration holds locally: delivered (cached), queued and dead-lettered activities
+     */
+    ingestLocal(xano) {
+        const envelopes = [...xano.pendingQueue, ...xano.outbox.deadLetters];
+
+        return this.ingest([
+            ...[...xano.activityCache].reverse(), // cache is newest first
+            ...envelopes.map(envelope => envelope.activity)
+        ]);
+    }
+
+    /**
+     * Load schema history (field, view and schema activities, all pages) from Xano.
+     * Like ActivityProjector.loadFromXano, later loads only request what the server received since
+     * the previous one, unless full is set.
+     */
+    async loadFromXano(xano, options = {}) {
+        let added = 0;
+
+        for (const entityType of ['schema', 'field', 'view']) {
+            const { items, receivedUntil } = await xano.loadHistory({
+                entityType,
+                pageSize: options.pageSize,
+                receivedSince: options.full ? null : this.loadedUntil.get(entityType) || null
+            });
+
+            if (receivedUntil) {
+                this.loadedUntil.set(entityType, receivedUntil);
+            } else {
+                this.loadedUntil.delete(entityType);
+            }
+
+            // History is newest first
+            added += this.ingest(items.reverse());
+        }
+
+        return added;
+    }
+
+    /**
+     * Insert keeping time order (ingest order breaks ties)
+     */
+    insert(list, item) {
+        list.push(item);
+        list.sort((a, b) => (new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()) || a.order - b.order);
+    }
+
+    /**
+     * Schema changes an activity made: [{ id, activityId, timestamp, setId, origin, kind, fieldId,
+     *   key, to, into, fromType, toType, incompatible, description }]. `key` is the record key the
+     * change affects (EO field name for sync records, field id for workbench records).
+     */
+    classify(activity) {
+        const base = {
+            activityId: activity.activity_id,
+            timestamp: activity.timestamp,
+            setId: activity.table_id
+        };
+        const change = (kind, fields) => ({
+            ...base,
+            id: `${activity.activity_id}:${kind}`,
+            kind,
+            incompatible: INCOMPATIBLE_SCHEMA_CHANGES.includes(kind),
+            ...fields
+        });
+
+        // Sync engine: migrations of EO field names
+        if (activity.action === 'schema_migration') {
+            const migration = activity.metadata || {};
+            const sync = { origin: 'sync', fieldId: activity.entity_id };
+
+            switch (migration.type) {
+                case 'rename_field':
+                    return [change('field_renamed', { ...sync, key: migration.from, to: migration.to, description: `${migration.from} renamed to ${migration.to}` })];
+                case 'convert_values':
+                    return [change('field_type_changed', { ...sync, key: migration.field, fromType: migration.fromType, toType: migration.toType, description: `${migration.field} changed from ${migration.fromType} to ${migration.toType}` })];
+                case 'archive_field':
+                    return [change('field_removed', { ...sync, key: migration.field, description: `${migration.field} archived` })];
+                default:
+                    return [];
+            }
+        }
+
+        if (activity.action === 'schema_changed') {
+            return (activity.changes || [])
+                .filter(drift => drift.kind === 'field_added')
+                .map((drift, index) => ({
+                    ...change('field_added', {
+                        origin: 'sync',
+                        fieldId: drift.fieldId,
+                        key: drift.current?.name || drift.fieldName,
+                        description: drift.description
+                    }),
+                    id: `${activity.activity_id}:field_added:${index}`,
+                    setId: drift.tableId
+                }));
+        }
+
+        // Workbench: field definitions (records are keyed by field id)
+        if (activity.entity_type !== 'field' || !base.setId) {
+            return [];
+        }
+
+        const before = activity.before;
+        const after = ['delete', 'archive'].includes(activity.action) ? null : activity.after;
+        const name = (after || before)?.name || activity.entity_id;
+        const workbench = { origin: 'workbench', fieldId: activity.entity_id, key: activity.entity_id };
+
+        if (!before && after) {
+            return [change('field_added', { ...workbench, description: `${name} added` })];
+        }
+
+        if (before && !after) {
+            return [change('field_removed', { ...workbench, description: `${name} removed` })];
+        }
+
+        if (!before || !after) {
+            return [];
+        }
+
+        const changes = [];
+
+        if (before.name !== after.name) {
+            changes.push(change('field_renamed', { ...workbench, to: activity.entity_id, description: `${before.name} renamed to ${after.name}` }));
+        }
+
+        if (before.type !== after.type) {
+            changes.push(change('field_type_changed', { ...workbench, fromType: before.type, toType: after.type, description: `${name} changed from ${before.type} to ${after.type}` }));
+        }
+
+        if (after._mergedInto && after._mergedInto !== before._mergedInto) {
+            changes.push(change('fields_merged', { ...workbench, into: after._mergedInto, description: `${name} merged into ${after._mergedInto}` }));
+        }
+
+        return changes.length > 0
+            ? changes
+            : [change('field_updated', { ...workbench, description: `${name} updated` })];
+    }
+
+    /**
+     * Workbench field or view definition an activity wrote:
+     * { activityId, timestamp, entityType, entityId, setId, definition (null when removed), position }
+     */
+    toDefinition(activity) {
+        if (!['field', 'view'].includes(activity.entity_type) || activity.action === 'schema_migration') {
+            return null;
+        }
+
+        const removed = ['delete', 'archive'].includes(activity.action);
+        const setId = activity.table_id || activity.after?.setId || activity.before?.setId || null;
+        if (activity.entity_type === 'field' && !setId) {
+            return null;
+        }
+
+        return {
+            activityId: activity.activity_id,
+            timestamp: activity.timestamp,
+            entityType: activity.entity_type,
+            entityId: activity.entity_id,
+            setId,
+            definition: removed ? null : activity.after || null,
+            position: activity.metadata?.position?.[removed ? 'before' : 'after'] ?? null
+        };
+    }
+
+    /**
+     * Schema changes of a set after `since` up to `until` (default: now), oldest first
+     */
+    getChanges(setId, since = null, until = null) {
+        const from = since ? new Date(since).getTime() : -Infinity;
+        const to = until ? new Date(until).getTime() : Infinity;
+
+        return (this.changes.get(setId) || []).filter(change => {
+            const time = new Date(change.timestamp).getTime();
+            return time > from && time <= to;
+        });
+    }
+
+    /**
+     * Schema version of a set at a timestamp (default: now)
+     * @returns {Object} { setId, version, timestamp, fields } - version counts the schema-changing
+     *   activities so far; fields are the workbench field definitions known at that time
+     */
+    getSetVersion(setId, timestamp = null) {
+        const changes = this.getChanges(setId, null, timestamp);
+        const fields = [...this.definitions.values()]
+            .map(versions => this.definitionAt(versions, timestamp))
+            .filter(version => version?.entityType === 'field' && version.setId === setId && version.definition)
+            .sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity))
+            .map(version => version.definition);
+
+        return {
+            setId,
+            version: new Set(changes.map(change => change.activityId)).size,
+            timestamp: changes.length > 0 ? changes[changes.length - 1].timestamp : null,
+            fields
+        };
+    }
+
+    /**
+     * Version of a view at a timestamp (default: now)
+     * @returns {Object|null} { viewId, setId, version, timestamp, definition } or null when unknown
+     */
+    getViewVersion(viewId, timestamp = null) {
+        const versions = this.definitions.get(`view:${viewId}`) || [];
+        const version = this.definitionAt(versions, timestamp);
+
+        return version ? {
+            viewId,
+            setId: version.setId,
+            version: versions.indexOf(version) + 1,
+            timestamp: version.timestamp,
+            definition: version.definition
+        } : null;
+    }
+
+    definitionAt(versions, timestamp) {
+        const target = timestamp ? new Date(timestamp).getTime() : Infinity;
+        return versions.filter(version => new Date(version.timestamp).getTime() <= target).pop() || null;
+    }
+
+    /**
+     * Map record data written at `since` onto the current schema: renames move values, type
+     * changes convert them, merged fields fill the field they were merged into (when it is
+     * empty), removed fields are dropped and fields added since keep their current value
+     * @param {Object} options - { current: current record data, skip: change => true to leave a change out }
+     * @returns {Object} { data, fromVersion, toVersion, mapped: [{ from, to }], converted: [{ field,
+     *   fromType, toType, before, after }], merged: [{ field, into }], dropped: [{ field, value }],
+     *   kept: [field], warnings: [{ kind, field, fieldId, timestamp, description }] }
+     */
+    mapToCurrent(setId, data, since, options = {}) {
+        const result = {
+            data: data ? SchemaHistory.clone(data) : data,
+            fromVersion: this.getSetVersion(setId, since).version,
+            toVersion: this.getSetVersion(setId).version,
+            mapped: [],
+            converted: [],
+            merged: [],
+            dropped: [],
+            kept: [],
+            warnings: []
+        };
+
+        if (!data) {
+            return result;
+        }
+
+        const fields = result.data;
+        const current = options.current || {};
+        const empty = value => value === undefined || value === null || value === '';
+
+        for (const change of this.getChanges(setId, since)) {
+            if (options.skip?.(change)) {
+                continue;
+            }
+
+            const present = change.key in fields;
+
+            switch (change.kind) {
+                case 'field_renamed':
+                    if (present && change.to !== change.key) {
+                        fields[change.to] = fields[change.key];
+                        delete fields[change.key];
+                        result.mapped.push({ from: change.key, to: change.to });
+                    }
+                    break;
+
+                case 'field_type_changed':
+                    if (present) {
+                        const before = fields[change.key];
+                        fields[change.key] = this.convert(before, change);
+                        result.converted.push({ field: change.key, fromType: change.fromType, toType: change.toType, before, after: fields[change.key] });
+                    }
+                    break;
+
+                case 'fields_merged':
+                    if (present && !empty(fields[change.key])) {
+                        if (empty(fields[change.into])) {
+                            fields[change.into] = fields[change.key];
+                        }
+                        result.merged.push({ field: change.key, into: change.into });
+                    }
+                    break;
+
+                case 'field_removed':
+                    if (present) {
+                        result.dropped.push({ field: change.key, value: fields[change.key] });
+                        delete fields[change.key];
+                    }
+                    break;
+
+                case 'field_added':
+                    if (!present && change.key in current) {
+                        fields[change.key] = SchemaHistory.clone(current[change.key]);
+                        result.kept.push(change.key);
+                    }
+                    break;
+
+                default:
+                    break;
+            }
+
+            if (present && change.incompatible) {
+                result.warnings.push({
+                    kind: change.kind,
+                    field: change.key,
+                    fieldId: change.fieldId,
+                    timestamp: change.timestamp,
+                    description: change.description
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Convert a value for a type change (SUP values keep their alternatives as they are)
+     */
+    convert(field, change) {
+        if (field === null || field === undefined || field?.eoOperator === 'SUP') {
+            return field;
+        }
+
+        const converter = this.converters[change.origin];
+        const isWrapped = typeof field === 'object' && !Array.isArray(field) && 'value' in field;
+
+        if (!converter) {
+            return field;
+        }
+
+        return isWrapped
+            ? { ...field, value: converter(field.value, change), type: change.toType }
+            : converter(field, change);
+    }
+
+    /**
+     * Changes that put a set's workbench field definitions and views back as they were at a
+     * timestamp, as ChangeTracker.trackChange inputs (apply them through the 'field' / 'view'
+     * appliers). Sync schema changes cannot be restored: the source owns that schema.
+     */
+    planRestore(setId, timestamp) {
+        const changes = [];
+
+        for (const versions of this.definitions.values()) {
+            const target = this.definitionAt(versions, timestamp);
+            const current = versions[versions.length - 1];
+
+            if (current.setId !== setId || SchemaHistory.equal(target?.definition, current.definition)) {
+                continue;
+            }
+
+            changes.push({
+                entityType: current.entityType,
+                entityId: current.entityId,
+                entityName: (target?.definition || current.definition)?.name || current.entityId,
+                tableId: setId,
+                action: !target?.definition ? 'delete' : !current.definition ? 'restore' : 'update',
+                before: current.definition,
+                after: target?.definition || null,
+                metadata: current.entityType === 'field'
+                    ? { position: { before: current.position, after: target?.position ?? null } }
+                    : undefined
+            });
+        }
+
+        // Fields before views; field removals last, so no view is left referencing a missing field
+        const rank = change => (change.after ? 0 : 2) + (change.entityType === 'view' ? (change.after ? 1 : -1) : 0);
+        return changes.sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * Whether a schema change is undone by planRestore
+     */
+    isRestorable(change) {
+        return change.origin === 'workbench';
+    }
+
+    static equal(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Forget all schema activities (and persisted ones)
+     */
+    clear() {
+        this.activityIds.clear();
+        this.changes.clear();
+        this.definitions.clear();
+
+        return this.storage ? this.storage.clear('schema').catch(error => {
+            console.error('Failed to clear schema history:', error);
+        }) : Promise.resolve();
+    }
+
+    /**
+     * Write through to storage (fire-and-forget)
+     */
+    persist(operation, key, value) {
+        if (!this.storage) {
+            return Promise.resolve();
+        }
+
+        return Promise.resolve()
+            .then(() => this.storage[operation]('schema', key, value))
+            .catch(error => {
+                console.error(`Failed to persist schema activity ${operation}:`, error);
+            });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INCOMPATIBLE_SCHEMA_CHANGES,
+        SchemaHistory
+    };
+}
@@ -9,6 +9,7 @@
  * - Every operation creates a result view showing inputs and outputs
  * - Operations can be reverted, creating new operations that inverse the effect
  * - Provenance constitutes position in knowledge space (not just metadata)
+ * - Multi-step actions are recorded as one undoable transaction (see UNDO / REDO)
  */
 
 // ============================================================================
@@ -617,6 +618,267 @@ function executeMergeFieldsOperation(state, setId, fieldIds, canonicalField, opt
     };
 }
 
+// ============================================================================
+// BULK EDIT
+// ============================================================================
+
+/**
+ * Set the same field values on several records
+ * @param values - { fieldId: value }
+ * @returns {number} Number of records updated
+ */
+function bulkEditRecords(state, setId, recordIds, values) {
+    const set = state.sets.get(setId);
+    if (!set) return 0;
+
+    const records = recordIds.map(id => set.records.get(id)).filter(Boolean);
+    records.forEach(rec => Object.assign(rec, values));
+
+    logEvent(state, {
+        type: 'records_bulk_edited',
+        entityType: 'Record',
+        entityId: setId,
+        data: {
+            setId,
+            recordIds: records.map(rec => rec.id),
+            fieldIds: Object.keys(values)
+        }
+    });
+
+    return records.length;
+}
+
+// ============================================================================
+// UNDO / REDO
+// ============================================================================
+
+/**
+ * Set up undo/redo for the workbench: uses state.changeTracker (or creates a ChangeTracker)
+ * and registers appliers for sets, fields, records, views and structural operations
+ */
+function initWorkbenchHistory(state, options = {}) {
+    if (!state.changeTracker) {
+        if (typeof ChangeTracker === 'undefined') {
+            console.warn('ChangeTracker not loaded - workbench undo/redo disabled');
+            return null;
+        }
+        state.changeTracker = new ChangeTracker({ autoSave: false, ...options });
+    }
+
+    registerWorkbenchAppliers(state.changeTracker, state);
+
+    return state.changeTracker;
+}
+
+/**
+ * Run a workbench action as one undoable transaction.
+ * Sets, fields, records, views and operations of the given sets (all sets when setIds is null)
+ * are captured before and after; every difference is tracked under the label.
+ * If the action throws, what it already changed is rolled back.
+ */
+async function recordWorkbenchTransaction(state, label, setIds, action) {
+    const tracker = state.changeTracker;
+    if (!tracker) {
+        return action();
+    }
+
+    return tracker.transaction(label, async () => {
+        const before = captureWorkbenchState(state, setIds);
+
+        try {
+            return await action();
+        } finally {
+            diffWorkbenchState(before, captureWorkbenchState(state, setIds))
+                .forEach(change => tracker.trackChange(change));
+        }
+    });
+}
+
+/**
+ * Serialize workbench entities for comparison, parents before children
+ * @returns {Map} key -> { entityType, entityId, entityName, tableId, tableName, json, position }
+ */
+function captureWorkbenchState(state, setIds = null) {
+    const captured = new Map();
+    const inScope = setId => !setIds || setIds.includes(setId);
+    const add = (entityType, entityId, set, value, extra = {}) => {
+        captured.set(`${entityType}:${set?.id || ''}:${entityId}`, {
+            entityType,
+            entityId,
+            tableId: set?.id || null,
+            tableName: set?.name || null,
+            json: JSON.stringify(value),
+            ...extra
+        });
+    };
+
+    for (const [setId, set] of state.sets || new Map()) {
+        if (!inScope(setId)) continue;
+
+        // Set properties only; Maps and Sets (records, views, indexes) are not serializable
+        const { records, views, schema, ...setData } = set;
+        const properties = Object.fromEntries(Object.entries(setData)
+            .filter(([, value]) => !(value instanceof Map) && !(value instanceof Set)));
+        add('set', setId, set, properties, { entityName: set.name });
+        (schema || []).forEach((field, position) => {
+            add('field', field.id, set, field, { entityName: field.name || field.id, position });
+        });
+        (records || new Map()).forEach((record, recordId) => add('record', recordId, set, record));
+    }
+
+    for (const [viewId, view] of state.views || new Map()) {
+        if (inScope(view.setId)) {
+            add('view', viewId, state.sets.get(view.setId), view, { entityName: view.name });
+        }
+    }
+
+    for (const [operationId, operation] of state.structuralOperations || new Map()) {
+        if (inScope(operation.setId)) {
+            add('operation', operationId, state.sets.get(operation.setId), operation, { entityName: operation.kind });
+        }
+    }
+
+    return captured;
+}
+
+/**
+ * Changes between two captures, as ChangeTracker.trackChange inputs.
+ * Creates and updates come first (parents first); deletes follow, children first,
+ * so replaying the list forwards or backwards never orphans an entity.
+ */
+function diffWorkbenchState(before, after) {
+    const changes = [];
+    const toChange = (entry, action, previous, next) => ({
+        entityType: entry.entityType,
+        entityId: entry.entityId,
+        entityName: entry.entityName,
+        tableId: entry.tableId,
+        tableName: entry.tableName,
+        action,
+        before: previous ? JSON.parse(previous.json) : null,
+        after: next ? JSON.parse(next.json) : null,
+        metadata: entry.entityType === 'field'
+            ? { position: { before: previous?.position ?? null, after: next?.position ?? null } }
+            : undefined
+    });
+
+    for (const [key, entry] of after) {
+        const previous = before.get(key);
+
+        if (!previous) {
+            changes.push(toChange(entry, 'create', null, entry));
+        } else if (previous.json !== entry.json || previous.position !== entry.position) {
+            changes.push(toChange(entry, 'update', previous, entry));
+        }
+    }
+
+    [...before].reverse().forEach(([key, entry]) => {
+        if (!after.has(key)) {
+            changes.push(toChange(entry, 'delete', entry, null));
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Register ChangeTracker appliers that write undone/redone states back into workbench state.
+ * A null value removes the entity.
+ */
+function registerWorkbenchAppliers(tracker, state) {
+    const clone = value => JSON.parse(JSON.stringify(value));
+    const detachedSets = new Map(); // setId -> set object removed by an undo (reused on redo)
+    const requireSet = setId => {
+        const set = state.sets.get(setId);
+        if (!set) {
+            throw new Error(`Set ${setId} not found`);
+        }
+        return set;
+    };
+    const replaceContents = (target, value) => {
+        Object.keys(target).forEach(key => delete target[key]);
+        return Object.assign(target, clone(value));
+    };
+
+    tracker.registerApplier('set', (change, value) => {
+        const set = state.sets.get(change.entityId);
+
+        if (value === null || value === undefined) {
+            if (set) {
+                detachedSets.set(change.entityId, set);
+                state.sets.delete(change.entityId);
+            }
+        } else if (set) {
+            Object.assign(set, clone(value));
+        } else {
+            const restored = detachedSets.get(change.entityId) || { schema: [], records: new Map(), views: new Map() };
+            detachedSets.delete(change.entityId);
+            state.sets.set(change.entityId, Object.assign(restored, clone(value)));
+        }
+    });
+
+    tracker.registerApplier('field', (change, value, direction) => {
+        const set = requireSet(change.tableId);
+        const schema = set.schema || (set.schema = []);
+        const index = schema.findIndex(f => f.id === change.entityId);
+
+        if (index !== -1) {
+            schema.splice(index, 1);
+        }
+
+        if (value !== null && value !== undefined) {
+            const position = change.metadata?.position?.[direction === 'undo' ? 'before' : 'after'];
+            schema.splice(position ?? schema.length, 0, clone(value));
+        }
+    });
+
+    tracker.registerApplier('record', (change, value) => {
+        const set = requireSet(change.tableId);
+        const record = set.records.get(change.entityId);
+
+        if (value === null || value === undefined) {
+            set.records.delete(change.entityId);
+        } else if (record) {
+            replaceContents(record, value);
+        } else {
+            set.records.set(change.entityId, clone(value));
+        }
+    });
+
+    tracker.registerApplier('view', (change, value) => {
+        if (!state.views) {
+            state.views = new Map();
+        }
+        const set = state.sets.get(change.tableId);
+
+        if (value === null || value === undefined) {
+            state.views.delete(change.entityId);
+            set?.views?.delete(change.entityId);
+        } else {
+            const view = state.views.get(change.entityId);
+            state.views.set(change.entityId, view ? replaceContents(view, value) : clone(value));
+            if (set) {
+                if (!set.views) {
+                    set.views = new Map();
+                }
+                set.views.set(change.entityId, { id: change.entityId });
+            }
+        }
+    });
+
+    tracker.registerApplier('operation', (change, value) => {
+        if (!state.structuralOperations) {
+            state.structuralOperations = new Map();
+        }
+
+        if (value === null || value === undefined) {
+            state.structuralOperations.delete(change.entityId);
+        } else {
+            state.structuralOperations.set(change.entityId, clone(value));
+        }
+    });
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -634,11 +896,8 @@ function logEvent(state, event) {
     state.eventIdCounter = (state.eventIdCounter || 1) + 1;
 }
 
-// Import createView if in browser environment
-let createView;
-if (typeof window !== 'undefined' && window.createView) {
-    createView = window.createView;
-}
+// createView comes from eo_view_management.js (a browser global); redeclaring it here would clash
+// with a page's own createView
 
 // ============================================================================
 // EXPORTS
@@ -657,6 +916,12 @@ if (typeof module !== 'undefined' && module.exports) {
         executeSplitOperation,
         mergeFields,
         executeMergeFieldsOperation,
+        bulkEditRecords,
+        initWorkbenchHistory,
+        recordWorkbenchTransaction,
+        captureWorkbenchState,
+        diffWorkbenchState,
+        registerWorkbenchAppliers,
         MERGE_STRATEGIES
     };
 }
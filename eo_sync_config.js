@@ -4,10 +4,18 @@
  * Provides configuration interface for:
  * - Airtable API credentials
  * - Xano API credentials
- * - Sync settings
- * - Configuration persistence
+ * - Sync settings and per-table schedules
+ * - Sync profiles (further bases, each with its own tables, direction, conflict strategy and schedule)
+ * - Per-table field mappings and transforms
+ * - Configuration persistence (credentials encrypted in a CredentialVault once one is set up)
  */
 
+const SYNC_PROFILE_DIRECTIONS = ['bidirectional', 'airtable_to_eo', 'eo_to_airtable'];
+const SYNC_PROFILE_RESOLUTIONS = ['superposition', 'airtable_wins', 'eo_wins', 'newest_wins', 'manual'];
+
+// Configuration values kept in the credential vault instead of localStorage: [section, key]
+const SYNC_CONFIG_SECRETS = [['airtable', 'apiKey'], ['xano', 'authToken'], ['xano', 'chainSecret']];
+
 class SyncConfiguration {
     constructor() {
         // Configuration storage
@@ -15,12 +23,15 @@ class SyncConfiguration {
             airtable: {
                 apiKey: null,
                 baseId: null,
+                requestsPerSecond: 5, // Airtable allows 5 requests per second per base
                 tables: [], // List of table IDs to sync
                 schema: null // Cached schema from Meta API
             },
             xano: {
                 baseUrl: null,
                 authToken: null,
+                chainSecret: null, // Signs activity chain checkpoints
+                checkpointInterval: 100, // Activities between chain checkpoints
                 // PUT endpoint - for writing activity logs
                 activityEndpoint: '/activity',
                 // GET endpoints - for reading data
@@ -32,9 +43,23 @@ class SyncConfiguration {
                 direction: 'bidirectional',
                 conflictResolution: 'superposition',
                 autoSync: true,
+                dryRun: false, // Plan changes for review instead of applying them
                 syncInterval: 30000, // 30 seconds
-                batchSize: 50
+                batchSize: 50,
+                tableConcurrency: 2, // Tables synced at once
+                incremental: false, // Pull only records modified since last sync
+                timestampField: '', // Empty → LAST_MODIFIED_TIME()
+                fullReconcileInterval: 3600000, // 1 hour
+                quietHours: null, // { start: 'HH:MM', end: 'HH:MM' }: no scheduled syncs in between
+                tableSchedules: {}, // table id or name -> { interval | cron, quietHours, paused }
+                webhookNotificationUrl: '', // Empty → polling only; set → Airtable webhook pings trigger targeted refreshes
+                softDelete: false, // Archive records deleted in Airtable instead of deleting them
+                archiveSetId: 'sync_archive',
+                schemaMigration: 'auto', // 'auto' or 'manual' (hold tables until migrations are approved)
+                fieldMappings: {} // tableId -> { includeUnmapped, fields: { fieldId: { include, eoField, direction, transforms } } }
             },
+            // Further bases to sync: { id, name, enabled, baseId, tables, direction, conflictResolution, schedule, tableSchedules }
+            profiles: [],
             ui: {
                 showSyncPanel: true,
                 enableNotifications: true
@@ -47,6 +72,23 @@ class SyncConfiguration {
             form: null
         };
 
+        // Field mappings being edited in the modal (committed on save)
+        this.draftFieldMappings = {};
+        this.mappingErrors = new Map(); // `${tableId}:${fieldId}` -> transform parse error
+
+        // Sync profiles being edited in the modal (committed on save)
+        this.draftProfiles = [];
+        this.scheduleErrors = new Map(); // input key -> schedule parse error
+
+        // Encrypted credential storage (optional module); locking drops the secrets from memory.
+        // Registered first, so the credentials are in place before other 'unlocked' listeners run.
+        this.vault = typeof CredentialVault === 'function' ? new CredentialVault() : null;
+        if (this.vault) {
+            this.vault.on('unlocked', () => this.applySecrets(this.vault.getSecrets()));
+            this.vault.on('locked', () => this.applySecrets(null));
+            this.vault.watchActivity();
+        }
+
         // Load saved configuration
         this.loadFromStorage();
     }
@@ -188,6 +230,14 @@ class SyncConfiguration {
                 placeholder: 'Leave empty if not required',
                 value: this.config.xano.authToken
             },
+            {
+                id: 'xano-chain-secret',
+                label: 'Checkpoint Signing Key (Optional)',
+                type: 'password',
+                placeholder: 'Signs activity history checkpoints',
+                help: 'Checkpoints signed with this key let the Activity panel show "History verified up to"',
+                value: this.config.xano.chainSecret
+            },
             {
                 id: 'xano-activity-endpoint',
                 label: '📤 PUT Endpoint - Activity Logs',
@@ -243,7 +293,8 @@ class SyncConfiguration {
                     { value: 'superposition', label: 'Superposition (Keep both values)' },
                     { value: 'airtable_wins', label: 'Airtable Always Wins' },
                     { value: 'eo_wins', label: 'EO Always Wins' },
-                    { value: 'newest_wins', label: 'Newest Timestamp Wins' }
+                    { value: 'newest_wins', label: 'Newest Timestamp Wins' },
+                    { value: 'manual', label: 'Manual (Review each conflict)' }
                 ],
                 value: this.config.sync.conflictResolution
             },
@@ -253,6 +304,13 @@ class SyncConfiguration {
                 type: 'checkbox',
                 value: this.config.sync.autoSync
             },
+            {
+                id: 'sync-dry-run',
+                label: 'Review Changes Before Applying',
+                type: 'checkbox',
+                value: this.config.sync.dryRun === true,
+                help: 'Syncs produce a change plan to approve in the sync panel instead of writing'
+            },
             {
                 id: 'sync-interval',
                 label: 'Sync Interval (seconds)',
@@ -260,16 +318,697 @@ class SyncConfiguration {
                 min: 10,
                 max: 3600,
                 value: this.config.sync.syncInterval / 1000
+            },
+            {
+                id: 'sync-incremental',
+                label: 'Incremental Pulls',
+                type: 'checkbox',
+                value: this.config.sync.incremental === true,
+                help: 'Only fetch records modified since the last sync'
+            },
+            {
+                id: 'sync-timestamp-field',
+                label: 'Last Modified Field (optional)',
+                type: 'text',
+                placeholder: 'Last Modified',
+                value: this.config.sync.timestampField || '',
+                help: 'Airtable "Last modified time" field. Leave empty to use LAST_MODIFIED_TIME()'
+            },
+            {
+                id: 'sync-full-reconcile-interval',
+                label: 'Full Reconciliation Interval (minutes)',
+                type: 'number',
+                min: 1,
+                max: 1440,
+                value: (this.config.sync.fullReconcileInterval || 3600000) / 60000,
+                help: 'How often a full table scan runs to catch deletions'
+            },
+            {
+                id: 'sync-quiet-hours',
+                label: 'Quiet Hours (optional)',
+                type: 'text',
+                placeholder: '22:00-06:00',
+                value: this.formatQuietHours(this.config.sync.quietHours),
+                help: 'No scheduled syncs in this local time range; syncs due inside it run when it ends'
+            },
+            {
+                id: 'sync-table-schedules',
+                label: 'Table Schedules (optional)',
+                type: 'textarea',
+                placeholder: 'Orders: 1m\nProducts: cron 0 6 * * *\nArchive: paused',
+                value: this.formatTableSchedules(this.config.sync.tableSchedules),
+                help: 'One table per line, "Table: schedule". Schedules: 30s, 15m, 2h, cron */15 8-18 * * 1-5, quiet 22:00-06:00, paused (combine with ";")'
+            },
+            {
+                id: 'sync-webhook-url',
+                label: 'Webhook Notification URL (optional)',
+                type: 'text',
+                placeholder: 'https://example.com/hooks/airtable',
+                value: this.config.sync.webhookNotificationUrl || '',
+                help: 'Public HTTPS endpoint that forwards Airtable webhook pings to the app. Changed records are then synced within seconds'
+            },
+            {
+                id: 'sync-soft-delete',
+                label: 'Archive Deleted Records',
+                type: 'checkbox',
+                value: this.config.sync.softDelete === true,
+                help: 'Move records deleted in Airtable into an archive set instead of deleting them'
+            },
+            {
+                id: 'sync-archive-set',
+                label: 'Archive Set',
+                type: 'text',
+                placeholder: 'sync_archive',
+                value: this.config.sync.archiveSetId || 'sync_archive'
+            },
+            {
+                id: 'sync-schema-migration',
+                label: 'Schema Changes',
+                type: 'select',
+                options: [
+                    { value: 'auto', label: 'Migrate EO fields automatically' },
+                    { value: 'manual', label: 'Pause affected tables until approved' }
+                ],
+                value: this.config.sync.schemaMigration || 'auto',
+                help: 'What to do when fields are renamed, retyped or removed in Airtable'
             }
         ]);
 
+        form.appendChild(this.createVaultSection());
         form.appendChild(airtableSection);
         form.appendChild(xanoSection);
         form.appendChild(syncSection);
+        form.appendChild(this.createProfilesSection());
+        form.appendChild(this.createFieldMappingSection());
 
         return form;
     }
 
+    /**
+     * Create field mapping section (per-table include/rename/direction/transforms)
+     */
+    createFieldMappingSection() {
+        this.draftFieldMappings = JSON.parse(JSON.stringify(this.config.sync.fieldMappings || {}));
+        this.mappingErrors.clear();
+
+        const section = this.createSection('Field Mapping', []);
+        const tables = this.config.airtable.tables || [];
+
+        if (tables.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'text-sm text-gray-500 dark:text-gray-400';
+            hint.textContent = 'Use "Test & Save" to load tables from Airtable, then map their fields here.';
+            section.appendChild(hint);
+            return section;
+        }
+
+        section.appendChild(this.createField({
+            id: 'mapping-table',
+            label: 'Table',
+            type: 'select',
+            options: tables.map(table => ({ value: table.id, label: table.name })),
+            value: tables[0].id
+        }));
+
+        const unmapped = this.createField({
+            id: 'mapping-include-unmapped',
+            label: 'Sync fields without a rule',
+            type: 'checkbox',
+            value: true
+        });
+        section.appendChild(unmapped);
+
+        const rows = document.createElement('div');
+        rows.id = 'mapping-fields';
+        rows.className = 'space-y-2';
+        section.appendChild(rows);
+
+        const help = document.createElement('p');
+        help.className = 'text-xs text-gray-500 dark:text-gray-400';
+        help.textContent = 'Transforms (applied Airtable → EO, inverted on push), separated by ";": ' +
+            'trim, upper, lower, title, unit:in>cm, unit:*1.8+32, lookup:Todo=Backlog|Done=Shipped';
+        section.appendChild(help);
+
+        const tableSelect = section.querySelector('#mapping-table');
+        tableSelect.addEventListener('change', () => this.renderFieldMappingRows(tableSelect.value));
+
+        section.querySelector('#mapping-include-unmapped').addEventListener('change', (e) => {
+            const tableMapping = this.getDraftTableMapping(tableSelect.value);
+            tableMapping.includeUnmapped = e.target.checked;
+        });
+
+        rows.addEventListener('change', (e) => this.updateFieldMappingRule(tableSelect.value, e.target));
+
+        // Rendered once the form is in the document
+        setTimeout(() => this.renderFieldMappingRows(tableSelect.value), 0);
+
+        return section;
+    }
+
+    /**
+     * Render mapping rows for one table
+     */
+    renderFieldMappingRows(tableId) {
+        const rows = document.getElementById('mapping-fields');
+        const table = (this.config.airtable.tables || []).find(t => t.id === tableId);
+        if (!rows || !table) return;
+
+        const tableMapping = this.draftFieldMappings[tableId] || {};
+        const unmappedInput = document.getElementById('mapping-include-unmapped');
+        if (unmappedInput) {
+            unmappedInput.checked = tableMapping.includeUnmapped !== false;
+        }
+
+        const escape = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const inputClass = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-xs bg-white dark:bg-gray-700';
+
+        rows.innerHTML = `
+            <div class="grid grid-cols-12 gap-2 text-xs font-medium text-gray-500 dark:text-gray-400">
+                <span class="col-span-1">Sync</span>
+                <span class="col-span-3">Airtable field</span>
+                <span class="col-span-3">EO field</span>
+                <span class="col-span-2">Direction</span>
+                <span class="col-span-3">Transforms</span>
+            </div>
+            ${(table.fields || []).map(field => {
+                const rule = tableMapping.fields?.[field.id] || tableMapping.fields?.[field.name] || {};
+                const include = rule.include !== undefined ? rule.include !== false : tableMapping.includeUnmapped !== false;
+                const direction = rule.direction || 'both';
+
+                return `
+                    <div class="grid grid-cols-12 gap-2 items-center" data-field-id="${escape(field.id)}">
+                        <input type="checkbox" class="col-span-1 h-4 w-4" data-prop="include" ${include ? 'checked' : ''}>
+                        <span class="col-span-3 text-sm text-gray-900 dark:text-white truncate" title="${escape(field.type)}">${escape(field.name)}</span>
+                        <input type="text" class="col-span-3 ${inputClass}" data-prop="eoField" placeholder="${escape(field.name)}" value="${escape(rule.eoField)}">
+                        <select class="col-span-2 ${inputClass}" data-prop="direction">
+                            <option value="both" ${direction === 'both' ? 'selected' : ''}>⇄ Both</option>
+                            <option value="airtable_to_eo" ${direction === 'airtable_to_eo' ? 'selected' : ''}>← Read-only</option>
+                            <option value="eo_to_airtable" ${direction === 'eo_to_airtable' ? 'selected' : ''}>→ Push-only</option>
+                        </select>
+                        <input type="text" class="col-span-3 ${inputClass}" data-prop="transforms" placeholder="trim; upper" value="${escape(this.formatTransforms(rule.transforms))}">
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    /**
+     * Update the draft rule from an edited mapping input
+     */
+    updateFieldMappingRule(tableId, input) {
+        const row = input.closest('[data-field-id]');
+        if (!row) return;
+
+        const fieldId = row.dataset.fieldId;
+        const tableMapping = this.getDraftTableMapping(tableId);
+        const rule = tableMapping.fields[fieldId] || {};
+        const prop = input.dataset.prop;
+
+        if (prop === 'include') {
+            rule.include = input.checked;
+        } else if (prop === 'eoField') {
+            rule.eoField = input.value.trim() || undefined;
+        } else if (prop === 'direction') {
+            rule.direction = input.value;
+        } else if (prop === 'transforms') {
+            const errorKey = `${tableId}:${fieldId}`;
+
+            try {
+                rule.transforms = this.parseTransforms(input.value);
+                this.mappingErrors.delete(errorKey);
+                input.classList.remove('border-red-500');
+            } catch (error) {
+                this.mappingErrors.set(errorKey, error.message);
+                input.classList.add('border-red-500');
+            }
+        }
+
+        tableMapping.fields[fieldId] = rule;
+    }
+
+    /**
+     * Get (or create) a table's draft mapping
+     */
+    getDraftTableMapping(tableId) {
+        if (!this.draftFieldMappings[tableId]) {
+            this.draftFieldMappings[tableId] = { includeUnmapped: true, fields: {} };
+        }
+        if (!this.draftFieldMappings[tableId].fields) {
+            this.draftFieldMappings[tableId].fields = {};
+        }
+        return this.draftFieldMappings[tableId];
+    }
+
+    /**
+     * Parse transform text: "trim; upper; unit:in>cm; unit:*1.8+32; lookup:a=b|c=d"
+     */
+    parseTransforms(text) {
+        return (text || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+            const [name, ...rest] = part.split(':');
+            const arg = rest.join(':').trim();
+
+            switch (name.trim().toLowerCase()) {
+                case 'trim':
+                    return { type: 'trim' };
+                case 'upper':
+                case 'lower':
+                case 'title':
+                    return { type: 'case', mode: name.trim().toLowerCase() };
+                case 'unit': {
+                    const units = arg.match(/^(\w+)\s*>\s*(\w+)$/);
+                    if (units) {
+                        return { type: 'unit', from: units[1], to: units[2] };
+                    }
+
+                    const linear = arg.match(/^\*\s*(-?[\d.]+)\s*(?:([+-])\s*([\d.]+))?$/);
+                    if (linear) {
+                        const offset = linear[3] ? Number(linear[3]) * (linear[2] === '-' ? -1 : 1) : 0;
+                        return { type: 'unit', factor: Number(linear[1]), offset };
+                    }
+
+                    throw new Error(`Invalid unit transform: ${part}`);
+                }
+                case 'lookup': {
+                    const map = {};
+                    for (const pair of arg.split('|').filter(Boolean)) {
+                        const [from, ...to] = pair.split('=');
+                        if (to.length === 0) {
+                            throw new Error(`Invalid lookup entry: ${pair}`);
+                        }
+                        map[from.trim()] = to.join('=').trim();
+                    }
+                    return { type: 'lookup', map };
+                }
+                default:
+                    throw new Error(`Unknown transform: ${name}`);
+            }
+        });
+    }
+
+    /**
+     * Format transforms back to text
+     */
+    formatTransforms(transforms) {
+        return (transforms || []).map(transform => {
+            switch (transform.type) {
+                case 'trim':
+                    return 'trim';
+                case 'case':
+                    return transform.mode;
+                case 'unit':
+                    return transform.factor !== undefined
+                        ? `unit:*${transform.factor}${transform.offset ? (transform.offset > 0 ? `+${transform.offset}` : `${transform.offset}`) : ''}`
+                        : `unit:${transform.from}>${transform.to}`;
+                case 'lookup':
+                    return `lookup:${Object.entries(transform.map || {}).map(([from, to]) => `${from}=${to}`).join('|')}`;
+                default:
+                    return transform.type;
+            }
+        }).join('; ');
+    }
+
+    /**
+     * Drop default rules (synced as-is) from field mappings
+     */
+    compactFieldMappings(fieldMappings) {
+        const compact = {};
+
+        for (const [tableId, tableMapping] of Object.entries(fieldMappings || {})) {
+            const fields = {};
+
+            for (const [fieldId, rule] of Object.entries(tableMapping.fields || {})) {
+                const cleaned = {
+                    ...(rule.include === false && { include: false }),
+                    ...(rule.include === true && tableMapping.includeUnmapped === false && { include: true }),
+                    ...(rule.eoField && { eoField: rule.eoField }),
+                    ...(rule.direction && rule.direction !== 'both' && { direction: rule.direction }),
+                    ...(rule.transforms?.length > 0 && { transforms: rule.transforms })
+                };
+
+                if (Object.keys(cleaned).length > 0) {
+                    fields[fieldId] = cleaned;
+                }
+            }
+
+            if (Object.keys(fields).length > 0 || tableMapping.includeUnmapped === false) {
+                compact[tableId] = { includeUnmapped: tableMapping.includeUnmapped !== false, fields };
+            }
+        }
+
+        return compact;
+    }
+
+    /**
+     * Validate field mappings (also used for imported configurations)
+     */
+    validateFieldMappings(fieldMappings) {
+        const errors = [];
+        const directions = ['both', 'airtable_to_eo', 'eo_to_airtable'];
+        const transformTypes = ['trim', 'case', 'unit', 'lookup'];
+
+        for (const [tableId, tableMapping] of Object.entries(fieldMappings || {})) {
+            const eoNames = new Set();
+
+            for (const [fieldId, rule] of Object.entries(tableMapping.fields || {})) {
+                const label = `Field mapping ${tableId}.${fieldId}`;
+
+                if (rule.direction && !directions.includes(rule.direction)) {
+                    errors.push(`${label}: invalid direction "${rule.direction}"`);
+                }
+
+                if (rule.eoField && rule.include !== false) {
+                    if (eoNames.has(rule.eoField)) {
+                        errors.push(`${label}: EO field "${rule.eoField}" is mapped twice`);
+                    }
+                    eoNames.add(rule.eoField);
+                }
+
+                for (const transform of rule.transforms || []) {
+                    if (!transformTypes.includes(transform.type)) {
+                        errors.push(`${label}: unknown transform "${transform.type}"`);
+                    } else if (transform.type === 'unit' && transform.factor === undefined &&
+                        typeof SYNC_UNIT_FACTORS !== 'undefined' &&
+                        (!SYNC_UNIT_FACTORS[transform.from] || !SYNC_UNIT_FACTORS[transform.to])) {
+                        errors.push(`${label}: unknown unit conversion ${transform.from} → ${transform.to}`);
+                    } else if (transform.type === 'unit' && transform.factor !== undefined && !(Number(transform.factor) !== 0 && Number.isFinite(Number(transform.factor)))) {
+                        errors.push(`${label}: unit factor must be a non-zero number`);
+                    }
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create sync profiles section (further bases with their own tables, strategy and schedule)
+     */
+    createProfilesSection() {
+        this.draftProfiles = JSON.parse(JSON.stringify(this.config.profiles || []));
+        this.scheduleErrors.clear();
+
+        const section = this.createSection('Sync Profiles', []);
+
+        const help = document.createElement('p');
+        help.className = 'text-xs text-gray-500 dark:text-gray-400';
+        help.textContent = 'The settings above form the default profile. Add a profile for each further base ' +
+            '(the API key is shared). Leave Tables empty to sync every table.';
+        section.appendChild(help);
+
+        const list = document.createElement('div');
+        list.id = 'sync-profiles';
+        list.className = 'space-y-3';
+        section.appendChild(list);
+
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400';
+        add.textContent = '+ Add profile';
+        add.addEventListener('click', () => {
+            this.draftProfiles.push({
+                id: `profile_${Date.now().toString(36)}`,
+                name: `Profile ${this.draftProfiles.length + 1}`,
+                enabled: true,
+                baseId: '',
+                tables: [],
+                direction: this.config.sync.direction,
+                conflictResolution: this.config.sync.conflictResolution,
+                schedule: { interval: this.config.sync.syncInterval },
+                tableSchedules: {}
+            });
+            this.renderProfiles();
+        });
+        section.appendChild(add);
+
+        list.addEventListener('change', (e) => this.updateProfile(e.target));
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-profile-id]');
+            if (e.target.dataset.action === 'remove' && row) {
+                this.draftProfiles = this.draftProfiles.filter(profile => profile.id !== row.dataset.profileId);
+                this.renderProfiles();
+            }
+        });
+
+        // Rendered once the form is in the document
+        setTimeout(() => this.renderProfiles(), 0);
+
+        return section;
+    }
+
+    /**
+     * Render the draft profiles
+     */
+    renderProfiles() {
+        const list = document.getElementById('sync-profiles');
+        if (!list) return;
+
+        const escape = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const inputClass = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-xs bg-white dark:bg-gray-700';
+        const options = (values, selected) => values.map(value =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('');
+
+        list.innerHTML = this.draftProfiles.length === 0
+            ? '<p class="text-sm text-gray-500 dark:text-gray-400">No additional profiles.</p>'
+            : this.draftProfiles.map(profile => `
+                <div class="border border-gray-200 dark:border-gray-700 rounded-md p-3 space-y-2" data-profile-id="${escape(profile.id)}">
+                    <div class="flex items-center gap-2">
+                        <input type="checkbox" class="h-4 w-4" data-prop="enabled" title="Enabled" ${profile.enabled !== false ? 'checked' : ''}>
+                        <input type="text" class="${inputClass}" data-prop="name" placeholder="Name" value="${escape(profile.name)}">
+                        <button type="button" class="text-xs text-red-600 hover:text-red-700" data-action="remove">Remove</button>
+                    </div>
+                    <div class="grid grid-cols-2 gap-2">
+                        <input type="text" class="${inputClass}" data-prop="baseId" placeholder="Base ID (app...)" value="${escape(profile.baseId)}">
+                        <input type="text" class="${inputClass}" data-prop="tables" placeholder="Tables (comma-separated, empty: all)" value="${escape((profile.tables || []).join(', '))}">
+                        <select class="${inputClass}" data-prop="direction">${options(SYNC_PROFILE_DIRECTIONS, profile.direction)}</select>
+                        <select class="${inputClass}" data-prop="conflictResolution">${options(SYNC_PROFILE_RESOLUTIONS, profile.conflictResolution)}</select>
+                    </div>
+                    <input type="text" class="${inputClass}" data-prop="schedule" placeholder="Schedule, e.g. 15m; quiet 22:00-06:00" value="${escape(this.formatSchedule(profile.schedule))}">
+                    <textarea class="${inputClass} font-mono" rows="2" data-prop="tableSchedules" placeholder="Table: cron 0 * * * *">${escape(this.formatTableSchedules(profile.tableSchedules))}</textarea>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Update a draft profile from an edited input
+     */
+    updateProfile(input) {
+        const row = input.closest('[data-profile-id]');
+        const profile = row && this.draftProfiles.find(p => p.id === row.dataset.profileId);
+        if (!profile) return;
+
+        const prop = input.dataset.prop;
+
+        if (prop === 'enabled') {
+            profile.enabled = input.checked;
+        } else if (prop === 'tables') {
+            profile.tables = input.value.split(',').map(table => table.trim()).filter(Boolean);
+        } else if (prop === 'schedule') {
+            profile.schedule = this.readScheduleInput(input, `Profile ${profile.name}`, text => this.parseSchedule(text), profile.schedule);
+        } else if (prop === 'tableSchedules') {
+            profile.tableSchedules = this.readScheduleInput(input, `Profile ${profile.name}`, text => this.parseTableSchedules(text), profile.tableSchedules);
+        } else if (prop) {
+            profile[prop] = input.value.trim();
+        }
+    }
+
+    /**
+     * Parse a schedule input, marking it (and keeping the previous value) when it is invalid
+     */
+    readScheduleInput(input, label, parse, previous) {
+        const errorKey = `${label}:${input.dataset.prop || input.id}`;
+
+        try {
+            const value = parse(input.value);
+            this.scheduleErrors.delete(errorKey);
+            input.classList.remove('border-red-500');
+            return value;
+        } catch (error) {
+            this.scheduleErrors.set(errorKey, `${label}: ${error.message}`);
+            input.classList.add('border-red-500');
+            return previous;
+        }
+    }
+
+    /**
+     * Parse schedule text: "15m", "cron 0 6 * * 1-5", "quiet 22:00-06:00", "paused", combined with ";"
+     */
+    parseSchedule(text) {
+        const schedule = {};
+        const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+        for (const part of (text || '').split(';').map(part => part.trim()).filter(Boolean)) {
+            const interval = part.match(/^(\d+)\s*(s|m|h|d)$/i);
+            const quiet = part.match(/^quiet\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/i);
+
+            if (interval) {
+                schedule.interval = Number(interval[1]) * units[interval[2].toLowerCase()];
+            } else if (/^cron\s+/i.test(part)) {
+                schedule.cron = part.replace(/^cron\s+/i, '');
+            } else if (quiet) {
+                schedule.quietHours = { start: quiet[1], end: quiet[2] };
+            } else if (part.toLowerCase() === 'paused') {
+                schedule.paused = true;
+            } else {
+                throw new Error(`Unknown schedule: ${part}`);
+            }
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Format a schedule back to text
+     */
+    formatSchedule(schedule) {
+        if (!schedule) return '';
+
+        const parts = [];
+        const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+
+        if (schedule.interval) {
+            const [unit, size] = units.find(([, size]) => schedule.interval % size === 0) || ['s', 1000];
+            parts.push(`${Math.round(schedule.interval / size)}${unit}`);
+        }
+        if (schedule.cron) {
+            parts.push(`cron ${schedule.cron}`);
+        }
+        if (schedule.quietHours) {
+            parts.push(`quiet ${this.formatQuietHours(schedule.quietHours)}`);
+        }
+        if (schedule.paused) {
+            parts.push('paused');
+        }
+
+        return parts.join('; ');
+    }
+
+    formatQuietHours(quietHours) {
+        return quietHours ? `${quietHours.start}-${quietHours.end}` : '';
+    }
+
+    /**
+     * Parse per-table schedules, one "Table: schedule" per line
+     */
+    parseTableSchedules(text) {
+        const schedules = {};
+
+        for (const line of (text || '').split('\n').map(line => line.trim()).filter(Boolean)) {
+            const separator = line.indexOf(':');
+            if (separator < 1) {
+                throw new Error(`Expected "Table: schedule": ${line}`);
+            }
+            schedules[line.slice(0, separator).trim()] = this.parseSchedule(line.slice(separator + 1));
+        }
+
+        return schedules;
+    }
+
+    formatTableSchedules(tableSchedules) {
+        return Object.entries(tableSchedules || {})
+            .map(([table, schedule]) => `${table}: ${this.formatSchedule(schedule)}`)
+            .join('\n');
+    }
+
+    /**
+     * Validate a schedule (cron expressions are checked when the scheduler module is loaded)
+     */
+    validateSchedule(schedule, label) {
+        const errors = [];
+
+        if (schedule.interval !== undefined && !(Number(schedule.interval) >= 10000)) {
+            errors.push(`${label}: interval must be at least 10 seconds`);
+        }
+
+        if (schedule.interval && schedule.cron) {
+            errors.push(`${label}: use either an interval or a cron expression`);
+        }
+
+        if (schedule.cron && typeof SyncScheduler !== 'undefined') {
+            try {
+                SyncScheduler.parseCron(schedule.cron);
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        }
+
+        if (schedule.quietHours) {
+            for (const time of [schedule.quietHours.start, schedule.quietHours.end]) {
+                const match = String(time || '').match(/^(\d{1,2}):(\d{2})$/);
+                if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+                    errors.push(`${label}: invalid quiet hours time "${time}" (HH:MM)`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate sync profiles (also used for imported configurations)
+     */
+    validateProfiles(profiles) {
+        const errors = [];
+        const ids = new Set();
+        const names = new Set();
+
+        for (const profile of profiles || []) {
+            const label = `Profile ${profile.name || profile.id}`;
+
+            if (!profile.id || ids.has(profile.id)) {
+                errors.push(`${label}: missing or duplicate id`);
+            }
+            ids.add(profile.id);
+
+            if (!profile.name) {
+                errors.push(`${label}: name is required`);
+            } else if (names.has(profile.name)) {
+                errors.push(`${label}: name is used twice`);
+            }
+            names.add(profile.name);
+
+            if (!profile.baseId || !profile.baseId.startsWith('app')) {
+                errors.push(`${label}: Base ID should start with "app"`);
+            }
+
+            if (profile.direction && !SYNC_PROFILE_DIRECTIONS.includes(profile.direction)) {
+                errors.push(`${label}: invalid sync direction "${profile.direction}"`);
+            }
+
+            if (profile.conflictResolution && !SYNC_PROFILE_RESOLUTIONS.includes(profile.conflictResolution)) {
+                errors.push(`${label}: invalid conflict resolution "${profile.conflictResolution}"`);
+            }
+
+            errors.push(...this.validateSchedule(profile.schedule || {}, label));
+            for (const [table, schedule] of Object.entries(profile.tableSchedules || {})) {
+                errors.push(...this.validateSchedule(schedule, `${label}, table ${table}`));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Enabled sync profiles; the first ('default') is built from the Airtable and sync settings
+     */
+    getProfiles() {
+        const defaultProfile = {
+            id: 'default',
+            name: 'Default',
+            enabled: true,
+            baseId: this.config.airtable.baseId,
+            tables: [],
+            direction: this.config.sync.direction,
+            conflictResolution: this.config.sync.conflictResolution,
+            schedule: {
+                interval: this.config.sync.syncInterval,
+                ...(this.config.sync.quietHours && { quietHours: this.config.sync.quietHours })
+            },
+            tableSchedules: this.config.sync.tableSchedules || {}
+        };
+
+        return [defaultProfile, ...(this.config.profiles || []).filter(profile => profile.enabled !== false)];
+    }
+
     /**
      * Create configuration section
      */
@@ -318,6 +1057,12 @@ class SyncConfiguration {
                 }
                 input.appendChild(optionEl);
             });
+        } else if (field.type === 'textarea') {
+            input = document.createElement('textarea');
+            input.className = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-mono bg-white dark:bg-gray-700';
+            input.rows = field.rows || 3;
+            input.placeholder = field.placeholder || '';
+            input.value = field.value || '';
         } else if (field.type === 'checkbox') {
             input = document.createElement('input');
             input.type = 'checkbox';
@@ -382,6 +1127,12 @@ class SyncConfiguration {
             authTokenField.value = ''; // Don't show actual token for security
         }
 
+        if (this.config.xano.chainSecret) {
+            const chainSecretField = form.querySelector('#xano-chain-secret');
+            chainSecretField.placeholder = '••••••••••••• (saved)';
+            chainSecretField.value = '';
+        }
+
         // Populate endpoint fields
         if (this.config.xano.activityEndpoint) {
             form.querySelector('#xano-activity-endpoint').value = this.config.xano.activityEndpoint;
@@ -403,7 +1154,17 @@ class SyncConfiguration {
         form.querySelector('#sync-direction').value = this.config.sync.direction;
         form.querySelector('#conflict-resolution').value = this.config.sync.conflictResolution;
         form.querySelector('#auto-sync').checked = this.config.sync.autoSync;
+        form.querySelector('#sync-dry-run').checked = this.config.sync.dryRun === true;
         form.querySelector('#sync-interval').value = this.config.sync.syncInterval / 1000;
+        form.querySelector('#sync-incremental').checked = this.config.sync.incremental === true;
+        form.querySelector('#sync-timestamp-field').value = this.config.sync.timestampField || '';
+        form.querySelector('#sync-full-reconcile-interval').value = (this.config.sync.fullReconcileInterval || 3600000) / 60000;
+        form.querySelector('#sync-quiet-hours').value = this.formatQuietHours(this.config.sync.quietHours);
+        form.querySelector('#sync-table-schedules').value = this.formatTableSchedules(this.config.sync.tableSchedules);
+        form.querySelector('#sync-webhook-url').value = this.config.sync.webhookNotificationUrl || '';
+        form.querySelector('#sync-soft-delete').checked = this.config.sync.softDelete === true;
+        form.querySelector('#sync-archive-set').value = this.config.sync.archiveSetId || 'sync_archive';
+        form.querySelector('#sync-schema-migration').value = this.config.sync.schemaMigration || 'auto';
     }
 
     /**
@@ -413,6 +1174,11 @@ class SyncConfiguration {
     save() {
         const form = this.elements.form;
 
+        if (this.isVaultLocked()) {
+            alert('Unlock the credential vault before saving the configuration.');
+            return false;
+        }
+
         // Store old values for comparison
         const oldConfig = JSON.parse(JSON.stringify(this.config));
 
@@ -438,6 +1204,11 @@ class SyncConfiguration {
             this.config.xano.authToken = xanoAuthToken;
         }
 
+        const xanoChainSecret = form.querySelector('#xano-chain-secret')?.value.trim();
+        if (xanoChainSecret !== undefined && (xanoChainSecret || !this.config.xano.chainSecret)) {
+            this.config.xano.chainSecret = xanoChainSecret || null;
+        }
+
         const activityEndpoint = form.querySelector('#xano-activity-endpoint').value.trim();
         if (activityEndpoint || !this.config.xano.activityEndpoint) {
             this.config.xano.activityEndpoint = activityEndpoint;
@@ -469,7 +1240,21 @@ class SyncConfiguration {
         this.config.sync.direction = form.querySelector('#sync-direction').value;
         this.config.sync.conflictResolution = form.querySelector('#conflict-resolution').value;
         this.config.sync.autoSync = form.querySelector('#auto-sync').checked;
+        this.config.sync.dryRun = form.querySelector('#sync-dry-run').checked;
         this.config.sync.syncInterval = parseInt(form.querySelector('#sync-interval').value) * 1000;
+        this.config.sync.incremental = form.querySelector('#sync-incremental').checked;
+        this.config.sync.timestampField = form.querySelector('#sync-timestamp-field').value.trim();
+        this.config.sync.fullReconcileInterval = (parseInt(form.querySelector('#sync-full-reconcile-interval').value) || 60) * 60000;
+        this.config.sync.quietHours = this.readScheduleInput(form.querySelector('#sync-quiet-hours'), 'Quiet Hours',
+            text => text.trim() ? this.parseSchedule(`quiet ${text}`).quietHours : null, this.config.sync.quietHours);
+        this.config.sync.tableSchedules = this.readScheduleInput(form.querySelector('#sync-table-schedules'), 'Table Schedules',
+            text => this.parseTableSchedules(text), this.config.sync.tableSchedules);
+        this.config.sync.webhookNotificationUrl = form.querySelector('#sync-webhook-url').value.trim();
+        this.config.sync.softDelete = form.querySelector('#sync-soft-delete').checked;
+        this.config.sync.archiveSetId = form.querySelector('#sync-archive-set').value.trim() || 'sync_archive';
+        this.config.sync.schemaMigration = form.querySelector('#sync-schema-migration').value;
+        this.config.sync.fieldMappings = this.compactFieldMappings(this.draftFieldMappings);
+        this.config.profiles = JSON.parse(JSON.stringify(this.draftProfiles));
 
         // Check for credential changes and warn user
         const credentialChanges = this.detectCredentialChanges(oldConfig, this.config);
@@ -529,6 +1314,9 @@ class SyncConfiguration {
         if (!form.querySelector('#xano-auth-token').value.trim() && this.config.xano.authToken) {
             preserved.push('Xano Auth Token');
         }
+        if (!form.querySelector('#xano-chain-secret')?.value.trim() && this.config.xano.chainSecret) {
+            preserved.push('Checkpoint Signing Key');
+        }
 
         return preserved;
     }
@@ -551,6 +1339,9 @@ class SyncConfiguration {
         if (oldConfig.xano.authToken !== newConfig.xano.authToken && newConfig.xano.authToken) {
             changes.push('• Xano Auth Token');
         }
+        if (oldConfig.xano.chainSecret !== newConfig.xano.chainSecret && newConfig.xano.chainSecret) {
+            changes.push('• Checkpoint Signing Key');
+        }
 
         return changes;
     }
@@ -598,7 +1389,8 @@ class SyncConfiguration {
                 activityEndpoint: this.config.xano.activityEndpoint,
                 historyEndpoint: this.config.xano.historyEndpoint,
                 snapshotEndpoint: this.config.xano.snapshotEndpoint,
-                timelineEndpoint: this.config.xano.timelineEndpoint
+                timelineEndpoint: this.config.xano.timelineEndpoint,
+                chain: null // Test activities stay out of the activity chain
             });
 
             // Test PUT endpoint with a test activity
@@ -791,18 +1583,35 @@ class SyncConfiguration {
             warnings.push('Sync interval is very long (>1 hour). This may cause data staleness.');
         }
 
+        // Airtable only delivers webhook pings to HTTPS URLs
+        if (this.config.sync.webhookNotificationUrl && !this.config.sync.webhookNotificationUrl.startsWith('https://')) {
+            errors.push('Webhook Notification URL must start with https://');
+        }
+
         // Validate sync direction
-        const validDirections = ['bidirectional', 'airtable_to_eo', 'eo_to_airtable'];
-        if (!validDirections.includes(this.config.sync.direction)) {
+        if (!SYNC_PROFILE_DIRECTIONS.includes(this.config.sync.direction)) {
             errors.push('Invalid sync direction');
         }
 
         // Validate conflict resolution
-        const validResolutions = ['superposition', 'airtable_wins', 'eo_wins', 'newest_wins'];
-        if (!validResolutions.includes(this.config.sync.conflictResolution)) {
+        if (!SYNC_PROFILE_RESOLUTIONS.includes(this.config.sync.conflictResolution)) {
             errors.push('Invalid conflict resolution strategy');
         }
 
+        // Validate schedules and profiles (including schedules that failed to parse in the form)
+        errors.push(...this.scheduleErrors.values());
+        if (this.config.sync.quietHours) {
+            errors.push(...this.validateSchedule({ quietHours: this.config.sync.quietHours }, 'Quiet Hours'));
+        }
+        for (const [table, schedule] of Object.entries(this.config.sync.tableSchedules || {})) {
+            errors.push(...this.validateSchedule(schedule, `Schedule of ${table}`));
+        }
+        errors.push(...this.validateProfiles(this.config.profiles));
+
+        // Validate field mappings (including transforms that failed to parse in the form)
+        errors.push(...this.mappingErrors.values());
+        errors.push(...this.validateFieldMappings(this.config.sync.fieldMappings));
+
         // Log warnings
         if (warnings.length > 0) {
             console.warn('Configuration warnings:', warnings);
@@ -824,6 +1633,11 @@ class SyncConfiguration {
             if (stored) {
                 const parsed = JSON.parse(stored);
                 this.config = { ...this.config, ...parsed };
+
+                // Vaulted credentials stay empty until the vault is unlocked
+                if (this.isVaultLocked()) {
+                    this.applySecrets(null);
+                }
                 console.log('✓ Configuration loaded from storage');
             }
         } catch (error) {
@@ -836,7 +1650,14 @@ class SyncConfiguration {
      */
     saveToStorage() {
         try {
-            localStorage.setItem('eo_sync_config', JSON.stringify(this.config));
+            const vaulted = this.vault?.exists();
+            localStorage.setItem('eo_sync_config', JSON.stringify(vaulted ? this.withoutSecrets(this.config) : this.config));
+
+            if (vaulted && this.vault.isUnlocked()) {
+                this.vault.setSecrets(this.extractSecrets(this.config))
+                    .catch(error => console.error('Failed to save credentials to the vault:', error));
+            }
+
             console.log('✓ Configuration saved to storage');
         } catch (error) {
             console.error('Failed to save configuration:', error);
@@ -869,10 +1690,11 @@ class SyncConfiguration {
     }
 
     /**
-     * Export configuration as JSON
+     * Export configuration as JSON. Credentials are left out unless { includeSecrets: true }.
      */
-    exportConfig() {
-        const data = JSON.stringify(this.config, null, 2);
+    exportConfig(options = {}) {
+        const config = options.includeSecrets ? this.config : this.withoutSecrets(this.config);
+        const data = JSON.stringify(config, null, 2);
         const blob = new Blob([data], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -895,7 +1717,7 @@ class SyncConfiguration {
             reader.onload = (e) => {
                 try {
                     const config = JSON.parse(e.target.result);
-                    this.config = { ...this.config, ...config };
+                    this.applyImportedConfig(config);
                     this.saveToStorage();
                     this.showNotification('Configuration imported successfully!', 'success');
                     this.populateForm();
@@ -908,6 +1730,204 @@ class SyncConfiguration {
         input.click();
     }
 
+    /**
+     * Merge an imported configuration (sections merged key by key, field mappings validated)
+     */
+    applyImportedConfig(imported) {
+        const errors = [
+            ...this.validateFieldMappings(imported.sync?.fieldMappings),
+            ...this.validateProfiles(imported.profiles)
+        ];
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const merged = { ...this.config, ...imported };
+        for (const section of ['airtable', 'xano', 'sync', 'ui']) {
+            merged[section] = { ...this.config[section], ...imported[section] };
+        }
+
+        this.config = merged;
+        this.draftFieldMappings = JSON.parse(JSON.stringify(this.config.sync.fieldMappings || {}));
+        this.draftProfiles = JSON.parse(JSON.stringify(this.config.profiles || []));
+        this.renderProfiles();
+
+        const tableSelect = document.getElementById('mapping-table');
+        if (tableSelect) {
+            this.renderFieldMappingRows(tableSelect.value);
+        }
+    }
+
+    /**
+     * Check if a vault holds the credentials but is not unlocked in this session
+     */
+    isVaultLocked() {
+        return Boolean(this.vault?.exists() && !this.vault.isUnlocked());
+    }
+
+    /**
+     * Move the stored credentials into a new vault encrypted with a passphrase
+     */
+    async enableVault(passphrase) {
+        if (!this.vault) {
+            throw new Error('Credential vault module (eo_credential_vault.js) is not loaded');
+        }
+
+        await this.vault.create(passphrase, this.extractSecrets(this.config));
+        this.saveToStorage();
+        console.log('🔐 Credentials moved to the encrypted vault');
+    }
+
+    /**
+     * Unlock the vault for this session and load its credentials
+     */
+    async unlockVault(passphrase) {
+        await this.vault.unlock(passphrase); // The 'unlocked' listener applies the secrets
+        console.log('🔓 Credential vault unlocked');
+    }
+
+    /**
+     * Lock the vault (credentials are dropped from memory until it is unlocked again)
+     */
+    lockVault() {
+        this.vault?.lock();
+    }
+
+    /**
+     * Re-encrypt the credentials under a new passphrase
+     */
+    async rotateVaultPassphrase(currentPassphrase, newPassphrase) {
+        await this.vault.rotate(currentPassphrase, newPassphrase);
+        this.applySecrets(this.vault.getSecrets());
+        console.log('🔐 Vault passphrase changed');
+    }
+
+    /**
+     * Delete the vault and store the credentials in plain localStorage again (vault must be unlocked)
+     */
+    disableVault() {
+        const secrets = this.vault.destroy();
+        this.applySecrets(secrets);
+        this.saveToStorage();
+        console.log('⚠️ Credential vault removed; credentials are stored in plain text');
+    }
+
+    /**
+     * Secret values of a configuration: { airtable: { apiKey }, xano: { authToken, chainSecret } }
+     */
+    extractSecrets(config) {
+        const secrets = {};
+
+        for (const [section, key] of SYNC_CONFIG_SECRETS) {
+            secrets[section] = { ...secrets[section], [key]: config[section]?.[key] ?? null };
+        }
+
+        return secrets;
+    }
+
+    /**
+     * Copy of a configuration without its secret values
+     */
+    withoutSecrets(config) {
+        const copy = JSON.parse(JSON.stringify(config));
+
+        for (const [section, key] of SYNC_CONFIG_SECRETS) {
+            if (copy[section]) {
+                delete copy[section][key];
+            }
+        }
+
+        return copy;
+    }
+
+    /**
+     * Put secrets into the configuration (null clears them)
+     */
+    applySecrets(secrets) {
+        for (const [section, key] of SYNC_CONFIG_SECRETS) {
+            this.config[section][key] = secrets?.[section]?.[key] ?? null;
+        }
+    }
+
+    /**
+     * Create credential vault section (set up, unlock, lock, change passphrase)
+     */
+    createVaultSection() {
+        if (!this.vault) {
+            return document.createDocumentFragment();
+        }
+
+        const section = this.createSection('Credential Vault', []);
+
+        const status = document.createElement('p');
+        status.className = 'text-sm text-gray-700 dark:text-gray-300';
+        section.appendChild(status);
+
+        const fields = document.createElement('div');
+        fields.className = 'space-y-2';
+        section.appendChild(fields);
+
+        const actions = document.createElement('div');
+        actions.className = 'flex flex-wrap gap-3';
+        section.appendChild(actions);
+
+        const addButton = (label, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400';
+            button.textContent = label;
+            button.addEventListener('click', async () => {
+                try {
+                    await onClick();
+                    this.show();
+                } catch (error) {
+                    this.showNotification(error.message, 'error');
+                }
+            });
+            actions.appendChild(button);
+        };
+        const passphrase = (id, label) => {
+            fields.appendChild(this.createField({ id, label, type: 'password', placeholder: 'At least 8 characters' }));
+            return () => document.getElementById(id).value;
+        };
+
+        if (!this.vault.exists()) {
+            status.textContent = '⚠️ Credentials are stored in plain text in this browser. Encrypt them with a passphrase:';
+            const first = passphrase('vault-passphrase', 'Passphrase');
+            const confirmation = passphrase('vault-passphrase-confirm', 'Repeat Passphrase');
+
+            addButton('Encrypt credentials', async () => {
+                if (first() !== confirmation()) {
+                    throw new Error('Passphrases do not match');
+                }
+                await this.enableVault(first());
+                this.showNotification('Credentials encrypted', 'success');
+            });
+        } else if (!this.vault.isUnlocked()) {
+            status.textContent = '🔒 Credentials are encrypted and locked. Unlock them to sync or edit the configuration.';
+            const value = passphrase('vault-passphrase', 'Passphrase');
+
+            addButton('Unlock', () => this.unlockVault(value()));
+        } else {
+            status.textContent = `🔓 Credentials are encrypted and unlocked for this session (locks after ${Math.round(this.vault.idleTimeout / 60000)} minutes idle).`;
+            const current = passphrase('vault-passphrase', 'Current Passphrase');
+            const next = passphrase('vault-new-passphrase', 'New Passphrase');
+
+            addButton('Lock now', () => this.lockVault());
+            addButton('Change passphrase', async () => {
+                await this.rotateVaultPassphrase(current(), next());
+                this.showNotification('Vault passphrase changed', 'success');
+            });
+            addButton('Remove vault', () => {
+                if (confirm('Store the credentials unencrypted again?')) {
+                    this.disableVault();
+                }
+            });
+        }
+
+        return section;
+    }
+
     /**
      * Show notification
      */
@@ -0,0 +1,1022 @@
+/**
+ * EO Sync Connectors
+ *
+ * The contract SyncEngine uses to talk to an external data source, plus
+ * connectors for sources other than Airtable:
+ * - SyncConnector: base class (paging, caching, checksums, rate limiting)
+ * - RestConnector: generic REST/JSON collections (e.g. PostgREST, Supabase, custom APIs)
+ * - CsvFolderConnector: a local folder of CSV files, one table per file (Node)
+ *
+ * AirtableIntegration implements the same contract directly.
+ *
+ * Contract (all record methods use EO-format records):
+ *   type                                     - connector type ('airtable', 'rest', 'csv', ...)
+ *   initialize()                             - connect and discover schema
+ *   discoverSchema() → tables                - [{ id, name, primaryFieldId, fields: [{ id, name, type }] }]
+ *   getTables() → tables                     - last discovered schema
+ *   readPage(tableId, { offset, pageSize }) → { records, offset }   (offset null on the last page)
+ *   fetchTableRecords(tableId, options)      - all pages
+ *   batchUpsertRecords(tableId, records)     - create (no id) or update (id)
+ *   upsertRecord(tableId, record)
+ *   deleteRecords(tableId, recordIds)
+ *   deleteRecord(tableId, recordId)
+ *   calculateChecksum(fields)
+ *   rateLimiter.requestsPerSecond            - null for unlimited
+ *
+ * Optional (enables incremental pulls): fetchChangedRecords(tableId, since, options), getCachedRecords(tableId)
+ * Optional: cancelQueuedRequests({ priority }) - drop queued requests (SyncEngine.stopAutoSync)
+ * Optional (enables webhook push sync): createWebhook(notificationUrl, options), listWebhookPayloads(webhookId, cursor, options),
+ *   refreshWebhook(webhookId, options), deleteWebhook(webhookId, options), summarizeWebhookPayloads(payloads)
+ * Optional: fetchRecordsById(tableId, recordIds, options) - targeted refreshes (otherwise changed tables are synced whole)
+ * Optional: getRequestStats() → { sent, retried, failed } - request counters for sync history (API calls per session)
+ * SyncEngine passes { priority: 'background' } in read/write options; connectors may ignore it.
+ */
+
+const SYNC_CONNECTOR_METHODS = [
+    'initialize',
+    'discoverSchema',
+    'getTables',
+    'readPage',
+    'fetchTableRecords',
+    'batchUpsertRecords',
+    'upsertRecord',
+    'deleteRecords',
+    'deleteRecord',
+    'calculateChecksum'
+];
+
+class SyncConnector {
+    constructor(config = {}) {
+        this.type = config.type || 'custom';
+        this.id = config.id || this.type;
+        this.fetch = config.fetch || null; // Optional fetch implementation
+
+        // Sync state (same shape as AirtableIntegration.syncState)
+        this.syncState = {
+            lastSync: null,
+            tables: new Map(), // tableId -> { schema, lastModified }
+            records: new Map() // recordId -> { data, lastModified, checksum }
+        };
+
+        // Rate limiting (null = unlimited)
+        this.rateLimiter = {
+            requestsPerSecond: config.requestsPerSecond || null,
+            queue: [],
+            processing: false
+        };
+
+        // Request counters (see getRequestStats)
+        this.requestStats = { sent: 0, retried: 0, failed: 0 };
+    }
+
+    /**
+     * Request counters since the connector was created
+     */
+    getRequestStats() {
+        return { ...this.requestStats };
+    }
+
+    /**
+     * List contract methods a connector is missing
+     */
+    static validate(connector) {
+        if (!connector) {
+            return [...SYNC_CONNECTOR_METHODS];
+        }
+
+        const missing = SYNC_CONNECTOR_METHODS.filter(method => typeof connector[method] !== 'function');
+
+        if (!connector.rateLimiter) {
+            missing.push('rateLimiter');
+        }
+
+        return missing;
+    }
+
+    /**
+     * Connect and discover schema
+     */
+    async initialize() {
+        const tables = await this.discoverSchema();
+        console.log(`✓ Connected ${this.type} connector (${tables.length} tables)`);
+
+        return {
+            success: true,
+            tables: tables.map(t => t.id)
+        };
+    }
+
+    /**
+     * Discover tables and fields (implemented by subclasses)
+     */
+    async discoverSchema() {
+        throw new Error(`${this.constructor.name} does not implement discoverSchema()`);
+    }
+
+    /**
+     * Read one page of records (implemented by subclasses)
+     */
+    async readPage(tableIdOrName, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement readPage()`);
+    }
+
+    /**
+     * Create or update records (implemented by subclasses)
+     */
+    async batchUpsertRecords(tableIdOrName, records, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement batchUpsertRecords()`);
+    }
+
+    /**
+     * Delete records (implemented by subclasses)
+     */
+    async deleteRecords(tableIdOrName, recordIds) {
+        throw new Error(`${this.constructor.name} does not implement deleteRecords()`);
+    }
+
+    /**
+     * Register discovered tables
+     */
+    setTables(tables) {
+        this.syncState.tables.clear();
+
+        for (const schema of tables) {
+            this.syncState.tables.set(schema.id, {
+                schema: {
+                    primaryFieldId: schema.fields[0]?.id || null,
+                    views: [],
+                    description: '',
+                    ...schema
+                },
+                lastModified: new Date().toISOString()
+            });
+        }
+
+        return this.getTables();
+    }
+
+    /**
+     * Get all discovered tables
+     */
+    getTables() {
+        return Array.from(this.syncState.tables.values()).map(t => t.schema);
+    }
+
+    /**
+     * Get table by ID or name
+     */
+    getTableByIdOrName(identifier) {
+        if (this.syncState.tables.has(identifier)) {
+            return this.syncState.tables.get(identifier);
+        }
+
+        for (const table of this.syncState.tables.values()) {
+            if (table.schema.name === identifier) {
+                return table;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get table or throw
+     */
+    requireTable(tableIdOrName) {
+        const table = this.getTableByIdOrName(tableIdOrName);
+        if (!table) {
+            throw new Error(`Table not found: ${tableIdOrName}`);
+        }
+        return table;
+    }
+
+    /**
+     * Fetch all records by following pages
+     */
+    async fetchTableRecords(tableIdOrName, options = {}) {
+        const table = this.requireTable(tableIdOrName);
+
+        let records = [];
+        let offset = null;
+
+        do {
+            const page = await this.readPage(table.schema.id, { ...options, offset });
+            records = records.concat(page.records);
+            offset = page.offset;
+        } while (offset);
+
+        // Sources without server-side filtering are filtered here
+        if (options.since) {
+            const since = new Date(options.since).getTime();
+            records = records.filter(r => new Date(r.lastModified).getTime() > since);
+        }
+
+        // A full scan is authoritative: forget cached records that no longer exist
+        if (!options.since) {
+            const fetchedIds = new Set(records.map(r => r.id));
+            for (const [recordId, cached] of this.syncState.records.entries()) {
+                if (cached.data.tableId === table.schema.id && !fetchedIds.has(recordId)) {
+                    this.syncState.records.delete(recordId);
+                }
+            }
+        }
+
+        for (const record of records) {
+            this.cacheRecord(record);
+        }
+
+        console.log(`✓ Fetched ${records.length} records from ${table.schema.name}`);
+
+        return records;
+    }
+
+    /**
+     * Fetch records modified after a timestamp
+     */
+    async fetchChangedRecords(tableIdOrName, since, options = {}) {
+        return this.fetchTableRecords(tableIdOrName, { ...options, since: new Date(since).toISOString() });
+    }
+
+    /**
+     * Get last fetched records for a table from the local cache
+     */
+    getCachedRecords(tableIdOrName) {
+        const table = this.getTableByIdOrName(tableIdOrName);
+        if (!table) {
+            return [];
+        }
+
+        return Array.from(this.syncState.records.values())
+            .filter(cached => cached.data.tableId === table.schema.id)
+            .map(cached => cached.data);
+    }
+
+    /**
+     * Remember a record in the local cache
+     */
+    cacheRecord(record) {
+        this.syncState.records.set(record.id, {
+            data: record,
+            lastModified: record.lastModified,
+            checksum: this.calculateChecksum(record.fields)
+        });
+    }
+
+    /**
+     * Create or update a single record
+     */
+    async upsertRecord(tableIdOrName, record, options = {}) {
+        const [result] = await this.batchUpsertRecords(tableIdOrName, [record], options);
+        return result;
+    }
+
+    /**
+     * Delete a single record
+     */
+    async deleteRecord(tableIdOrName, recordId) {
+        await this.deleteRecords(tableIdOrName, [recordId]);
+    }
+
+    /**
+     * Convert a source row ({ id, fields, createdTime, lastModified }) to an EO record
+     */
+    toEORecord(tableSchema, row) {
+        const context = {
+            source: {
+                system: this.type,
+                connectorId: this.id,
+                tableId: tableSchema.id
+            },
+            agent: {
+                type: 'system',
+                id: `${this.type}-sync`,
+                name: `${this.constructor.name}`
+            },
+            method: 'measured',
+            scale: 'organization',
+            timeframe: {
+                granularity: 'instant',
+                timestamp: new Date().toISOString()
+            }
+        };
+
+        const eoRecord = {
+            id: row.id,
+            tableId: tableSchema.id,
+            tableName: tableSchema.name,
+            fields: {},
+            context,
+            createdTime: row.createdTime || null,
+            lastModified: row.lastModified || row.createdTime || null
+        };
+
+        for (const [fieldName, value] of Object.entries(row.fields)) {
+            const fieldSchema = tableSchema.fields.find(f => f.name === fieldName);
+
+            eoRecord.fields[fieldName] = {
+                value,
+                fieldId: fieldSchema?.id,
+                type: fieldSchema?.type || 'text',
+                context: { ...context }
+            };
+        }
+
+        return eoRecord;
+    }
+
+    /**
+     * Convert EO fields (value objects or raw values) to plain values
+     */
+    fromEOFields(eoFields, tableSchema = null) {
+        const plain = {};
+
+        for (const [fieldName, fieldData] of Object.entries(eoFields || {})) {
+            if (tableSchema && !tableSchema.fields.some(f => f.name === fieldName)) {
+                console.warn(`Field not found in schema: ${fieldName}, skipping`);
+                continue;
+            }
+
+            plain[fieldName] = fieldData !== null && typeof fieldData === 'object' && 'value' in fieldData
+                ? fieldData.value
+                : fieldData;
+        }
+
+        return plain;
+    }
+
+    /**
+     * Infer an EO field type from sample values
+     */
+    inferFieldType(values) {
+        const present = values.filter(v => v !== null && v !== undefined && v !== '');
+
+        if (present.length === 0) return 'text';
+        if (present.every(v => typeof v === 'boolean')) return 'checkbox';
+        if (present.every(v => typeof v === 'number')) return 'number';
+        if (present.every(v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(v))) return 'date';
+        if (present.every(v => Array.isArray(v))) return 'multiSelect';
+        if (present.some(v => typeof v === 'object')) return 'json';
+        if (present.some(v => String(v).includes('\n'))) return 'longText';
+
+        return 'text';
+    }
+
+    /**
+     * Run a task through the rate limiter
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.rateLimiter.queue.push({ task, resolve, reject });
+            this.processQueue();
+        });
+    }
+
+    /**
+     * Process rate-limited task queue
+     */
+    async processQueue() {
+        if (this.rateLimiter.processing || this.rateLimiter.queue.length === 0) {
+            return;
+        }
+
+        this.rateLimiter.processing = true;
+
+        while (this.rateLimiter.queue.length > 0) {
+            const { task, resolve, reject } = this.rateLimiter.queue.shift();
+
+            try {
+                resolve(await task());
+            } catch (error) {
+                reject(error);
+            }
+
+            if (this.rateLimiter.requestsPerSecond) {
+                await new Promise(resolve => setTimeout(resolve, 1000 / this.rateLimiter.requestsPerSecond));
+            }
+        }
+
+        this.rateLimiter.processing = false;
+    }
+
+    /**
+     * Calculate checksum for change detection
+     */
+    calculateChecksum(fields) {
+        const normalized = JSON.stringify(fields, Object.keys(fields).sort());
+        return this.simpleHash(normalized);
+    }
+
+    /**
+     * Simple hash function for checksums
+     */
+    simpleHash(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32bit integer
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * Get sync statistics
+     */
+    getSyncStats() {
+        return {
+            type: this.type,
+            lastSync: this.syncState.lastSync,
+            tableCount: this.syncState.tables.size,
+            recordCount: this.syncState.records.size,
+            tables: this.getTables().map(t => ({
+                id: t.id,
+                name: t.name,
+                fieldCount: t.fields.length
+            }))
+        };
+    }
+}
+
+/**
+ * Generic REST/JSON connector
+ *
+ * Each table is a collection endpoint:
+ *   GET    {path}?limit=&offset=      list (array, or object with the records under recordsKey)
+ *   POST   {path}                     create (records the connector has not seen)
+ *   PATCH  {path}/{id}                update (updateMethod)
+ *   DELETE {path}/{id}                delete
+ */
+class RestConnector extends SyncConnector {
+    constructor(config = {}) {
+        super({ type: 'rest', requestsPerSecond: 10, ...config });
+
+        this.baseUrl = (config.baseUrl || '').replace(/\/$/, '');
+        this.headers = {
+            ...(config.authToken && { 'Authorization': `Bearer ${config.authToken}` }),
+            ...config.headers
+        };
+
+        // Table definitions: [{ id, name, path, idField, updatedField, createdField, fields }]
+        this.tableConfigs = (config.tables || []).map(table => ({
+            idField: 'id',
+            updatedField: null,
+            createdField: null,
+            ...table,
+            id: table.id || table.name,
+            name: table.name || table.id,
+            path: table.path || `/${table.id || table.name}`
+        }));
+
+        this.schemaPath = config.schemaPath || null; // GET → { tables: [...] } (optional)
+        this.recordsKey = config.recordsKey || null; // null = array, or items/data/records
+        this.limitParam = config.limitParam || 'limit';
+        this.offsetParam = config.offsetParam || 'offset';
+        this.cursorKey = config.cursorKey || null; // response key holding the next cursor (cursor pagination)
+        this.cursorParam = config.cursorParam || this.cursorKey; // query param that sends the cursor back
+        this.updatedSinceParam = config.updatedSinceParam || null; // server-side incremental filter
+        this.updateMethod = config.updateMethod || 'PATCH';
+        this.batchPath = config.batchPath || null; // POST {batchPath} { records } → records (optional)
+        this.sampleSize = config.sampleSize || 20; // records sampled to infer fields
+    }
+
+    /**
+     * Discover tables from schemaPath or from configured tables + sampled records
+     */
+    async discoverSchema() {
+        if (this.schemaPath) {
+            const response = await this.request(this.schemaPath);
+            const remoteTables = response.tables || response;
+
+            this.tableConfigs = remoteTables.map(table => ({
+                idField: 'id',
+                updatedField: null,
+                createdField: null,
+                ...this.tableConfigs.find(t => t.id === table.id),
+                ...table,
+                path: table.path || `/${table.id}`
+            }));
+        }
+
+        const tables = [];
+
+        for (const tableConfig of this.tableConfigs) {
+            let fields = tableConfig.fields;
+
+            if (!fields) {
+                const response = await this.request(`${tableConfig.path}?${new URLSearchParams({ [this.limitParam]: this.sampleSize })}`);
+                fields = this.inferFields(this.extractRecords(response), tableConfig);
+            }
+
+            tables.push({
+                id: tableConfig.id,
+                name: tableConfig.name,
+                fields: fields.map(field => ({
+                    id: field.id || field.name,
+                    name: field.name,
+                    type: field.type || 'text',
+                    ...(field.options && { options: field.options })
+                }))
+            });
+        }
+
+        return this.setTables(tables);
+    }
+
+    /**
+     * Infer fields from sample rows
+     */
+    inferFields(rows, tableConfig) {
+        const names = [];
+
+        for (const row of rows) {
+            for (const name of Object.keys(row)) {
+                if (name !== tableConfig.idField && !names.includes(name)) {
+                    names.push(name);
+                }
+            }
+        }
+
+        return names.map(name => ({ name, type: this.inferFieldType(rows.map(row => row[name])) }));
+    }
+
+    /**
+     * Read one page of records
+     */
+    async readPage(tableIdOrName, options = {}) {
+        const table = this.requireTable(tableIdOrName);
+        const tableConfig = this.getTableConfig(table.schema.id);
+        const pageSize = options.pageSize || 100;
+
+        const params = new URLSearchParams({ [this.limitParam]: pageSize });
+        if (options.offset) {
+            params.set(this.cursorKey ? this.cursorParam : this.offsetParam, options.offset);
+        }
+        if (options.since && this.updatedSinceParam) {
+            params.set(this.updatedSinceParam, options.since);
+        }
+
+        const response = await this.request(`${tableConfig.path}?${params}`);
+        const rows = this.extractRecords(response);
+
+        let offset = null;
+        if (this.cursorKey) {
+            offset = response[this.cursorKey] || null;
+        } else if (rows.length === pageSize) {
+            offset = String((parseInt(options.offset) || 0) + pageSize);
+        }
+
+        return {
+            records: rows.map(row => this.toEORecord(table.schema, this.toRow(row, tableConfig))),
+            offset
+        };
+    }
+
+    /**
+     * Create or update records (batched when batchPath is configured)
+     */
+    async batchUpsertRecords(tableIdOrName, records, options = {}) {
+        const table = this.requireTable(tableIdOrName);
+        const tableConfig = this.getTableConfig(table.schema.id);
+
+        const bodies = records.map(record => ({
+            ...(record.id && { [tableConfig.idField]: record.id }),
+            ...this.fromEOFields(record.fields, table.schema)
+        }));
+
+        let rows;
+
+        if (this.batchPath) {
+            const response = await this.request(this.batchPath.replace('{table}', tableConfig.path.replace(/^\//, '')), {
+                method: 'POST',
+                body: JSON.stringify({ records: bodies })
+            });
+            rows = this.extractRecords(response);
+        } else {
+            rows = [];
+
+            for (const [index, body] of bodies.entries()) {
+                // Known ids are updates; unknown ids (e.g. new EO records) are created with that id
+                const id = records[index].id;
+                const response = id && this.syncState.records.has(id)
+                    ? await this.request(`${tableConfig.path}/${encodeURIComponent(id)}`, { method: this.updateMethod, body: JSON.stringify(body) })
+                    : await this.request(tableConfig.path, { method: 'POST', body: JSON.stringify(body) });
+
+                rows.push(response && typeof response === 'object' && !Array.isArray(response) ? { ...body, ...response } : body);
+            }
+        }
+
+        const results = rows.map(row => this.toEORecord(table.schema, this.toRow(row, tableConfig)));
+        results.forEach(record => this.cacheRecord(record));
+
+        console.log(`✓ Upserted ${results.length} records in ${table.schema.name}`);
+
+        return results;
+    }
+
+    /**
+     * Delete records
+     */
+    async deleteRecords(tableIdOrName, recordIds) {
+        const table = this.requireTable(tableIdOrName);
+        const tableConfig = this.getTableConfig(table.schema.id);
+
+        for (const recordId of recordIds) {
+            await this.request(`${tableConfig.path}/${encodeURIComponent(recordId)}`, { method: 'DELETE' });
+            this.syncState.records.delete(recordId);
+        }
+
+        console.log(`✓ Deleted ${recordIds.length} records from ${table.schema.name}`);
+    }
+
+    /**
+     * Split a JSON row into { id, fields, createdTime, lastModified }
+     */
+    toRow(row, tableConfig) {
+        const { [tableConfig.idField]: id, ...fields } = row;
+
+        return {
+            id: String(id),
+            fields,
+            createdTime: tableConfig.createdField ? row[tableConfig.createdField] : null,
+            lastModified: tableConfig.updatedField ? row[tableConfig.updatedField] : null
+        };
+    }
+
+    /**
+     * Get records array from a list response
+     */
+    extractRecords(response) {
+        if (Array.isArray(response)) {
+            return response;
+        }
+
+        if (this.recordsKey) {
+            return response?.[this.recordsKey] || [];
+        }
+
+        return response?.items || response?.data || response?.records || [];
+    }
+
+    /**
+     * Get table configuration
+     */
+    getTableConfig(tableId) {
+        return this.tableConfigs.find(t => t.id === tableId);
+    }
+
+    /**
+     * Rate-limited JSON request
+     */
+    async request(path, options = {}) {
+        const url = path.startsWith('http') ? path : `${this.baseUrl}${path}`;
+
+        return this.schedule(async () => {
+            this.requestStats.sent++;
+
+            const response = await (this.fetch || fetch)(url, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.headers,
+                    ...options.headers
+                }
+            });
+
+            if (!response.ok) {
+                this.requestStats.failed++;
+                const body = await response.json().catch(() => ({}));
+                const error = new Error(`REST API error: ${body.message || body.error?.message || response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
+        });
+    }
+}
+
+/**
+ * Local-folder CSV connector (Node)
+ *
+ * Every *.csv file in the folder is a table named after the file. The header
+ * row defines the fields; idColumn identifies records. Files without an id
+ * column use row numbers until the first write adds the column.
+ */
+class CsvFolderConnector extends SyncConnector {
+    constructor(config = {}) {
+        super({ type: 'csv', ...config });
+
+        this.directory = config.directory;
+        this.fs = config.fs || (typeof require === 'function' ? require('fs') : null);
+        this.path = config.path || (typeof require === 'function' ? require('path') : null);
+        this.idColumn = config.idColumn || 'id';
+        this.updatedColumn = config.updatedColumn || null;
+        this.delimiter = config.delimiter || ',';
+
+        // Serializes file writes
+        this.writeChain = Promise.resolve();
+
+        // tableId -> { file, columns, hasIdColumn }
+        this.files = new Map();
+    }
+
+    /**
+     * Discover tables from CSV files in the folder
+     */
+    async discoverSchema() {
+        if (!this.fs || !this.directory) {
+            throw new Error('CsvFolderConnector requires a directory and a filesystem (Node fs)');
+        }
+
+        const entries = await this.fs.promises.readdir(this.directory);
+        const tables = [];
+        this.files.clear();
+
+        for (const entry of entries.filter(name => name.toLowerCase().endsWith('.csv')).sort()) {
+            const id = entry.replace(/\.csv$/i, '');
+            const file = this.path.join(this.directory, entry);
+            const { columns, rows } = this.parseCsv(await this.fs.promises.readFile(file, 'utf8'));
+
+            this.files.set(id, { file, columns, hasIdColumn: columns.includes(this.idColumn) });
+
+            tables.push({
+                id,
+                name: id,
+                fields: columns
+                    .filter(column => column !== this.idColumn)
+                    .map(column => ({
+                        id: column,
+                        name: column,
+                        type: this.inferFieldType(rows.map(row => this.parseValue(row[column])))
+                    }))
+            });
+        }
+
+        return this.setTables(tables);
+    }
+
+    /**
+     * Read one page of rows
+     */
+    async readPage(tableIdOrName, options = {}) {
+        const table = this.requireTable(tableIdOrName);
+        const { rows, mtime } = await this.readTable(table.schema.id);
+        const start = parseInt(options.offset) || 0;
+        const pageSize = options.pageSize || 100;
+
+        return {
+            records: rows.slice(start, start + pageSize).map(row => this.toEORecord(table.schema, this.toRow(row, mtime))),
+            offset: start + pageSize < rows.length ? String(start + pageSize) : null
+        };
+    }
+
+    /**
+     * Create or update rows, rewriting the file once per batch
+     */
+    async batchUpsertRecords(tableIdOrName, records, options = {}) {
+        const table = this.requireTable(tableIdOrName);
+        const now = new Date().toISOString();
+        const results = [];
+
+        await this.updateTable(table.schema.id, (rows, columns) => {
+            for (const record of records) {
+                const values = this.fromEOFields(record.fields, table.schema);
+                const existing = record.id ? rows.find(row => row[this.idColumn] === record.id) : null;
+                const row = existing || { [this.idColumn]: record.id || this.generateRecordId() };
+
+                for (const [column, value] of Object.entries(values)) {
+                    if (!columns.includes(column)) {
+                        columns.push(column);
+                    }
+                    row[column] = this.formatValue(value);
+                }
+
+                if (this.updatedColumn) {
+                    if (!columns.includes(this.updatedColumn)) {
+                        columns.push(this.updatedColumn);
+                    }
+                    row[this.updatedColumn] = now;
+                }
+
+                if (!existing) {
+                    rows.push(row);
+                }
+
+                results.push(this.toEORecord(table.schema, this.toRow(row, now)));
+            }
+        });
+
+        results.forEach(record => this.cacheRecord(record));
+        console.log(`✓ Upserted ${results.length} rows in ${table.schema.name}.csv`);
+
+        return results;
+    }
+
+    /**
+     * Delete rows by id
+     */
+    async deleteRecords(tableIdOrName, recordIds) {
+        const table = this.requireTable(tableIdOrName);
+        const ids = new Set(recordIds);
+
+        await this.updateTable(table.schema.id, (rows) => {
+            for (let i = rows.length - 1; i >= 0; i--) {
+                if (ids.has(rows[i][this.idColumn])) {
+                    rows.splice(i, 1);
+                }
+            }
+        });
+
+        recordIds.forEach(id => this.syncState.records.delete(id));
+        console.log(`✓ Deleted ${recordIds.length} rows from ${table.schema.name}.csv`);
+    }
+
+    /**
+     * Read a table's rows (ids assigned from row numbers when the file has no id column)
+     */
+    async readTable(tableId) {
+        const fileInfo = this.files.get(tableId);
+        const [text, stat] = await Promise.all([
+            this.fs.promises.readFile(fileInfo.file, 'utf8'),
+            this.fs.promises.stat(fileInfo.file)
+        ]);
+        const { columns, rows } = this.parseCsv(text);
+
+        fileInfo.columns = columns;
+        fileInfo.hasIdColumn = columns.includes(this.idColumn);
+
+        if (!fileInfo.hasIdColumn) {
+            rows.forEach((row, index) => {
+                row[this.idColumn] = `row-${index + 1}`;
+            });
+        }
+
+        return { columns, rows, mtime: stat.mtime.toISOString() };
+    }
+
+    /**
+     * Read-modify-write a table file atomically (serialized)
+     */
+    updateTable(tableId, mutate) {
+        const run = async () => {
+            const { columns, rows } = await this.readTable(tableId);
+            const fileInfo = this.files.get(tableId);
+
+            if (!columns.includes(this.idColumn)) {
+                columns.unshift(this.idColumn);
+            }
+
+            mutate(rows, columns);
+
+            const tmpFile = `${fileInfo.file}.tmp`;
+            await this.fs.promises.writeFile(tmpFile, this.serializeCsv(columns, rows), 'utf8');
+            await this.fs.promises.rename(tmpFile, fileInfo.file);
+
+            fileInfo.columns = columns;
+            fileInfo.hasIdColumn = true;
+        };
+
+        this.writeChain = this.writeChain.then(run, run);
+        return this.writeChain;
+    }
+
+    /**
+     * Convert a CSV row to { id, fields, lastModified }
+     */
+    toRow(row, fallbackModified) {
+        const fields = {};
+
+        for (const [column, raw] of Object.entries(row)) {
+            if (column === this.idColumn) continue;
+
+            const value = this.parseValue(raw);
+            if (value !== null) {
+                fields[column] = value;
+            }
+        }
+
+        return {
+            id: row[this.idColumn],
+            fields,
+            createdTime: null,
+            lastModified: (this.updatedColumn && row[this.updatedColumn]) || fallbackModified
+        };
+    }
+
+    /**
+     * Parse a CSV cell into a typed value (arrays and objects are JSON, see formatValue)
+     */
+    parseValue(raw) {
+        if (raw === undefined || raw === null || raw === '') return null;
+        if (raw === 'true' || raw === 'TRUE') return true;
+        if (raw === 'false' || raw === 'FALSE') return false;
+        if (/^-?\d+(\.\d+)?$/.test(raw) && !/^-?0\d/.test(raw)) return Number(raw);
+
+        if (/^\s*[[{]/.test(raw)) {
+            try {
+                const value = JSON.parse(raw);
+                if (value !== null && typeof value === 'object') return value;
+            } catch (error) {
+                // Plain text that happens to start with a bracket
+            }
+        }
+
+        return raw;
+    }
+
+    /**
+     * Format a value for a CSV cell (arrays and objects as JSON, so they read back unchanged)
+     */
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === this.delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        const [columns = [], ...data] = rows.filter(r => r.length > 1 || r[0] !== '');
+
+        return {
+            columns,
+            rows: data.map(values => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ''])))
+        };
+    }
+
+    /**
+     * Serialize rows to CSV text
+     */
+    serializeCsv(columns, rows) {
+        const escape = (value) => {
+            const str = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(str) || str.includes(this.delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+
+        const lines = [columns.map(escape).join(this.delimiter)];
+        for (const row of rows) {
+            lines.push(columns.map(column => escape(row[column])).join(this.delimiter));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Generate a record id for new rows
+     */
+    generateRecordId() {
+        return `csv_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SYNC_CONNECTOR_METHODS,
+        SyncConnector,
+        RestConnector,
+        CsvFolderConnector
+    };
+}
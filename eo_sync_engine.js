@@ -1,36 +1,88 @@
 /**
  * EO Sync Engine
  *
- * Provides two-way synchronization between EO Activibase and Airtable:
+ * Provides two-way synchronization between EO Activibase and Airtable
+ * (or any sync connector, see eo_sync_connector.js):
  * - Change detection and tracking
+ * - Linked records resolved into EO connections
+ * - Attachments cached locally by checksum (see eo_attachment_store.js)
  * - Conflict resolution using EO Superposition (SUP)
  * - Activity logging to Xano
  * - Real-time and scheduled sync
  */
 
+// Linear unit factors for 'unit' field transforms (relative to m, kg and s)
+const SYNC_UNIT_FACTORS = {
+    mm: 0.001, cm: 0.01, m: 1, km: 1000, in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344,
+    mg: 0.000001, g: 0.001, kg: 1, oz: 0.028349523125, lb: 0.45359237,
+    ms: 0.001, s: 1, min: 60, h: 3600, d: 86400
+};
+
 class SyncEngine {
     constructor(config = {}) {
-        this.airtable = config.airtable; // AirtableIntegration instance
+        this.connector = config.connector || config.airtable; // AirtableIntegration or other sync connector
+        this.airtable = this.connector; // Backward-compatible alias
         this.xano = config.xano; // XanoIntegration instance
         this.softr = config.softr; // SoftrContext instance
 
         // Sync configuration
         this.syncConfig = {
             direction: config.direction || 'bidirectional', // 'airtable_to_eo', 'eo_to_airtable', 'bidirectional'
-            conflictResolution: config.conflictResolution || 'superposition', // 'superposition', 'airtable_wins', 'eo_wins', 'newest_wins'
+            conflictResolution: config.conflictResolution || 'superposition', // 'superposition', 'airtable_wins', 'eo_wins', 'newest_wins', 'manual'
             autoSync: config.autoSync !== false,
+            dryRun: config.dryRun === true, // Build a change plan for review instead of applying changes (see applySyncPlan)
             syncInterval: config.syncInterval || 30000, // 30 seconds
-            batchSize: config.batchSize || 50
+            tables: config.tables?.length > 0 ? config.tables : null, // Table ids or names to sync (null: every table)
+            batchSize: config.batchSize || 50,
+            tableConcurrency: config.tableConcurrency || 2, // Tables synced at once (never before the tables they link to)
+            requestPriority: config.requestPriority || 'background', // Connector request priority (interactive edits go first)
+
+            // Incremental pulls (only records modified since the table's high-water mark)
+            incremental: config.incremental === true,
+            timestampField: config.timestampField || null, // null → LAST_MODIFIED_TIME()
+            timestampFields: config.timestampFields || {}, // tableId -> field name override
+            fullReconcileInterval: config.fullReconcileInterval || 3600000, // 1 hour (catches deletions)
+            highWaterMarkOverlap: config.highWaterMarkOverlap || 5000, // 5 seconds of clock-skew safety
+
+            // Deletion propagation
+            softDelete: config.softDelete === true, // Archive EO records instead of deleting them
+            archiveSetId: config.archiveSetId || 'sync_archive',
+            tombstoneRetention: config.tombstoneRetention || 30 * 24 * 60 * 60 * 1000, // 30 days
+
+            // Schema drift (connector schema compared with the last synced schema)
+            detectSchemaDrift: config.detectSchemaDrift !== false,
+            schemaMigration: config.schemaMigration || 'auto', // 'auto' (apply migrations, then sync) or 'manual' (hold affected tables)
+
+            // Per-table field mappings: tableId -> { includeUnmapped, fields: { fieldIdOrName: { include, eoField, direction, transforms } } }
+            fieldMappings: config.fieldMappings || {},
+
+            // Webhook push sync (change payloads trigger targeted refreshes; polling stays as a safety net)
+            webhookNotificationUrl: config.webhookNotificationUrl || null, // Creates a webhook on initialize() when set
+            webhookRecordLimit: config.webhookRecordLimit || 100, // Tables with more changed records are synced whole
+            webhookRefreshMargin: config.webhookRefreshMargin || 24 * 60 * 60 * 1000, // Extend the webhook when it expires within a day
+
+            // Sync history (one entry per sync session, for analytics)
+            historyLimit: config.historyLimit || 200, // Sessions kept
+            historyChangeLimit: config.historyChangeLimit || 500 // Changes listed per session (the counts stay complete)
         };
 
+        // Compiled field mappings for the current schema (tableId -> mapping | null)
+        this.fieldMappingCache = new Map();
+
+        // Per-table schedules for auto-sync (SyncScheduler); without one, every table syncs each syncInterval
+        this.scheduler = config.scheduler || null;
+
         // Sync state
         this.syncState = {
             sessionId: this.generateSyncSessionId(),
             isRunning: false,
             lastSync: null,
             nextSync: null,
-            conflicts: new Map(), // recordId -> conflicts
+            conflicts: new Map(), // recordId -> conflict held for review ('manual' conflict resolution)
             pendingChanges: new Map(), // recordId -> changes
+            tableSync: new Map(), // tableId -> { highWaterMark, lastFullSync }
+            tableStatus: new Map(), // tableId -> { status: 'syncing'|'synced'|'error', lastSynced, lastError, duration }
+            pendingPlan: null, // Dry-run change plan awaiting applySyncPlan()/discardSyncPlan()
             stats: {
                 totalSyncs: 0,
                 successfulSyncs: 0,
@@ -38,19 +90,81 @@ class SyncEngine {
                 conflictsResolved: 0,
                 recordsCreated: 0,
                 recordsUpdated: 0,
-                recordsDeleted: 0
+                recordsDeleted: 0,
+                incrementalPulls: 0,
+                fullReconciliations: 0,
+                recordsArchived: 0,
+                schemaChanges: 0,
+                schemaMigrations: 0,
+                connectionsCreated: 0,
+                connectionsRemoved: 0,
+                attachmentsUploaded: 0,
+                webhookPayloads: 0,
+                recordsRefreshed: 0,
+                webhookFullSyncs: 0
             }
         };
 
+        // Schema drift
+        this.schemaState = {
+            snapshot: new Map(), // tableId -> last synced table schema
+            pendingDrift: null, // drift awaiting applySchemaMigrations()/dismissSchemaDrift() (manual mode)
+            storage: config.schemaStorage || null // Storage adapter from eo_change_store.js (store: 'schema')
+        };
+
+        // Linked records (link field values projected into EO relations and connections)
+        this.linkState = {
+            relations: new Map(), // relationId -> set-level relation for a link field
+            connections: new Map(), // connectionId -> record-level connection
+            unresolved: [], // [{ recordId, field, targetId }] links to records EO does not have
+            deferred: new Map(), // recordId -> tableId, pushed without links to records not yet created remotely
+            storage: config.linkStorage || null // Storage adapter from eo_change_store.js (stores: 'relations', 'connections', 'deferred')
+        };
+
+        // EO workbench state the link hooks write to (connectionRelations and connections Maps, as in index.html)
+        this.eoState = config.eoState || {};
+        this.eoState.connectionRelations = this.eoState.connectionRelations || new Map();
+        this.eoState.connections = this.eoState.connections || new Map();
+
+        // Attachments (without a store, attachment values pass through as the connector returns them)
+        this.attachments = {
+            store: config.attachmentStore || null, // AttachmentStore: files by checksum, so expiring URLs never reach EO
+            uploader: config.attachmentUploader || null // async (file, { tableId, recordId, fieldName }) => ({ url }) for local files
+        };
+
+        // Webhook push sync (see processWebhookPayloads)
+        this.webhookState = {
+            webhook: null, // { id, notificationUrl, macSecretBase64, expirationTime }
+            cursor: 1, // Next payload to read
+            lastProcessed: null,
+            processing: false,
+            pending: false, // Notified while busy: process again afterwards
+            storage: config.webhookStorage || null // Storage adapter from eo_change_store.js (store: 'webhook')
+        };
+
+        // Sync history: a record of every sync session (see getSyncAnalytics)
+        this.syncHistory = {
+            sessions: [], // Oldest first
+            current: null, // Session being recorded
+            requestsAtStart: null, // Connector request counters when the current session began
+            storage: config.historyStorage || null // Storage adapter from eo_change_store.js (store: 'sessions')
+        };
+
         // Change tracking
         this.changeTracker = {
             eoChanges: new Map(), // recordId -> { before, after, timestamp }
             airtableChanges: new Map(), // recordId -> { before, after, timestamp }
-            lastKnownState: new Map() // recordId -> checksum
+            lastKnownState: new Map(), // recordId -> checksum
+            baseSnapshots: new Map(), // recordId -> { fields, checksum, syncedAt } (last-synced field values)
+            tombstones: new Map(), // recordId -> { recordId, tableId, deletedOn, deletedAt, fields, propagated }
+            tombstoneStorage: config.tombstoneStorage || null, // Storage adapter from eo_change_store.js (store: 'tombstones')
+            baseStorage: config.baseStorage || null // Storage adapter from eo_change_store.js (store: 'bases')
         };
 
-        // Sync interval handle
+        // Sync interval handle (or the timer of the next scheduled sync)
         this.syncInterval = null;
+        this.syncTimer = null;
+        this.autoSyncActive = false;
 
         // Event listeners
         this.listeners = {
@@ -58,7 +172,13 @@ class SyncEngine {
             syncComplete: [],
             syncError: [],
             conflictDetected: [],
-            conflictResolved: []
+            conflictResolved: [],
+            schemaChanged: [],
+            schemaMigrated: [],
+            planReady: [],
+            planApplied: [],
+            webhookProcessed: [],
+            sessionRecorded: []
         };
     }
 
@@ -68,12 +188,31 @@ class SyncEngine {
     async initialize() {
         console.log('🔄 Initializing Sync Engine...');
 
-        if (!this.airtable || !this.xano || !this.softr) {
-            throw new Error('Airtable, Xano, and Softr integrations are required');
+        if (!this.connector || !this.xano || !this.softr) {
+            throw new Error('A sync connector (e.g. Airtable), Xano, and Softr integrations are required');
+        }
+
+        if (typeof SyncConnector !== 'undefined') {
+            const missing = SyncConnector.validate(this.connector);
+            if (missing.length > 0) {
+                throw new Error(`Sync connector is missing: ${missing.join(', ')}`);
+            }
+        }
+
+        await this.loadSchemaSnapshot();
+        await this.loadBaseSnapshots();
+        await this.loadTombstones();
+        await this.loadLinkState();
+        await this.loadWebhookState();
+        await this.loadSyncHistory();
+
+        // Webhook before the initial sync, so no change falls between the two
+        if (this.syncConfig.webhookNotificationUrl && typeof this.connector.createWebhook === 'function') {
+            await this.enableWebhookSync(this.syncConfig.webhookNotificationUrl);
         }
 
         // Initial sync
-        await this.performFullSync();
+        await this.performFullSync({ trigger: 'initial' });
 
         // Start auto-sync if enabled
         if (this.syncConfig.autoSync) {
@@ -91,28 +230,72 @@ class SyncEngine {
 
     /**
      * Perform full synchronization
+     * @param {Object} options - { dryRun } to only build a change plan, { plan } to apply a reviewed plan,
+     *   { tableIds } to sync only some tables, { trigger } to label the session in the sync history
+     *   ('manual', 'initial', 'scheduled', 'webhook'; 'plan' when applying a plan). In dry-run mode,
+     *   or while a plan awaits review, syncs re-plan instead of writing.
      */
-    async performFullSync() {
+    async performFullSync(options = {}) {
+        const plan = options.plan || null;
+        const reviewing = this.syncConfig.dryRun || this.syncState.pendingPlan?.status === 'pending';
+
+        if (options.dryRun ?? (reviewing && !plan)) {
+            return this.planSync();
+        }
+
         if (this.syncState.isRunning) {
             console.warn('Sync already in progress, skipping');
             return;
         }
 
+        if (plan) {
+            plan.result = { applied: 0, rejected: 0, stale: 0, unplanned: 0, skipped: [] };
+        }
+
         this.syncState.isRunning = true;
+        this.beginSyncSession('full', options.trigger || (plan ? 'plan' : 'manual'));
         this.emit('syncStart', { sessionId: this.syncState.sessionId });
 
         const syncStartTime = Date.now();
+        const scheduledStartTime = this.scheduler?.now();
         console.log('🔄 Starting full sync...');
 
         try {
-            // Get all tables from Airtable
-            const tables = this.airtable.getTables();
+            this.purgeTombstones();
 
-            for (const table of tables) {
-                await this.syncTable(table);
+            // Refresh schema and migrate EO data before any records move
+            if (this.syncConfig.detectSchemaDrift) {
+                await this.checkSchemaDrift();
             }
 
+            const heldTableIds = new Set(this.schemaState.pendingDrift?.tableIds || []);
+
+            // Get the synced tables from the connector, linked tables before the tables linking to them
+            const tables = this.orderTablesByLinks(this.getSyncTables())
+                .filter(table => !options.tableIds || options.tableIds.includes(table.id));
+
+            const syncable = tables.filter(table => {
+                if (heldTableIds.has(table.id)) {
+                    console.warn(`  Skipping ${table.name}: schema changes awaiting migration`);
+                    return false;
+                }
+
+                if (plan && !plan.tables.some(t => t.tableId === table.id && !t.held)) {
+                    console.warn(`  Skipping ${table.name}: not part of the reviewed plan`);
+                    return false;
+                }
+
+                return true;
+            });
+
+            await this.syncTablesConcurrently(syncable, table => this.syncTable(table, plan));
+
+            // Links to records created in this pass, then EO connections for every synced table
+            await this.pushDeferredLinks();
+            await this.reconcileLinks(tables.filter(table => !heldTableIds.has(table.id)));
+
             // Update sync state
+            this.scheduler?.recordRun(syncable.map(table => table.id), scheduledStartTime);
             this.syncState.lastSync = new Date().toISOString();
             this.syncState.stats.totalSyncs++;
             this.syncState.stats.successfulSyncs++;
@@ -120,22 +303,57 @@ class SyncEngine {
             const duration = Date.now() - syncStartTime;
             console.log(`✓ Full sync completed in ${duration}ms`);
 
+            await this.endSyncSession('success');
+
+            if (plan) {
+                plan.status = 'applied';
+                plan.appliedAt = new Date().toISOString();
+
+                if (this.syncState.pendingPlan === plan) {
+                    this.syncState.pendingPlan = null;
+                }
+            }
+
             // Log sync completion to Xano
             await this.logSyncActivity({
                 action: 'sync_complete',
                 duration,
-                stats: { ...this.syncState.stats }
+                stats: { ...this.syncState.stats },
+                ...(plan && {
+                    metadata: {
+                        planId: plan.id,
+                        applied: plan.result.applied,
+                        rejected: plan.result.rejected,
+                        stale: plan.result.stale,
+                        unplanned: plan.result.unplanned
+                    }
+                })
             });
 
+            if (plan) {
+                this.emit('planApplied', plan);
+            }
+
             this.emit('syncComplete', {
+                sessionId: this.syncState.sessionId,
                 duration,
                 stats: this.syncState.stats
             });
 
         } catch (error) {
+            // Queued requests were dropped by stopAutoSync(): not a failure
+            if (error.cancelled) {
+                console.warn('Sync cancelled');
+                await this.endSyncSession('cancelled', error);
+                this.emit('syncError', { error, cancelled: true });
+                throw error;
+            }
+
             console.error('Sync failed:', error);
             this.syncState.stats.failedSyncs++;
 
+            await this.endSyncSession('error', error);
+
             await this.logSyncActivity({
                 action: 'sync_error',
                 error: error.message
@@ -146,17 +364,52 @@ class SyncEngine {
             throw error;
         } finally {
             this.syncState.isRunning = false;
+
+            // Webhook notifications that arrived during the sync
+            if (this.webhookState.pending && !this.webhookState.processing) {
+                this.processWebhookPayloads().catch(error => {
+                    console.error('Webhook sync error:', error);
+                });
+            }
         }
     }
 
     /**
-     * Sync a single table
+     * Sync a single table (only the approved changes of a reviewed plan, when given)
      */
-    async syncTable(table) {
+    async syncTable(table, plan = null) {
         console.log(`📋 Syncing table: ${table.name}`);
 
-        // Fetch current Airtable data
-        const airtableRecords = await this.airtable.fetchTableRecords(table.id);
+        const startedAt = Date.now();
+        const status = this.syncState.tableStatus.get(table.id) || { lastSynced: null, lastError: null, duration: null };
+        this.syncState.tableStatus.set(table.id, { ...status, status: 'syncing' });
+
+        try {
+            await this.syncTableRecords(table, plan);
+            this.syncState.tableStatus.set(table.id, {
+                status: 'synced',
+                lastSynced: new Date().toISOString(),
+                lastError: null,
+                duration: Date.now() - startedAt
+            });
+            this.recordSessionTable(table, Date.now() - startedAt);
+        } catch (error) {
+            this.syncState.tableStatus.set(table.id, { ...status, status: 'error', lastError: error.message });
+            this.recordSessionTable(table, Date.now() - startedAt, error);
+            throw error;
+        }
+
+        console.log(`  ✓ Table synced: ${table.name}`);
+    }
+
+    /**
+     * Fetch, compare and apply a table's records
+     */
+    async syncTableRecords(table, plan) {
+        this.compileFieldMapping(table);
+
+        // Fetch current Airtable data (full scan or changes since high-water mark), in EO field names and values
+        const airtableRecords = (await this.fetchAirtableRecords(table)).map(r => this.mapInboundRecord(r, table));
 
         // Get EO records for this table
         const eoRecords = this.getEORecords(table.id);
@@ -167,377 +420,3499 @@ class SyncEngine {
         console.log(`  Detected changes: ${changes.toCreate.length} create, ${changes.toUpdate.length} update, ${changes.toDelete.length} delete`);
 
         // Apply changes based on sync direction
-        await this.applyChanges(changes, table);
+        await this.applyChanges(plan ? this.filterApprovedChanges(changes, table, plan) : changes, table);
+    }
 
-        console.log(`  ✓ Table synced: ${table.name}`);
+    /**
+     * Tables this engine syncs: the configured tables (by id or name), else every connector table
+     */
+    getSyncTables() {
+        const tables = this.connector.getTables();
+        const selected = this.syncConfig.tables;
+
+        return selected ? tables.filter(table => selected.includes(table.id) || selected.includes(table.name)) : tables;
     }
 
     /**
-     * Detect changes between EO and Airtable
+     * Sync only some records of a table (e.g. the ones a webhook payload reported).
+     * Requested records missing remotely were deleted there.
      */
-    detectChanges(eoRecords, airtableRecords, table) {
-        const changes = {
-            toCreate: [],
-            toUpdate: [],
-            toDelete: [],
-            conflicts: []
-        };
+    async refreshRecords(table, recordIds) {
+        console.log(`📋 Refreshing ${recordIds.length} records of ${table.name}`);
 
-        // Create maps for easy lookup
-        const eoMap = new Map(eoRecords.map(r => [r.id, r]));
-        const airtableMap = new Map(airtableRecords.map(r => [r.id, r]));
+        this.compileFieldMapping(table);
 
-        // Check for records to create/update from Airtable to EO
-        if (this.syncConfig.direction === 'airtable_to_eo' || this.syncConfig.direction === 'bidirectional') {
-            for (const airtableRecord of airtableRecords) {
-                const eoRecord = eoMap.get(airtableRecord.id);
+        const startedAt = Date.now();
+        const scope = new Set(recordIds);
 
-                if (!eoRecord) {
-                    // New record from Airtable
-                    changes.toCreate.push({
-                        direction: 'airtable_to_eo',
-                        record: airtableRecord,
-                        table
-                    });
-                } else {
-                    // Check for conflicts
-                    const conflict = this.detectConflict(eoRecord, airtableRecord);
+        try {
+            const fetched = await this.connector.fetchRecordsById(table.id, recordIds, {
+                timestampField: this.syncConfig.timestampFields[table.id] || this.syncConfig.timestampField,
+                priority: this.syncConfig.requestPriority
+            });
 
-                    if (conflict) {
-                        changes.conflicts.push({
-                            eoRecord,
-                            airtableRecord,
-                            table,
-                            conflict
-                        });
-                    } else if (this.hasChanged(eoRecord, airtableRecord)) {
-                        changes.toUpdate.push({
-                            direction: 'airtable_to_eo',
-                            record: airtableRecord,
-                            existing: eoRecord,
-                            table
-                        });
+            const airtableRecords = (await this.localizeRecords(fetched, table)).map(r => this.mapInboundRecord(r, table));
+            const eoRecords = this.getEORecords(table.id).filter(r => scope.has(r.id));
+            const changes = this.detectChanges(eoRecords, airtableRecords, table, scope);
+
+            console.log(`  Detected changes: ${changes.toCreate.length} create, ${changes.toUpdate.length} update, ${changes.toDelete.length} delete`);
+
+            await this.applyChanges(changes, table);
+            this.recordSessionTable(table, Date.now() - startedAt);
+        } catch (error) {
+            this.recordSessionTable(table, Date.now() - startedAt, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build a change plan without writing to either side (dry run).
+     * Rejections from the plan it replaces carry over while the change is unchanged.
+     */
+    async planSync() {
+        if (this.syncState.isRunning) {
+            console.warn('Sync already in progress, skipping');
+            return this.syncState.pendingPlan;
+        }
+
+        this.syncState.isRunning = true;
+        console.log('🔍 Planning sync (dry run)...');
+
+        try {
+            const plan = {
+                id: `plan_${Date.now().toString(36)}`,
+                createdAt: new Date().toISOString(),
+                direction: this.syncConfig.direction,
+                status: 'pending',
+                schemaChanges: [],
+                tables: [],
+                summary: { create: 0, update: 0, delete: 0, conflict: 0 },
+                result: null
+            };
+
+            // Record changes are planned against the current schema; drifted tables wait for migration
+            const heldTableIds = new Set(this.schemaState.pendingDrift?.tableIds || []);
+
+            if (this.syncConfig.detectSchemaDrift) {
+                plan.schemaChanges = this.schemaState.pendingDrift?.changes || await this.previewSchemaDrift();
+                plan.schemaChanges.forEach(change => heldTableIds.add(change.tableId));
+            }
+
+            for (const table of this.orderTablesByLinks(this.getSyncTables())) {
+                if (heldTableIds.has(table.id)) {
+                    plan.tables.push({ tableId: table.id, tableName: table.name, held: true, changes: [] });
+                    continue;
+                }
+
+                this.compileFieldMapping(table);
+
+                const airtableRecords = (await this.fetchAirtableRecords(table, { dryRun: true })).map(r => this.mapInboundRecord(r, table));
+                const changes = this.detectChanges(this.getEORecords(table.id), airtableRecords, table);
+
+                const entries = [
+                    ...changes.toCreate.map(change => this.createPlanEntry('create', change, table)),
+                    ...changes.toUpdate.map(change => this.createPlanEntry('update', change, table)),
+                    ...changes.toDelete.map(change => this.createPlanEntry('delete', change, table)),
+                    ...changes.conflicts.map(change => this.createPlanEntry('conflict', change, table))
+                ];
+
+                entries.forEach(entry => plan.summary[entry.type]++);
+                plan.tables.push({ tableId: table.id, tableName: table.name, held: false, changes: entries });
+            }
+
+            const previous = this.syncState.pendingPlan;
+            if (previous?.status === 'pending') {
+                const previousEntries = new Map(previous.tables.flatMap(t => t.changes).map(entry => [entry.id, entry]));
+
+                for (const entry of plan.tables.flatMap(t => t.changes)) {
+                    const before = previousEntries.get(entry.id);
+                    if (before && before.fingerprint === entry.fingerprint) {
+                        entry.approved = before.approved;
                     }
                 }
+
+                previous.status = 'superseded';
             }
+
+            const { create, update, delete: deletes, conflict } = plan.summary;
+            console.log(`✓ Sync plan ready: ${create} create, ${update} update, ${deletes} delete, ${conflict} conflict`);
+
+            this.syncState.pendingPlan = plan;
+            this.emit('planReady', plan);
+
+            return plan;
+        } finally {
+            this.syncState.isRunning = false;
         }
+    }
 
-        // Check for records to create/update from EO to Airtable
-        if (this.syncConfig.direction === 'eo_to_airtable' || this.syncConfig.direction === 'bidirectional') {
-            for (const eoRecord of eoRecords) {
-                const airtableRecord = airtableMap.get(eoRecord.id);
+    /**
+     * Compare the connector schema with the last synced schema without committing or migrating
+     */
+    async previewSchemaDrift() {
+        if (this.schemaState.snapshot.size === 0 || typeof this.connector.discoverSchema !== 'function') {
+            return [];
+        }
 
-                if (!airtableRecord && this.isPendingCreate(eoRecord)) {
-                    // New record from EO
-                    changes.toCreate.push({
-                        direction: 'eo_to_airtable',
-                        record: eoRecord,
-                        table
-                    });
-                } else if (airtableRecord && this.hasEOChanges(eoRecord)) {
-                    // EO has changes to push
-                    changes.toUpdate.push({
-                        direction: 'eo_to_airtable',
-                        record: eoRecord,
-                        existing: airtableRecord,
-                        table
-                    });
-                }
+        const tables = await this.connector.discoverSchema({ priority: this.syncConfig.requestPriority });
+        return this.diffSchema(Array.from(this.schemaState.snapshot.values()), tables);
+    }
+
+    /**
+     * Describe a detected change as a plan entry (matched again by id and fingerprint on apply)
+     */
+    createPlanEntry(type, change, table) {
+        const record = change.record || change.eoRecord || change.airtableRecord;
+        const recordId = change.recordId || record.id;
+        const direction = change.direction || null;
+
+        // Primary field value (in EO field names) to label the change
+        const primaryField = (table.fields || []).find(f => f.id === table.primaryFieldId)?.name;
+        const titleField = this.getFieldMapping(table)?.byAirtableName.get(primaryField)?.eoField || primaryField;
+        const entry = {
+            id: [type, direction || 'both', table.id, recordId].join(':'),
+            type,
+            direction,
+            tableId: table.id,
+            recordId,
+            title: titleField ? this.getFieldValue(record.fields?.[titleField]) ?? null : null,
+            fieldDiffs: [],
+            approved: true
+        };
+
+        if (type === 'conflict') {
+            entry.conflictType = change.conflict.type;
+
+            if (change.conflict.type === 'delete_edit') {
+                entry.deletedOn = change.conflict.deletedOn;
+                const base = change.conflict.base?.fields || {};
+                const survivor = this.normalizeFields((change.eoRecord || change.airtableRecord).fields);
+                const deletedSide = change.conflict.deletedOn;
+
+                entry.fieldDiffs = Array.from(new Set([...Object.keys(base), ...Object.keys(survivor)]))
+                    .filter(field => !this.valuesEqual(base[field], survivor[field]))
+                    .map(field => ({
+                        field,
+                        base: base[field] ?? null,
+                        eo: deletedSide === 'eo' ? null : survivor[field] ?? null,
+                        airtable: deletedSide === 'airtable' ? null : survivor[field] ?? null
+                    }));
+            } else {
+                entry.fieldDiffs = change.conflict.fieldConflicts.map(conflict => ({
+                    field: conflict.field,
+                    base: conflict.baseValue ?? null,
+                    eo: conflict.eoValue ?? null,
+                    airtable: conflict.airtableValue ?? null
+                }));
             }
+        } else {
+            const before = type === 'create' ? {} : this.normalizeFields((type === 'delete' ? change.record : change.existing)?.fields);
+            const after = type === 'delete' ? {} : this.normalizeFields(change.record.fields);
+            const fieldNames = change.changedFields || Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+
+            entry.fieldDiffs = fieldNames
+                .filter(field => !this.valuesEqual(before[field], after[field]))
+                .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
         }
 
-        // Check for deletions
-        if (this.syncConfig.direction === 'airtable_to_eo') {
-            for (const eoRecord of eoRecords) {
-                if (!airtableMap.has(eoRecord.id)) {
-                    changes.toDelete.push({
-                        direction: 'airtable_to_eo',
-                        recordId: eoRecord.id,
-                        table
-                    });
-                }
+        entry.fingerprint = this.simpleHash(JSON.stringify([type, direction, entry.fieldDiffs]));
+
+        return entry;
+    }
+
+    /**
+     * Keep only the changes approved in a reviewed plan.
+     * Changes missing from the plan or different from what was reviewed wait for the next sync.
+     */
+    filterApprovedChanges(changes, table, plan) {
+        const planned = new Map(plan.tables
+            .filter(t => t.tableId === table.id)
+            .flatMap(t => t.changes)
+            .map(entry => [entry.id, entry]));
+
+        const approved = (type) => (change) => {
+            const entry = this.createPlanEntry(type, change, table);
+            const reviewed = planned.get(entry.id);
+            let reason = null;
+
+            if (!reviewed) {
+                reason = 'unplanned';
+            } else if (reviewed.fingerprint !== entry.fingerprint) {
+                reason = 'stale';
+            } else if (reviewed.approved === false) {
+                reason = 'rejected';
+            }
+
+            if (reason) {
+                plan.result[reason]++;
+                plan.result.skipped.push({ id: entry.id, reason });
+                return false;
             }
+
+            plan.result.applied++;
+            return true;
+        };
+
+        return {
+            toCreate: changes.toCreate.filter(approved('create')),
+            toUpdate: changes.toUpdate.filter(approved('update')),
+            toDelete: changes.toDelete.filter(approved('delete')),
+            conflicts: changes.conflicts.filter(approved('conflict'))
+        };
+    }
+
+    /**
+     * Approve or reject a single planned change
+     */
+    setPlanChangeApproval(changeId, approved, plan = this.syncState.pendingPlan) {
+        const entry = plan?.tables.flatMap(t => t.changes).find(e => e.id === changeId);
+        if (entry) {
+            entry.approved = approved;
         }
+        return entry || null;
+    }
 
-        return changes;
+    /**
+     * Approve or reject every planned change of a table (or of the whole plan)
+     */
+    setPlanTableApproval(tableId, approved, plan = this.syncState.pendingPlan) {
+        for (const table of plan?.tables || []) {
+            if (!tableId || table.tableId === tableId) {
+                table.changes.forEach(entry => { entry.approved = approved; });
+            }
+        }
     }
 
     /**
-     * Detect conflict between EO and Airtable records
+     * Apply the approved changes of a dry-run plan.
+     * Records are re-read first; anything that changed since the plan was built is skipped.
      */
-    detectConflict(eoRecord, airtableRecord) {
-        // Both have been modified since last sync
-        const lastKnown = this.changeTracker.lastKnownState.get(eoRecord.id);
+    async applySyncPlan(plan = this.syncState.pendingPlan) {
+        if (!plan || plan.status !== 'pending') {
+            throw new Error('No pending sync plan to apply');
+        }
 
-        if (!lastKnown) {
-            return null; // No baseline to detect conflict
+        if (this.syncState.isRunning) {
+            throw new Error('Sync already in progress');
         }
 
-        const eoChecksum = this.calculateChecksum(eoRecord.fields);
-        const airtableChecksum = this.calculateChecksum(airtableRecord.fields);
+        await this.performFullSync({ plan });
 
-        if (eoChecksum !== lastKnown && airtableChecksum !== lastKnown) {
-            // Both changed since last sync - conflict!
-            return {
-                type: 'concurrent_modification',
-                eoChecksum,
-                airtableChecksum,
-                lastKnown,
-                fieldConflicts: this.findFieldConflicts(eoRecord.fields, airtableRecord.fields)
+        console.log(`✓ Sync plan applied: ${plan.result.applied} applied, ${plan.result.rejected} rejected, ${plan.result.stale + plan.result.unplanned} deferred`);
+
+        return plan;
+    }
+
+    /**
+     * Drop the pending plan without applying it
+     */
+    discardSyncPlan() {
+        const plan = this.syncState.pendingPlan;
+        if (plan) {
+            plan.status = 'discarded';
+            this.syncState.pendingPlan = null;
+        }
+        return plan;
+    }
+
+    /**
+     * Compile the configured field mapping for a table's current schema
+     */
+    compileFieldMapping(table) {
+        const tableConfig = this.syncConfig.fieldMappings[table.id] || this.syncConfig.fieldMappings[table.name];
+
+        if (!tableConfig) {
+            this.fieldMappingCache.set(table.id, null);
+            return null;
+        }
+
+        const includeUnmapped = tableConfig.includeUnmapped !== false;
+        const byAirtableName = new Map();
+        const byEOName = new Map();
+
+        for (const field of table.fields || []) {
+            // Rules are keyed by field id (survives renames) or by field name
+            const rule = tableConfig.fields?.[field.id] || tableConfig.fields?.[field.name];
+
+            const compiled = {
+                fieldId: field.id,
+                airtableField: field.name,
+                eoField: rule?.eoField || field.name,
+                include: rule ? rule.include !== false : includeUnmapped,
+                direction: rule?.direction || 'both', // 'both', 'airtable_to_eo' (read-only), 'eo_to_airtable' (push-only)
+                transforms: rule?.transforms || []
             };
+
+            byAirtableName.set(field.name, compiled);
+            byEOName.set(compiled.eoField, compiled);
         }
 
-        return null;
+        const mapping = { includeUnmapped, byAirtableName, byEOName };
+        this.fieldMappingCache.set(table.id, mapping);
+
+        return mapping;
     }
 
     /**
-     * Find specific fields with conflicts
+     * Get the compiled field mapping for a table (null = one-to-one by name)
      */
-    findFieldConflicts(eoFields, airtableFields) {
-        const conflicts = [];
+    getFieldMapping(tableOrId) {
+        const tableId = typeof tableOrId === 'string' ? tableOrId : tableOrId?.id;
 
-        const allFields = new Set([
-            ...Object.keys(eoFields),
-            ...Object.keys(airtableFields)
-        ]);
+        if (!this.fieldMappingCache.has(tableId) && typeof tableOrId === 'object' && tableOrId) {
+            return this.compileFieldMapping(tableOrId);
+        }
 
-        for (const fieldName of allFields) {
-            const eoValue = eoFields[fieldName]?.value ?? eoFields[fieldName];
-            const airtableValue = airtableFields[fieldName]?.value ?? airtableFields[fieldName];
+        return this.fieldMappingCache.get(tableId) || null;
+    }
 
-            if (JSON.stringify(eoValue) !== JSON.stringify(airtableValue)) {
-                conflicts.push({
-                    field: fieldName,
-                    eoValue,
-                    airtableValue
-                });
-            }
+    /**
+     * Whether an EO field takes part in sync under a compiled mapping. Excluded fields,
+     * and unmapped ones without includeUnmapped, stay local to EO and are never EO edits.
+     */
+    isSyncedEOField(mapping, fieldName) {
+        if (!mapping) {
+            return true;
+        }
+
+        const rule = mapping.byEOName.get(fieldName);
+        return rule ? rule.include : mapping.includeUnmapped;
+    }
+
+    /**
+     * Replace field mappings (e.g. after the configuration is saved)
+     */
+    setFieldMappings(fieldMappings) {
+        this.syncConfig.fieldMappings = fieldMappings || {};
+        this.fieldMappingCache.clear();
+    }
+
+    /**
+     * Map an Airtable record into EO field names and values
+     */
+    mapInboundRecord(record, table) {
+        const mapping = this.getFieldMapping(table);
+        if (!mapping) {
+            return record;
+        }
+
+        const fields = {};
+
+        for (const [name, field] of Object.entries(record.fields || {})) {
+            const rule = mapping.byAirtableName.get(name);
+
+            if (!rule) {
+                if (mapping.includeUnmapped) fields[name] = field;
+                continue;
+            }
+
+            if (!rule.include || rule.direction === 'eo_to_airtable') {
+                continue;
+            }
+
+            fields[rule.eoField] = this.transformField(field, rule.transforms, false);
+        }
+
+        return { ...record, fields };
+    }
+
+    /**
+     * Map an EO record into Airtable field names and values
+     */
+    mapOutboundRecord(record, table) {
+        const mapping = this.getFieldMapping(table);
+        if (!mapping) {
+            return record;
+        }
+
+        const fields = {};
+
+        for (const [name, field] of Object.entries(record.fields || {})) {
+            const rule = mapping.byEOName.get(name);
+
+            if (!rule) {
+                if (mapping.includeUnmapped) fields[name] = field;
+                continue;
+            }
+
+            if (!rule.include || rule.direction === 'airtable_to_eo') {
+                continue;
+            }
+
+            fields[rule.airtableField] = this.transformField(field, rule.transforms, true);
+        }
+
+        return { ...record, fields };
+    }
+
+    /**
+     * Write an EO record through the connector; returns the result in EO field names
+     */
+    async pushRecord(table, record) {
+        const { record: outbound, deferred } = this.resolveOutboundLinks(record, table);
+        const { record: uploaded, uploads } = await this.uploadAttachments(this.mapOutboundRecord(outbound, table), table);
+        const pushed = await this.connector.upsertRecord(table.id, uploaded, { priority: this.syncConfig.requestPriority });
+
+        // Airtable keeps attachments in the order sent: index the new ids so they are not downloaded again
+        for (const { fieldName, index, checksum } of uploads) {
+            const attachment = this.getFieldValue(pushed.fields?.[fieldName])?.[index];
+            if (attachment?.id) {
+                await this.attachments.store.remember(attachment.id, checksum);
+            }
+        }
+
+        const result = this.mapInboundRecord(await this.localizeAttachments(pushed, table), table);
+
+        this.setLinkEntry('deferred', pushed.id, deferred ? table.id : null);
+        const mapping = this.getFieldMapping(table);
+
+        // Push-only fields are never read back: keep the values that were sent
+        if (mapping) {
+            for (const rule of mapping.byEOName.values()) {
+                if (rule.include && rule.direction === 'eo_to_airtable' && record.fields?.[rule.eoField] !== undefined) {
+                    result.fields[rule.eoField] = record.fields[rule.eoField];
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Update EO with values a transform normalized on the way through Airtable
+     * (e.g. case or trim), so they are not pushed again on every sync.
+     * On create, fields the connector filled in (computed values, inverse links) are adopted too.
+     * On update, fields EO did not edit since the last sync follow the connector (e.g. last
+     * modified time). Uploaded attachments take the id the connector gave them.
+     */
+    async adoptTransformedValues(record, pushed, adoptMissing = false) {
+        const mapping = this.getFieldMapping(record.tableId || pushed.tableId);
+        const base = this.changeTracker.baseSnapshots.get(record.id);
+
+        const adopted = Object.keys(pushed.fields).filter(name => {
+            const value = this.getFieldValue(record.fields?.[name]);
+            const pushedValue = this.getFieldValue(pushed.fields[name]);
+
+            if (value === undefined) {
+                return adoptMissing;
+            }
+
+            if (this.isAttachmentList(value) && value.some(attachment => !attachment.id)) {
+                return this.valuesEqual(value, pushedValue);
+            }
+
+            if (base && this.valuesEqual(value, base.fields[name])) {
+                return !this.valuesEqual(value, pushedValue);
+            }
+
+            return mapping?.byEOName.get(name)?.transforms.length > 0 && !this.valuesEqual(value, pushedValue);
+        });
+
+        if (adopted.length > 0) {
+            const fields = { ...record.fields };
+            adopted.forEach(name => { fields[name] = pushed.fields[name]; });
+            await this.updateEORecord({ ...record, id: pushed.id, fields });
+        }
+    }
+
+    /**
+     * Apply a field's transforms (inverse = EO → Airtable, in reverse order)
+     */
+    transformField(field, transforms, inverse) {
+        if (!transforms || transforms.length === 0 || field?.eoOperator === 'SUP') {
+            return field;
+        }
+
+        const ordered = inverse ? [...transforms].reverse() : transforms;
+        let value = this.getFieldValue(field);
+
+        for (const transform of ordered) {
+            value = Array.isArray(value) && transform.type !== 'unit'
+                ? value.map(item => this.transformValue(item, transform, inverse))
+                : this.transformValue(value, transform, inverse);
+        }
+
+        return field !== null && typeof field === 'object' && 'value' in field ? { ...field, value } : value;
+    }
+
+    /**
+     * Apply one transform to a value.
+     * trim and case normalize in both directions; unit and lookup are inverted.
+     */
+    transformValue(value, transform, inverse = false) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+
+        switch (transform.type) {
+            case 'trim':
+                return typeof value === 'string' ? value.trim() : value;
+
+            case 'case':
+                if (typeof value !== 'string') return value;
+                if (transform.mode === 'upper') return value.toUpperCase();
+                if (transform.mode === 'lower') return value.toLowerCase();
+                if (transform.mode === 'title') return value.toLowerCase().replace(/(^|\s)\S/g, c => c.toUpperCase());
+                return value;
+
+            case 'unit': {
+                const number = typeof value === 'number' ? value : Number(value);
+                if (Number.isNaN(number)) return value;
+
+                const { factor, offset } = this.getUnitConversion(transform);
+                const converted = inverse ? (number - offset) / factor : number * factor + offset;
+                return parseFloat(converted.toPrecision(12)); // drop floating-point noise
+            }
+
+            case 'lookup': {
+                const map = transform.map || {};
+                const key = String(value);
+
+                if (inverse) {
+                    const match = Object.entries(map).find(([, mapped]) => String(mapped) === key);
+                    return match ? match[0] : value;
+                }
+
+                if (key in map) return map[key];
+                return transform.fallback !== undefined ? transform.fallback : value;
+            }
+
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Resolve a unit transform to factor/offset (Airtable → EO)
+     */
+    getUnitConversion(transform) {
+        if (transform.factor !== undefined) {
+            return { factor: Number(transform.factor), offset: Number(transform.offset) || 0 };
+        }
+
+        const from = SYNC_UNIT_FACTORS[transform.from];
+        const to = SYNC_UNIT_FACTORS[transform.to];
+
+        if (!from || !to) {
+            throw new Error(`Unknown unit conversion: ${transform.from} → ${transform.to}`);
+        }
+
+        return { factor: from / to, offset: 0 };
+    }
+
+    /**
+     * Link fields of a table (in EO field names) with the relation they define between sets.
+     * Cardinality comes from the link field and its inverse field (prefersSingleRecordLink).
+     */
+    getLinkFields(table) {
+        const tables = this.connector.getTables();
+        const mapping = this.getFieldMapping(table);
+        const links = [];
+
+        for (const field of table.fields || []) {
+            const targetTableId = field.linkedTableId || field.options?.linkedTableId;
+            const rule = mapping?.byAirtableName.get(field.name);
+
+            if (!targetTableId || (rule && !rule.include)) {
+                continue;
+            }
+
+            const inverseField = this.getInverseLinkField(field, tables);
+            const sourceSingle = this.prefersSingleLink(field);
+            const targetSingle = inverseField ? this.prefersSingleLink(inverseField) : false;
+
+            links.push({
+                relationId: `rel_${field.id}`,
+                fieldId: field.id,
+                fieldName: rule?.eoField || field.name,
+                sourceTableId: table.id,
+                targetTableId,
+                inverseRelationId: inverseField ? `rel_${inverseField.id}` : null,
+                // e.g. many_to_one: many source records link to the same single target
+                cardinality: `${targetSingle ? 'one' : 'many'}_to_${sourceSingle ? 'one' : 'many'}`,
+                operator: field.eoOperator || 'CON'
+            });
+        }
+
+        return links;
+    }
+
+    /**
+     * Inverse field of a two-way link (in the linked table), if any
+     */
+    getInverseLinkField(field, tables) {
+        const targetTableId = field.linkedTableId || field.options?.linkedTableId;
+        const inverseFieldId = field.inverseLinkFieldId || field.options?.inverseLinkFieldId;
+
+        if (!inverseFieldId) {
+            return null;
+        }
+
+        return tables.find(t => t.id === targetTableId)?.fields?.find(f => f.id === inverseFieldId) || null;
+    }
+
+    /**
+     * Check if a link field holds a single linked record
+     */
+    prefersSingleLink(field) {
+        return (field.prefersSingleRecordLink ?? field.options?.prefersSingleRecordLink) === true;
+    }
+
+    /**
+     * Order tables so linked (target) tables sync before the tables linking to them.
+     * Cycles keep the connector's order.
+     */
+    orderTablesByLinks(tables) {
+        const dependsOn = this.getTableDependencies(tables);
+        const ordered = [];
+        const placed = new Set();
+
+        while (ordered.length < tables.length) {
+            const remaining = tables.filter(table => !placed.has(table.id));
+            const next = remaining.find(table => [...dependsOn.get(table.id)].every(id => placed.has(id))) || remaining[0];
+
+            ordered.push(next);
+            placed.add(next.id);
+        }
+
+        return ordered;
+    }
+
+    /**
+     * Tables each table links to (among the given tables): tableId -> Set of tableIds.
+     * Two-way links appear on both tables: the side holding a single link depends on
+     * the other, otherwise the table listed later does.
+     */
+    getTableDependencies(tables) {
+        const position = new Map(tables.map((table, index) => [table.id, index]));
+        const dependsOn = new Map(tables.map(table => [table.id, new Set()]));
+
+        for (const table of tables) {
+            for (const field of table.fields || []) {
+                const targetTableId = field.linkedTableId || field.options?.linkedTableId;
+                if (!position.has(targetTableId) || targetTableId === table.id) {
+                    continue;
+                }
+
+                const inverseField = this.getInverseLinkField(field, tables);
+                if (inverseField) {
+                    const single = this.prefersSingleLink(field);
+                    const owns = single !== this.prefersSingleLink(inverseField)
+                        ? single
+                        : position.get(table.id) > position.get(targetTableId);
+
+                    if (!owns) {
+                        continue;
+                    }
+                }
+
+                dependsOn.get(table.id).add(targetTableId);
+            }
+        }
+
+        return dependsOn;
+    }
+
+    /**
+     * Run a task per table, up to syncConfig.tableConcurrency at once. A table starts once
+     * the tables it depends on are done (in list order when a cycle blocks every table).
+     * After a failure no new tables start; the first error is thrown once running tables settle.
+     */
+    async syncTablesConcurrently(tables, task) {
+        const dependsOn = this.getTableDependencies(tables);
+        const waiting = [...tables];
+        const running = new Map(); // tableId -> promise
+        const done = new Set();
+        let failure = null;
+
+        while ((waiting.length > 0 && !failure) || running.size > 0) {
+            while (!failure && waiting.length > 0 && running.size < Math.max(1, this.syncConfig.tableConcurrency)) {
+                const ready = waiting.findIndex(table => [...dependsOn.get(table.id)].every(id => done.has(id)));
+                if (ready === -1 && running.size > 0) {
+                    break;
+                }
+
+                const [table] = waiting.splice(Math.max(ready, 0), 1);
+                running.set(table.id, task(table).then(
+                    () => done.add(table.id),
+                    error => { failure = failure || error; }
+                ).finally(() => running.delete(table.id)));
+            }
+
+            if (running.size > 0) {
+                await Promise.race(running.values());
+            }
+        }
+
+        if (failure) {
+            throw failure;
+        }
+    }
+
+    /**
+     * Record ids referenced by a link field value (ids, { id } objects or a single id)
+     */
+    getLinkedIds(field) {
+        const value = this.getFieldValue(field);
+
+        if (value === null || value === undefined || value === '') {
+            return [];
+        }
+
+        return (Array.isArray(value) ? value : [value])
+            .map(link => typeof link === 'string' ? link : link?.id)
+            .filter(Boolean);
+    }
+
+    /**
+     * Replace the ids of a link field value, keeping its EO value object
+     */
+    withLinkedIds(field, ids) {
+        return this.withFieldValue(field, ids);
+    }
+
+    /**
+     * Replace a field's plain value, keeping its EO value object
+     */
+    withFieldValue(field, value) {
+        return field !== null && typeof field === 'object' && !Array.isArray(field) && 'value' in field
+            ? { ...field, value }
+            : value;
+    }
+
+    /**
+     * Prepare link fields for a push: drop deleted records and records not created remotely yet
+     * (those links are pushed by pushDeferredLinks once the targets exist)
+     */
+    resolveOutboundLinks(record, table) {
+        const links = this.getLinkFields(table);
+        let deferred = false;
+
+        if (links.length === 0) {
+            return { record, deferred };
+        }
+
+        const fields = { ...record.fields };
+
+        for (const link of links) {
+            if (fields[link.fieldName] === undefined) {
+                continue;
+            }
+
+            const ids = this.getLinkedIds(fields[link.fieldName]).filter(id => {
+                if (this.changeTracker.tombstones.has(id)) {
+                    return false;
+                }
+
+                if (this.changeTracker.eoChanges.has(id) && !this.changeTracker.baseSnapshots.has(id)) {
+                    deferred = true;
+                    return false;
+                }
+
+                return true;
+            });
+
+            fields[link.fieldName] = this.withLinkedIds(fields[link.fieldName], ids);
+        }
+
+        return { record: { ...record, fields }, deferred };
+    }
+
+    /**
+     * Push links that were held back because their targets did not exist remotely yet
+     */
+    async pushDeferredLinks() {
+        for (const [recordId, tableId] of Array.from(this.linkState.deferred.entries())) {
+            const table = this.connector.getTables().find(t => t.id === tableId);
+            const record = table && this.getEORecords(tableId).find(r => r.id === recordId);
+
+            if (!record) {
+                this.setLinkEntry('deferred', recordId, null);
+                continue;
+            }
+
+            // Stays deferred while a target is still missing (e.g. its table is paused)
+            const pushed = await this.pushRecord(table, record);
+            this.recordBaseSnapshot(pushed.id, pushed.fields);
+        }
+    }
+
+    /**
+     * Give an EO-created record the id the connector assigned, and point EO links at the new id
+     */
+    async rekeyRecord(oldId, newId, table) {
+        await this.rekeyEORecord(oldId, newId, table);
+        this.changeTracker.eoChanges.delete(oldId);
+
+        for (const source of this.connector.getTables()) {
+            const links = this.getLinkFields(source).filter(link => link.targetTableId === table.id);
+
+            for (const record of links.length > 0 ? this.getEORecords(source.id) : []) {
+                const fields = { ...record.fields };
+                let relinked = false;
+
+                for (const link of links) {
+                    const ids = this.getLinkedIds(fields[link.fieldName]);
+
+                    if (ids.includes(oldId)) {
+                        fields[link.fieldName] = this.withLinkedIds(fields[link.fieldName], ids.map(id => id === oldId ? newId : id));
+                        relinked = true;
+                    }
+                }
+
+                if (relinked) {
+                    await this.updateEORecord({ ...record, fields });
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove a deleted record from EO link fields. The connector does the same on its side,
+     * so the merge base is updated too and nothing is pushed back.
+     */
+    async unlinkDeletedRecord(recordId) {
+        for (const source of this.connector.getTables()) {
+            const links = this.getLinkFields(source);
+
+            for (const record of links.length > 0 ? this.getEORecords(source.id) : []) {
+                const fields = { ...record.fields };
+                const base = this.changeTracker.baseSnapshots.get(record.id);
+                const baseFields = base ? { ...base.fields } : null;
+                let unlinked = false;
+
+                for (const link of links) {
+                    const ids = this.getLinkedIds(fields[link.fieldName]);
+                    if (!ids.includes(recordId)) continue;
+
+                    fields[link.fieldName] = this.withLinkedIds(fields[link.fieldName], ids.filter(id => id !== recordId));
+                    if (baseFields && baseFields[link.fieldName] !== undefined) {
+                        baseFields[link.fieldName] = this.getLinkedIds(baseFields[link.fieldName]).filter(id => id !== recordId);
+                    }
+                    unlinked = true;
+                }
+
+                if (unlinked) {
+                    await this.updateEORecord({ ...record, fields });
+                    if (baseFields) {
+                        this.recordBaseSnapshot(record.id, baseFields);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Project link field values of the synced tables into EO relations (one per link field)
+     * and connections (one per linked record pair). Links to records EO does not have are
+     * kept in linkState.unresolved until the target arrives.
+     */
+    async reconcileLinks(tables) {
+        const recordTables = new Map(); // recordId -> tableId, for every EO record (paused tables too)
+        for (const table of this.connector.getTables()) {
+            this.getEORecords(table.id).forEach(record => recordTables.set(record.id, table.id));
+        }
+
+        const reconciledTableIds = new Set(tables.map(table => table.id));
+        const relationIds = new Set();
+        const desired = new Map();
+        const unresolved = [];
+
+        for (const table of tables) {
+            for (const link of this.getLinkFields(table)) {
+                const relation = {
+                    id: link.relationId,
+                    fieldId: link.fieldId,
+                    name: link.fieldName,
+                    sourceSetId: link.sourceTableId,
+                    targetSetId: link.targetTableId,
+                    inverseRelationId: link.inverseRelationId,
+                    cardinality: link.cardinality,
+                    operator: link.operator
+                };
+
+                relationIds.add(relation.id);
+                if (!this.valuesEqual(this.linkState.relations.get(relation.id), relation)) {
+                    await this.upsertEORelation(relation);
+                    this.setLinkEntry('relations', relation.id, relation);
+                }
+
+                for (const record of this.getEORecords(table.id)) {
+                    let targetIds = this.getLinkedIds(record.fields?.[link.fieldName]);
+
+                    if (link.cardinality.endsWith('_to_one') && targetIds.length > 1) {
+                        console.warn(`  ${record.id}.${link.fieldName} links ${targetIds.length} records but is ${link.cardinality}, keeping the first`);
+                        targetIds = targetIds.slice(0, 1);
+                    }
+
+                    for (const targetId of targetIds) {
+                        if (recordTables.get(targetId) !== link.targetTableId) {
+                            unresolved.push({ recordId: record.id, field: link.fieldName, targetId });
+                            continue;
+                        }
+
+                        const connection = {
+                            id: `link_${link.fieldId}_${record.id}_${targetId}`,
+                            relationId: link.relationId,
+                            subject: { type: 'Record', id: record.id, setId: link.sourceTableId },
+                            operand: { type: 'Record', id: targetId, setId: link.targetTableId },
+                            operator: link.operator,
+                            cardinality: link.cardinality
+                        };
+
+                        desired.set(connection.id, connection);
+                    }
+                }
+            }
+        }
+
+        // Connections and relations of paused tables are left as they are
+        for (const [connectionId, connection] of Array.from(this.linkState.connections.entries())) {
+            if (reconciledTableIds.has(connection.subject.setId) && !desired.has(connectionId)) {
+                await this.deleteEOConnection(connection);
+                this.setLinkEntry('connections', connectionId, null);
+                this.syncState.stats.connectionsRemoved++;
+            }
+        }
+
+        for (const [connectionId, connection] of desired) {
+            if (!this.linkState.connections.has(connectionId)) {
+                await this.createEOConnection(connection);
+                this.setLinkEntry('connections', connectionId, connection);
+                this.syncState.stats.connectionsCreated++;
+            }
+        }
+
+        for (const [relationId, relation] of Array.from(this.linkState.relations.entries())) {
+            if (reconciledTableIds.has(relation.sourceSetId) && !relationIds.has(relationId)) {
+                await this.deleteEORelation(relation);
+                this.setLinkEntry('relations', relationId, null);
+            }
+        }
+
+        this.linkState.unresolved = [
+            ...this.linkState.unresolved.filter(link => !reconciledTableIds.has(recordTables.get(link.recordId))),
+            ...unresolved
+        ];
+    }
+
+    /**
+     * Set an entry of the link state and persist it (null drops it).
+     * storeName is the linkState map: 'relations', 'connections' or 'deferred'.
+     */
+    setLinkEntry(storeName, key, value) {
+        if (value === null) {
+            this.linkState[storeName].delete(key);
+        } else {
+            this.linkState[storeName].set(key, value);
+        }
+
+        this.persistEntry(this.linkState.storage, storeName, key, value);
+    }
+
+    /**
+     * Load the link state from storage, so a reload neither recreates nor orphans EO connections
+     */
+    async loadLinkState() {
+        if (!this.linkState.storage) {
+            return;
+        }
+
+        try {
+            await this.linkState.storage.open();
+
+            for (const storeName of ['relations', 'connections', 'deferred']) {
+                const entries = await this.linkState.storage.getAll(storeName);
+                entries.forEach(({ key, value }) => this.linkState[storeName].set(key, value));
+            }
+        } catch (error) {
+            console.warn('Failed to load link state:', error);
+        }
+    }
+
+    /**
+     * Checksums of the cached files EO records refer to (attachments and their thumbnails),
+     * across the synced tables and the archive set
+     */
+    getReferencedAttachments() {
+        const checksums = new Set();
+        const tableIds = [...this.connector.getTables().map(table => table.id), this.syncConfig.archiveSetId];
+
+        for (const tableId of tableIds) {
+            for (const record of this.getEORecords(tableId)) {
+                for (const field of Object.values(record.fields || {})) {
+                    const value = this.getFieldValue(field);
+                    if (!Array.isArray(value)) continue;
+
+                    for (const attachment of value) {
+                        if (attachment?.checksum) checksums.add(attachment.checksum);
+                        Object.values(attachment?.thumbnails || {}).forEach(thumbnail => {
+                            if (thumbnail?.checksum) checksums.add(thumbnail.checksum);
+                        });
+                    }
+                }
+            }
+        }
+
+        return checksums;
+    }
+
+    /**
+     * Attachment fields of a table (Airtable field names)
+     */
+    getAttachmentFields(table) {
+        return (table.fields || []).filter(field =>
+            field.airtableType === 'multipleAttachments' || field.type === 'multipleAttachments' || field.type === 'attachment'
+        );
+    }
+
+    /**
+     * Check if a plain value is a list of attachments
+     */
+    isAttachmentList(value) {
+        return Array.isArray(value) && value.length > 0 && value.every(item =>
+            item !== null && typeof item === 'object' && typeof item.filename === 'string' && ('checksum' in item || 'url' in item)
+        );
+    }
+
+    /**
+     * Cache the attachments of a connector record and replace them with EO attachment metadata
+     * (checksums instead of expiring URLs). Attachments that cannot be downloaded are kept as they are.
+     */
+    async localizeAttachments(record, table) {
+        const attachmentFields = this.attachments.store ? this.getAttachmentFields(table) : [];
+        const fields = { ...record.fields };
+        let localized = false;
+
+        for (const field of attachmentFields) {
+            const value = this.getFieldValue(fields[field.name]);
+            if (!Array.isArray(value)) continue;
+
+            const attachments = [];
+
+            for (const attachment of value) {
+                try {
+                    attachments.push(await this.attachments.store.localize(attachment));
+                } catch (error) {
+                    console.warn(`  Could not cache attachment ${attachment.filename} of ${record.id}: ${error.message}`);
+                    attachments.push(attachment);
+                }
+            }
+
+            fields[field.name] = this.withFieldValue(fields[field.name], attachments);
+            localized = true;
+        }
+
+        return localized ? { ...record, fields } : record;
+    }
+
+    /**
+     * Localize the attachments of fetched records
+     */
+    async localizeRecords(records, table) {
+        if (!this.attachments.store || this.getAttachmentFields(table).length === 0) {
+            return records;
+        }
+
+        const localized = [];
+        for (const record of records) {
+            localized.push(await this.localizeAttachments(record, table));
+        }
+
+        return localized;
+    }
+
+    /**
+     * Upload attachments that only exist locally (no remote id) through the attachment uploader.
+     * Fields with a file that cannot be uploaded are left out of the push and stay pending.
+     * @returns {{ record, uploads: Array<{ fieldName, index, checksum }> }}
+     */
+    async uploadAttachments(record, table) {
+        const fields = { ...record.fields };
+        const uploads = [];
+
+        for (const field of this.getAttachmentFields(table)) {
+            const value = this.getFieldValue(fields[field.name]);
+            if (!Array.isArray(value) || value.every(attachment => attachment.id || !attachment.checksum)) continue;
+
+            const sent = [];
+            const fieldUploads = [];
+
+            for (const [index, attachment] of value.entries()) {
+                if (attachment.id || !attachment.checksum) {
+                    sent.push(attachment);
+                    continue;
+                }
+
+                const file = this.attachments.store ? await this.attachments.store.get(attachment.checksum) : null;
+                if (!file || !this.attachments.uploader) {
+                    console.warn(`  ${record.id}.${field.name}: ${file ? 'no attachment uploader configured' : `file ${attachment.checksum} is not cached`}, not pushing the field`);
+                    break;
+                }
+
+                const upload = await this.attachments.uploader(
+                    { ...file, filename: attachment.filename, mime: attachment.mime || file.mime },
+                    { tableId: table.id, recordId: record.id, fieldName: field.name }
+                );
+
+                sent.push({ ...attachment, url: typeof upload === 'string' ? upload : upload.url });
+                fieldUploads.push({ fieldName: field.name, index, checksum: attachment.checksum });
+            }
+
+            if (sent.length === value.length) {
+                fields[field.name] = this.withFieldValue(fields[field.name], sent);
+                uploads.push(...fieldUploads);
+                this.syncState.stats.attachmentsUploaded += fieldUploads.length;
+            } else {
+                delete fields[field.name];
+            }
+        }
+
+        return { record: { ...record, fields }, uploads };
+    }
+
+    /**
+     * Fetch Airtable records for a table, incrementally when possible.
+     * Incremental pulls overlay the changed records on the cached remote state;
+     * a periodic full reconciliation pass refreshes the cache and catches deletions.
+     */
+    async fetchAirtableRecords(table, options = {}) {
+        const tableSync = this.syncState.tableSync.get(table.id) || { highWaterMark: null, lastFullSync: null };
+        const fetchStartedAt = Date.now();
+        const timestampField = this.syncConfig.timestampFields[table.id] || this.syncConfig.timestampField;
+        const priority = this.syncConfig.requestPriority;
+
+        // Connectors without incremental reads always get a full read
+        const supportsIncremental = typeof this.connector.fetchChangedRecords === 'function' &&
+            typeof this.connector.getCachedRecords === 'function';
+
+        const needsFullSync = !this.syncConfig.incremental ||
+            !supportsIncremental ||
+            !tableSync.highWaterMark ||
+            !tableSync.lastFullSync ||
+            fetchStartedAt - new Date(tableSync.lastFullSync).getTime() >= this.syncConfig.fullReconcileInterval;
+
+        let records;
+
+        if (needsFullSync) {
+            records = await this.localizeRecords(await this.connector.fetchTableRecords(table.id, { timestampField, priority }), table);
+
+            if (options.dryRun) {
+                return records;
+            }
+
+            tableSync.lastFullSync = new Date(fetchStartedAt).toISOString();
+
+            if (this.syncConfig.incremental) {
+                this.syncState.stats.fullReconciliations++;
+            }
+        } else {
+            const cached = this.connector.getCachedRecords(table.id);
+            const changed = await this.connector.fetchChangedRecords(table.id, tableSync.highWaterMark, { timestampField, priority });
+
+            console.log(`  Incremental pull: ${changed.length} records changed since ${tableSync.highWaterMark}`);
+
+            const byId = new Map(cached.map(r => [r.id, r]));
+            changed.forEach(r => byId.set(r.id, r));
+            records = await this.localizeRecords(Array.from(byId.values()), table);
+
+            if (options.dryRun) {
+                return records;
+            }
+
+            this.syncState.stats.incrementalPulls++;
+        }
+
+        // Next pull starts slightly before this one to tolerate clock skew
+        tableSync.highWaterMark = new Date(fetchStartedAt - this.syncConfig.highWaterMarkOverlap).toISOString();
+        this.syncState.tableSync.set(table.id, tableSync);
+
+        return records;
+    }
+
+    /**
+     * Force the next sync of a table (or all tables) to be a full reconciliation
+     */
+    resetHighWaterMark(tableId = null) {
+        if (tableId) {
+            this.syncState.tableSync.delete(tableId);
+        } else {
+            this.syncState.tableSync.clear();
+        }
+    }
+
+    /**
+     * Detect changes between EO and Airtable
+     * @param {Set} scope - Record ids, when only those records were fetched (local deletions of other records wait)
+     */
+    detectChanges(eoRecords, airtableRecords, table, scope = null) {
+        const changes = {
+            toCreate: [],
+            toUpdate: [],
+            toDelete: [],
+            conflicts: []
+        };
+
+        // Records deleted locally are no longer part of the EO side
+        eoRecords = eoRecords.filter(r => !this.changeTracker.tombstones.has(r.id));
+
+        // Create maps for easy lookup
+        const eoMap = new Map(eoRecords.map(r => [r.id, r]));
+        const airtableMap = new Map(airtableRecords.map(r => [r.id, r]));
+        const bidirectional = this.syncConfig.direction === 'bidirectional';
+
+        // Records reconciled by three-way merge (skip them in the EO → Airtable pass)
+        const merged = new Set();
+
+        // Check for records to create/update from Airtable to EO
+        if (this.syncConfig.direction === 'airtable_to_eo' || this.syncConfig.direction === 'bidirectional') {
+            for (const airtableRecord of airtableRecords) {
+                const eoRecord = eoMap.get(airtableRecord.id);
+
+                if (!eoRecord && this.changeTracker.tombstones.has(airtableRecord.id)) {
+                    // Deleted in EO - handled by the deletion pass, never resurrected
+                    continue;
+                } else if (!eoRecord) {
+                    // New record from Airtable
+                    changes.toCreate.push({
+                        direction: 'airtable_to_eo',
+                        record: airtableRecord,
+                        table
+                    });
+                } else if (this.changeTracker.baseSnapshots.has(eoRecord.id)) {
+                    // Three-way merge against the last-synced base
+                    merged.add(eoRecord.id);
+                    this.detectMergedChanges(eoRecord, airtableRecord, table, changes);
+                } else {
+                    // Check for conflicts
+                    const conflict = this.detectConflict(eoRecord, airtableRecord);
+
+                    if (conflict) {
+                        changes.conflicts.push({
+                            eoRecord,
+                            airtableRecord,
+                            table,
+                            conflict
+                        });
+                    } else if (this.hasChanged(eoRecord, airtableRecord)) {
+                        changes.toUpdate.push({
+                            direction: 'airtable_to_eo',
+                            record: airtableRecord,
+                            existing: eoRecord,
+                            table
+                        });
+                    }
+                }
+            }
+        }
+
+        // Check for records to create/update from EO to Airtable
+        if (this.syncConfig.direction === 'eo_to_airtable' || this.syncConfig.direction === 'bidirectional') {
+            for (const eoRecord of eoRecords) {
+                const airtableRecord = airtableMap.get(eoRecord.id);
+
+                if (merged.has(eoRecord.id)) {
+                    continue;
+                }
+
+                if (!airtableRecord && this.changeTracker.baseSnapshots.has(eoRecord.id)) {
+                    // Previously synced, now gone from Airtable - handled by the deletion pass
+                    continue;
+                } else if (!airtableRecord && this.isPendingCreate(eoRecord)) {
+                    // New record from EO
+                    changes.toCreate.push({
+                        direction: 'eo_to_airtable',
+                        record: eoRecord,
+                        table
+                    });
+                } else if (airtableRecord && this.hasEOChanges(eoRecord)) {
+                    // EO has changes to push
+                    changes.toUpdate.push({
+                        direction: 'eo_to_airtable',
+                        record: eoRecord,
+                        existing: airtableRecord,
+                        table
+                    });
+                }
+            }
+        }
+
+        // Check for deletions in Airtable (record missing remotely)
+        if (this.syncConfig.direction === 'airtable_to_eo' || bidirectional) {
+            for (const eoRecord of eoRecords) {
+                if (airtableMap.has(eoRecord.id)) {
+                    continue;
+                }
+
+                // In bidirectional mode only previously synced records can have been deleted remotely
+                if (bidirectional && !this.changeTracker.baseSnapshots.has(eoRecord.id)) {
+                    continue;
+                }
+
+                if (bidirectional && this.isEditedSinceBase(eoRecord, table, 'eo')) {
+                    changes.conflicts.push(this.createDeleteConflict('airtable', eoRecord, null, table));
+                } else {
+                    changes.toDelete.push({
+                        direction: 'airtable_to_eo',
+                        recordId: eoRecord.id,
+                        record: eoRecord,
+                        table
+                    });
+                }
+            }
+        }
+
+        // Check for deletions in EO (tombstones recorded locally)
+        if (this.syncConfig.direction === 'eo_to_airtable' || bidirectional) {
+            for (const tombstone of this.changeTracker.tombstones.values()) {
+                if (tombstone.propagated || tombstone.deletedOn !== 'eo' || tombstone.tableId !== table.id ||
+                    (scope && !scope.has(tombstone.recordId))) {
+                    continue;
+                }
+
+                const airtableRecord = airtableMap.get(tombstone.recordId);
+
+                if (!airtableRecord) {
+                    // Already gone remotely
+                    tombstone.propagated = true;
+                    this.saveTombstone(tombstone);
+                } else if (bidirectional && this.isEditedSinceBase(airtableRecord, table)) {
+                    changes.conflicts.push(this.createDeleteConflict('eo', null, airtableRecord, table));
+                } else {
+                    changes.toDelete.push({
+                        direction: 'eo_to_airtable',
+                        recordId: tombstone.recordId,
+                        record: airtableRecord,
+                        table
+                    });
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Check if a record's fields differ from its last-synced base
+     * (EO records also count as edited while they have pending changes). Fields the table's
+     * mapping does not sync are ignored.
+     */
+    isEditedSinceBase(record, table, side = 'airtable') {
+        if (side === 'eo' && this.changeTracker.eoChanges.has(record.id)) {
+            return true;
+        }
+
+        const base = this.changeTracker.baseSnapshots.get(record.id);
+        if (!base) {
+            return false;
+        }
+
+        const fields = this.normalizeFields(record.fields);
+        const fieldNames = new Set([...Object.keys(base.fields), ...Object.keys(fields)]);
+        const mapping = this.getFieldMapping(table);
+
+        return Array.from(fieldNames).some(field =>
+            this.isSyncedEOField(mapping, field) && !this.valuesEqual(base.fields[field], fields[field])
+        );
+    }
+
+    /**
+     * Build a delete-vs-edit conflict: one side deleted the record, the other edited it
+     */
+    createDeleteConflict(deletedOn, eoRecord, airtableRecord, table) {
+        const recordId = (eoRecord || airtableRecord).id;
+        const tombstone = this.changeTracker.tombstones.get(recordId) || {
+            recordId,
+            tableId: table.id,
+            deletedOn,
+            deletedAt: new Date().toISOString(),
+            fields: this.changeTracker.baseSnapshots.get(recordId)?.fields || null
+        };
+
+        return {
+            recordId,
+            eoRecord,
+            airtableRecord,
+            table,
+            conflict: {
+                type: 'delete_edit',
+                deletedOn,
+                tombstone,
+                base: this.changeTracker.baseSnapshots.get(recordId) || null,
+                fieldConflicts: []
+            }
+        };
+    }
+
+    /**
+     * Queue updates/conflicts for a record present on both sides using a three-way merge
+     */
+    detectMergedChanges(eoRecord, airtableRecord, table, changes) {
+        const merge = this.threeWayMerge(eoRecord, airtableRecord);
+
+        if (merge.conflicts.length > 0) {
+            changes.conflicts.push({
+                eoRecord,
+                airtableRecord,
+                table,
+                conflict: this.detectConflict(eoRecord, airtableRecord, merge)
+            });
+            return;
+        }
+
+        if (merge.airtableChanged.length > 0) {
+            changes.toUpdate.push({
+                direction: 'airtable_to_eo',
+                record: merge.record,
+                existing: eoRecord,
+                changedFields: merge.airtableChanged,
+                table
+            });
+        }
+
+        if (merge.eoChanged.length > 0 && this.syncConfig.direction === 'bidirectional') {
+            changes.toUpdate.push({
+                direction: 'eo_to_airtable',
+                record: merge.record,
+                existing: airtableRecord,
+                changedFields: merge.eoChanged,
+                table
+            });
+        }
+    }
+
+    /**
+     * Three-way merge of EO and Airtable fields against the last-synced base.
+     * Fields changed on one side only are auto-merged; fields changed
+     * differently on both sides are reported as conflicts.
+     */
+    threeWayMerge(eoRecord, airtableRecord) {
+        const base = this.changeTracker.baseSnapshots.get(eoRecord.id)?.fields || {};
+        const eoFields = eoRecord.fields || {};
+        const airtableFields = airtableRecord.fields || {};
+        const mapping = this.getFieldMapping(airtableRecord.tableId || eoRecord.tableId);
+
+        const fields = {};
+        const eoChanged = [];
+        const airtableChanged = [];
+        const conflicts = [];
+
+        const allFields = new Set([
+            ...Object.keys(base),
+            ...Object.keys(eoFields),
+            ...Object.keys(airtableFields)
+        ]);
+
+        for (const fieldName of allFields) {
+            if (!this.isSyncedEOField(mapping, fieldName)) {
+                // Not synced: EO keeps its own value
+                if (eoFields[fieldName] !== undefined) {
+                    fields[fieldName] = eoFields[fieldName];
+                }
+                continue;
+            }
+
+            const baseValue = base[fieldName];
+            const eoValue = this.getFieldValue(eoFields[fieldName]);
+            const airtableValue = this.getFieldValue(airtableFields[fieldName]);
+
+            const eoDiffers = !this.valuesEqual(eoValue, baseValue);
+            const airtableDiffers = !this.valuesEqual(airtableValue, baseValue);
+            const fieldDirection = mapping?.byEOName.get(fieldName)?.direction || 'both';
+            let source = airtableFields;
+
+            if (this.valuesEqual(eoValue, airtableValue)) {
+                // Unchanged, or the same edit on both sides
+            } else if (fieldDirection === 'airtable_to_eo') {
+                // Read-only from Airtable: EO edits are reverted
+                airtableChanged.push(fieldName);
+            } else if (fieldDirection === 'eo_to_airtable') {
+                // Push-only: Airtable's value is never read
+                if (eoDiffers) {
+                    eoChanged.push(fieldName);
+                }
+                source = eoFields;
+            } else if (eoDiffers && !airtableDiffers) {
+                eoChanged.push(fieldName);
+                source = eoFields;
+            } else if (airtableDiffers && !eoDiffers) {
+                airtableChanged.push(fieldName);
+            } else {
+                conflicts.push({ field: fieldName, baseValue, eoValue, airtableValue });
+            }
+
+            if (source[fieldName] !== undefined) {
+                fields[fieldName] = source[fieldName];
+            }
+        }
+
+        return {
+            record: { ...airtableRecord, fields },
+            eoChanged,
+            airtableChanged,
+            conflicts
+        };
+    }
+
+    /**
+     * Detect conflict between EO and Airtable records
+     */
+    detectConflict(eoRecord, airtableRecord, merge = null) {
+        const baseSnapshot = this.changeTracker.baseSnapshots.get(eoRecord.id);
+        const lastKnown = baseSnapshot?.checksum || this.changeTracker.lastKnownState.get(eoRecord.id);
+
+        if (!lastKnown) {
+            return null; // No baseline to detect conflict
+        }
+
+        const eoChecksum = this.calculateChecksum(this.normalizeFields(eoRecord.fields));
+        const airtableChecksum = this.calculateChecksum(this.normalizeFields(airtableRecord.fields));
+
+        if (!merge && (eoChecksum === lastKnown || airtableChecksum === lastKnown)) {
+            return null; // Only one side changed since last sync
+        }
+
+        const fieldConflicts = merge
+            ? merge.conflicts
+            : this.findFieldConflicts(eoRecord.fields, airtableRecord.fields, baseSnapshot?.fields);
+
+        if (fieldConflicts.length === 0) {
+            return null; // Both changed, but never the same field
+        }
+
+        return {
+            type: 'concurrent_modification',
+            eoChecksum,
+            airtableChecksum,
+            lastKnown,
+            base: baseSnapshot?.fields || null,
+            fieldConflicts,
+            merge: merge || (baseSnapshot ? this.threeWayMerge(eoRecord, airtableRecord) : null)
+        };
+    }
+
+    /**
+     * Find specific fields with conflicts.
+     * With a base, only fields changed differently on both sides are conflicts.
+     */
+    findFieldConflicts(eoFields, airtableFields, baseFields = null) {
+        const conflicts = [];
+
+        const allFields = new Set([
+            ...Object.keys(eoFields),
+            ...Object.keys(airtableFields),
+            ...Object.keys(baseFields || {})
+        ]);
+
+        for (const fieldName of allFields) {
+            const eoValue = this.getFieldValue(eoFields[fieldName]);
+            const airtableValue = this.getFieldValue(airtableFields[fieldName]);
+
+            if (this.valuesEqual(eoValue, airtableValue)) {
+                continue;
+            }
+
+            if (baseFields) {
+                const baseValue = baseFields[fieldName];
+
+                if (this.valuesEqual(eoValue, baseValue) || this.valuesEqual(airtableValue, baseValue)) {
+                    continue; // One-sided change: auto-mergeable
+                }
+
+                conflicts.push({ field: fieldName, baseValue, eoValue, airtableValue });
+            } else {
+                conflicts.push({
+                    field: fieldName,
+                    eoValue,
+                    airtableValue
+                });
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Extract plain value from an EO field (value object or raw value).
+     * A SUP value compares and syncs as its dominant alternative, so it is not pushed back as an edit.
+     */
+    getFieldValue(field) {
+        if (field?.eoOperator === 'SUP' && field[field.dominantValue]) {
+            return field[field.dominantValue].value;
+        }
+        return field?.value ?? field;
+    }
+
+    /**
+     * Convert EO fields into a plain { fieldName: value } map
+     */
+    normalizeFields(fields) {
+        const normalized = {};
+
+        for (const [fieldName, field] of Object.entries(fields || {})) {
+            const value = this.getFieldValue(field);
+            if (value !== undefined) {
+                normalized[fieldName] = value;
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Compare two plain values (attachments by checksum and filename, not by URL)
+     */
+    valuesEqual(a, b) {
+        return JSON.stringify(this.comparableValue(a) ?? null) === JSON.stringify(this.comparableValue(b) ?? null);
+    }
+
+    /**
+     * Value as compared by valuesEqual
+     */
+    comparableValue(value) {
+        return this.isAttachmentList(value)
+            ? value.map(attachment => [attachment.checksum || attachment.id || attachment.url, attachment.filename])
+            : value;
+    }
+
+    /**
+     * Remember last-synced field values for a record (the merge base)
+     */
+    recordBaseSnapshot(recordId, fields) {
+        const normalized = this.normalizeFields(fields);
+        const checksum = this.calculateChecksum(normalized);
+        const base = { fields: normalized, checksum, syncedAt: new Date().toISOString() };
+
+        this.changeTracker.baseSnapshots.set(recordId, base);
+        this.changeTracker.lastKnownState.set(recordId, checksum);
+        this.persistEntry(this.changeTracker.baseStorage, 'bases', recordId, base);
+    }
+
+    /**
+     * Forget the merge base of a record
+     */
+    dropBaseSnapshot(recordId) {
+        this.changeTracker.baseSnapshots.delete(recordId);
+        this.changeTracker.lastKnownState.delete(recordId);
+        this.persistEntry(this.changeTracker.baseStorage, 'bases', recordId, null);
+    }
+
+    /**
+     * Load the merge bases from storage, so the first sync after a reload merges three-way
+     */
+    async loadBaseSnapshots() {
+        if (!this.changeTracker.baseStorage) {
+            return;
+        }
+
+        try {
+            await this.changeTracker.baseStorage.open();
+            const entries = await this.changeTracker.baseStorage.getAll('bases');
+
+            for (const { key, value } of entries) {
+                this.changeTracker.baseSnapshots.set(key, value);
+                this.changeTracker.lastKnownState.set(key, value.checksum);
+            }
+        } catch (error) {
+            console.warn('Failed to load base snapshots:', error);
+        }
+    }
+
+    /**
+     * Apply changes (create/update/delete)
+     */
+    async applyChanges(changes, table) {
+        // Resolve conflicts first
+        for (const conflict of changes.conflicts) {
+            await this.resolveConflict(conflict);
+        }
+
+        // Process creates
+        for (const change of changes.toCreate) {
+            await this.applyCreate(change);
+        }
+
+        // Process updates
+        for (const change of changes.toUpdate) {
+            await this.applyUpdate(change);
+        }
+
+        // Process deletes
+        for (const change of changes.toDelete) {
+            await this.applyDelete(change);
+        }
+    }
+
+    /**
+     * Resolve conflict using configured strategy ('manual' holds it for resolveHeldConflict())
+     */
+    async resolveConflict(conflict) {
+        const recordId = conflict.recordId || conflict.eoRecord.id;
+        console.log(`⚠️  Conflict detected for record ${recordId}`);
+
+        this.emit('conflictDetected', conflict);
+
+        // Held until resolved field by field; the next sync replaces it with fresh values
+        if (this.syncConfig.conflictResolution === 'manual') {
+            this.syncState.conflicts.set(recordId, { ...conflict, recordId, detectedAt: new Date().toISOString() });
+            console.log('  Conflict held for review');
+            return;
+        }
+
+        let resolution;
+
+        if (conflict.conflict.type === 'delete_edit') {
+            resolution = this.resolveDeleteConflict(conflict);
+        } else {
+            switch (this.syncConfig.conflictResolution) {
+                case 'superposition':
+                    resolution = await this.resolveBySuperposition(conflict);
+                    break;
+
+                case 'airtable_wins':
+                    resolution = { winner: 'airtable', record: this.buildResolvedRecord(conflict, 'airtable') };
+                    break;
+
+                case 'eo_wins':
+                    resolution = { winner: 'eo', record: this.buildResolvedRecord(conflict, 'eo') };
+                    break;
+
+                case 'newest_wins':
+                    resolution = this.resolveByNewest(conflict);
+                    break;
+
+                default:
+                    resolution = await this.resolveBySuperposition(conflict);
+            }
+        }
+
+        await this.completeConflictResolution(conflict, resolution);
+    }
+
+    /**
+     * Resolve a held conflict with the user's choices.
+     * @param {Object} choices - Per conflicting field: { [field]: { choice: 'eo'|'airtable'|'sup'|'custom', value } }
+     *   (value for 'custom' only). For a delete_edit conflict: { action: 'delete'|'restore' }.
+     */
+    async resolveHeldConflict(recordId, choices) {
+        const conflict = this.syncState.conflicts.get(recordId);
+
+        if (!conflict) {
+            throw new Error(`No conflict held for record ${recordId}`);
+        }
+
+        if (this.syncState.isRunning) {
+            throw new Error('Sync already in progress');
+        }
+
+        const resolution = conflict.conflict.type === 'delete_edit'
+            ? this.buildDeleteChoice(conflict, choices.action)
+            : this.buildManualResolution(conflict, choices);
+
+        await this.completeConflictResolution(conflict, resolution);
+        this.syncState.conflicts.delete(recordId);
+
+        return resolution;
+    }
+
+    /**
+     * Conflicts held for review, with base, EO and Airtable values per conflicting field
+     */
+    getHeldConflicts() {
+        return Array.from(this.syncState.conflicts.values()).map(conflict => ({
+            recordId: conflict.recordId,
+            tableId: conflict.table.id,
+            tableName: conflict.table.name,
+            type: conflict.conflict.type,
+            deletedOn: conflict.conflict.deletedOn || null,
+            detectedAt: conflict.detectedAt,
+            fields: conflict.conflict.fieldConflicts.map(({ field, baseValue, eoValue, airtableValue }) => ({
+                field,
+                baseValue,
+                eoValue,
+                airtableValue
+            }))
+        }));
+    }
+
+    /**
+     * Build a 'manual' resolution from per-field choices; fields without a choice keep both values (SUP).
+     * Non-conflicting edits from both sides are kept when there is a merge base.
+     */
+    buildManualResolution(conflict, choices = {}) {
+        const merge = conflict.conflict.merge;
+        const fields = { ...(merge ? merge.record.fields : conflict.eoRecord.fields) };
+        const fieldChoices = {};
+
+        for (const { field, baseValue, eoValue, airtableValue } of conflict.conflict.fieldConflicts) {
+            const { choice = 'sup', value } = choices[field] || {};
+            let source;
+
+            switch (choice) {
+                case 'eo':
+                    source = conflict.eoRecord.fields[field];
+                    break;
+                case 'airtable':
+                    source = conflict.airtableRecord.fields[field];
+                    break;
+                case 'custom':
+                    source = value;
+                    break;
+                case 'sup':
+                    source = this.createSupValue(conflict, eoValue, airtableValue, baseValue);
+                    break;
+                default:
+                    throw new Error(`Invalid choice for field "${field}": ${choice}`);
+            }
+
+            if (source === undefined || source === null || source === '') {
+                delete fields[field];
+            } else {
+                fields[field] = source;
+            }
+
+            fieldChoices[field] = choice;
+        }
+
+        return {
+            winner: 'manual',
+            fieldChoices,
+            record: {
+                ...conflict.eoRecord,
+                fields,
+                ...(Object.values(fieldChoices).includes('sup') && { hasSuperposition: true })
+            }
+        };
+    }
+
+    /**
+     * Resolution of a delete_edit conflict for a chosen action (see resolveDeleteConflict)
+     */
+    buildDeleteChoice(conflict, action) {
+        if (action !== 'delete' && action !== 'restore') {
+            throw new Error(`Invalid delete conflict action: ${action}`);
+        }
+
+        const { deletedOn } = conflict.conflict;
+
+        return {
+            winner: action === 'delete' ? deletedOn : (deletedOn === 'eo' ? 'airtable' : 'eo'),
+            action,
+            record: conflict.eoRecord || conflict.airtableRecord
+        };
+    }
+
+    /**
+     * Apply and log a resolution
+     */
+    async completeConflictResolution(conflict, resolution) {
+        // Apply resolution
+        await this.applyConflictResolution(conflict, resolution);
+
+        // Log to Xano
+        await this.logConflictResolution(conflict, resolution);
+
+        this.syncState.stats.conflictsResolved++;
+        this.recordSessionChange(conflict.table, {
+            recordId: conflict.recordId || conflict.eoRecord.id,
+            action: 'conflict',
+            resolution: resolution.winner,
+            fields: (conflict.conflict.fieldConflicts || []).map(fieldConflict => fieldConflict.field)
+        });
+        this.emit('conflictResolved', { conflict, resolution });
+
+        console.log(`  ✓ Conflict resolved using: ${resolution.winner}`);
+    }
+
+    /**
+     * Resolve a delete-vs-edit conflict.
+     * Superposition keeps the edit (a deletion cannot coexist with a value);
+     * the other strategies let the winning side's intent (delete or edit) stand.
+     */
+    resolveDeleteConflict(conflict) {
+        const { deletedOn, tombstone } = conflict.conflict;
+        const editedRecord = conflict.eoRecord || conflict.airtableRecord;
+        let winner;
+
+        switch (this.syncConfig.conflictResolution) {
+            case 'airtable_wins':
+                winner = 'airtable';
+                break;
+
+            case 'eo_wins':
+                winner = 'eo';
+                break;
+
+            case 'newest_wins': {
+                const deletedTime = new Date(tombstone.deletedAt).getTime();
+                const editedTime = new Date(editedRecord.lastModified).getTime();
+                winner = deletedTime > editedTime ? deletedOn : (deletedOn === 'eo' ? 'airtable' : 'eo');
+                break;
+            }
+
+            default:
+                return { winner: 'superposition', action: 'restore', record: editedRecord };
+        }
+
+        return {
+            winner,
+            action: winner === deletedOn ? 'delete' : 'restore',
+            record: editedRecord
+        };
+    }
+
+    /**
+     * Resolve conflict using EO Superposition (SUP)
+     */
+    async resolveBySuperposition(conflict) {
+        const merge = conflict.conflict?.merge;
+
+        // With a merge base only the conflicting fields become SUP values
+        if (merge) {
+            const fields = { ...merge.record.fields };
+
+            for (const fieldConflict of conflict.conflict.fieldConflicts) {
+                fields[fieldConflict.field] = this.createSupValue(
+                    conflict,
+                    fieldConflict.eoValue,
+                    fieldConflict.airtableValue,
+                    fieldConflict.baseValue
+                );
+            }
+
+            return {
+                winner: 'superposition',
+                record: {
+                    ...conflict.eoRecord,
+                    fields,
+                    hasSuperposition: true
+                }
+            };
+        }
+
+        return {
+            winner: 'superposition',
+            record: {
+                ...conflict.eoRecord,
+                fields: this.createSupValue(conflict, conflict.eoRecord.fields, conflict.airtableRecord.fields),
+                hasSuperposition: true
+            }
+        };
+    }
+
+    /**
+     * Create SUP value: both values coexist with different contexts
+     */
+    createSupValue(conflict, eoValue, airtableValue, baseValue) {
+        return {
+            value_1: {
+                value: eoValue,
+                method: 'declared',
+                scale: 'individual',
+                source: { system: 'eo-activibase' },
+                agent: this.softr.getUserContext(),
+                timestamp: conflict.eoRecord.lastModified
+            },
+            value_2: {
+                value: airtableValue,
+                method: 'measured',
+                scale: 'organization',
+                source: { system: 'airtable' },
+                agent: { type: 'system', id: 'airtable' },
+                timestamp: conflict.airtableRecord.lastModified
+            },
+            ...(baseValue !== undefined && { baseValue }),
+            eoOperator: 'SUP',
+            dominantValue: this.selectDominantValue(conflict)
+        };
+    }
+
+    /**
+     * Build the resolved record for a winning side.
+     * With a merge base, non-conflicting edits from both sides are kept.
+     */
+    buildResolvedRecord(conflict, winner) {
+        const winningRecord = winner === 'airtable' ? conflict.airtableRecord : conflict.eoRecord;
+        const merge = conflict.conflict?.merge;
+
+        if (!merge) {
+            return winningRecord;
+        }
+
+        const fields = { ...merge.record.fields };
+
+        for (const { field } of conflict.conflict.fieldConflicts) {
+            if (winningRecord.fields[field] === undefined) {
+                delete fields[field];
+            } else {
+                fields[field] = winningRecord.fields[field];
+            }
+        }
+
+        return { ...merge.record, fields };
+    }
+
+    /**
+     * Select dominant value for SUP display
+     */
+    selectDominantValue(conflict) {
+        // Default: show Airtable value as dominant (source of truth)
+        return 'value_2';
+    }
+
+    /**
+     * Resolve by newest timestamp
+     */
+    resolveByNewest(conflict) {
+        const eoTime = new Date(conflict.eoRecord.lastModified).getTime();
+        const airtableTime = new Date(conflict.airtableRecord.lastModified).getTime();
+
+        return airtableTime > eoTime
+            ? { winner: 'airtable', record: this.buildResolvedRecord(conflict, 'airtable') }
+            : { winner: 'eo', record: this.buildResolvedRecord(conflict, 'eo') };
+    }
+
+    /**
+     * Apply conflict resolution
+     */
+    async applyConflictResolution(conflict, resolution) {
+        if (conflict.conflict.type === 'delete_edit') {
+            return this.applyDeleteResolution(conflict, resolution);
+        }
+
+        const merge = conflict.conflict?.merge;
+        const pushEOEdits = merge?.eoChanged.length > 0 && this.syncConfig.direction === 'bidirectional';
+
+        if (resolution.winner === 'manual') {
+            return this.applyManualResolution(conflict, resolution);
+        }
+
+        if (resolution.winner === 'superposition') {
+            // Update EO record with SUP
+            await this.updateEORecord(resolution.record);
+
+            // Airtable keeps its value for conflicting fields (value_2), but receives merged EO edits
+            if (pushEOEdits) {
+                await this.pushRecord(conflict.table, merge.record);
+            }
+
+            this.recordBaseSnapshot(conflict.eoRecord.id, merge ? merge.record.fields : conflict.airtableRecord.fields);
+        } else if (resolution.winner === 'airtable') {
+            // Update EO to match Airtable
+            await this.updateEORecord(resolution.record);
+
+            if (pushEOEdits) {
+                await this.pushRecord(conflict.table, resolution.record);
+            }
+
+            this.recordBaseSnapshot(conflict.eoRecord.id, resolution.record.fields);
+        } else {
+            // Update Airtable to match EO
+            await this.pushRecord(conflict.table, resolution.record);
+
+            if (merge?.airtableChanged.length > 0) {
+                await this.updateEORecord(resolution.record);
+            }
+
+            this.recordBaseSnapshot(conflict.eoRecord.id, resolution.record.fields);
+        }
+    }
+
+    /**
+     * Apply a field-by-field resolution: EO takes the resolved record, Airtable the chosen and
+     * edited values (SUP fields keep Airtable's value there, as in superposition)
+     */
+    async applyManualResolution(conflict, resolution) {
+        const fields = { ...resolution.record.fields };
+
+        for (const [field, choice] of Object.entries(resolution.fieldChoices)) {
+            if (choice === 'sup') {
+                const airtableValue = conflict.airtableRecord.fields[field];
+
+                if (airtableValue === undefined) {
+                    delete fields[field];
+                } else {
+                    fields[field] = airtableValue;
+                }
+            }
+        }
+
+        const airtableRecord = { ...resolution.record, fields };
+        const pushFields = this.getChangedFieldNames(conflict.airtableRecord.fields, fields).length > 0;
+
+        await this.updateEORecord(resolution.record);
+
+        if (pushFields && this.syncConfig.direction !== 'airtable_to_eo') {
+            await this.pushRecord(conflict.table, airtableRecord);
+        }
+
+        this.recordBaseSnapshot(conflict.eoRecord.id, fields);
+    }
+
+    /**
+     * Apply a delete-vs-edit resolution: propagate the delete or restore the edited record
+     */
+    async applyDeleteResolution(conflict, resolution) {
+        const { deletedOn } = conflict.conflict;
+        const recordId = conflict.recordId;
+
+        if (resolution.action === 'delete') {
+            await this.applyDelete({
+                direction: deletedOn === 'airtable' ? 'airtable_to_eo' : 'eo_to_airtable',
+                recordId,
+                record: resolution.record,
+                table: conflict.table
+            });
+            return;
+        }
+
+        if (deletedOn === 'airtable') {
+            // Recreate in Airtable from the edited EO record (Airtable assigns a new id)
+            const { id, ...record } = resolution.record;
+            const created = await this.pushRecord(conflict.table, record);
+            this.recordBaseSnapshot(created.id, created.fields);
+            this.dropBaseSnapshot(recordId);
+        } else {
+            // Restore in EO from the edited Airtable record
+            await this.createEORecord(resolution.record, conflict.table);
+            this.recordBaseSnapshot(recordId, resolution.record.fields);
+        }
+
+        this.dropTombstone(recordId);
+
+        await this.logActivity({
+            action: 'restore',
+            entityType: 'record',
+            entityId: recordId,
+            tableId: conflict.table.id,
+            tableName: conflict.table.name,
+            syncDirection: deletedOn === 'airtable' ? 'eo_to_airtable' : 'airtable_to_eo',
+            after: resolution.record.fields
+        });
+    }
+
+    /**
+     * Apply create change
+     */
+    async applyCreate(change) {
+        if (change.direction === 'airtable_to_eo') {
+            // Create in EO
+            await this.createEORecord(change.record, change.table);
+            this.recordBaseSnapshot(change.record.id, change.record.fields);
+            this.syncState.stats.recordsCreated++;
+            this.recordSessionChange(change.table, {
+                recordId: change.record.id,
+                action: 'create',
+                direction: 'airtable_to_eo',
+                fields: Object.keys(change.record.fields || {})
+            });
+
+            await this.logActivity({
+                action: 'create',
+                entityType: 'record',
+                tableId: change.table.id,
+                tableName: change.table.name,
+                entityId: change.record.id,
+                syncDirection: 'airtable_to_eo',
+                after: change.record.fields
+            });
+        } else {
+            // Create in Airtable
+            const created = await this.pushRecord(change.table, change.record);
+
+            if (created.id !== change.record.id) {
+                await this.rekeyRecord(change.record.id, created.id, change.table);
+            }
+
+            await this.adoptTransformedValues(change.record, created, true);
+            this.recordBaseSnapshot(created.id, created.fields);
+            this.syncState.stats.recordsCreated++;
+            this.recordSessionChange(change.table, {
+                recordId: created.id,
+                action: 'create',
+                direction: 'eo_to_airtable',
+                fields: Object.keys(change.record.fields || {})
+            });
+
+            await this.logActivity({
+                action: 'create',
+                entityType: 'record',
+                tableId: change.table.id,
+                tableName: change.table.name,
+                entityId: created.id,
+                syncDirection: 'eo_to_airtable',
+                after: created.fields
+            });
+        }
+    }
+
+    /**
+     * Apply update change
+     */
+    async applyUpdate(change) {
+        if (change.direction === 'airtable_to_eo') {
+            // Update EO
+            await this.updateEORecord(change.record);
+            this.recordBaseSnapshot(change.record.id, change.record.fields);
+            this.syncState.stats.recordsUpdated++;
+            this.recordSessionChange(change.table, {
+                recordId: change.record.id,
+                action: 'update',
+                direction: 'airtable_to_eo',
+                fields: this.getChangedFieldNames(change.existing?.fields, change.record.fields)
+            });
+
+            await this.logActivity({
+                action: 'update',
+                entityType: 'record',
+                tableId: change.table.id,
+                tableName: change.table.name,
+                entityId: change.record.id,
+                syncDirection: 'airtable_to_eo',
+                before: change.existing?.fields,
+                after: change.record.fields
+            });
+        } else {
+            // Update Airtable
+            const updated = await this.pushRecord(change.table, change.record);
+            await this.adoptTransformedValues(change.record, updated);
+            this.recordBaseSnapshot(updated.id, updated.fields);
+            this.syncState.stats.recordsUpdated++;
+            this.recordSessionChange(change.table, {
+                recordId: updated.id,
+                action: 'update',
+                direction: 'eo_to_airtable',
+                fields: this.getChangedFieldNames(change.existing?.fields, change.record.fields)
+            });
+
+            await this.logActivity({
+                action: 'update',
+                entityType: 'record',
+                tableId: change.table.id,
+                tableName: change.table.name,
+                entityId: updated.id,
+                syncDirection: 'eo_to_airtable',
+                before: change.existing?.fields,
+                after: updated.fields
+            });
+        }
+    }
+
+    /**
+     * Apply delete change
+     */
+    async applyDelete(change) {
+        const fields = change.record?.fields || this.changeTracker.baseSnapshots.get(change.recordId)?.fields || null;
+        let archived = false;
+
+        if (change.direction === 'airtable_to_eo') {
+            // Delete from EO (or move into the archive set)
+            if (this.syncConfig.softDelete) {
+                await this.archiveEORecord(change.recordId, change.table, fields);
+                this.syncState.stats.recordsArchived++;
+                archived = true;
+            } else {
+                await this.deleteEORecord(change.recordId);
+            }
+        } else {
+            // Delete from Airtable
+            await this.connector.deleteRecord(change.table.id, change.recordId, { priority: this.syncConfig.requestPriority });
+        }
+
+        this.recordTombstone(change.recordId, change.table.id, change.direction === 'airtable_to_eo' ? 'airtable' : 'eo', fields, true);
+        this.dropBaseSnapshot(change.recordId);
+        this.changeTracker.eoChanges.delete(change.recordId);
+        this.syncState.stats.recordsDeleted++;
+        this.recordSessionChange(change.table, {
+            recordId: change.recordId,
+            action: archived ? 'archive' : 'delete',
+            direction: change.direction,
+            fields: []
+        });
+
+        await this.unlinkDeletedRecord(change.recordId);
+
+        await this.logActivity({
+            action: 'delete',
+            entityType: 'record',
+            entityId: change.recordId,
+            tableId: change.table.id,
+            tableName: change.table.name,
+            syncDirection: change.direction,
+            before: fields,
+            metadata: archived ? { archivedTo: this.syncConfig.archiveSetId } : undefined
+        });
+    }
+
+    /**
+     * Record a tombstone for a deleted record (keeps an existing one's original deletion time)
+     */
+    recordTombstone(recordId, tableId, deletedOn, fields = null, propagated = false) {
+        const existing = this.changeTracker.tombstones.get(recordId);
+
+        const tombstone = {
+            recordId,
+            tableId,
+            deletedOn,
+            deletedAt: existing?.deletedAt || new Date().toISOString(),
+            fields: fields || existing?.fields || null,
+            propagated
+        };
+
+        this.saveTombstone(tombstone);
+        return tombstone;
+    }
+
+    /**
+     * Keep a tombstone (and persist it, so a deletion survives a reload before the next sync)
+     */
+    saveTombstone(tombstone) {
+        this.changeTracker.tombstones.set(tombstone.recordId, tombstone);
+        this.persistEntry(this.changeTracker.tombstoneStorage, 'tombstones', tombstone.recordId, tombstone);
+    }
+
+    /**
+     * Forget a tombstone
+     */
+    dropTombstone(recordId) {
+        this.changeTracker.tombstones.delete(recordId);
+        this.persistEntry(this.changeTracker.tombstoneStorage, 'tombstones', recordId, null);
+    }
+
+    /**
+     * Load the tombstones from storage
+     */
+    async loadTombstones() {
+        if (!this.changeTracker.tombstoneStorage) {
+            return;
+        }
+
+        try {
+            await this.changeTracker.tombstoneStorage.open();
+            const entries = await this.changeTracker.tombstoneStorage.getAll('tombstones');
+
+            for (const { key, value } of entries) {
+                this.changeTracker.tombstones.set(key, value);
+            }
+        } catch (error) {
+            console.warn('Failed to load tombstones:', error);
+        }
+    }
+
+    /**
+     * Write one entry of persisted sync state without waiting for it (null deletes the entry)
+     */
+    persistEntry(storage, storeName, key, value) {
+        if (!storage) {
+            return;
+        }
+
+        const write = value === null ? storage.delete(storeName, key) : storage.put(storeName, key, value);
+        write.catch(error => console.warn(`Failed to persist ${storeName} entry ${key}:`, error));
+    }
+
+    /**
+     * Record a local (EO) deletion so it propagates to Airtable on the next sync.
+     * A record merely missing from EO is never treated as deleted.
+     */
+    recordLocalDeletion(recordId, tableId, fields = null) {
+        return this.recordTombstone(
+            recordId,
+            tableId,
+            'eo',
+            fields || this.changeTracker.baseSnapshots.get(recordId)?.fields
+        );
+    }
+
+    /**
+     * Get tombstones, optionally for a single table
+     */
+    getTombstones(tableId = null) {
+        return Array.from(this.changeTracker.tombstones.values())
+            .filter(t => !tableId || t.tableId === tableId);
+    }
+
+    /**
+     * Drop propagated tombstones older than the retention window
+     */
+    purgeTombstones() {
+        const cutoff = Date.now() - this.syncConfig.tombstoneRetention;
+
+        for (const [recordId, tombstone] of this.changeTracker.tombstones.entries()) {
+            if (tombstone.propagated && new Date(tombstone.deletedAt).getTime() < cutoff) {
+                this.dropTombstone(recordId);
+            }
+        }
+    }
+
+    /**
+     * Refresh the connector schema and compare it with the last synced schema.
+     * Changes are announced (schemaChanged), logged to Xano, and migrated
+     * before records sync - automatically, or on applySchemaMigrations() in manual mode.
+     */
+    async checkSchemaDrift() {
+        if (this.schemaState.pendingDrift || typeof this.connector.discoverSchema !== 'function') {
+            return this.schemaState.pendingDrift;
+        }
+
+        const tables = await this.connector.discoverSchema({ priority: this.syncConfig.requestPriority });
+
+        // First sync: nothing to compare against yet
+        if (this.schemaState.snapshot.size === 0) {
+            await this.commitSchemaSnapshot(tables);
+            return null;
+        }
+
+        const changes = this.diffSchema(Array.from(this.schemaState.snapshot.values()), tables);
+
+        if (changes.length === 0) {
+            await this.commitSchemaSnapshot(tables);
+            return null;
+        }
+
+        const drift = {
+            id: `drift_${Date.now().toString(36)}`,
+            detectedAt: new Date().toISOString(),
+            status: 'pending',
+            changes,
+            migrations: this.proposeSchemaMigrations(changes),
+            tableIds: [...new Set(changes.map(c => c.tableId))]
+        };
+
+        console.log(`  Schema drift: ${changes.map(c => c.description).join('; ')}`);
+        this.syncState.stats.schemaChanges += changes.length;
+
+        // Listeners may disable proposed migrations (action.enabled = false)
+        this.emit('schemaChanged', drift);
+
+        await this.logActivity({
+            action: 'schema_changed',
+            entityType: 'schema',
+            entityId: this.connector.baseId || this.connector.id,
+            changes,
+            metadata: {
+                driftId: drift.id,
+                migrations: drift.migrations.map(({ id, type, description }) => ({ id, type, description }))
+            }
+        });
+
+        this.schemaState.pendingDrift = drift;
+
+        if (this.syncConfig.schemaMigration === 'auto') {
+            await this.applySchemaMigrations();
+        }
+
+        return drift;
+    }
+
+    /**
+     * Classify differences between two schemas (fields matched by id)
+     */
+    diffSchema(previousTables, currentTables) {
+        const changes = [];
+        const describeField = field => ({ name: field.name, type: field.type, airtableType: field.airtableType || null });
+        const previousById = new Map(previousTables.map(t => [t.id, t]));
+        const currentIds = new Set(currentTables.map(t => t.id));
+
+        for (const previous of previousTables) {
+            if (!currentIds.has(previous.id)) {
+                changes.push({ kind: 'table_removed', tableId: previous.id, tableName: previous.name, description: `Table ${previous.name} removed` });
+            }
+        }
+
+        for (const table of currentTables) {
+            const previous = previousById.get(table.id);
+
+            if (!previous) {
+                changes.push({ kind: 'table_added', tableId: table.id, tableName: table.name, description: `Table ${table.name} added` });
+                continue;
+            }
+
+            if (previous.name !== table.name) {
+                changes.push({
+                    kind: 'table_renamed',
+                    tableId: table.id,
+                    tableName: table.name,
+                    previous: { name: previous.name },
+                    current: { name: table.name },
+                    description: `Table ${previous.name} renamed to ${table.name}`
+                });
+            }
+
+            const previousFields = new Map(previous.fields.map(f => [f.id, f]));
+            const fieldChange = (kind, field, description, extra = {}) => changes.push({
+                kind,
+                tableId: table.id,
+                tableName: table.name,
+                fieldId: field.id,
+                fieldName: field.name,
+                description: `${table.name}.${description}`,
+                ...extra
+            });
+
+            for (const field of table.fields) {
+                const before = previousFields.get(field.id);
+
+                if (!before) {
+                    fieldChange('field_added', field, `${field.name} added`, { current: describeField(field) });
+                    continue;
+                }
+
+                if (before.name !== field.name) {
+                    fieldChange('field_renamed', field, `${before.name} renamed to ${field.name}`,
+                        { previous: describeField(before), current: describeField(field) });
+                }
+
+                if (before.type !== field.type || (before.airtableType || null) !== (field.airtableType || null)) {
+                    fieldChange('field_type_changed', field,
+                        `${field.name} changed from ${before.airtableType || before.type} to ${field.airtableType || field.type}`,
+                        { previous: describeField(before), current: describeField(field) });
+                }
+            }
+
+            const currentFieldIds = new Set(table.fields.map(f => f.id));
+            for (const before of previous.fields) {
+                if (!currentFieldIds.has(before.id)) {
+                    fieldChange('field_removed', before, `${before.name} removed`, { previous: describeField(before) });
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Propose EO migrations for schema changes (renames first, then conversions, then archives)
+     */
+    proposeSchemaMigrations(changes) {
+        const order = { rename_field: 0, convert_values: 1, archive_field: 2 };
+        const migrations = [];
+
+        for (const change of changes) {
+            const action = {
+                tableId: change.tableId,
+                tableName: change.tableName,
+                fieldId: change.fieldId,
+                enabled: true
+            };
+
+            // Mapped fields keep their EO name; excluded fields have nothing to migrate
+            const tableConfig = this.syncConfig.fieldMappings[change.tableId] || this.syncConfig.fieldMappings[change.tableName];
+            const rule = tableConfig?.fields?.[change.fieldId] || tableConfig?.fields?.[change.previous?.name || change.fieldName];
+            if (rule?.include === false || (!rule && tableConfig?.includeUnmapped === false)) {
+                continue;
+            }
+
+            const eoName = rule?.eoField || change.current?.name || change.previous?.name;
+
+            if (change.kind === 'field_renamed' && rule?.eoField) {
+                continue;
+            } else if (change.kind === 'field_renamed') {
+                migrations.push({
+                    ...action,
+                    id: `rename_field:${change.tableId}:${change.fieldId}`,
+                    type: 'rename_field',
+                    from: change.previous.name,
+                    to: change.current.name,
+                    description: `Rename EO field ${change.previous.name} to ${change.current.name}`
+                });
+            } else if (change.kind === 'field_type_changed' && change.previous.type !== change.current.type) {
+                migrations.push({
+                    ...action,
+                    id: `convert_values:${change.tableId}:${change.fieldId}`,
+                    type: 'convert_values',
+                    field: eoName,
+                    fromType: change.previous.type,
+                    toType: change.current.type,
+                    description: `Convert ${eoName} values from ${change.previous.type} to ${change.current.type}`
+                });
+            } else if (change.kind === 'field_removed') {
+                migrations.push({
+                    ...action,
+                    id: `archive_field:${change.tableId}:${change.fieldId}`,
+                    type: 'archive_field',
+                    field: eoName,
+                    description: `Archive EO column ${eoName}`
+                });
+            }
+        }
+
+        return migrations.sort((a, b) => order[a.type] - order[b.type]);
+    }
+
+    /**
+     * Apply the pending drift's migrations (optionally only the given action ids),
+     * accept the new schema and release held tables
+     */
+    async applySchemaMigrations(actionIds = null) {
+        const drift = this.schemaState.pendingDrift;
+        if (!drift) {
+            return [];
+        }
+
+        const results = [];
+
+        for (const action of drift.migrations) {
+            if (actionIds ? !actionIds.includes(action.id) : action.enabled === false) {
+                continue;
+            }
+
+            const migrated = await this.applySchemaMigration(action);
+            results.push({ id: action.id, type: action.type, records: migrated });
+            this.syncState.stats.schemaMigrations++;
+
+            await this.logActivity({
+                action: 'schema_migration',
+                entityType: 'field',
+                entityId: action.fieldId,
+                tableId: action.tableId,
+                tableName: action.tableName,
+                metadata: { driftId: drift.id, ...action, records: migrated }
+            });
+        }
+
+        drift.status = 'applied';
+        drift.results = results;
+        await this.commitSchemaSnapshot(this.connector.getTables());
+        this.schemaState.pendingDrift = null;
+
+        this.emit('schemaMigrated', drift);
+
+        return results;
+    }
+
+    /**
+     * Accept the new schema without migrating EO data
+     */
+    async dismissSchemaDrift() {
+        const drift = this.schemaState.pendingDrift;
+        if (!drift) {
+            return null;
+        }
+
+        drift.status = 'dismissed';
+        await this.commitSchemaSnapshot(this.connector.getTables());
+        this.schemaState.pendingDrift = null;
+
+        return drift;
+    }
+
+    /**
+     * Apply one migration action to the EO records (and merge bases) of a table
+     */
+    async applySchemaMigration(action) {
+        const records = await this.getEORecords(action.tableId);
+        let migrated = 0;
+
+        for (const record of records) {
+            const fields = { ...record.fields };
+            const archivedFields = { ...record.archivedFields };
+
+            if (!this.migrateFields(fields, action, archivedFields)) {
+                continue;
+            }
+
+            await this.updateEORecord({
+                ...record,
+                fields,
+                ...(action.type === 'archive_field' && { archivedFields })
+            });
+
+            // Keep the merge base in step so the migration is not mistaken for an EO edit
+            const base = this.changeTracker.baseSnapshots.get(record.id);
+            if (base) {
+                const baseFields = { ...base.fields };
+                this.migrateFields(baseFields, action);
+                this.recordBaseSnapshot(record.id, baseFields);
+            }
+
+            migrated++;
+        }
+
+        console.log(`  ✓ ${action.description}: ${migrated} records`);
+
+        return migrated;
+    }
+
+    /**
+     * Migrate a field map in place; returns false if the field is absent
+     */
+    migrateFields(fields, action, archivedFields = null) {
+        const name = action.type === 'rename_field' ? action.from : action.field;
+        if (!(name in fields)) {
+            return false;
+        }
+
+        const field = fields[name];
+        const isWrapped = field !== null && typeof field === 'object' && 'value' in field;
+
+        switch (action.type) {
+            case 'rename_field':
+                fields[action.to] = field;
+                delete fields[name];
+                break;
+
+            case 'convert_values': {
+                // SUP values keep their alternatives as they are
+                if (field?.eoOperator === 'SUP') {
+                    return false;
+                }
+
+                const value = this.convertFieldValue(this.getFieldValue(field), action.fromType, action.toType);
+                fields[name] = isWrapped ? { ...field, value, type: action.toType } : value;
+                break;
+            }
+
+            case 'archive_field':
+                if (archivedFields) {
+                    archivedFields[name] = {
+                        value: this.getFieldValue(field),
+                        fieldId: action.fieldId,
+                        archivedAt: new Date().toISOString()
+                    };
+                }
+                delete fields[name];
+                break;
+
+            default:
+                return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Convert a value between EO field types, using the workbench field type
+     * converter (convertValueForType) when it is loaded
+     */
+    convertFieldValue(value, fromType, toType) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+
+        const workbenchTypes = {
+            text: 'TEXT',
+            longText: 'LONG_TEXT',
+            richText: 'LONG_TEXT',
+            number: 'NUMBER',
+            date: 'DATE',
+            dateTime: 'DATE',
+            boolean: 'CHECKBOX',
+            select: 'SELECT',
+            email: 'EMAIL',
+            url: 'URL',
+            phone: 'PHONE',
+            linkedRecord: 'LINK_RECORD'
+        };
+
+        let converted;
+
+        if (typeof convertValueForType === 'function' && workbenchTypes[toType]) {
+            converted = convertValueForType(value, workbenchTypes[fromType] || 'TEXT', workbenchTypes[toType]);
+        } else {
+            switch (toType) {
+                case 'number':
+                case 'rating':
+                case 'duration': {
+                    const parsed = typeof value === 'boolean' ? Number(value) : Number(String(value).replace(/[$,%\s]/g, ''));
+                    converted = Number.isNaN(parsed) ? null : parsed;
+                    break;
+                }
+                case 'boolean':
+                    converted = typeof value === 'string'
+                        ? ['true', '1', 'yes', 'y', 'checked', 'on'].includes(value.trim().toLowerCase())
+                        : Boolean(value);
+                    break;
+                case 'date':
+                case 'dateTime': {
+                    const parsed = new Date(value);
+                    converted = Number.isNaN(parsed.getTime()) ? null : parsed;
+                    break;
+                }
+                case 'multiSelect':
+                    converted = Array.isArray(value) ? value : String(value).split(',').map(v => v.trim()).filter(Boolean);
+                    break;
+                case 'text':
+                case 'longText':
+                case 'richText':
+                case 'select':
+                case 'email':
+                case 'url':
+                case 'phone':
+                    converted = Array.isArray(value) ? value.join(', ') : String(value);
+                    break;
+                default:
+                    converted = value;
+            }
+        }
+
+        // Airtable expects ISO strings (dates without time for date fields)
+        if (converted instanceof Date) {
+            const iso = converted.toISOString();
+            return toType === 'date' ? iso.slice(0, 10) : iso;
+        }
+
+        return converted;
+    }
+
+    /**
+     * Load the last synced schema from storage
+     */
+    async loadSchemaSnapshot() {
+        if (!this.schemaState.storage) {
+            return;
+        }
+
+        try {
+            await this.schemaState.storage.open();
+            const entries = await this.schemaState.storage.getAll('schema');
+
+            for (const { key, value } of entries) {
+                this.schemaState.snapshot.set(key, value);
+            }
+        } catch (error) {
+            console.warn('Failed to load schema snapshot:', error);
+        }
+    }
+
+    /**
+     * Remember the schema as last synced (and persist it)
+     */
+    async commitSchemaSnapshot(tables) {
+        this.schemaState.snapshot.clear();
+
+        for (const table of tables) {
+            this.schemaState.snapshot.set(table.id, {
+                id: table.id,
+                name: table.name,
+                fields: table.fields.map(f => ({ id: f.id, name: f.name, type: f.type, airtableType: f.airtableType || null }))
+            });
+        }
+
+        if (!this.schemaState.storage) {
+            return;
+        }
+
+        try {
+            await this.schemaState.storage.clear('schema');
+            for (const [tableId, schema] of this.schemaState.snapshot.entries()) {
+                await this.schemaState.storage.put('schema', tableId, schema);
+            }
+        } catch (error) {
+            console.warn('Failed to persist schema snapshot:', error);
+        }
+    }
+
+    /**
+     * Start push sync: create a webhook that pings notificationUrl when the base changes
+     * (whatever receives the pings calls handleWebhookNotification). A persisted webhook for
+     * the same URL is reused, so its cursor carries over between sessions.
+     */
+    async enableWebhookSync(notificationUrl) {
+        if (typeof this.connector.createWebhook !== 'function') {
+            throw new Error(`The ${this.connector.type} connector does not support webhooks`);
+        }
+
+        const current = this.webhookState.webhook;
+        if (current && current.notificationUrl === notificationUrl && Date.parse(current.expirationTime) > Date.now()) {
+            return current;
+        }
+
+        if (current) {
+            await this.disableWebhookSync();
+        }
+
+        const created = await this.connector.createWebhook(notificationUrl, { priority: this.syncConfig.requestPriority });
+
+        this.webhookState.webhook = {
+            id: created.id,
+            notificationUrl,
+            macSecretBase64: created.macSecretBase64 || null,
+            expirationTime: created.expirationTime
+        };
+        this.webhookState.cursor = 1;
+        await this.saveWebhookState();
+
+        console.log(`✓ Webhook sync enabled (${created.id})`);
+        return this.webhookState.webhook;
+    }
+
+    /**
+     * Stop push sync and delete the webhook
+     */
+    async disableWebhookSync() {
+        const webhook = this.webhookState.webhook;
+        if (!webhook) {
+            return;
+        }
+
+        try {
+            await this.connector.deleteWebhook(webhook.id, { priority: this.syncConfig.requestPriority });
+        } catch (error) {
+            // Already expired or deleted remotely
+            if (error.status !== 404) {
+                throw error;
+            }
+        }
+
+        this.webhookState.webhook = null;
+        this.webhookState.cursor = 1;
+        await this.saveWebhookState();
+    }
+
+    /**
+     * Handle a notification ping ({ base: { id }, webhook: { id }, timestamp }).
+     * Pings carry no changes (those are listed through the API), so a ping only has to name our webhook.
+     */
+    async handleWebhookNotification(notification = {}) {
+        const webhook = this.webhookState.webhook;
+
+        if (!webhook || (notification.webhook?.id && notification.webhook.id !== webhook.id)) {
+            console.warn('Ignoring notification for an unknown webhook');
+            return null;
+        }
+
+        return this.processWebhookPayloads();
+    }
+
+    /**
+     * Read the payloads since the stored cursor and sync what they changed. Notifications that
+     * arrive meanwhile (or during a full sync) are processed afterwards.
+     * Returns { payloads, fullSync, reason, tables, records }, or { deferred: true } when busy.
+     */
+    async processWebhookPayloads() {
+        const state = this.webhookState;
+
+        if (!state.webhook) {
+            return null;
+        }
+
+        if (state.processing || this.syncState.isRunning) {
+            state.pending = true;
+            return { deferred: true };
+        }
+
+        state.processing = true;
+        let result;
+
+        try {
+            do {
+                state.pending = false;
+                result = await this.syncWebhookChanges();
+            } while (state.pending && !this.syncState.isRunning);
+        } catch (error) {
+            console.error('Webhook sync failed:', error);
+            this.emit('syncError', { error, webhook: true });
+            throw error;
+        } finally {
+            state.processing = false;
+        }
+
+        return result;
+    }
+
+    /**
+     * Drain webhook payloads and apply them: changed records are refreshed one by one (tables with
+     * many changes are synced whole). Schema changes, error payloads and gaps in the payload
+     * history (expired payloads, a lost webhook) fall back to a full sync, as does a plan under
+     * review. The cursor only advances once the changes are synced.
+     */
+    async syncWebhookChanges() {
+        const state = this.webhookState;
+        const priority = this.syncConfig.requestPriority;
+        const payloads = [];
+        let cursor = state.cursor;
+        let gap = null;
+
+        try {
+            await this.refreshWebhookIfExpiring();
+
+            let page;
+            do {
+                page = await this.connector.listWebhookPayloads(state.webhook.id, cursor, { priority });
+
+                // Payloads before the first one returned are no longer available
+                if (page.cursor - page.payloads.length > cursor) {
+                    gap = `payloads ${cursor}-${page.cursor - page.payloads.length - 1} expired`;
+                }
+
+                payloads.push(...page.payloads);
+                cursor = page.cursor;
+            } while (page.mightHaveMore);
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+
+            // The webhook expired or was deleted: changes since the last payload are unknown
+            const { notificationUrl } = state.webhook;
+            gap = 'webhook not found';
+            state.webhook = null;
+            await this.enableWebhookSync(notificationUrl);
+            cursor = state.cursor;
+        }
+
+        if (this.syncState.isRunning) {
+            // A sync started meanwhile; these payloads are read again when it ends
+            state.pending = true;
+            return { deferred: true };
+        }
+
+        const summary = this.connector.summarizeWebhookPayloads(payloads);
+        const reviewing = this.syncConfig.dryRun || this.syncState.pendingPlan?.status === 'pending';
+        const reason = gap ||
+            (summary.errors.length > 0 && `error payloads (${summary.errors.join(', ')})`) ||
+            (summary.schemaChanged && 'schema changed') ||
+            (reviewing && payloads.length > 0 && 'plan under review') ||
+            null;
+
+        const result = { payloads: payloads.length, fullSync: reason !== null, reason, tables: 0, records: 0 };
+
+        if (reason) {
+            console.log(`🔔 Webhook: full sync (${reason})`);
+            this.syncState.stats.webhookFullSyncs++;
+            await this.performFullSync({ trigger: 'webhook' });
+        } else if (payloads.length > 0) {
+            Object.assign(result, await this.refreshChangedRecords(summary));
+        }
+
+        state.cursor = cursor;
+        state.lastProcessed = new Date().toISOString();
+        this.syncState.stats.webhookPayloads += payloads.length;
+        await this.saveWebhookState();
+
+        if (payloads.length > 0) {
+            await this.logSyncActivity({
+                action: 'webhook_sync',
+                metadata: { payloads: payloads.length, fullSync: result.fullSync, reason, tables: result.tables, records: result.records }
+            });
+        }
+
+        this.emit('webhookProcessed', result);
+        return result;
+    }
+
+    /**
+     * Sync the records named in a webhook payload summary (see AirtableIntegration.summarizeWebhookPayloads)
+     */
+    async refreshChangedRecords(summary) {
+        const heldTableIds = new Set(this.schemaState.pendingDrift?.tableIds || []);
+        const tables = this.orderTablesByLinks(this.getSyncTables())
+            .filter(table => summary.tables[table.id] && !heldTableIds.has(table.id));
+        const targeted = typeof this.connector.fetchRecordsById === 'function';
+        let records = 0;
+
+        this.syncState.isRunning = true;
+        this.beginSyncSession('refresh', 'webhook');
+
+        try {
+            await this.syncTablesConcurrently(tables, table => {
+                const { created, changed, destroyed } = summary.tables[table.id];
+                const recordIds = [...created, ...changed, ...destroyed];
+
+                records += recordIds.length;
+
+                return targeted && recordIds.length <= this.syncConfig.webhookRecordLimit
+                    ? this.refreshRecords(table, recordIds)
+                    : this.syncTable(table);
+            });
+
+            await this.pushDeferredLinks();
+            await this.reconcileLinks(tables);
+            await this.endSyncSession('success');
+        } catch (error) {
+            await this.endSyncSession(error.cancelled ? 'cancelled' : 'error', error);
+            throw error;
+        } finally {
+            this.syncState.isRunning = false;
+        }
+
+        this.syncState.stats.recordsRefreshed += records;
+        return { tables: tables.length, records };
+    }
+
+    /**
+     * Extend the webhook before it expires (Airtable disables webhooks 7 days after the last refresh)
+     */
+    async refreshWebhookIfExpiring() {
+        const webhook = this.webhookState.webhook;
+
+        if (!webhook || typeof this.connector.refreshWebhook !== 'function' ||
+            Date.parse(webhook.expirationTime) - Date.now() > this.syncConfig.webhookRefreshMargin) {
+            return;
+        }
+
+        const refreshed = await this.connector.refreshWebhook(webhook.id, { priority: this.syncConfig.requestPriority });
+        webhook.expirationTime = refreshed.expirationTime;
+        await this.saveWebhookState();
+    }
+
+    /**
+     * Load the webhook and its cursor from storage
+     */
+    async loadWebhookState() {
+        if (!this.webhookState.storage) {
+            return;
+        }
+
+        try {
+            await this.webhookState.storage.open();
+            const saved = await this.webhookState.storage.get('webhook', 'state');
+
+            if (saved) {
+                this.webhookState.webhook = saved.webhook;
+                this.webhookState.cursor = saved.cursor;
+                this.webhookState.lastProcessed = saved.lastProcessed;
+            }
+        } catch (error) {
+            console.warn('Failed to load webhook state:', error);
+        }
+    }
+
+    /**
+     * Persist the webhook and its cursor
+     */
+    async saveWebhookState() {
+        if (!this.webhookState.storage) {
+            return;
+        }
+
+        try {
+            const { webhook, cursor, lastProcessed } = this.webhookState;
+            await this.webhookState.storage.put('webhook', 'state', { webhook, cursor, lastProcessed });
+        } catch (error) {
+            console.warn('Failed to persist webhook state:', error);
+        }
+    }
+
+    /**
+     * Start recording a sync session; every run gets a new session id
+     * @param {string} type - 'full', or 'refresh' for records named by webhook payloads
+     * @param {string} trigger - 'manual', 'initial', 'scheduled', 'webhook' or 'plan'
+     */
+    beginSyncSession(type, trigger) {
+        this.syncState.sessionId = this.generateSyncSessionId();
+        this.syncHistory.requestsAtStart = this.connector.getRequestStats?.() || null;
+
+        this.syncHistory.current = {
+            id: this.syncState.sessionId,
+            type,
+            trigger,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            duration: null,
+            status: 'running', // then 'success', 'error' or 'cancelled'
+            error: null,
+            tables: {}, // tableId -> { tableName, created, updated, deleted, archived, conflicts, duration, status, error }
+            totals: { created: 0, updated: 0, deleted: 0, archived: 0, conflicts: 0 },
+            apiCalls: null, // Requests sent (null when the connector has no getRequestStats())
+            retries: null,
+            failedRequests: null,
+            errors: [], // [{ tableId, tableName, category, message }]
+            changes: [], // [{ tableId, recordId, action, direction, resolution, fields, at }]
+            changesTruncated: false
+        };
+
+        return this.syncHistory.current;
+    }
+
+    /**
+     * Session entry of a table (created on first use)
+     */
+    getSessionTable(table) {
+        const session = this.syncHistory.current;
+
+        if (!session) {
+            return null;
+        }
+
+        if (!session.tables[table.id]) {
+            session.tables[table.id] = {
+                tableName: table.name,
+                created: 0,
+                updated: 0,
+                deleted: 0,
+                archived: 0,
+                conflicts: 0,
+                duration: null,
+                status: 'syncing',
+                error: null
+            };
+        }
+
+        return session.tables[table.id];
+    }
+
+    /**
+     * Record how a table's sync ended in the current session
+     */
+    recordSessionTable(table, duration, error = null) {
+        const entry = this.getSessionTable(table);
+
+        if (!entry) {
+            return;
         }
 
-        return conflicts;
+        const category = error ? this.classifySyncError(error) : null;
+
+        entry.duration = duration;
+        entry.status = !error ? 'synced' : category === 'cancelled' ? 'cancelled' : 'error';
+        entry.error = error ? error.message : null;
+
+        if (error && category !== 'cancelled') {
+            this.syncHistory.current.errors.push({ tableId: table.id, tableName: table.name, category, message: error.message });
+        }
     }
 
     /**
-     * Apply changes (create/update/delete)
+     * Record an applied change in the current session. Counts are always kept;
+     * the change list stops at syncConfig.historyChangeLimit.
+     * @param {Object} change - { recordId, action: 'create'|'update'|'delete'|'archive'|'conflict', direction, resolution, fields }
      */
-    async applyChanges(changes, table) {
-        // Resolve conflicts first
-        for (const conflict of changes.conflicts) {
-            await this.resolveConflict(conflict);
-        }
+    recordSessionChange(table, change) {
+        const entry = this.getSessionTable(table);
 
-        // Process creates
-        for (const change of changes.toCreate) {
-            await this.applyCreate(change);
+        if (!entry) {
+            return;
         }
 
-        // Process updates
-        for (const change of changes.toUpdate) {
-            await this.applyUpdate(change);
-        }
+        const counter = { create: 'created', update: 'updated', delete: 'deleted', archive: 'archived', conflict: 'conflicts' }[change.action];
+        entry[counter]++;
 
-        // Process deletes
-        for (const change of changes.toDelete) {
-            await this.applyDelete(change);
+        const session = this.syncHistory.current;
+        if (session.changes.length >= this.syncConfig.historyChangeLimit) {
+            session.changesTruncated = true;
+            return;
         }
+
+        session.changes.push({
+            tableId: table.id,
+            recordId: change.recordId,
+            action: change.action,
+            direction: change.direction || null,
+            resolution: change.resolution || null,
+            fields: change.fields || [],
+            at: new Date().toISOString()
+        });
     }
 
     /**
-     * Resolve conflict using configured strategy
+     * Finish the current session: totals, request counts, history pruning and persistence
      */
-    async resolveConflict(conflict) {
-        console.log(`⚠️  Conflict detected for record ${conflict.eoRecord.id}`);
-
-        this.emit('conflictDetected', conflict);
+    async endSyncSession(status, error = null) {
+        const session = this.syncHistory.current;
 
-        let resolution;
+        if (!session) {
+            return null;
+        }
 
-        switch (this.syncConfig.conflictResolution) {
-            case 'superposition':
-                resolution = await this.resolveBySuperposition(conflict);
-                break;
+        this.syncHistory.current = null;
 
-            case 'airtable_wins':
-                resolution = { winner: 'airtable', record: conflict.airtableRecord };
-                break;
+        const before = this.syncHistory.requestsAtStart;
+        const after = this.connector.getRequestStats?.();
 
-            case 'eo_wins':
-                resolution = { winner: 'eo', record: conflict.eoRecord };
-                break;
+        if (before && after) {
+            session.apiCalls = after.sent - before.sent;
+            session.retries = after.retried - before.retried;
+            session.failedRequests = after.failed - before.failed;
+        }
 
-            case 'newest_wins':
-                resolution = this.resolveByNewest(conflict);
-                break;
+        session.finishedAt = new Date().toISOString();
+        session.duration = Date.parse(session.finishedAt) - Date.parse(session.startedAt);
+        session.status = status;
+        session.error = error ? error.message : null;
 
-            default:
-                resolution = await this.resolveBySuperposition(conflict);
+        for (const counter of Object.keys(session.totals)) {
+            session.totals[counter] = Object.values(session.tables).reduce((sum, table) => sum + table[counter], 0);
         }
 
-        // Apply resolution
-        await this.applyConflictResolution(conflict, resolution);
+        // Failures outside any table (schema checks, link reconciliation, ...)
+        if (error && status === 'error' && !session.errors.some(entry => entry.message === error.message)) {
+            session.errors.push({ tableId: null, tableName: null, category: this.classifySyncError(error), message: error.message });
+        }
 
-        // Log to Xano
-        await this.logConflictResolution(conflict, resolution);
+        const sessions = this.syncHistory.sessions;
+        sessions.push(session);
+        const pruned = sessions.splice(0, Math.max(0, sessions.length - this.syncConfig.historyLimit));
 
-        this.syncState.stats.conflictsResolved++;
-        this.emit('conflictResolved', { conflict, resolution });
+        await this.saveSyncSession(session, pruned);
+        this.emit('sessionRecorded', session);
 
-        console.log(`  ✓ Conflict resolved using: ${resolution.winner}`);
+        return session;
     }
 
     /**
-     * Resolve conflict using EO Superposition (SUP)
+     * Error category for the history's error breakdown
      */
-    async resolveBySuperposition(conflict) {
-        // Create SUP value: both values coexist with different contexts
-        const supValue = {
-            value_1: {
-                value: conflict.eoRecord.fields,
-                method: 'declared',
-                scale: 'individual',
-                source: { system: 'eo-activibase' },
-                agent: this.softr.getUserContext(),
-                timestamp: conflict.eoRecord.lastModified
-            },
-            value_2: {
-                value: conflict.airtableRecord.fields,
-                method: 'measured',
-                scale: 'organization',
-                source: { system: 'airtable' },
-                agent: { type: 'system', id: 'airtable' },
-                timestamp: conflict.airtableRecord.lastModified
-            },
-            eoOperator: 'SUP',
-            dominantValue: this.selectDominantValue(conflict)
-        };
+    classifySyncError(error) {
+        if (error.cancelled) {
+            return 'cancelled';
+        }
 
-        return {
-            winner: 'superposition',
-            record: {
-                ...conflict.eoRecord,
-                fields: supValue,
-                hasSuperposition: true
-            }
-        };
+        const status = error.status;
+
+        if (status === 429) {
+            return 'rate_limit';
+        }
+        if (status === 401 || status === 403) {
+            return 'auth';
+        }
+        if (status === 404) {
+            return 'not_found';
+        }
+        if (status === 400 || status === 422) {
+            return 'validation';
+        }
+        if (status >= 500) {
+            return 'server';
+        }
+
+        // fetch() rejects with a TypeError when the request never got a response
+        return error instanceof TypeError ? 'network' : 'other';
     }
 
     /**
-     * Select dominant value for SUP display
+     * Names of the fields whose values differ between two field maps
      */
-    selectDominantValue(conflict) {
-        // Default: show Airtable value as dominant (source of truth)
-        return 'value_2';
+    getChangedFieldNames(before, after) {
+        const names = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        return [...names].filter(name =>
+            !this.valuesEqual(this.getFieldValue(before?.[name]), this.getFieldValue(after?.[name]))
+        );
     }
 
     /**
-     * Resolve by newest timestamp
+     * A recorded session (with its change list), or null
      */
-    resolveByNewest(conflict) {
-        const eoTime = new Date(conflict.eoRecord.lastModified).getTime();
-        const airtableTime = new Date(conflict.airtableRecord.lastModified).getTime();
-
-        return airtableTime > eoTime
-            ? { winner: 'airtable', record: conflict.airtableRecord }
-            : { winner: 'eo', record: conflict.eoRecord };
+    getSyncSession(sessionId) {
+        if (this.syncHistory.current?.id === sessionId) {
+            return this.syncHistory.current;
+        }
+        return this.syncHistory.sessions.find(session => session.id === sessionId) || null;
     }
 
     /**
-     * Apply conflict resolution
+     * Recorded sessions, newest first
      */
-    async applyConflictResolution(conflict, resolution) {
-        if (resolution.winner === 'superposition') {
-            // Update EO record with SUP
-            await this.updateEORecord(resolution.record);
-
-            // Keep Airtable as-is (it shows value_2)
-        } else if (resolution.winner === 'airtable') {
-            // Update EO to match Airtable
-            await this.updateEORecord(conflict.airtableRecord);
-        } else {
-            // Update Airtable to match EO
-            await this.airtable.upsertRecord(conflict.table.id, conflict.eoRecord);
-        }
+    getSyncHistory({ limit = this.syncConfig.historyLimit } = {}) {
+        return this.syncHistory.sessions.slice(-limit).reverse();
     }
 
     /**
-     * Apply create change
+     * Trends and breakdowns over the last `limit` sessions:
+     * { summary, trend, slowestTables, errorBreakdown: { byCategory, byTable, recent } }
      */
-    async applyCreate(change) {
-        if (change.direction === 'airtable_to_eo') {
-            // Create in EO
-            await this.createEORecord(change.record, change.table);
-            this.syncState.stats.recordsCreated++;
+    getSyncAnalytics({ limit = 30 } = {}) {
+        const sessions = this.syncHistory.sessions.slice(-limit);
+        const successful = sessions.filter(session => session.status === 'success');
+        const sum = (items, read) => items.reduce((total, item) => total + (read(item) || 0), 0);
+        const changeCount = session => session.totals.created + session.totals.updated + session.totals.deleted + session.totals.archived;
 
-            await this.logActivity({
-                action: 'create',
-                entityType: 'record',
-                entityId: change.record.id,
-                syncDirection: 'airtable_to_eo',
-                after: change.record.fields
-            });
-        } else {
-            // Create in Airtable
-            const created = await this.airtable.upsertRecord(change.table.id, change.record);
-            this.syncState.stats.recordsCreated++;
+        const tables = new Map(); // tableId -> { tableId, tableName, runs, totalDuration, maxDuration }
+        const byCategory = {};
+        const byTable = new Map(); // tableId -> { tableId, tableName, count }
 
-            await this.logActivity({
-                action: 'create',
-                entityType: 'record',
-                entityId: created.id,
-                syncDirection: 'eo_to_airtable',
-                after: created.fields
-            });
+        for (const session of sessions) {
+            for (const [tableId, table] of Object.entries(session.tables)) {
+                if (table.duration === null || table.status !== 'synced') {
+                    continue;
+                }
+
+                const entry = tables.get(tableId) || { tableId, tableName: table.tableName, runs: 0, totalDuration: 0, maxDuration: 0 };
+                entry.runs++;
+                entry.totalDuration += table.duration;
+                entry.maxDuration = Math.max(entry.maxDuration, table.duration);
+                tables.set(tableId, entry);
+            }
+
+            for (const error of session.errors) {
+                byCategory[error.category] = (byCategory[error.category] || 0) + 1;
+
+                if (error.tableId) {
+                    const entry = byTable.get(error.tableId) || { tableId: error.tableId, tableName: error.tableName, count: 0 };
+                    entry.count++;
+                    byTable.set(error.tableId, entry);
+                }
+            }
         }
+
+        return {
+            summary: {
+                sessions: sessions.length,
+                successful: successful.length,
+                failed: sessions.filter(session => session.status === 'error').length,
+                cancelled: sessions.filter(session => session.status === 'cancelled').length,
+                successRate: sessions.length > 0 ? successful.length / sessions.length : null,
+                averageDuration: successful.length > 0 ? Math.round(sum(successful, session => session.duration) / successful.length) : null,
+                changes: sum(sessions, changeCount),
+                conflicts: sum(sessions, session => session.totals.conflicts),
+                apiCalls: sum(sessions, session => session.apiCalls),
+                retries: sum(sessions, session => session.retries)
+            },
+            trend: sessions.map(session => ({
+                id: session.id,
+                startedAt: session.startedAt,
+                trigger: session.trigger,
+                status: session.status,
+                duration: session.duration,
+                changes: changeCount(session),
+                conflicts: session.totals.conflicts,
+                errors: session.errors.length,
+                apiCalls: session.apiCalls
+            })),
+            slowestTables: [...tables.values()]
+                .map(({ totalDuration, ...entry }) => ({ ...entry, averageDuration: Math.round(totalDuration / entry.runs) }))
+                .sort((a, b) => b.averageDuration - a.averageDuration)
+                .slice(0, 5),
+            errorBreakdown: {
+                byCategory,
+                byTable: [...byTable.values()].sort((a, b) => b.count - a.count),
+                recent: sessions
+                    .flatMap(session => session.errors.map(error => ({ ...error, sessionId: session.id, at: session.startedAt })))
+                    .slice(-10)
+                    .reverse()
+            }
+        };
     }
 
     /**
-     * Apply update change
+     * Load recorded sessions from storage
      */
-    async applyUpdate(change) {
-        if (change.direction === 'airtable_to_eo') {
-            // Update EO
-            await this.updateEORecord(change.record);
-            this.syncState.stats.recordsUpdated++;
+    async loadSyncHistory() {
+        if (!this.syncHistory.storage) {
+            return;
+        }
 
-            await this.logActivity({
-                action: 'update',
-                entityType: 'record',
-                entityId: change.record.id,
-                syncDirection: 'airtable_to_eo',
-                before: change.existing?.fields,
-                after: change.record.fields
-            });
-        } else {
-            // Update Airtable
-            const updated = await this.airtable.upsertRecord(change.table.id, change.record);
-            this.syncState.stats.recordsUpdated++;
+        try {
+            await this.syncHistory.storage.open();
+            const saved = await this.syncHistory.storage.getAll('sessions');
 
-            await this.logActivity({
-                action: 'update',
-                entityType: 'record',
-                entityId: updated.id,
-                syncDirection: 'eo_to_airtable',
-                before: change.existing?.fields,
-                after: updated.fields
-            });
+            this.syncHistory.sessions = saved
+                .map(({ value }) => value)
+                .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+                .slice(-this.syncConfig.historyLimit);
+        } catch (error) {
+            console.warn('Failed to load sync history:', error);
         }
     }
 
     /**
-     * Apply delete change
+     * Persist a finished session and drop pruned ones
      */
-    async applyDelete(change) {
-        if (change.direction === 'airtable_to_eo') {
-            // Delete from EO
-            await this.deleteEORecord(change.recordId);
-            this.syncState.stats.recordsDeleted++;
+    async saveSyncSession(session, pruned = []) {
+        if (!this.syncHistory.storage) {
+            return;
+        }
 
-            await this.logActivity({
-                action: 'delete',
-                entityType: 'record',
-                entityId: change.recordId,
-                syncDirection: 'airtable_to_eo'
-            });
+        try {
+            await this.syncHistory.storage.put('sessions', session.id, session);
+
+            for (const old of pruned) {
+                await this.syncHistory.storage.delete('sessions', old.id);
+            }
+        } catch (error) {
+            console.warn('Failed to persist sync session:', error);
         }
     }
 
@@ -574,6 +3949,84 @@ class SyncEngine {
         console.log(`Deleting EO record: ${recordId}`);
     }
 
+    /**
+     * Archive an EO record instead of deleting it: the record moves into the archive set
+     * (syncConfig.archiveSetId) through the EO record hooks, keeping its id and noting its origin
+     */
+    async archiveEORecord(recordId, table, fields) {
+        const record = this.getEORecords(table.id).find(r => r.id === recordId);
+
+        await this.deleteEORecord(recordId);
+        await this.createEORecord({
+            ...record,
+            id: recordId,
+            fields: record?.fields || fields || {},
+            archivedFrom: { tableId: table.id, tableName: table.name },
+            archivedAt: new Date().toISOString()
+        }, { id: this.syncConfig.archiveSetId, name: this.syncConfig.archiveSetId });
+
+        console.log(`  Archived EO record ${recordId} into set ${this.syncConfig.archiveSetId}`);
+    }
+
+    /**
+     * Move an EO record to the id the connector assigned on create, through the EO record hooks.
+     * Its connections follow on the next reconcileLinks() (connection ids contain the record ids).
+     */
+    async rekeyEORecord(oldId, newId, table) {
+        const record = this.getEORecords(table.id).find(r => r.id === oldId);
+        if (!record) {
+            return;
+        }
+
+        await this.createEORecord({ ...record, id: newId }, table);
+        await this.deleteEORecord(oldId);
+        console.log(`  Re-keyed EO record ${oldId} → ${newId} in table ${table.name}`);
+    }
+
+    /**
+     * Create or update the EO connection relation for a link field (eoState.connectionRelations)
+     */
+    async upsertEORelation(relation) {
+        const existing = this.eoState.connectionRelations.get(relation.id);
+
+        this.eoState.connectionRelations.set(relation.id, {
+            ...existing,
+            ...relation,
+            mode: relation.cardinality,
+            description: existing?.description || `Airtable link field "${relation.name}"`,
+            requiredParams: existing?.requiredParams || [],
+            optionalParams: existing?.optionalParams || [],
+            createdAt: existing?.createdAt || new Date().toISOString(),
+            ...(existing ? { updatedAt: new Date().toISOString() } : {})
+        });
+    }
+
+    /**
+     * Delete the EO connection relation of a removed link field (its connections are removed first)
+     */
+    async deleteEORelation(relation) {
+        this.eoState.connectionRelations.delete(relation.id);
+    }
+
+    /**
+     * Create an EO connection between two linked records (eoState.connections, ids are deterministic)
+     */
+    async createEOConnection(connection) {
+        this.eoState.connections.set(connection.id, {
+            ...connection,
+            mode: connection.cardinality,
+            params: {},
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Delete an EO connection
+     */
+    async deleteEOConnection(connection) {
+        this.eoState.connections.delete(connection.id);
+    }
+
     /**
      * Check if record has changed
      */
@@ -627,7 +4080,7 @@ class SyncEngine {
             ...this.softr.getUserContext(),
             tableId: activity.tableId,
             tableName: activity.tableName,
-            baseId: this.airtable.baseId,
+            baseId: this.connector.baseId || this.connector.id,
             syncSessionId: this.syncState.sessionId
         };
 
@@ -652,12 +4105,19 @@ class SyncEngine {
         await this.logActivity({
             action: 'conflict_resolved',
             entityType: 'record',
-            entityId: conflict.eoRecord.id,
+            entityId: conflict.recordId || conflict.eoRecord.id,
+            tableId: conflict.table?.id,
+            tableName: conflict.table?.name,
             conflictResolution: resolution.winner,
-            before: conflict.eoRecord.fields,
+            before: conflict.eoRecord?.fields,
             after: resolution.record.fields,
             metadata: {
-                fieldConflicts: conflict.conflict.fieldConflicts
+                fieldConflicts: conflict.conflict.fieldConflicts,
+                ...(resolution.fieldChoices && { fieldChoices: resolution.fieldChoices }),
+                ...(conflict.conflict.type === 'delete_edit' && {
+                    deletedOn: conflict.conflict.deletedOn,
+                    deleteResolution: resolution.action
+                })
             }
         });
     }
@@ -670,10 +4130,24 @@ class SyncEngine {
             clearInterval(this.syncInterval);
         }
 
+        clearTimeout(this.syncTimer);
+        this.autoSyncActive = true;
+
+        if (this.scheduler) {
+            this.scheduleNextSync();
+            console.log('✓ Auto-sync started (per-table schedules)');
+            return;
+        }
+
         this.syncInterval = setInterval(() => {
-            this.performFullSync().catch(error => {
+            this.performFullSync({ trigger: 'scheduled' }).catch(error => {
                 console.error('Auto-sync error:', error);
             });
+
+            // Keep the webhook alive through quiet periods without notifications
+            this.refreshWebhookIfExpiring().catch(error => {
+                console.warn('Webhook refresh failed:', error);
+            });
         }, this.syncConfig.syncInterval);
 
         console.log(`✓ Auto-sync started (interval: ${this.syncConfig.syncInterval}ms)`);
@@ -683,11 +4157,96 @@ class SyncEngine {
      * Stop auto-sync
      */
     stopAutoSync() {
-        if (this.syncInterval) {
+        if (this.syncInterval || this.syncTimer) {
             clearInterval(this.syncInterval);
+            clearTimeout(this.syncTimer);
             this.syncInterval = null;
+            this.syncTimer = null;
             console.log('✓ Auto-sync stopped');
         }
+
+        this.autoSyncActive = false;
+        this.syncState.nextSync = null;
+
+        // Drop sync requests still waiting for the rate limiter (a running sync ends as cancelled)
+        if (typeof this.connector?.cancelQueuedRequests === 'function') {
+            const cancelled = this.connector.cancelQueuedRequests({ priority: this.syncConfig.requestPriority });
+
+            if (cancelled > 0) {
+                console.log(`✓ Cancelled ${cancelled} queued sync requests`);
+            }
+        }
+    }
+
+    /**
+     * Set a timer for the next table to come due. Timers are capped at an hour, so long
+     * cron gaps and clock changes (e.g. after sleep) are re-evaluated.
+     */
+    scheduleNextSync() {
+        const next = this.scheduler.nextDueTime(this.getSyncTables().map(table => table.id));
+
+        this.syncState.nextSync = next === null ? null : new Date(next).toISOString();
+
+        if (next !== null) {
+            const delay = Math.min(Math.max(0, next - this.scheduler.now()), 60 * 60 * 1000);
+            this.syncTimer = setTimeout(() => this.runScheduledSync(), delay);
+        }
+    }
+
+    /**
+     * Sync the tables that are due, then schedule the next run
+     */
+    async runScheduledSync() {
+        this.syncTimer = null;
+
+        const startedAt = this.scheduler.now();
+        const due = this.scheduler.getDueTables(this.getSyncTables().map(table => table.id), startedAt);
+
+        try {
+            if (due.length > 0) {
+                console.log(`⏰ Scheduled sync: ${due.length} table(s) due`);
+                await this.performFullSync({ tableIds: due, trigger: 'scheduled' });
+            }
+        } catch (error) {
+            console.error('Auto-sync error:', error);
+        } finally {
+            this.refreshWebhookIfExpiring().catch(error => {
+                console.warn('Webhook refresh failed:', error);
+            });
+
+            // Failed or skipped runs wait for their next slot instead of retrying at once
+            this.scheduler.recordRun(due, startedAt);
+
+            if (this.autoSyncActive) {
+                this.scheduleNextSync();
+            }
+        }
+    }
+
+    /**
+     * Per-table sync status with the table's schedule and next scheduled sync
+     */
+    getTableStatus() {
+        const intervalNext = this.syncInterval && this.syncState.lastSync
+            ? new Date(Date.parse(this.syncState.lastSync) + this.syncConfig.syncInterval).toISOString()
+            : null;
+
+        return this.getSyncTables().map(table => {
+            const status = this.syncState.tableStatus.get(table.id) || {};
+            const next = this.scheduler?.nextRun(table.id) ?? null;
+
+            return {
+                tableId: table.id,
+                tableName: table.name,
+                status: status.status || 'pending',
+                lastSynced: status.lastSynced || null,
+                lastError: status.lastError || null,
+                duration: status.duration ?? null,
+                held: (this.schemaState.pendingDrift?.tableIds || []).includes(table.id),
+                schedule: this.scheduler ? this.scheduler.describe(table.id) : `every ${Math.round(this.syncConfig.syncInterval / 1000)}s`,
+                nextSync: this.scheduler ? (next === null ? null : new Date(next).toISOString()) : intervalNext
+            };
+        });
     }
 
     /**
@@ -730,7 +4289,18 @@ class SyncEngine {
             isRunning: this.syncState.isRunning,
             lastSync: this.syncState.lastSync,
             pendingChanges: this.changeTracker.eoChanges.size,
-            conflicts: this.syncState.conflicts.size
+            conflicts: this.syncState.conflicts.size,
+            tombstones: this.changeTracker.tombstones.size,
+            pendingSchemaChanges: this.schemaState.pendingDrift?.changes.length || 0,
+            connections: this.linkState.connections.size,
+            unresolvedLinks: this.linkState.unresolved.length,
+            webhook: this.webhookState.webhook
+                ? { id: this.webhookState.webhook.id, cursor: this.webhookState.cursor, expirationTime: this.webhookState.webhook.expirationTime, lastProcessed: this.webhookState.lastProcessed }
+                : null,
+            pendingPlanChanges: this.syncState.pendingPlan
+                ? Object.values(this.syncState.pendingPlan.summary).reduce((sum, count) => sum + count, 0)
+                : 0,
+            tables: Object.fromEntries(this.syncState.tableSync.entries())
         };
     }
 
@@ -742,8 +4312,10 @@ class SyncEngine {
             sessionId: this.syncState.sessionId,
             isRunning: this.syncState.isRunning,
             lastSync: this.syncState.lastSync,
+            nextSync: this.syncState.nextSync,
             config: this.syncConfig,
-            stats: this.getStats()
+            stats: this.getStats(),
+            tables: this.getTableStatus()
         };
     }
 }
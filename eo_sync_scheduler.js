@@ -0,0 +1,284 @@
+/**
+ * EO Sync Scheduler
+ *
+ * Decides when each table syncs:
+ * - Intervals ({ interval: ms }) or cron expressions ({ cron: '*\/15 8-18 * * 1-5' }, local time)
+ * - Quiet hours ({ quietHours: { start: '22:00', end: '06:00' } }): runs that fall inside move to the end
+ * - Paused tables ({ paused: true }) never sync on schedule (manual syncs still include them)
+ *
+ * A table schedule overrides the default schedule key by key; setting `interval` or
+ * `cron` on a table replaces both.
+ */
+
+// Cron fields: minute hour day-of-month month day-of-week (0 and 7 are Sunday)
+const SYNC_CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+class SyncScheduler {
+    constructor(config = {}) {
+        this.schedule = config.schedule || { interval: 30000 }; // Default for every table
+        this.tableSchedules = config.tableSchedules || {}; // tableId -> schedule overrides
+        this.now = config.now || (() => Date.now());
+
+        this.lastRuns = new Map(); // tableId -> timestamp of the last sync
+        this.cronCache = new Map(); // expression -> parsed cron
+    }
+
+    /**
+     * Effective schedule of a table
+     */
+    getSchedule(tableId) {
+        const override = this.tableSchedules[tableId] || {};
+        const timing = override.interval || override.cron ? override : this.schedule;
+
+        return {
+            ...this.schedule,
+            ...override,
+            interval: timing.interval || null,
+            cron: timing.cron || null
+        };
+    }
+
+    /**
+     * Replace the schedules (e.g. after the configuration changed); run history is kept
+     */
+    setSchedules(schedule, tableSchedules = {}) {
+        this.schedule = schedule || this.schedule;
+        this.tableSchedules = tableSchedules;
+    }
+
+    /**
+     * Remember that tables synced at a time
+     */
+    recordRun(tableIds, time = this.now()) {
+        tableIds.forEach(tableId => this.lastRuns.set(tableId, time));
+    }
+
+    /**
+     * Next sync time of a table (null when paused). Tables that never synced on an
+     * interval are due right away; cron tables wait for their next slot.
+     */
+    nextRun(tableId, after = this.now()) {
+        const schedule = this.getSchedule(tableId);
+        const lastRun = this.lastRuns.get(tableId);
+
+        if (schedule.paused || (!schedule.interval && !schedule.cron)) {
+            return null;
+        }
+
+        const cron = schedule.cron ? this.getCron(schedule.cron) : null;
+        let time = cron
+            ? SyncScheduler.nextCronTime(cron, lastRun ?? after)
+            : (lastRun !== undefined ? lastRun + schedule.interval : after);
+
+        // Overdue runs are due now, unless now is quiet
+        if (time !== null && time < after) {
+            time = after;
+        }
+
+        // Move out of quiet hours (cron tables to their first slot after them)
+        for (let i = 0; time !== null && schedule.quietHours && i < 100 && this.isQuietTime(schedule.quietHours, time); i++) {
+            const end = this.getQuietHoursEnd(schedule.quietHours, time);
+            time = cron ? SyncScheduler.nextCronTime(cron, end - 60000) : end;
+        }
+
+        return time;
+    }
+
+    /**
+     * Tables whose next sync time has come
+     */
+    getDueTables(tableIds, now = this.now()) {
+        return tableIds.filter(tableId => {
+            const next = this.nextRun(tableId, now);
+            return next !== null && next <= now;
+        });
+    }
+
+    /**
+     * Earliest next sync time over tables (null when all are paused)
+     */
+    nextDueTime(tableIds, now = this.now()) {
+        const times = tableIds.map(tableId => this.nextRun(tableId, now)).filter(time => time !== null);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    /**
+     * Check if a time falls inside quiet hours (local time; the range may cross midnight)
+     */
+    isQuietTime(quietHours, time) {
+        const start = SyncScheduler.parseTimeOfDay(quietHours.start);
+        const end = SyncScheduler.parseTimeOfDay(quietHours.end);
+        const date = new Date(time);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        return start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    /**
+     * First time quiet hours end after a time
+     */
+    getQuietHoursEnd(quietHours, time) {
+        const end = SyncScheduler.parseTimeOfDay(quietHours.end);
+        const date = new Date(time);
+
+        date.setHours(Math.floor(end / 60), end % 60, 0, 0);
+        if (date.getTime() <= time) {
+            date.setDate(date.getDate() + 1);
+        }
+
+        return date.getTime();
+    }
+
+    /**
+     * Human-readable schedule of a table, e.g. "every 15m, quiet 22:00-06:00"
+     */
+    describe(tableId) {
+        const schedule = this.getSchedule(tableId);
+        const parts = [];
+
+        if (schedule.paused) {
+            parts.push('paused');
+        } else if (schedule.cron) {
+            parts.push(`cron ${schedule.cron}`);
+        } else if (schedule.interval) {
+            parts.push(`every ${SyncScheduler.formatDuration(schedule.interval)}`);
+        }
+
+        if (schedule.quietHours) {
+            parts.push(`quiet ${schedule.quietHours.start}-${schedule.quietHours.end}`);
+        }
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Parsed cron expression (cached)
+     */
+    getCron(expression) {
+        if (!this.cronCache.has(expression)) {
+            this.cronCache.set(expression, SyncScheduler.parseCron(expression));
+        }
+        return this.cronCache.get(expression);
+    }
+
+    /**
+     * Parse a 5-field cron expression (lists, ranges and steps: "0,30 8-18 * * 1-5", "*\/10 * * * *").
+     * Throws on invalid expressions.
+     */
+    static parseCron(expression) {
+        const parts = String(expression || '').trim().split(/\s+/);
+
+        if (parts.length !== SYNC_CRON_FIELDS.length) {
+            throw new Error(`Cron expression needs ${SYNC_CRON_FIELDS.length} fields: "${expression}"`);
+        }
+
+        const fields = parts.map((part, index) => {
+            const { name, min, max } = SYNC_CRON_FIELDS[index];
+            const values = new Set();
+
+            for (const item of part.split(',')) {
+                const match = item.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+                if (!match) {
+                    throw new Error(`Invalid cron ${name}: "${item}"`);
+                }
+
+                const from = match[1] === '*' ? min : Number(match[1]);
+                const to = match[1] === '*' ? max : match[2] !== undefined ? Number(match[2]) : match[3] ? max : from;
+                const step = match[3] ? Number(match[3]) : 1;
+
+                if (from < min || to > max || from > to || step < 1) {
+                    throw new Error(`Cron ${name} out of range (${min}-${max}): "${item}"`);
+                }
+
+                for (let value = from; value <= to; value += step) {
+                    values.add(index === 4 && value === 7 ? 0 : value);
+                }
+            }
+
+            return { values, restricted: part !== '*' };
+        });
+
+        const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields;
+        return { minutes, hours, daysOfMonth, months, daysOfWeek };
+    }
+
+    /**
+     * First minute strictly after a time that matches a parsed cron (local time), or null within 5 years.
+     * Day of month and day of week match either one when both are restricted, like cron.
+     */
+    static nextCronTime(cron, after) {
+        const date = new Date(after);
+        const limit = after + 5 * 366 * 24 * 60 * 60 * 1000;
+
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const dayMatches = () => {
+            const dayOfMonth = cron.daysOfMonth.values.has(date.getDate());
+            const dayOfWeek = cron.daysOfWeek.values.has(date.getDay());
+
+            return cron.daysOfMonth.restricted && cron.daysOfWeek.restricted
+                ? dayOfMonth || dayOfWeek
+                : dayOfMonth && dayOfWeek;
+        };
+
+        while (date.getTime() <= limit) {
+            if (!cron.months.values.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!dayMatches()) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!cron.hours.values.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!cron.minutes.values.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date.getTime();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Minutes since midnight for "HH:MM"
+     */
+    static parseTimeOfDay(text) {
+        const match = String(text || '').match(/^(\d{1,2}):(\d{2})$/);
+
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new Error(`Invalid time of day (HH:MM): "${text}"`);
+        }
+
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    /**
+     * Format milliseconds as the largest whole unit: 90000 → "90s", 900000 → "15m", 7200000 → "2h"
+     */
+    static formatDuration(ms) {
+        for (const [unit, size] of [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]]) {
+            if (ms >= size && ms % size === 0) {
+                return `${ms / size}${unit}`;
+            }
+        }
+        return `${ms}ms`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SYNC_CRON_FIELDS,
+        SyncScheduler
+    };
+}
@@ -4,9 +4,11 @@
  * Provides user interface for:
  * - Sync status display
  * - Manual sync controls
- * - Conflict resolution UI
+ * - Dry-run change plan review
+ * - Sync history (trends, slowest tables, errors, per-session changes)
+ * - Field-level conflict resolution (side-by-side EO, Airtable and base values)
  * - Activity timeline
- * - Rewind controls
+ * - Rewind timeline (scrubber with live preview, diff against now, single-field restore)
  */
 
 class SyncUI {
@@ -15,13 +17,17 @@ class SyncUI {
         this.rewindEngine = config.rewindEngine; // RewindEngine instance
         this.changeTracker = config.changeTracker; // ChangeTracker instance
         this.airtable = config.airtable; // AirtableIntegration instance
+        this.xano = config.xano; // XanoIntegration instance
+        this.profiles = config.profiles || [{ id: 'default', name: 'Default', syncEngine: this.syncEngine }]; // [{ id, name, syncEngine }]
 
         // UI elements (will be created dynamically)
         this.elements = {
             container: null,
             statusPanel: null,
             controlPanel: null,
+            planPanel: null,
             activityPanel: null,
+            historyPanel: null,
             conflictPanel: null,
             rewindPanel: null
         };
@@ -31,7 +37,18 @@ class SyncUI {
             isVisible: true,
             activePanel: 'status',
             selectedConflict: null,
-            selectedActivity: null
+            conflictChoices: {}, // field -> { choice: 'eo'|'airtable'|'sup'|'custom', value } for the selected conflict
+            selectedActivity: null,
+            historyProfile: this.profiles[0].id, // Profile whose sync history is shown
+            selectedSession: null, // Sync session whose changes are shown
+            chainReport: null, // Last activity history verification (XanoIntegration.verifyHistory)
+            verifyingHistory: false,
+            rewindEntity: null, // Record shown on the rewind timeline
+            rewindTimeline: [], // Its timeline entries, oldest first (one scrubber tick each)
+            rewindPosition: null, // Index of the scrubbed tick
+            rewindPreview: null, // previewAtTime of the scrubbed tick
+            rewindCurrent: null, // The record now, in the current schema (null if deleted)
+            rewindRequest: 0 // Latest preview request; older answers are dropped while scrubbing
         };
     }
 
@@ -74,7 +91,9 @@ class SyncUI {
         // Create panels
         this.elements.statusPanel = this.createStatusPanel();
         this.elements.controlPanel = this.createControlPanel();
+        this.elements.planPanel = this.createPlanPanel();
         this.elements.activityPanel = this.createActivityPanel();
+        this.elements.historyPanel = this.createHistoryPanel();
         this.elements.conflictPanel = this.createConflictPanel();
         this.elements.rewindPanel = this.createRewindPanel();
 
@@ -85,7 +104,9 @@ class SyncUI {
 
         panelContainer.appendChild(this.elements.statusPanel);
         panelContainer.appendChild(this.elements.controlPanel);
+        panelContainer.appendChild(this.elements.planPanel);
         panelContainer.appendChild(this.elements.activityPanel);
+        panelContainer.appendChild(this.elements.historyPanel);
         panelContainer.appendChild(this.elements.conflictPanel);
         panelContainer.appendChild(this.elements.rewindPanel);
 
@@ -140,7 +161,9 @@ class SyncUI {
         const tabs = [
             { id: 'status', label: 'Status', icon: '📊' },
             { id: 'controls', label: 'Controls', icon: '⚙️' },
+            { id: 'plan', label: 'Plan', icon: '📋' },
             { id: 'activity', label: 'Activity', icon: '📝' },
+            { id: 'history', label: 'History', icon: '📈' },
             { id: 'conflicts', label: 'Conflicts', icon: '⚠️' },
             { id: 'rewind', label: 'Rewind', icon: '⏪' }
         ];
@@ -184,6 +207,22 @@ class SyncUI {
 
         panel.appendChild(stats);
 
+        // Per-profile table status and schedules
+        const tableStatus = this.createElement('div', {
+            id: 'sync-table-status',
+            className: 'space-y-3'
+        });
+
+        panel.appendChild(tableStatus);
+
+        // Schema changes awaiting migration
+        const schemaDrift = this.createElement('div', {
+            id: 'sync-schema-drift',
+            className: 'space-y-2'
+        });
+
+        panel.appendChild(schemaDrift);
+
         return panel;
     }
 
@@ -232,7 +271,8 @@ class SyncUI {
             { value: 'superposition', label: 'Superposition (SUP)' },
             { value: 'airtable_wins', label: 'Airtable Wins' },
             { value: 'eo_wins', label: 'EO Wins' },
-            { value: 'newest_wins', label: 'Newest Wins' }
+            { value: 'newest_wins', label: 'Newest Wins' },
+            { value: 'manual', label: 'Manual (Review each)' }
         ], this.syncEngine.syncConfig.conflictResolution, (value) => {
             this.syncEngine.syncConfig.conflictResolution = value;
         });
@@ -242,6 +282,33 @@ class SyncUI {
         return panel;
     }
 
+    /**
+     * Create plan panel (dry-run changes awaiting approval)
+     */
+    createPlanPanel() {
+        const panel = this.createElement('div', {
+            id: 'panel-plan',
+            className: 'space-y-3 hidden'
+        });
+
+        const previewBtn = this.createElement('button', {
+            className: 'w-full px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 text-sm font-medium',
+            textContent: '🔍 Preview Changes',
+            onclick: () => this.handlePreviewSync()
+        });
+
+        panel.appendChild(previewBtn);
+
+        const planList = this.createElement('div', {
+            id: 'plan-list',
+            className: 'space-y-3'
+        });
+
+        panel.appendChild(planList);
+
+        return panel;
+    }
+
     /**
      * Create activity panel
      */
@@ -251,6 +318,22 @@ class SyncUI {
             className: 'space-y-2 hidden'
         });
 
+        // Outbox status and dead-lettered activities
+        const outbox = this.createElement('div', {
+            id: 'activity-outbox',
+            className: 'space-y-2'
+        });
+
+        panel.appendChild(outbox);
+
+        // Hash chain verification ("history verified up to")
+        const integrity = this.createElement('div', {
+            id: 'activity-integrity',
+            className: 'space-y-1'
+        });
+
+        panel.appendChild(integrity);
+
         const activityList = this.createElement('div', {
             id: 'activity-list',
             className: 'space-y-2'
@@ -261,6 +344,25 @@ class SyncUI {
         return panel;
     }
 
+    /**
+     * Create sync history panel
+     */
+    createHistoryPanel() {
+        const panel = this.createElement('div', {
+            id: 'panel-history',
+            className: 'space-y-3 hidden'
+        });
+
+        const historyContent = this.createElement('div', {
+            id: 'history-content',
+            className: 'space-y-3'
+        });
+
+        panel.appendChild(historyContent);
+
+        return panel;
+    }
+
     /**
      * Create conflict panel
      */
@@ -289,7 +391,32 @@ class SyncUI {
             className: 'space-y-3 hidden'
         });
 
-        // Timeline
+        // Record to rewind
+        const form = this.createElement('div', {
+            className: 'flex gap-2'
+        });
+
+        const input = this.createElement('input', {
+            id: 'rewind-entity',
+            type: 'text',
+            placeholder: 'Record ID',
+            className: 'flex-1 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-white',
+            onKeydown: (e) => {
+                if (e.key === 'Enter') this.showRewind(input.value.trim());
+            }
+        });
+
+        const loadBtn = this.createElement('button', {
+            className: 'px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700',
+            textContent: 'Load',
+            onClick: () => this.showRewind(input.value.trim())
+        });
+
+        form.appendChild(input);
+        form.appendChild(loadBtn);
+        panel.appendChild(form);
+
+        // Scrubber (rendered once per record, so dragging is not interrupted)
         const timeline = this.createElement('div', {
             id: 'rewind-timeline',
             className: 'space-y-2'
@@ -297,6 +424,14 @@ class SyncUI {
 
         panel.appendChild(timeline);
 
+        // Record grid at the scrubbed tick, side by side with now
+        const preview = this.createElement('div', {
+            id: 'rewind-preview',
+            className: 'space-y-2'
+        });
+
+        panel.appendChild(preview);
+
         return panel;
     }
 
@@ -344,9 +479,15 @@ class SyncUI {
             case 'status':
                 this.updateStatusPanel();
                 break;
+            case 'plan':
+                this.updatePlanPanel();
+                break;
             case 'activity':
                 this.updateActivityPanel();
                 break;
+            case 'history':
+                this.updateHistoryPanel();
+                break;
             case 'conflicts':
                 this.updateConflictPanel();
                 break;
@@ -402,12 +543,266 @@ class SyncUI {
                 </div>
             `;
         }
+
+        this.updateTableStatusSection();
+        this.updateSchemaDriftSection();
+    }
+
+    /**
+     * Update table status section (each profile's tables with last and next sync)
+     */
+    updateTableStatusSection() {
+        const tableStatusEl = document.getElementById('sync-table-status');
+        if (!tableStatusEl) return;
+
+        const icons = { synced: '✓', syncing: '🔄', error: '⚠️', pending: '•' };
+
+        tableStatusEl.innerHTML = this.profiles.map(profile => {
+            const status = profile.syncEngine.getStatus();
+
+            return `
+                <div class="space-y-1">
+                    ${this.profiles.length > 1 ? `
+                        <div class="flex items-center justify-between text-xs font-medium text-gray-700 dark:text-gray-300">
+                            <span>${this.escapeHtml(profile.name)}</span>
+                            <span>${status.isRunning ? '🔄 Syncing...' : status.lastSync ? this.formatTime(status.lastSync) : 'Never'}</span>
+                        </div>
+                    ` : ''}
+                    ${status.tables.map(table => `
+                        <div class="flex items-center justify-between text-xs border-b border-gray-100 dark:border-gray-700 py-1"
+                             title="${this.escapeHtml(table.lastError || table.schedule)}">
+                            <span class="text-gray-900 dark:text-white truncate">
+                                ${icons[table.status] || '•'} ${this.escapeHtml(table.tableName)}${table.held ? ' (paused: schema)' : ''}
+                            </span>
+                            <span class="text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                                ${table.lastSynced ? this.formatTime(table.lastSynced) : 'never'} ·
+                                next ${table.nextSync ? this.formatUntil(table.nextSync) : table.schedule === 'paused' ? 'paused' : '—'}
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Update schema drift section (changes held for manual migration)
+     */
+    updateSchemaDriftSection() {
+        const driftEl = document.getElementById('sync-schema-drift');
+        if (!driftEl) return;
+
+        const drift = this.syncEngine.schemaState?.pendingDrift;
+        if (!drift) {
+            driftEl.innerHTML = '';
+            return;
+        }
+
+        driftEl.innerHTML = `
+            <div class="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-md p-2 text-xs space-y-2">
+                <div class="font-medium text-amber-700 dark:text-amber-400">🧬 Airtable schema changed - affected tables are paused</div>
+                <ul class="text-gray-700 dark:text-gray-300 list-disc pl-4">
+                    ${drift.changes.map(change => `<li>${change.description}</li>`).join('')}
+                </ul>
+                ${drift.migrations.length === 0 ? '' : `
+                    <div class="space-y-1">
+                        ${drift.migrations.map(action => `
+                            <label class="flex items-center gap-2 text-gray-900 dark:text-white">
+                                <input type="checkbox" ${action.enabled !== false ? 'checked' : ''}
+                                       onchange="window.eoSyncUI.toggleSchemaMigration('${action.id}', this.checked)">
+                                ${action.description}
+                            </label>
+                        `).join('')}
+                    </div>
+                `}
+                <div class="flex gap-3">
+                    <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" onclick="window.eoSyncUI.applySchemaMigrations()">Apply &amp; resume</button>
+                    <button class="text-gray-600 hover:text-gray-700 dark:text-gray-400" onclick="window.eoSyncUI.dismissSchemaDrift()">Accept without migrating</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Enable or disable a proposed schema migration
+     */
+    toggleSchemaMigration(actionId, enabled) {
+        const action = this.syncEngine.schemaState.pendingDrift?.migrations.find(m => m.id === actionId);
+        if (action) {
+            action.enabled = enabled;
+        }
+    }
+
+    /**
+     * Apply selected schema migrations and sync the released tables
+     */
+    async applySchemaMigrations() {
+        try {
+            await this.syncEngine.applySchemaMigrations();
+            await this.syncEngine.performFullSync();
+        } catch (error) {
+            console.error('Schema migration failed:', error);
+            alert(`Schema migration failed: ${error.message}`);
+        }
+
+        this.updateStatusPanel();
+    }
+
+    /**
+     * Accept the new schema without migrating EO data
+     */
+    async dismissSchemaDrift() {
+        if (!confirm('Accept the new schema without migrating EO data? Renamed or removed fields will no longer sync.')) {
+            return;
+        }
+
+        await this.syncEngine.dismissSchemaDrift();
+        await this.syncEngine.performFullSync();
+        this.updateStatusPanel();
+    }
+
+    /**
+     * Update plan panel (changes grouped by table, each with an approve checkbox)
+     */
+    updatePlanPanel() {
+        const listEl = document.getElementById('plan-list');
+        if (!listEl) return;
+
+        const plan = this.syncEngine.syncState.pendingPlan;
+        if (!plan) {
+            listEl.innerHTML = '<div class="text-sm text-gray-500 text-center py-4">No pending plan. Preview to see what the next sync would change.</div>';
+            return;
+        }
+
+        const entries = plan.tables.flatMap(t => t.changes);
+        const approvedCount = entries.filter(e => e.approved !== false).length;
+        const typeLabels = {
+            create: '➕ Create',
+            update: '✏️ Update',
+            delete: '🗑️ Delete',
+            conflict: '⚠️ Conflict'
+        };
+        const directionLabels = {
+            airtable_to_eo: 'Airtable → EO',
+            eo_to_airtable: 'EO → Airtable'
+        };
+
+        listEl.innerHTML = `
+            <div class="text-xs text-gray-600 dark:text-gray-400">
+                Planned ${this.formatTime(plan.createdAt)}:
+                ${plan.summary.create} create, ${plan.summary.update} update, ${plan.summary.delete} delete, ${plan.summary.conflict} conflict
+            </div>
+            ${plan.schemaChanges.length === 0 ? '' : `
+                <div class="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-md p-2 text-xs text-amber-700 dark:text-amber-400">
+                    🧬 Schema changes are migrated before these tables sync: ${plan.schemaChanges.map(c => this.escapeHtml(c.description)).join('; ')}
+                </div>
+            `}
+            ${plan.tables.filter(t => t.held || t.changes.length > 0).map(table => `
+                <div class="border border-gray-200 dark:border-gray-700 rounded-md p-2 text-xs space-y-2">
+                    <div class="flex items-center justify-between">
+                        <span class="font-medium text-gray-900 dark:text-white">${this.escapeHtml(table.tableName)}</span>
+                        ${table.held
+                            ? '<span class="text-amber-600 dark:text-amber-400">Paused (schema)</span>'
+                            : `<span class="flex gap-2">
+                                <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" onclick="window.eoSyncUI.setPlanTableApproval(${this.escapeHtml(JSON.stringify(table.tableId))}, true)">All</button>
+                                <button class="text-gray-600 hover:text-gray-700 dark:text-gray-400" onclick="window.eoSyncUI.setPlanTableApproval(${this.escapeHtml(JSON.stringify(table.tableId))}, false)">None</button>
+                            </span>`}
+                    </div>
+                    ${table.changes.map(entry => `
+                        <label class="block border-t border-gray-100 dark:border-gray-700 pt-1 ${entry.approved === false ? 'opacity-50' : ''}">
+                            <span class="flex items-center gap-2 text-gray-900 dark:text-white">
+                                <input type="checkbox" ${entry.approved !== false ? 'checked' : ''}
+                                       onchange="window.eoSyncUI.setPlanChangeApproval(${this.escapeHtml(JSON.stringify(entry.id))}, this.checked)">
+                                <span>${typeLabels[entry.type]}</span>
+                                <span class="truncate">${this.escapeHtml(entry.title ?? entry.recordId)}</span>
+                                <span class="ml-auto text-gray-500 dark:text-gray-400">${entry.direction ? directionLabels[entry.direction] : ''}</span>
+                            </span>
+                            ${entry.fieldDiffs.map(diff => `
+                                <span class="block pl-6 text-gray-600 dark:text-gray-400 truncate">
+                                    ${this.escapeHtml(diff.field)}:
+                                    ${entry.type === 'conflict'
+                                        ? `EO ${this.formatPlanValue(diff.eo)} ⟷ Airtable ${this.formatPlanValue(diff.airtable)}`
+                                        : `${this.formatPlanValue(diff.before)} → ${this.formatPlanValue(diff.after)}`}
+                                </span>
+                            `).join('')}
+                        </label>
+                    `).join('')}
+                </div>
+            `).join('')}
+            ${entries.length === 0 ? '<div class="text-sm text-gray-500 text-center py-2">Everything is in sync</div>' : ''}
+            <div class="flex gap-3 text-sm">
+                <button class="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700" onclick="window.eoSyncUI.applySyncPlan()">
+                    Apply ${approvedCount} of ${entries.length}
+                </button>
+                <button class="text-gray-600 hover:text-gray-700 dark:text-gray-400" onclick="window.eoSyncUI.discardSyncPlan()">Discard</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Build a dry-run plan and show it
+     */
+    async handlePreviewSync() {
+        try {
+            await this.syncEngine.performFullSync({ dryRun: true });
+        } catch (error) {
+            console.error('Sync preview failed:', error);
+            alert(`Sync preview failed: ${error.message}`);
+        }
+
+        this.showPanel('plan');
+    }
+
+    /**
+     * Approve or reject a planned change
+     */
+    setPlanChangeApproval(changeId, approved) {
+        this.syncEngine.setPlanChangeApproval(changeId, approved);
+        this.updatePlanPanel();
+    }
+
+    /**
+     * Approve or reject all planned changes of a table
+     */
+    setPlanTableApproval(tableId, approved) {
+        this.syncEngine.setPlanTableApproval(tableId, approved);
+        this.updatePlanPanel();
+    }
+
+    /**
+     * Apply the approved changes of the pending plan
+     */
+    async applySyncPlan() {
+        try {
+            const plan = await this.syncEngine.applySyncPlan();
+            const deferred = plan.result.stale + plan.result.unplanned;
+
+            if (deferred > 0) {
+                alert(`${deferred} change(s) were different from the preview and were left for the next sync.`);
+            }
+        } catch (error) {
+            console.error('Applying sync plan failed:', error);
+            alert(`Applying sync plan failed: ${error.message}`);
+        }
+
+        this.updatePlanPanel();
+    }
+
+    /**
+     * Discard the pending plan
+     */
+    discardSyncPlan() {
+        this.syncEngine.discardSyncPlan();
+        this.updatePlanPanel();
     }
 
     /**
      * Update activity panel
      */
     updateActivityPanel() {
+        this.updateOutboxSection();
+        this.updateIntegritySection();
+
         if (!this.changeTracker) return;
 
         const activities = this.changeTracker.getAllChanges({ limit: 20 });
@@ -422,55 +817,795 @@ class SyncUI {
                             <span class="font-medium text-gray-900 dark:text-white">${this.formatAction(activity.action)}</span>
                             <span class="text-gray-500 dark:text-gray-400">${this.formatTime(activity.timestamp)}</span>
                         </div>
-                        <div class="text-gray-600 dark:text-gray-400">${activity.entityType}: ${activity.entityId}</div>
+                        <div class="text-gray-600 dark:text-gray-400">
+                            ${activity.entityType}: ${activity.entityType === 'record'
+                                ? `<button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" title="Open on the rewind timeline"
+                                           onclick="window.eoSyncUI.showRewind(${this.escapeHtml(JSON.stringify(activity.entityId))})">${this.escapeHtml(activity.entityId)}</button>`
+                                : activity.entityId}
+                        </div>
                         ${activity.field ? `<div class="text-gray-500 dark:text-gray-500">Field: ${activity.field}</div>` : ''}
                     </div>
                 `).join('');
         }
     }
 
+    /**
+     * Update sync history panel: trend of recent sessions, slowest tables, error breakdown,
+     * and the change list of the selected session
+     */
+    updateHistoryPanel() {
+        const historyEl = document.getElementById('history-content');
+        if (!historyEl) return;
+
+        const profile = this.profiles.find(p => p.id === this.state.historyProfile) || this.profiles[0];
+        const engine = profile.syncEngine;
+        const analytics = engine.getSyncAnalytics({ limit: 30 });
+        const { summary, trend, slowestTables, errorBreakdown } = analytics;
+
+        const profileSelect = this.profiles.length > 1 ? `
+            <select class="w-full px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-white"
+                    onchange="window.eoSyncUI.setHistoryProfile(this.value)">
+                ${this.profiles.map(p => `<option value="${this.escapeHtml(p.id)}" ${p === profile ? 'selected' : ''}>${this.escapeHtml(p.name)}</option>`).join('')}
+            </select>
+        ` : '';
+
+        if (summary.sessions === 0) {
+            historyEl.innerHTML = `${profileSelect}<div class="text-sm text-gray-500 text-center py-4">No sync sessions recorded yet</div>`;
+            return;
+        }
+
+        const maxDuration = Math.max(...trend.map(point => point.duration || 0), 1);
+        const statusColors = { success: 'bg-green-500', error: 'bg-red-500', cancelled: 'bg-gray-400' };
+        const session = this.state.selectedSession ? engine.getSyncSession(this.state.selectedSession) : null;
+
+        historyEl.innerHTML = `
+            ${profileSelect}
+            <div class="grid grid-cols-3 gap-2 text-xs">
+                <div class="bg-gray-50 dark:bg-gray-900 rounded-md p-2">
+                    <div class="text-gray-600 dark:text-gray-400">Success</div>
+                    <div class="font-semibold text-gray-900 dark:text-white">${Math.round(summary.successRate * 100)}% of ${summary.sessions}</div>
+                </div>
+                <div class="bg-gray-50 dark:bg-gray-900 rounded-md p-2">
+                    <div class="text-gray-600 dark:text-gray-400">Avg duration</div>
+                    <div class="font-semibold text-gray-900 dark:text-white">${summary.averageDuration === null ? '—' : this.formatDuration(summary.averageDuration)}</div>
+                </div>
+                <div class="bg-gray-50 dark:bg-gray-900 rounded-md p-2">
+                    <div class="text-gray-600 dark:text-gray-400">API calls</div>
+                    <div class="font-semibold text-gray-900 dark:text-white">${summary.apiCalls}${summary.retries ? ` (${summary.retries} retried)` : ''}</div>
+                </div>
+            </div>
+
+            <div>
+                <div class="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Duration trend</div>
+                <div class="flex items-end gap-px h-16 bg-gray-50 dark:bg-gray-900 rounded-md p-1">
+                    ${trend.map(point => `
+                        <div class="flex-1 ${statusColors[point.status] || 'bg-blue-500'} rounded-sm cursor-pointer"
+                             style="height: ${Math.max(4, Math.round((point.duration || 0) / maxDuration * 100))}%"
+                             title="${this.escapeHtml(`${new Date(point.startedAt).toLocaleString()} · ${point.trigger} · ${this.formatDuration(point.duration || 0)} · ${point.changes} changes, ${point.errors} errors`)}"
+                             onclick="window.eoSyncUI.selectHistorySession(${this.escapeHtml(JSON.stringify(point.id))})"></div>
+                    `).join('')}
+                </div>
+            </div>
+
+            ${slowestTables.length === 0 ? '' : `
+                <div>
+                    <div class="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Slowest tables</div>
+                    ${slowestTables.map(table => `
+                        <div class="flex items-center justify-between text-xs border-b border-gray-100 dark:border-gray-700 py-1">
+                            <span class="text-gray-900 dark:text-white truncate">${this.escapeHtml(table.tableName)}</span>
+                            <span class="text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                                avg ${this.formatDuration(table.averageDuration)} · max ${this.formatDuration(table.maxDuration)} · ${table.runs} runs
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+
+            ${Object.keys(errorBreakdown.byCategory).length === 0 ? '' : `
+                <div class="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-2 text-xs space-y-1">
+                    <div class="font-medium text-red-700 dark:text-red-400">
+                        Errors: ${Object.entries(errorBreakdown.byCategory).map(([category, count]) => `${this.escapeHtml(category)} ${count}`).join(' · ')}
+                    </div>
+                    ${errorBreakdown.byTable.map(entry => `
+                        <div class="text-red-600 dark:text-red-400">${this.escapeHtml(entry.tableName)}: ${entry.count}</div>
+                    `).join('')}
+                    ${errorBreakdown.recent.slice(0, 3).map(error => `
+                        <div class="text-gray-600 dark:text-gray-400 truncate" title="${this.escapeHtml(error.message)}">
+                            ${this.formatTime(error.at)}: ${this.escapeHtml(error.message)}
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+
+            <div>
+                <div class="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Sessions</div>
+                ${engine.getSyncHistory({ limit: 15 }).map(entry => `
+                    <div class="flex items-center justify-between text-xs border-b border-gray-100 dark:border-gray-700 py-1 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-900 ${entry.id === this.state.selectedSession ? 'bg-blue-50 dark:bg-blue-900/20' : ''}"
+                         onclick="window.eoSyncUI.selectHistorySession(${this.escapeHtml(JSON.stringify(entry.id))})">
+                        <span class="text-gray-900 dark:text-white">
+                            ${entry.status === 'success' ? '✓' : entry.status === 'error' ? '⚠️' : '⏹'} ${this.formatTime(entry.startedAt)} · ${this.escapeHtml(entry.trigger)}
+                        </span>
+                        <span class="text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                            ${this.formatDuration(entry.duration || 0)} ·
+                            +${entry.totals.created} ~${entry.totals.updated} −${entry.totals.deleted + entry.totals.archived}
+                            ${entry.totals.conflicts ? ` · ⚠️ ${entry.totals.conflicts}` : ''}
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+
+            ${session ? this.renderHistorySession(session) : ''}
+        `;
+    }
+
+    /**
+     * Drill-down of one sync session: per-table counts and its change list
+     */
+    renderHistorySession(session) {
+        const actionLabels = {
+            create: '➕ Create',
+            update: '✏️ Update',
+            delete: '🗑️ Delete',
+            archive: '📦 Archive',
+            conflict: '⚠️ Conflict'
+        };
+        const directionLabels = {
+            airtable_to_eo: 'Airtable → EO',
+            eo_to_airtable: 'EO → Airtable'
+        };
+        const tableNames = Object.fromEntries(Object.entries(session.tables).map(([tableId, table]) => [tableId, table.tableName]));
+
+        return `
+            <div class="border border-gray-200 dark:border-gray-700 rounded-md p-2 text-xs space-y-2">
+                <div class="flex items-center justify-between">
+                    <span class="font-medium text-gray-900 dark:text-white">${new Date(session.startedAt).toLocaleString()} (${this.escapeHtml(session.type)})</span>
+                    <button class="text-gray-600 hover:text-gray-700 dark:text-gray-400" onclick="window.eoSyncUI.selectHistorySession(null)">Close</button>
+                </div>
+                <div class="text-gray-600 dark:text-gray-400">
+                    ${this.formatDuration(session.duration || 0)}
+                    ${session.apiCalls === null ? '' : ` · ${session.apiCalls} API calls, ${session.retries} retried, ${session.failedRequests} failed`}
+                    ${session.error ? `<div class="text-red-600 dark:text-red-400">${this.escapeHtml(session.error)}</div>` : ''}
+                </div>
+                ${Object.values(session.tables).map(table => `
+                    <div class="flex items-center justify-between">
+                        <span class="text-gray-900 dark:text-white truncate">${this.escapeHtml(table.tableName)}</span>
+                        <span class="text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                            +${table.created} ~${table.updated} −${table.deleted + table.archived}${table.conflicts ? ` ⚠️ ${table.conflicts}` : ''}
+                            · ${table.duration === null ? '—' : this.formatDuration(table.duration)}
+                        </span>
+                    </div>
+                `).join('')}
+                <div class="border-t border-gray-100 dark:border-gray-700 pt-1 space-y-1">
+                    ${session.changes.length === 0 ? '<div class="text-gray-500">No record changes</div>' : session.changes.map(change => `
+                        <div class="flex items-center gap-2">
+                            <span>${actionLabels[change.action]}</span>
+                            <span class="truncate text-gray-900 dark:text-white" title="${this.escapeHtml(change.fields.join(', '))}">
+                                ${this.escapeHtml(tableNames[change.tableId] || change.tableId)} / ${this.escapeHtml(change.recordId)}
+                                ${change.fields.length > 0 && change.action !== 'create' ? `<span class="text-gray-500">(${this.escapeHtml(change.fields.join(', '))})</span>` : ''}
+                            </span>
+                            <span class="ml-auto text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                                ${change.direction ? directionLabels[change.direction] : change.resolution ? `kept ${this.escapeHtml(change.resolution)}` : ''}
+                            </span>
+                        </div>
+                    `).join('')}
+                    ${session.changesTruncated ? '<div class="text-gray-500">… more changes not listed</div>' : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show a session's changes in the history panel (null closes the drill-down)
+     */
+    selectHistorySession(sessionId) {
+        this.state.selectedSession = sessionId;
+        this.updateHistoryPanel();
+    }
+
+    /**
+     * Show another profile's sync history
+     */
+    setHistoryProfile(profileId) {
+        this.state.historyProfile = profileId;
+        this.state.selectedSession = null;
+        this.updateHistoryPanel();
+    }
+
+    /**
+     * Update outbox section (pending + dead-lettered activities)
+     */
+    updateOutboxSection() {
+        const outboxEl = document.getElementById('activity-outbox');
+        if (!outboxEl || !this.xano) return;
+
+        const queue = this.xano.getQueueStatus();
+        const deadLetters = this.xano.getDeadLetters();
+
+        outboxEl.innerHTML = `
+            <div class="flex items-center justify-between text-xs text-gray-600 dark:text-gray-400">
+                <span>📤 Outbox: ${queue.pending} pending</span>
+                ${queue.nextAttemptAt ? `<span>Next retry: ${new Date(queue.nextAttemptAt).toLocaleTimeString()}</span>` : ''}
+            </div>
+            ${deadLetters.length === 0 ? '' : `
+                <div class="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-2 text-xs space-y-2">
+                    <div class="flex items-center justify-between">
+                        <span class="font-medium text-red-700 dark:text-red-400">☠️ ${deadLetters.length} undelivered activit${deadLetters.length === 1 ? 'y' : 'ies'}</span>
+                        <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" onclick="window.eoSyncUI.replayAllDeadLetters()">
+                            Replay all
+                        </button>
+                    </div>
+                    ${deadLetters.map(letter => `
+                        <div class="border-t border-red-200 dark:border-red-800 pt-1">
+                            <div class="flex items-center justify-between">
+                                <span class="text-gray-900 dark:text-white">${this.escapeHtml(this.formatAction(letter.action))} ${this.escapeHtml(letter.entityType)}: ${this.escapeHtml(letter.entityId)}</span>
+                                <span class="text-gray-500 dark:text-gray-400">${letter.attempts} attempts</span>
+                            </div>
+                            <div class="text-gray-500 dark:text-gray-400 truncate">${this.escapeHtml(letter.lastError || '')}</div>
+                            <div class="flex gap-3">
+                                <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" onclick="window.eoSyncUI.replayDeadLetter(${this.escapeHtml(JSON.stringify(letter.activityId))})">Replay</button>
+                                <button class="text-red-600 hover:text-red-700 dark:text-red-400" onclick="window.eoSyncUI.discardDeadLetter(${this.escapeHtml(JSON.stringify(letter.activityId))})">Discard</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Replay a dead-lettered activity
+     */
+    async replayDeadLetter(activityId) {
+        try {
+            await this.xano.replayDeadLetter(activityId);
+        } catch (error) {
+            console.error('Replay failed:', error);
+            alert(`Replay failed: ${error.message}`);
+        }
+
+        this.updateOutboxSection();
+    }
+
+    /**
+     * Replay all dead-lettered activities
+     */
+    async replayAllDeadLetters() {
+        await this.xano.replayAllDeadLetters();
+        this.updateOutboxSection();
+    }
+
+    /**
+     * Discard a dead-lettered activity
+     */
+    async discardDeadLetter(activityId) {
+        if (!confirm('Discard this activity? It will never be sent to Xano, and history verification will report it as missing.')) {
+            return;
+        }
+
+        await this.xano.discardDeadLetter(activityId);
+        this.updateOutboxSection();
+    }
+
+    /**
+     * Update history integrity section (activity hash chain)
+     */
+    updateIntegritySection() {
+        const integrityEl = document.getElementById('activity-integrity');
+        const chain = this.xano?.getChainStatus();
+        if (!integrityEl || !chain) return;
+
+        const report = this.state.chainReport;
+        const breaks = report ? report.breaks.filter(problem => !problem.undelivered) : [];
+        let summary;
+
+        if (this.state.verifyingHistory) {
+            summary = '<span class="text-gray-500 dark:text-gray-400">Verifying history...</span>';
+        } else if (!report) {
+            summary = '<span class="text-gray-500 dark:text-gray-400">History not verified yet</span>';
+        } else if (breaks.length > 0) {
+            summary = `<span class="text-red-600 dark:text-red-400">⚠️ ${breaks.length} chain break${breaks.length === 1 ? '' : 's'} found</span>`;
+        } else if (report.verifiedUpTo) {
+            summary = `<span class="text-green-600 dark:text-green-400">🔒 History verified up to ${new Date(report.verifiedUpTo.at).toLocaleString()}${report.verifiedUpTo.signed ? '' : ' (unsigned)'}</span>`;
+        } else {
+            summary = `<span class="text-green-600 dark:text-green-400">🔒 ${report.checked} activities verified (no checkpoint yet)</span>`;
+        }
+
+        integrityEl.innerHTML = `
+            <div class="flex items-center justify-between text-xs">
+                ${summary}
+                <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" onclick="window.eoSyncUI.verifyActivityHistory()" ${this.state.verifyingHistory ? 'disabled' : ''}>
+                    Verify
+                </button>
+            </div>
+            <div class="text-xs text-gray-500 dark:text-gray-400">
+                Chain #${chain.seq}${chain.latestCheckpoint ? ` · checkpoint #${chain.latestCheckpoint.seq} ${this.formatTime(chain.latestCheckpoint.created_at)}` : ''}${chain.signed ? '' : ' · no signing key'}
+                ${report ? ` · checked ${this.formatTime(report.verifiedAt)}` : ''}
+            </div>
+            ${breaks.length === 0 ? '' : `
+                <div class="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-2 text-xs space-y-1">
+                    ${breaks.slice(0, 10).map(problem => `
+                        <div class="text-gray-700 dark:text-gray-300">
+                            ${this.formatChainBreak(problem)}
+                        </div>
+                    `).join('')}
+                    ${breaks.length > 10 ? `<div class="text-gray-500 dark:text-gray-400">…and ${breaks.length - 10} more</div>` : ''}
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Verify the activity history hash chain
+     */
+    async verifyActivityHistory() {
+        this.state.verifyingHistory = true;
+        this.updateIntegritySection();
+
+        try {
+            this.state.chainReport = await this.xano.verifyHistory();
+        } catch (error) {
+            console.error('History verification failed:', error);
+            alert(`History verification failed: ${error.message}`);
+        }
+
+        this.state.verifyingHistory = false;
+        this.updateIntegritySection();
+    }
+
+    /**
+     * Describe a chain break from a verification report
+     */
+    formatChainBreak(problem) {
+        const where = problem.activityId ? `#${problem.seq} (${problem.activityId})` : `#${problem.seq}`;
+
+        switch (problem.type) {
+            case 'content_modified': return `Activity ${where} was modified`;
+            case 'hash_modified': return `Chain fields of activity ${where} were modified`;
+            case 'missing': return `Activities #${problem.fromSeq}–#${problem.toSeq} are missing`;
+            case 'duplicate': return `Activity ${where} appears more than once`;
+            case 'link_mismatch': return `Activity ${where} does not link to the previous activity`;
+            case 'entity_missing': return `${problem.entity}: entity activities #${problem.fromSeq}–#${problem.toSeq} are missing`;
+            case 'entity_link_mismatch': return `${problem.entity}: activity ${where} does not link to the entity's previous activity`;
+            case 'checkpoint_signature': return `Checkpoint #${problem.seq} has an invalid signature`;
+            case 'checkpoint_mismatch': return `Checkpoint #${problem.seq} does not match activity ${where}`;
+            default: return `${problem.type} at ${where}`;
+        }
+    }
+
     /**
      * Update conflict panel
      */
     updateConflictPanel() {
-        const conflicts = this.syncEngine.syncState.conflicts;
+        const conflicts = this.syncEngine.getHeldConflicts();
         const listEl = document.getElementById('conflict-list');
 
-        if (listEl) {
-            if (conflicts.size === 0) {
-                listEl.innerHTML = '<div class="text-sm text-gray-500 text-center py-4">No conflicts</div>';
-            } else {
-                listEl.innerHTML = Array.from(conflicts.values()).map(conflict => `
-                    <div class="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-md p-3 text-xs">
-                        <div class="font-medium text-gray-900 dark:text-white mb-2">
-                            Record: ${conflict.recordId}
+        if (!listEl) return;
+
+        const selected = conflicts.find(conflict => conflict.recordId === this.state.selectedConflict);
+        if (selected) {
+            listEl.innerHTML = this.renderConflictResolution(selected);
+            return;
+        }
+
+        this.state.selectedConflict = null;
+
+        if (conflicts.length === 0) {
+            listEl.innerHTML = this.syncEngine.syncConfig.conflictResolution === 'manual'
+                ? '<div class="text-sm text-gray-500 text-center py-4">No conflicts</div>'
+                : '<div class="text-sm text-gray-500 text-center py-4">No conflicts. Conflicts are held here for review with the Manual conflict resolution.</div>';
+            return;
+        }
+
+        listEl.innerHTML = conflicts.map(conflict => `
+            <div class="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-md p-3 text-xs">
+                <div class="font-medium text-gray-900 dark:text-white mb-2">
+                    ${this.escapeHtml(conflict.tableName)} / ${this.escapeHtml(conflict.recordId)}
+                </div>
+                <div class="text-gray-600 dark:text-gray-400 mb-2">
+                    ${conflict.type === 'delete_edit'
+                        ? `Deleted in ${conflict.deletedOn === 'eo' ? 'EO' : 'Airtable'}, edited on the other side`
+                        : `${conflict.fields.length} field(s) in conflict: ${conflict.fields.map(f => this.escapeHtml(f.field)).join(', ')}`}
+                    · ${this.formatTime(conflict.detectedAt)}
+                </div>
+                <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" onclick="window.eoSyncUI.resolveConflict(${this.escapeHtml(JSON.stringify(conflict.recordId))})">
+                    Resolve →
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Side-by-side resolution view of a held conflict: base, EO and Airtable values per field,
+     * with a choice of side, both (SUP) or an edited value
+     */
+    renderConflictResolution(conflict) {
+        const header = `
+            <div class="flex items-center justify-between text-xs">
+                <span class="font-medium text-gray-900 dark:text-white">${this.escapeHtml(conflict.tableName)} / ${this.escapeHtml(conflict.recordId)}</span>
+                <button class="text-gray-600 hover:text-gray-700 dark:text-gray-400" onclick="window.eoSyncUI.closeConflict()">Back</button>
+            </div>
+        `;
+
+        if (conflict.type === 'delete_edit') {
+            const deletedOn = conflict.deletedOn === 'eo' ? 'EO' : 'Airtable';
+            const editedOn = conflict.deletedOn === 'eo' ? 'Airtable' : 'EO';
+
+            return `
+                ${header}
+                <div class="text-xs text-gray-600 dark:text-gray-400">The record was deleted in ${deletedOn} and edited in ${editedOn}.</div>
+                <div class="flex gap-3 text-sm">
+                    <button class="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700" onclick="window.eoSyncUI.applyConflictResolution({ action: 'delete' })">Keep deletion</button>
+                    <button class="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700" onclick="window.eoSyncUI.applyConflictResolution({ action: 'restore' })">Restore edited record</button>
+                </div>
+            `;
+        }
+
+        const choiceLabels = [
+            ['eo', 'EO'],
+            ['airtable', 'Airtable'],
+            ['sup', 'Both (SUP)'],
+            ['custom', 'Edit']
+        ];
+
+        return `
+            ${header}
+            ${conflict.fields.map(({ field, baseValue, eoValue, airtableValue }) => {
+                const { choice = 'sup', value } = this.state.conflictChoices[field] || {};
+                const name = `conflict-choice-${this.escapeHtml(field)}`;
+                const fieldArg = this.escapeHtml(JSON.stringify(field));
+
+                return `
+                    <div class="border border-gray-200 dark:border-gray-700 rounded-md p-2 text-xs space-y-2">
+                        <div class="font-medium text-gray-900 dark:text-white">${this.escapeHtml(field)}</div>
+                        <div class="grid grid-cols-3 gap-2">
+                            <div>
+                                <div class="text-gray-500 dark:text-gray-400">Base</div>
+                                <div class="text-gray-900 dark:text-white break-words">${this.formatPlanValue(baseValue)}</div>
+                            </div>
+                            <div class="${choice === 'eo' ? 'bg-blue-50 dark:bg-blue-900/20 rounded' : ''}">
+                                <div class="text-gray-500 dark:text-gray-400">EO</div>
+                                <div class="text-gray-900 dark:text-white break-words">${this.formatPlanValue(eoValue)}</div>
+                            </div>
+                            <div class="${choice === 'airtable' ? 'bg-blue-50 dark:bg-blue-900/20 rounded' : ''}">
+                                <div class="text-gray-500 dark:text-gray-400">Airtable</div>
+                                <div class="text-gray-900 dark:text-white break-words">${this.formatPlanValue(airtableValue)}</div>
+                            </div>
                         </div>
-                        <div class="text-gray-600 dark:text-gray-400 mb-2">
-                            ${conflict.fieldConflicts?.length || 0} field(s) in conflict
+                        <div class="flex flex-wrap gap-3 text-gray-700 dark:text-gray-300">
+                            ${choiceLabels.map(([option, label]) => `
+                                <label class="flex items-center gap-1">
+                                    <input type="radio" name="${name}" ${choice === option ? 'checked' : ''}
+                                           onchange="window.eoSyncUI.setConflictChoice(${fieldArg}, '${option}')">
+                                    ${label}
+                                </label>
+                            `).join('')}
                         </div>
-                        <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" onclick="window.eoSyncUI.resolveConflict('${conflict.recordId}')">
-                            Resolve →
-                        </button>
+                        ${choice === 'custom' ? `
+                            <input type="text" class="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-white"
+                                   value="${this.escapeHtml(value === undefined ? this.formatConflictInput(eoValue) : this.formatConflictInput(value))}"
+                                   onchange="window.eoSyncUI.setConflictValue(${fieldArg}, this.value)">
+                        ` : ''}
                     </div>
-                `).join('');
-            }
-        }
+                `;
+            }).join('')}
+            <div class="flex gap-3 text-sm">
+                <button class="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700" onclick="window.eoSyncUI.applyConflictResolution()">Apply</button>
+                <button class="text-gray-600 hover:text-gray-700 dark:text-gray-400" onclick="window.eoSyncUI.closeConflict()">Cancel</button>
+            </div>
+        `;
     }
 
     /**
-     * Update rewind panel
+     * Update rewind panel: a scrubber with one tick per activity of the record (colored by
+     * action, striped by user), and the record at the scrubbed tick (see renderRewindPreview)
      */
     updateRewindPanel() {
-        // Placeholder - would show timeline and rewind controls
         const timelineEl = document.getElementById('rewind-timeline');
+        if (!timelineEl) return;
+
+        const ticks = this.state.rewindTimeline;
 
-        if (timelineEl) {
+        if (!this.state.rewindEntity || ticks.length === 0) {
             timelineEl.innerHTML = `
                 <div class="text-sm text-gray-500 text-center py-4">
-                    Select an entity to view its history
+                    ${this.state.rewindEntity
+                        ? `No history for ${this.escapeHtml(this.state.rewindEntity)}`
+                        : 'Select an entity to view its history'}
                 </div>
             `;
+            this.renderRewindPreview();
+            return;
+        }
+
+        const actionColors = {
+            create: 'bg-green-500',
+            update: 'bg-blue-500',
+            delete: 'bg-red-500',
+            rewind: 'bg-purple-500',
+            branch_merge: 'bg-purple-500',
+            conflict_resolved: 'bg-yellow-500',
+            schema_migration: 'bg-gray-400'
+        };
+        const users = new Map(ticks.map(entry => [entry.user?.id ?? null, entry.user]));
+        const last = ticks.length - 1;
+
+        timelineEl.innerHTML = `
+            <div class="outline-none" tabindex="0" onkeydown="window.eoSyncUI.handleRewindKey(event)">
+                <div class="relative h-8 mx-2">
+                    <div class="absolute left-0 right-0 top-3 h-px bg-gray-300 dark:bg-gray-600"></div>
+                    ${ticks.map((entry, index) => `
+                        <div class="absolute top-0 w-2 -ml-1 cursor-pointer" style="left: ${last === 0 ? 50 : (index / last) * 100}%"
+                             title="${this.escapeHtml(`${new Date(entry.timestamp).toLocaleString()} · ${entry.action} · ${entry.user?.name || entry.user?.id || 'unknown user'}`)}"
+                             onclick="window.eoSyncUI.scrubRewind(${index})">
+                            <div id="rewind-tick-${index}" class="h-5 rounded-sm ${actionColors[entry.action] || 'bg-gray-500'} ${index === this.state.rewindPosition ? 'ring-2 ring-offset-1 ring-blue-400' : ''}"></div>
+                            <div class="h-1 mt-0.5 rounded-sm" style="background-color: ${this.userColor(entry.user?.id)}"></div>
+                        </div>
+                    `).join('')}
+                </div>
+                <input id="rewind-scrubber" type="range" class="w-full" min="0" max="${last}" step="1" value="${this.state.rewindPosition ?? last}"
+                       oninput="window.eoSyncUI.scrubRewind(Number(this.value))">
+                <div class="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+                    <span>${this.formatTime(ticks[0].timestamp)}</span>
+                    <span>← → step · Enter restores the record · Esc back to now</span>
+                    <span>${this.formatTime(ticks[last].timestamp)}</span>
+                </div>
+            </div>
+            <div class="flex flex-wrap gap-2 text-xs text-gray-600 dark:text-gray-400">
+                ${[...users.entries()].map(([id, user]) => `
+                    <span class="flex items-center gap-1">
+                        <span class="inline-block w-2 h-2 rounded-full" style="background-color: ${this.userColor(id)}"></span>
+                        ${this.escapeHtml(user?.name || id || 'unknown user')}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+
+        this.renderRewindPreview();
+    }
+
+    /**
+     * Record grid at the scrubbed tick side by side with now: changed fields are highlighted
+     * and can be restored one at a time
+     */
+    renderRewindPreview() {
+        const previewEl = document.getElementById('rewind-preview');
+        if (!previewEl) return;
+
+        const entry = this.state.rewindTimeline[this.state.rewindPosition];
+        if (!this.state.rewindEntity || !entry) {
+            previewEl.innerHTML = '';
+            return;
+        }
+
+        const preview = this.state.rewindPreview;
+        const header = `
+            <div class="text-xs text-gray-600 dark:text-gray-400">
+                <span class="font-medium text-gray-900 dark:text-white">${new Date(entry.timestamp).toLocaleString()}</span>
+                · ${this.formatAction(entry.action)} by ${this.escapeHtml(entry.user?.name || entry.user?.id || 'unknown user')}
+            </div>
+        `;
+
+        if (!preview || preview.timestamp !== entry.timestamp) {
+            previewEl.innerHTML = `${header}<div class="text-sm text-gray-500 text-center py-4">${preview === false ? 'Deleted at this point' : 'Loading…'}</div>`;
+            return;
+        }
+
+        // Then in the current schema, so renamed fields line up with now
+        const then = preview.schema?.data || preview.data;
+        const now = this.state.rewindCurrent || {};
+        const changed = new Set(this.rewindEngine.findDifferences(then, now).map(difference => difference.field));
+        const fields = [...new Set([...Object.keys(then), ...Object.keys(now)])];
+        const isLatest = this.state.rewindPosition === this.state.rewindTimeline.length - 1;
+
+        previewEl.innerHTML = `
+            ${header}
+            ${(preview.schema?.warnings || []).map(warning => `
+                <div class="text-xs text-yellow-700 dark:text-yellow-400">⚠️ ${this.escapeHtml(warning.description)}</div>
+            `).join('')}
+            <div class="border border-gray-200 dark:border-gray-700 rounded-md text-xs">
+                <div class="grid grid-cols-12 gap-2 px-2 py-1 font-medium text-gray-700 dark:text-gray-300 border-b border-gray-200 dark:border-gray-700">
+                    <span class="col-span-3">Field</span>
+                    <span class="col-span-4">Then</span>
+                    <span class="col-span-4">Now</span>
+                    <span class="col-span-1"></span>
+                </div>
+                ${fields.map(field => `
+                    <div class="grid grid-cols-12 gap-2 px-2 py-1 ${changed.has(field) ? 'bg-yellow-50 dark:bg-yellow-900/20' : ''}">
+                        <span class="col-span-3 text-gray-900 dark:text-white truncate" title="${this.escapeHtml(field)}">${this.escapeHtml(field)}</span>
+                        <span class="col-span-4 text-gray-900 dark:text-white break-words">${this.formatPlanValue(then[field])}</span>
+                        <span class="col-span-4 text-gray-600 dark:text-gray-400 break-words">${this.formatPlanValue(now[field])}</span>
+                        <span class="col-span-1 text-right">
+                            ${changed.has(field) && this.state.rewindCurrent ? `
+                                <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400" title="Restore this value"
+                                        onclick="window.eoSyncUI.restoreRewindField(${this.escapeHtml(JSON.stringify(field))})">↺</button>
+                            ` : ''}
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+            ${isLatest ? '' : `
+                <div class="flex gap-3 text-sm">
+                    <button class="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700" onclick="window.eoSyncUI.restoreRewindVersion()">Restore this version</button>
+                    <button class="text-gray-600 hover:text-gray-700 dark:text-gray-400" onclick="window.eoSyncUI.scrubRewind(${this.state.rewindTimeline.length - 1})">Back to now</button>
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Open a record on the rewind timeline, scrubbed to its latest state
+     */
+    async showRewind(entityId) {
+        if (!entityId || !this.rewindEngine) return;
+
+        this.state.rewindEntity = entityId;
+        this.state.rewindPreview = null;
+
+        try {
+            await this.loadRewindTimeline();
+        } catch (error) {
+            console.error('Loading the rewind timeline failed:', error);
+            this.state.rewindTimeline = [];
+        }
+
+        this.state.rewindPosition = this.state.rewindTimeline.length > 0 ? this.state.rewindTimeline.length - 1 : null;
+
+        const input = document.getElementById('rewind-entity');
+        if (input) input.value = entityId;
+
+        this.showPanel('rewind');
+
+        if (this.state.rewindPosition !== null) {
+            await this.scrubRewind(this.state.rewindPosition);
+        }
+    }
+
+    /**
+     * Load the timeline of the record on the rewind panel, and its current state for the diff
+     */
+    async loadRewindTimeline() {
+        const entityId = this.state.rewindEntity;
+
+        this.rewindEngine.clearCache();
+        this.state.rewindTimeline = (await this.rewindEngine.getTimeline(entityId)).slice().reverse();
+
+        try {
+            this.state.rewindCurrent = (await this.rewindEngine.getRewindTarget(entityId, new Date().toISOString())).snapshot;
+        } catch (error) {
+            this.state.rewindCurrent = null; // Deleted: nothing to restore single fields into
+        }
+    }
+
+    /**
+     * Move the scrubber to a tick and preview the record there (previews are cached by the
+     * rewind engine, so dragging back and forth is cheap)
+     */
+    async scrubRewind(index) {
+        const entry = this.state.rewindTimeline[index];
+        if (!entry) return;
+
+        const previous = this.state.rewindPosition;
+        this.state.rewindPosition = index;
+
+        const scrubber = document.getElementById('rewind-scrubber');
+        if (scrubber && Number(scrubber.value) !== index) {
+            scrubber.value = index;
+        }
+
+        [previous, index].forEach(position => {
+            document.getElementById(`rewind-tick-${position}`)?.classList.toggle('ring-2', position === index);
+        });
+
+        if (previous === index && this.state.rewindPreview?.timestamp === entry.timestamp) {
+            return;
         }
+
+        const request = ++this.state.rewindRequest;
+        this.state.rewindPreview = null;
+        this.renderRewindPreview();
+
+        try {
+            const preview = await this.rewindEngine.previewAtTime(this.state.rewindEntity, entry.timestamp);
+
+            if (request !== this.state.rewindRequest) return;
+
+            this.state.rewindPreview = preview || false; // false: the record did not exist then
+            this.renderRewindPreview();
+        } catch (error) {
+            console.error('Preview failed:', error);
+        }
+    }
+
+    /**
+     * Keyboard stepping on the scrubber: ← / → step through the rewind engine
+     * (previews only), Enter restores the whole record, Esc returns to now
+     */
+    handleRewindKey(event) {
+        const keys = {
+            ArrowLeft: () => this.stepRewind('backward'),
+            ArrowRight: () => this.stepRewind('forward'),
+            Enter: () => this.restoreRewindVersion(),
+            Escape: () => this.scrubRewind(this.state.rewindTimeline.length - 1)
+        };
+
+        if (!keys[event.key]) return;
+
+        event.preventDefault();
+        keys[event.key]();
+    }
+
+    /**
+     * Step to the previous or next state with stepBackward / stepForward from the scrubbed tick
+     */
+    async stepRewind(direction) {
+        const entry = this.state.rewindTimeline[this.state.rewindPosition];
+        if (!entry) return;
+
+        try {
+            const step = direction === 'backward'
+                ? await this.rewindEngine.stepBackward(this.state.rewindEntity, { from: entry.timestamp, preview: true })
+                : await this.rewindEngine.stepForward(this.state.rewindEntity, { from: entry.timestamp, preview: true });
+
+            if (!step) return;
+
+            // The scrubber shows the step; the engine's own preview is not kept
+            this.rewindEngine.cancelPreview();
+
+            const index = this.state.rewindTimeline.findIndex(e => e.timestamp === step.targetState.timestamp);
+            if (index !== -1) {
+                await this.scrubRewind(index);
+            }
+        } catch (error) {
+            console.error('Stepping failed:', error);
+        }
+    }
+
+    /**
+     * Restore one field of the record to its value at the scrubbed tick
+     */
+    async restoreRewindField(field) {
+        const entry = this.state.rewindTimeline[this.state.rewindPosition];
+        if (!entry) return;
+
+        try {
+            await this.rewindEngine.restoreField(this.state.rewindEntity, field, entry.timestamp); // rewindComplete refreshes the panel
+        } catch (error) {
+            console.error('Restoring field failed:', error);
+            alert(`Restoring ${field} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore the whole record to the scrubbed tick
+     */
+    async restoreRewindVersion() {
+        const entry = this.state.rewindTimeline[this.state.rewindPosition];
+        if (!entry || this.state.rewindPosition === this.state.rewindTimeline.length - 1) return;
+
+        if (!confirm(`Restore ${this.state.rewindEntity} to ${new Date(entry.timestamp).toLocaleString()}?`)) return;
+
+        try {
+            await this.rewindEngine.rewindTo(this.state.rewindEntity, entry.timestamp, { validate: true });
+        } catch (error) {
+            console.error('Rewind failed:', error);
+            alert(`Rewind failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reload the rewind panel's record after it changed, keeping the scrubbed tick
+     */
+    async refreshRewind() {
+        const entry = this.state.rewindTimeline[this.state.rewindPosition];
+
+        await this.loadRewindTimeline();
+
+        const index = entry ? this.state.rewindTimeline.findIndex(e => e.timestamp === entry.timestamp) : -1;
+        this.state.rewindPosition = index !== -1 ? index : this.state.rewindTimeline.length - 1;
+        this.state.rewindPreview = null;
+
+        this.updateRewindPanel();
+        await this.scrubRewind(this.state.rewindPosition);
     }
 
     /**
@@ -478,7 +1613,9 @@ class SyncUI {
      */
     async handleManualSync() {
         try {
-            await this.syncEngine.performFullSync();
+            for (const profile of this.profiles) {
+                await profile.syncEngine.performFullSync();
+            }
             this.updatePanel(this.state.activePanel);
         } catch (error) {
             console.error('Manual sync failed:', error);
@@ -487,17 +1624,85 @@ class SyncUI {
     }
 
     /**
-     * Resolve conflict
+     * Open the resolution view of a held conflict
      */
     resolveConflict(recordId) {
-        // Placeholder - would show conflict resolution UI
-        console.log(`Resolving conflict for ${recordId}`);
+        this.state.selectedConflict = recordId;
+        this.state.conflictChoices = {};
+        this.showPanel('conflicts');
+    }
+
+    /**
+     * Pick how a conflicting field is resolved
+     */
+    setConflictChoice(field, choice) {
+        this.state.conflictChoices[field] = { ...this.state.conflictChoices[field], choice };
+        this.updateConflictPanel();
+    }
+
+    /**
+     * Hand-edited value of a conflicting field (parsed like the field's current values)
+     */
+    setConflictValue(field, text) {
+        const conflict = this.syncEngine.getHeldConflicts().find(c => c.recordId === this.state.selectedConflict);
+        const sample = conflict?.fields.find(f => f.field === field);
+
+        this.state.conflictChoices[field] = {
+            choice: 'custom',
+            value: this.parseConflictInput(text, sample?.eoValue ?? sample?.airtableValue)
+        };
+    }
+
+    /**
+     * Apply the choices for the selected conflict (or a delete_edit action)
+     */
+    async applyConflictResolution(choices = null) {
+        const recordId = this.state.selectedConflict;
+        const conflict = this.syncEngine.getHeldConflicts().find(c => c.recordId === recordId);
+        if (!conflict) return;
+
+        // Edit fields that were never changed start from the EO value
+        const fieldChoices = { ...this.state.conflictChoices };
+        for (const { field, eoValue } of conflict.fields) {
+            if (fieldChoices[field]?.choice === 'custom' && !('value' in fieldChoices[field])) {
+                fieldChoices[field] = { choice: 'custom', value: eoValue };
+            }
+        }
+
+        try {
+            await this.syncEngine.resolveHeldConflict(recordId, choices || fieldChoices);
+            this.closeConflict();
+        } catch (error) {
+            console.error('Resolving conflict failed:', error);
+            alert(`Resolving conflict failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Leave the resolution view
+     */
+    closeConflict() {
+        this.state.selectedConflict = null;
+        this.state.conflictChoices = {};
+        this.updateConflictPanel();
     }
 
     /**
      * Setup event listeners
      */
     setupEventListeners() {
+        // Other profiles' engines only feed the status panel
+        this.profiles
+            .filter(profile => profile.syncEngine !== this.syncEngine)
+            .forEach(profile => profile.syncEngine.on('syncComplete', () => this.updateStatusPanel()));
+
+        // Every profile records its own sync history
+        this.profiles.forEach(profile => profile.syncEngine.on('sessionRecorded', () => {
+            if (this.state.activePanel === 'history') {
+                this.updateHistoryPanel();
+            }
+        }));
+
         // Listen for sync events
         this.syncEngine.on('syncStart', () => {
             this.updateStatusPanel();
@@ -512,6 +1717,40 @@ class SyncUI {
             this.updateConflictPanel();
         });
 
+        this.syncEngine.on('conflictResolved', () => {
+            this.updateConflictPanel();
+            this.updateStatusPanel();
+        });
+
+        this.syncEngine.on('schemaChanged', () => {
+            this.updateStatusPanel();
+        });
+
+        this.syncEngine.on('schemaMigrated', () => {
+            this.updateStatusPanel();
+        });
+
+        this.syncEngine.on('planReady', () => {
+            this.updatePlanPanel();
+        });
+
+        this.syncEngine.on('planApplied', () => {
+            this.updatePlanPanel();
+            this.updateStatusPanel();
+        });
+
+        // The record on the rewind timeline changed
+        if (this.rewindEngine) {
+            this.rewindEngine.on('rewindComplete', (event) => {
+                const changed = event.entityId === this.state.rewindEntity
+                    || event.result?.entities?.some(entity => entity.entityId === this.state.rewindEntity);
+
+                if (changed && this.state.activePanel === 'rewind') {
+                    this.refreshRewind();
+                }
+            });
+        }
+
         // Listen for change tracker events
         if (this.changeTracker) {
             this.changeTracker.on('change', () => {
@@ -645,6 +1884,97 @@ class SyncUI {
         return date.toLocaleDateString();
     }
 
+    /**
+     * Helper: Format an upcoming timestamp
+     */
+    formatUntil(timestamp) {
+        const date = new Date(timestamp);
+        const diff = date - new Date();
+
+        if (diff < 60000) return 'now';
+        if (diff < 3600000) return `in ${Math.ceil(diff / 60000)}m`;
+        if (diff < 86400000) return `at ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        return date.toLocaleDateString();
+    }
+
+    /**
+     * Helper: Format a duration in milliseconds
+     */
+    formatDuration(ms) {
+        if (ms < 1000) return `${ms}ms`;
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+        return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+    }
+
+    /**
+     * Helper: Format a planned field value
+     */
+    formatPlanValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '<em>empty</em>';
+        }
+
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return this.escapeHtml(text.length > 40 ? `${text.slice(0, 40)}…` : text);
+    }
+
+    /**
+     * Helper: Value as text for a conflict edit box
+     */
+    formatConflictInput(value) {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Helper: Parse a conflict edit box like the field's current value (number, boolean, JSON or text)
+     */
+    parseConflictInput(text, sample) {
+        if (text === '') return null;
+
+        if (typeof sample === 'number' && text.trim() !== '' && Number.isFinite(Number(text))) {
+            return Number(text);
+        }
+        if (typeof sample === 'boolean') {
+            return text.trim().toLowerCase() === 'true';
+        }
+        if (sample !== null && typeof sample === 'object') {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Helper: Stable color for a user (hue from a hash of the id)
+     */
+    userColor(userId) {
+        if (userId === null || userId === undefined) return 'hsl(0, 0%, 60%)';
+
+        let hash = 0;
+        for (const char of String(userId)) {
+            hash = (hash * 31 + char.charCodeAt(0)) | 0;
+        }
+
+        return `hsl(${Math.abs(hash) % 360}, 65%, 50%)`;
+    }
+
+    /**
+     * Helper: Escape text for HTML templates
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Helper: Format action
      */
@@ -654,7 +1984,9 @@ class SyncUI {
             update: '✏️ Updated',
             delete: '🗑️ Deleted',
             sync: '🔄 Synced',
-            rewind: '⏪ Rewound'
+            rewind: '⏪ Rewound',
+            branch_merge: '🔀 Merged',
+            conflict_resolved: '⚖️ Conflict resolved'
         };
 
         return actionMap[action] || action;
@@ -5,6 +5,7 @@
  * - View management (switcher, editor)
  * - View reification (save, save as, from focus)
  * - Structural operations (dedupe, merge, split, harmonize)
+ * - Undo/redo with a labelled history and keyboard shortcuts
  * - Zero-input search/discovery surface
  *
  * These components integrate with the existing EO Activibase UI.
@@ -272,8 +273,23 @@ function showSaveViewAsDialog(state, viewId) {
  * Render structural operations toolbar
  */
 function renderStructuralOperationsToolbar(state) {
+    const history = state.changeTracker?.getUndoHistory();
+    const nextUndo = history?.undo[0];
+    const nextRedo = history?.redo[0];
+
     return `
         <div class="structural-ops-toolbar">
+            <button class="btn-structural-op" data-op="undo" ${nextUndo ? '' : 'disabled'}
+                title="${nextUndo ? `Undo ${escapeHtml(nextUndo.label)}` : 'Nothing to undo'} (Ctrl+Z)">
+                <span class="icon">↶</span> Undo
+            </button>
+            <button class="btn-structural-op" data-op="redo" ${nextRedo ? '' : 'disabled'}
+                title="${nextRedo ? `Redo ${escapeHtml(nextRedo.label)}` : 'Nothing to redo'} (Ctrl+Shift+Z)">
+                <span class="icon">↷</span> Redo
+            </button>
+            <button class="btn-structural-op" data-op="history" title="Undo history" ${history ? '' : 'disabled'}>
+                <span class="icon">🕘</span> History
+            </button>
             <button class="btn-structural-op" data-op="dedupe" title="Find and merge duplicates">
                 <span class="icon">🔍</span> Dedupe
             </button>
@@ -352,7 +368,7 @@ function showDedupeDialog(state, setId) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-find-dupes').addEventListener('click', () => {
+    dialog.querySelector('#btn-find-dupes').addEventListener('click', async () => {
         const keyFieldIds = Array.from(dialog.querySelectorAll('input[name="keyField"]:checked'))
             .map(cb => cb.value);
 
@@ -377,17 +393,20 @@ function showDedupeDialog(state, setId) {
             return;
         }
 
-        // Create operation and view
-        const operation = createOperation(state, {
-            kind: 'dedupe',
-            setId,
-            viewId: state.currentViewId,
-            parameters: { keyFieldIds, algorithm, threshold },
-            status: 'applied'
-        });
+        // Create operation and view (one undo step)
+        const resultView = await recordWorkbenchTransaction(state, 'Find duplicates', [setId], () => {
+            const operation = createOperation(state, {
+                kind: 'dedupe',
+                setId,
+                viewId: state.currentViewId,
+                parameters: { keyFieldIds, algorithm, threshold },
+                status: 'applied'
+            });
 
-        const resultView = createDedupeCandidatesView(state, setId, clusters, operation.id);
-        updateOperation(state, operation.id, { resultViewId: resultView.id });
+            const view = createDedupeCandidatesView(state, setId, clusters, operation.id);
+            updateOperation(state, operation.id, { resultViewId: view.id });
+            return view;
+        });
 
         state.currentViewId = resultView.id;
         dialog.remove();
@@ -443,7 +462,7 @@ function showMergeRecordsDialog(state, setId, recordIds) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-execute-merge').addEventListener('click', () => {
+    dialog.querySelector('#btn-execute-merge').addEventListener('click', async () => {
         // Collect strategy selections
         const strategyMap = {};
         schema.forEach(field => {
@@ -453,8 +472,9 @@ function showMergeRecordsDialog(state, setId, recordIds) {
             }
         });
 
-        // Execute merge
-        const result = executeMergeOperation(state, setId, recordIds, strategyMap);
+        // Execute merge (one undo step)
+        const result = await recordWorkbenchTransaction(state, `Merge ${recordIds.length} records`, [setId],
+            () => executeMergeOperation(state, setId, recordIds, strategyMap));
         if (!result) {
             alert('Merge failed');
             return;
@@ -582,7 +602,7 @@ function showSplitRecordDialog(state, setId, recordId) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-execute-split').addEventListener('click', () => {
+    dialog.querySelector('#btn-execute-split').addEventListener('click', async () => {
         const count = parseInt(countInput.value);
         const schema = set.schema || [];
         const newRecordsData = [];
@@ -598,7 +618,8 @@ function showSplitRecordDialog(state, setId, recordId) {
             newRecordsData.push(data);
         }
 
-        const result = executeSplitOperation(state, setId, recordId, newRecordsData);
+        const result = await recordWorkbenchTransaction(state, `Split record into ${count}`, [setId],
+            () => executeSplitOperation(state, setId, recordId, newRecordsData));
         if (!result) {
             alert('Split failed');
             return;
@@ -668,7 +689,7 @@ function showHarmonizeFieldsDialog(state, setId) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-execute-harmonize').addEventListener('click', () => {
+    dialog.querySelector('#btn-execute-harmonize').addEventListener('click', async () => {
         const fieldIds = Array.from(dialog.querySelectorAll('input[name="harmonizeField"]:checked'))
             .map(cb => cb.value);
 
@@ -691,7 +712,8 @@ function showHarmonizeFieldsDialog(state, setId) {
             type: 'text'
         };
 
-        const result = executeMergeFieldsOperation(state, setId, fieldIds, canonicalField, { strategy });
+        const result = await recordWorkbenchTransaction(state, `Harmonize ${fieldIds.length} fields into ${canonicalName}`, [setId],
+            () => executeMergeFieldsOperation(state, setId, fieldIds, canonicalField, { strategy }));
         if (!result) {
             alert('Harmonization failed');
             return;
@@ -708,6 +730,228 @@ function showHarmonizeFieldsDialog(state, setId) {
     });
 }
 
+// ============================================================================
+// UNDO / REDO UI
+// ============================================================================
+
+/**
+ * Bind Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y (redo) to the workbench history.
+ * Text inputs keep their native undo. Returns a function that removes the binding.
+ */
+function bindWorkbenchUndoShortcuts(state) {
+    const keydownHandler = (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undoWorkbenchChange(state);
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            redoWorkbenchChange(state);
+        }
+    };
+
+    document.addEventListener('keydown', keydownHandler);
+
+    return () => document.removeEventListener('keydown', keydownHandler);
+}
+
+/**
+ * Dispatch clicks on toolbar buttons with a data-op (see renderStructuralOperationsToolbar),
+ * and keep the Undo/Redo buttons in step with the history. Returns a function that removes the binding.
+ */
+function bindStructuralOperationsToolbar(state) {
+    const clickHandler = (event) => {
+        const button = event.target.closest?.('.btn-structural-op[data-op]');
+        if (!button || button.disabled) return;
+
+        runStructuralOperation(state, button.dataset.op, button);
+    };
+    let bound = true;
+
+    document.addEventListener('click', clickHandler);
+    state.changeTracker?.on('history', () => {
+        if (bound) updateWorkbenchHistoryButtons(state);
+    });
+    updateWorkbenchHistoryButtons(state);
+
+    return () => {
+        bound = false;
+        document.removeEventListener('click', clickHandler);
+    };
+}
+
+/**
+ * Run a toolbar operation on the current set
+ */
+function runStructuralOperation(state, operation, button) {
+    const setId = state.currentSetId;
+
+    switch (operation) {
+        case 'undo':
+            return undoWorkbenchChange(state);
+        case 'redo':
+            return redoWorkbenchChange(state);
+        case 'history':
+            return showUndoHistoryMenu(state, button);
+        case 'dedupe':
+            return setId && showDedupeDialog(state, setId);
+        case 'merge': {
+            const selectedIds = Array.from(state.selectedRecordIds || []);
+            if (selectedIds.length < 2) {
+                showToast('Select at least 2 records to merge');
+                return;
+            }
+            return setId && showMergeRecordsDialog(state, setId, selectedIds);
+        }
+        case 'split':
+            if (!state.lastSelectedRecordId) {
+                showToast('Select a record to split');
+                return;
+            }
+            return setId && showSplitRecordDialog(state, setId, state.lastSelectedRecordId);
+        case 'harmonize':
+            return setId && showHarmonizeFieldsDialog(state, setId);
+    }
+}
+
+/**
+ * Refresh rendered Undo/Redo/History buttons: enabled state and the label of the next step
+ */
+function updateWorkbenchHistoryButtons(state) {
+    const history = state.changeTracker?.getUndoHistory();
+    const shortcuts = { undo: 'Ctrl+Z', redo: 'Ctrl+Shift+Z' };
+
+    document.querySelectorAll('.btn-structural-op[data-op]').forEach(button => {
+        const operation = button.dataset.op;
+
+        if (operation === 'history') {
+            button.disabled = !history;
+        } else if (shortcuts[operation]) {
+            const next = history?.[operation][0];
+            button.disabled = !next;
+            button.title = `${next ? `${capitalize(operation)} ${next.label}` : `Nothing to ${operation}`} (${shortcuts[operation]})`;
+        }
+    });
+}
+
+/**
+ * Undo the last workbench action(s)
+ */
+function undoWorkbenchChange(state, steps = 1) {
+    return replayWorkbenchHistory(state, 'undo', steps);
+}
+
+/**
+ * Redo the last undone workbench action(s)
+ */
+function redoWorkbenchChange(state, steps = 1) {
+    return replayWorkbenchHistory(state, 'redo', steps);
+}
+
+/**
+ * Undo/redo through the change tracker, then refresh the current set and view
+ */
+async function replayWorkbenchHistory(state, direction, steps) {
+    const tracker = state.changeTracker;
+    if (!tracker) return [];
+
+    const entries = [];
+    try {
+        for (let i = 0; i < steps; i++) {
+            const entry = await tracker[direction]();
+            if (!entry) break;
+            entries.push(entry);
+        }
+    } catch (error) {
+        console.error(`Workbench ${direction} failed:`, error);
+        showToast(`Could not ${direction}: ${error.message}`);
+    }
+
+    if (entries.length === 0) {
+        if (!tracker.replaying) {
+            showToast(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo');
+        }
+        return entries;
+    }
+
+    // The current set or view may have been removed (views live in state.views or in set.views)
+    if (state.currentSetId && !state.sets.has(state.currentSetId)) {
+        state.currentSetId = state.sets.keys().next().value || null;
+    }
+    const currentViewExists = state.views?.has(state.currentViewId) ||
+        state.sets.get(state.currentSetId)?.views?.has(state.currentViewId);
+    if (state.currentViewId && !currentViewExists) {
+        state.currentViewId = null;
+    }
+    if (window.switchSet && state.currentSetId) {
+        window.switchSet(state.currentSetId, state.currentViewId);
+    }
+
+    const verb = direction === 'undo' ? 'Undid' : 'Redid';
+    showToast(entries.length === 1 ? `${verb}: ${entries[0].label}` : `${verb} ${entries.length} actions`);
+
+    return entries;
+}
+
+/**
+ * Show the labelled undo history; choosing an entry undoes (or redoes) up to it
+ */
+function showUndoHistoryMenu(state, buttonElement) {
+    const tracker = state.changeTracker;
+    if (!tracker) return;
+
+    const history = tracker.getUndoHistory();
+    const renderEntry = (entry, direction, steps) => `
+        <div class="menu-item context-menu-item ${direction === 'redo' ? 'undone' : ''}" data-direction="${direction}" data-steps="${steps}"
+            title="${entry.changeCount} change${entry.changeCount === 1 ? '' : 's'} · ${new Date(entry.timestamp).toLocaleString()}">
+            <span class="icon">${direction === 'undo' ? '↶' : '↷'}</span> ${escapeHtml(entry.label)}
+        </div>
+    `;
+
+    const menu = document.createElement('div');
+    menu.className = 'context-menu undo-history-menu';
+    menu.innerHTML = history.undo.length === 0 && history.redo.length === 0
+        ? '<div class="menu-item context-menu-item disabled">No history yet</div>'
+        : [
+            ...history.redo.map((entry, i) => renderEntry(entry, 'redo', i + 1)).reverse(),
+            '<div class="menu-separator context-menu-separator"></div>',
+            ...history.undo.map((entry, i) => renderEntry(entry, 'undo', i + 1))
+        ].join('');
+
+    // Position near button
+    const rect = buttonElement.getBoundingClientRect();
+    menu.style.position = 'fixed';
+    menu.style.top = `${rect.bottom + 5}px`;
+    menu.style.left = `${rect.left}px`;
+
+    document.body.appendChild(menu);
+
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-direction]');
+        if (!item) return;
+
+        menu.remove();
+        replayWorkbenchHistory(state, item.dataset.direction, parseInt(item.dataset.steps));
+    });
+
+    // Close on click outside
+    setTimeout(() => {
+        document.addEventListener('click', function closeMenu(e) {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        });
+    }, 0);
+}
+
 // ============================================================================
 // ZERO-INPUT SEARCH UI
 // ============================================================================
@@ -931,6 +1175,13 @@ if (typeof module !== 'undefined' && module.exports) {
         showMergeRecordsDialog,
         showSplitRecordDialog,
         showHarmonizeFieldsDialog,
+        bindWorkbenchUndoShortcuts,
+        bindStructuralOperationsToolbar,
+        runStructuralOperation,
+        updateWorkbenchHistoryButtons,
+        undoWorkbenchChange,
+        redoWorkbenchChange,
+        showUndoHistoryMenu,
         renderEnhancedSearchModal,
         handleSearchInput
     };
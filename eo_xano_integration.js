@@ -6,12 +6,15 @@
  * - History retrieval (GET operations)
  * - Change tracking and audit trail
  * - Rewind/rollback functionality
+ * - Durable outbox with retry/backoff and a dead-letter list
+ * - Tamper-evident hash chain with signed checkpoints (eo_activity_chain.js)
  */
 
 class XanoIntegration {
     constructor(config = {}) {
         this.baseUrl = config.baseUrl || null; // e.g., 'https://x8ki-letl-twmt.n7.xano.io/api:xxxxx'
         this.authToken = config.authToken || null;
+        this.fetch = config.fetch || null; // Optional fetch implementation (e.g. MockXanoServer)
 
         // Activity endpoints with clear PUT/GET separation
         this.endpoints = {
@@ -27,11 +30,43 @@ class XanoIntegration {
         this.activityCache = [];
         this.maxCacheSize = 1000;
 
+        // Incremental history loads re-read this much before the last receipt time (ms)
+        this.historyOverlap = config.historyOverlap ?? 60000;
+
         // Pending activities queue (for batch operations)
+        // Entries are outbox envelopes: { activity, attempts, nextAttemptAt, lastError, enqueuedAt }
         this.pendingQueue = [];
         this.batchInterval = null;
         this.batchSize = 10;
         this.batchIntervalMs = 5000; // 5 seconds
+
+        // Durable outbox (persisted through a storage adapter from eo_change_store.js)
+        this.outbox = {
+            storage: config.outboxStorage || null,
+            maxAttempts: config.maxAttempts || 8,
+            baseDelay: config.retryBaseDelay || 1000, // 1 second
+            maxDelay: config.retryMaxDelay || 300000, // 5 minutes
+            deadLetters: [], // envelopes that exhausted maxAttempts
+            deliveredIds: new Set(), // recently delivered activity_ids (replay guard)
+            maxDeliveredIds: 5000
+        };
+
+        // Hash chain sealing every logged activity (tamper evidence); `chain: null` disables it.
+        // Without Web Crypto (e.g. on a non-HTTPS origin) activities are logged unsealed.
+        const chainAvailable = typeof ActivityChain !== 'undefined' && ActivityChain.isSupported();
+        if (config.chain === undefined && typeof ActivityChain !== 'undefined' && !chainAvailable) {
+            console.warn('⚠️ Web Crypto is unavailable; activities are logged without the hash chain');
+        }
+        this.chain = config.chain !== undefined ? config.chain : (chainAvailable
+            ? new ActivityChain({
+                storage: config.chainStorage || null,
+                secret: config.chainSecret || null,
+                checkpointInterval: config.checkpointInterval
+            })
+            : null);
+
+        // Sealing is async: activities are sealed and queued one at a time, in call order
+        this.sealing = Promise.resolve();
     }
 
     /**
@@ -42,6 +77,10 @@ class XanoIntegration {
             throw new Error('Xano base URL is required');
         }
 
+        // Restore the chain head and undelivered activities before anything can fail
+        await this.chain?.restore();
+        await this.restoreOutbox();
+
         try {
             // Test connection
             const testResponse = await this.apiRequest(this.endpoints.getHistory, {
@@ -67,7 +106,12 @@ class XanoIntegration {
      * Log activity to Xano (PUT operation)
      */
     async logActivity(activity) {
-        const activityRecord = this.normalizeActivity(activity);
+        const normalized = this.normalizeActivity(activity);
+        const activityRecord = await this.inSealOrder(async () => {
+            const sealed = await this.sealActivity(normalized);
+            await this.checkpointIfDue();
+            return sealed;
+        });
 
         try {
             const response = await this.apiRequest(this.endpoints.logActivity, {
@@ -77,6 +121,7 @@ class XanoIntegration {
 
             // Add to local cache
             this.addToCache(activityRecord);
+            this.markDelivered([activityRecord]);
 
             console.log(`✓ Logged activity: ${activity.action} by ${activity.user?.name || 'system'}`);
 
@@ -84,8 +129,11 @@ class XanoIntegration {
         } catch (error) {
             console.error('Failed to log activity to Xano:', error);
 
-            // Add to pending queue for retry
-            this.pendingQueue.push(activityRecord);
+            // Add to durable outbox for retry
+            const envelope = this.enqueue(activityRecord);
+            if (envelope) {
+                this.recordFailure(envelope, error);
+            }
 
             throw error;
         }
@@ -94,13 +142,107 @@ class XanoIntegration {
     /**
      * Queue activity for batch logging (more efficient for multiple changes)
      */
-    queueActivity(activity) {
-        const activityRecord = this.normalizeActivity(activity);
-        this.pendingQueue.push(activityRecord);
+    async queueActivity(activity) {
+        const normalized = this.normalizeActivity(activity);
+
+        await this.inSealOrder(async () => {
+            this.enqueue(await this.sealActivity(normalized));
+            await this.checkpointIfDue();
+        });
 
         console.log(`Queued activity: ${activity.action} (queue size: ${this.pendingQueue.length})`);
     }
 
+    /**
+     * Add normalized activity to the outbox.
+     * Idempotent by activity_id: already queued or delivered activities are ignored.
+     */
+    enqueue(activityRecord) {
+        const activityId = activityRecord.activity_id;
+
+        if (this.isDuplicateActivity(activityId)) {
+            console.log(`Skipping duplicate activity: ${activityId}`);
+            return null;
+        }
+
+        const envelope = {
+            activity: activityRecord,
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            enqueuedAt: new Date().toISOString()
+        };
+
+        this.pendingQueue.push(envelope);
+        this.persistOutbox('put', 'outbox', activityId, envelope);
+
+        return envelope;
+    }
+
+    /**
+     * Check if an activity is already queued or was recently delivered
+     */
+    isDuplicateActivity(activityId) {
+        return this.outbox.deliveredIds.has(activityId) ||
+            this.pendingQueue.some(e => e.activity.activity_id === activityId);
+    }
+
+    /**
+     * Run a seal-and-queue step after the ones before it, so the outbox follows the chain order
+     */
+    inSealOrder(step) {
+        const run = this.sealing.then(step);
+        this.sealing = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Add the hash chain fields to a normalized activity.
+     * Duplicates are left unsealed so they do not take a sequence number.
+     */
+    async sealActivity(activityRecord) {
+        if (!this.chain || this.isDuplicateActivity(activityRecord.activity_id)) {
+            return activityRecord;
+        }
+
+        // A chain that cannot seal must not stop activity logging
+        try {
+            return await this.chain.seal(activityRecord);
+        } catch (error) {
+            console.warn(`⚠️ Could not seal activity ${activityRecord.activity_id}; logging it unsealed:`, error.message);
+            return activityRecord;
+        }
+    }
+
+    /**
+     * Queue a 'chain_checkpoint' activity when the chain is due for one.
+     * Runs inside a seal step, so the checkpoint activity directly follows the checkpointed one.
+     */
+    async checkpointIfDue() {
+        if (!this.chain?.isCheckpointDue()) {
+            return null;
+        }
+
+        let checkpoint;
+        try {
+            checkpoint = await this.chain.createCheckpoint();
+        } catch (error) {
+            console.warn('⚠️ Could not create a chain checkpoint:', error.message);
+            return null;
+        }
+
+        this.enqueue(await this.sealActivity(this.normalizeActivity({
+            action: 'chain_checkpoint',
+            entityType: 'chain',
+            entityId: checkpoint.chain_id,
+            entityName: `Checkpoint #${checkpoint.seq}`,
+            sourceSystem: 'eo',
+            metadata: { checkpoint }
+        })));
+
+        return checkpoint;
+    }
+
     /**
      * Normalize activity into consistent format
      */
@@ -170,6 +312,7 @@ class XanoIntegration {
             ...(options.userId && { user_id: options.userId }),
             ...(options.startDate && { start_date: options.startDate }),
             ...(options.endDate && { end_date: options.endDate }),
+            ...(options.receivedSince && { received_since: options.receivedSince }),
             ...(options.action && { action: options.action }),
             ...(options.limit && { limit: options.limit.toString() }),
             ...(options.offset && { offset: options.offset.toString() })
@@ -194,6 +337,99 @@ class XanoIntegration {
         }
     }
 
+    /**
+     * Load every page of the history (newest first). Pass `receivedSince` (the `receivedUntil` of an
+     * earlier load) to get only what the server received since then, less historyOverlap. This goes
+     * by the server's receipt time (`received_at`), not the activity timestamp, so activities
+     * delivered late by the outbox or a dead-letter replay are included.
+     * @param {Object} options - getHistory filters, pageSize and receivedSince
+     * @returns {Object} { items, receivedUntil } - receivedUntil is null when the server does not
+     *   report receipt times, so the next load reads everything again
+     */
+    async loadHistory(options = {}) {
+        const { pageSize = 500, receivedSince = null, ...filter } = options;
+        const since = receivedSince
+            ? new Date(new Date(receivedSince).getTime() - this.historyOverlap).toISOString()
+            : null;
+        const items = [];
+
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await this.getHistory({ ...filter, ...(since && { receivedSince: since }), limit: pageSize, offset });
+            items.push(...page.items);
+
+            if (page.items.length < pageSize || items.length >= page.total) {
+                break;
+            }
+        }
+
+        let receivedUntil = receivedSince;
+        for (const item of items) {
+            if (!item?.received_at) {
+                return { items, receivedUntil: null };
+            }
+            if (!receivedUntil || item.received_at > receivedUntil) {
+                receivedUntil = item.received_at;
+            }
+        }
+
+        return { items, receivedUntil };
+    }
+
+    /**
+     * Verify the hash chain of the stored history (every page of getHistory).
+     * Pass entityType/entityId to verify one entity's history only.
+     * Gaps that are still in the local outbox or dead-letter list are marked `undelivered`
+     * and do not fail verification.
+     */
+    async verifyHistory(options = {}) {
+        if (!this.chain) {
+            throw new Error('Activity chain is not enabled');
+        }
+
+        const pageSize = options.pageSize || 500;
+        const filter = {
+            ...(options.entityType && { entityType: options.entityType }),
+            ...(options.entityId && { entityId: options.entityId })
+        };
+        const items = [];
+
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await this.getHistory({ ...filter, limit: pageSize, offset });
+            items.push(...page.items);
+
+            if (page.items.length < pageSize || items.length >= page.total) {
+                break;
+            }
+        }
+
+        const report = await this.chain.constructor.verify(items, {
+            scope: options.entityId ? 'entity' : 'all',
+            secret: this.chain.secret,
+            checkpoints: this.chain.checkpoints
+        });
+
+        // Sequence numbers of this chain that were sealed but not delivered yet
+        const undelivered = new Set([...this.pendingQueue, ...this.outbox.deadLetters]
+            .filter(e => e.activity.chain_id === this.chain.chainId)
+            .map(e => e.activity.chain_seq));
+
+        report.breaks.forEach(problem => {
+            if (problem.type === 'missing' && problem.chainId === this.chain.chainId) {
+                const seqs = Array.from({ length: problem.toSeq - problem.fromSeq + 1 }, (_, i) => problem.fromSeq + i);
+                problem.undelivered = seqs.every(seq => undelivered.has(seq));
+            }
+        });
+
+        report.verified = report.breaks.every(problem => problem.undelivered);
+        report.verifiedAt = new Date().toISOString();
+
+        console.log(report.verified
+            ? `✓ Verified ${report.checked} chained activities`
+            : `⚠️ Activity history has ${report.breaks.length} chain break(s)`);
+
+        return report;
+    }
+
     /**
      * Get snapshot at a specific point in time
      */
@@ -315,21 +551,33 @@ class XanoIntegration {
     /**
      * Batch process pending activities
      */
-    async processBatch() {
-        if (this.pendingQueue.length === 0) {
+    async processBatch(options = {}) {
+        await this.sealing; // Activities still being sealed go out with this batch
+
+        const now = Date.now();
+        const batch = this.pendingQueue
+            .filter(e => options.force || e.nextAttemptAt <= now)
+            .slice(0, this.batchSize);
+
+        if (batch.length === 0) {
             return;
         }
 
-        const batch = this.pendingQueue.splice(0, this.batchSize);
+        const activities = batch.map(e => e.activity);
 
         try {
             const response = await this.apiRequest(this.endpoints.logActivity, {
                 method: 'PUT',
-                body: JSON.stringify({ activities: batch })
+                body: JSON.stringify({ activities })
             });
 
+            // Remove delivered envelopes from the outbox
+            this.pendingQueue = this.pendingQueue.filter(e => !batch.includes(e));
+            batch.forEach(e => this.persistOutbox('delete', 'outbox', e.activity.activity_id));
+
             // Add to cache
-            batch.forEach(activity => this.addToCache(activity));
+            activities.forEach(activity => this.addToCache(activity));
+            this.markDelivered(activities);
 
             console.log(`✓ Logged batch of ${batch.length} activities`);
 
@@ -337,13 +585,181 @@ class XanoIntegration {
         } catch (error) {
             console.error('Failed to log batch to Xano:', error);
 
-            // Re-queue failed activities
-            this.pendingQueue.unshift(...batch);
+            // Schedule retry (or dead-letter) for each failed activity
+            batch.forEach(e => this.recordFailure(e, error));
 
             throw error;
         }
     }
 
+    /**
+     * Record a failed delivery attempt: back off, or dead-letter after maxAttempts
+     */
+    recordFailure(envelope, error) {
+        envelope.attempts++;
+        envelope.lastError = error?.message || String(error);
+
+        if (envelope.attempts >= this.outbox.maxAttempts) {
+            this.pendingQueue = this.pendingQueue.filter(e => e !== envelope);
+            envelope.deadLetteredAt = new Date().toISOString();
+            this.outbox.deadLetters.push(envelope);
+
+            this.persistOutbox('delete', 'outbox', envelope.activity.activity_id);
+            this.persistOutbox('put', 'deadLetters', envelope.activity.activity_id, envelope);
+
+            console.warn(`☠️  Dead-lettered activity ${envelope.activity.activity_id} after ${envelope.attempts} attempts`);
+            return;
+        }
+
+        envelope.nextAttemptAt = Date.now() + this.calculateBackoff(envelope.attempts);
+        this.persistOutbox('put', 'outbox', envelope.activity.activity_id, envelope);
+    }
+
+    /**
+     * Exponential backoff with jitter (half fixed, half random)
+     */
+    calculateBackoff(attempts) {
+        const delay = Math.min(this.outbox.maxDelay, this.outbox.baseDelay * Math.pow(2, attempts - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Remember delivered activity IDs so replays are not sent twice
+     */
+    markDelivered(activities) {
+        activities.forEach(activity => this.outbox.deliveredIds.add(activity.activity_id));
+
+        // Trim oldest IDs (Set preserves insertion order)
+        while (this.outbox.deliveredIds.size > this.outbox.maxDeliveredIds) {
+            const oldest = this.outbox.deliveredIds.values().next().value;
+            this.outbox.deliveredIds.delete(oldest);
+        }
+    }
+
+    /**
+     * Restore queued and dead-lettered activities from storage
+     */
+    async restoreOutbox() {
+        if (!this.outbox.storage) {
+            return { pending: this.pendingQueue.length, deadLetters: this.outbox.deadLetters.length };
+        }
+
+        try {
+            await this.outbox.storage.open();
+
+            const [queued, deadLetters] = await Promise.all([
+                this.outbox.storage.getAll('outbox'),
+                this.outbox.storage.getAll('deadLetters')
+            ]);
+
+            const knownIds = new Set(this.pendingQueue.map(e => e.activity.activity_id));
+
+            queued
+                .map(entry => entry.value)
+                .filter(envelope => !knownIds.has(envelope.activity.activity_id))
+                .sort((a, b) => a.enqueuedAt.localeCompare(b.enqueuedAt))
+                .forEach(envelope => this.pendingQueue.push(envelope));
+
+            this.outbox.deadLetters = deadLetters.map(entry => entry.value);
+
+            console.log(`✓ Restored outbox: ${this.pendingQueue.length} pending, ${this.outbox.deadLetters.length} dead-lettered`);
+        } catch (error) {
+            console.error('Failed to restore activity outbox:', error);
+        }
+
+        return { pending: this.pendingQueue.length, deadLetters: this.outbox.deadLetters.length };
+    }
+
+    /**
+     * Write through to outbox storage (fire-and-forget)
+     */
+    persistOutbox(operation, storeName, key, value) {
+        if (!this.outbox.storage) {
+            return Promise.resolve();
+        }
+
+        return Promise.resolve()
+            .then(() => this.outbox.storage[operation](storeName, key, value))
+            .catch(error => {
+                console.error(`Failed to persist outbox ${operation} on ${storeName}:`, error);
+            });
+    }
+
+    /**
+     * Get dead-lettered activities
+     */
+    getDeadLetters() {
+        return this.outbox.deadLetters.map(e => ({
+            activityId: e.activity.activity_id,
+            action: e.activity.action,
+            entityType: e.activity.entity_type,
+            entityId: e.activity.entity_id,
+            timestamp: e.activity.timestamp,
+            attempts: e.attempts,
+            lastError: e.lastError,
+            deadLetteredAt: e.deadLetteredAt,
+            activity: e.activity
+        }));
+    }
+
+    /**
+     * Move a dead-lettered activity back to the outbox and try to deliver it now
+     */
+    async replayDeadLetter(activityId) {
+        const envelope = this.outbox.deadLetters.find(e => e.activity.activity_id === activityId);
+        if (!envelope) {
+            throw new Error(`Dead-lettered activity not found: ${activityId}`);
+        }
+
+        this.outbox.deadLetters = this.outbox.deadLetters.filter(e => e !== envelope);
+        await this.persistOutbox('delete', 'deadLetters', activityId);
+
+        envelope.attempts = 0;
+        envelope.nextAttemptAt = Date.now();
+        envelope.lastError = null;
+        delete envelope.deadLetteredAt;
+
+        this.pendingQueue.unshift(envelope);
+        await this.persistOutbox('put', 'outbox', activityId, envelope);
+
+        console.log(`🔁 Replaying dead-lettered activity: ${activityId}`);
+
+        return await this.processBatch();
+    }
+
+    /**
+     * Replay every dead-lettered activity
+     */
+    async replayAllDeadLetters() {
+        const ids = this.outbox.deadLetters.map(e => e.activity.activity_id);
+
+        for (const activityId of ids) {
+            try {
+                await this.replayDeadLetter(activityId);
+            } catch (error) {
+                console.error(`Replay failed for ${activityId}:`, error);
+            }
+        }
+
+        return this.getQueueStatus();
+    }
+
+    /**
+     * Permanently discard a dead-lettered activity
+     */
+    async discardDeadLetter(activityId) {
+        const before = this.outbox.deadLetters.length;
+        this.outbox.deadLetters = this.outbox.deadLetters.filter(e => e.activity.activity_id !== activityId);
+
+        if (this.outbox.deadLetters.length === before) {
+            throw new Error(`Dead-lettered activity not found: ${activityId}`);
+        }
+
+        await this.persistOutbox('delete', 'deadLetters', activityId);
+
+        console.log(`🗑️  Discarded dead-lettered activity: ${activityId}`);
+    }
+
     /**
      * Start automatic batch processing
      */
@@ -360,6 +776,16 @@ class XanoIntegration {
             }
         }, this.batchIntervalMs);
 
+        // Retry immediately when the browser comes back online
+        if (typeof window !== 'undefined' && !this.onlineHandler) {
+            this.onlineHandler = () => {
+                this.processBatch({ force: true }).catch(err => {
+                    console.error('Batch processing error:', err);
+                });
+            };
+            window.addEventListener('online', this.onlineHandler);
+        }
+
         console.log(`✓ Started batch processing (interval: ${this.batchIntervalMs}ms)`);
     }
 
@@ -463,11 +889,13 @@ class XanoIntegration {
         };
 
         try {
-            const response = await fetch(url, requestOptions);
+            const response = await (this.fetch || fetch)(url, requestOptions);
 
             if (!response.ok) {
-                const error = await response.json().catch(() => ({}));
-                throw new Error(`Xano API error: ${error.message || response.statusText}`);
+                const body = await response.json().catch(() => ({}));
+                const error = new Error(`Xano API error: ${body.message || response.statusText}`);
+                error.status = response.status;
+                throw error;
             }
 
             return await response.json();
@@ -481,10 +909,11 @@ class XanoIntegration {
      * Flush all pending activities immediately
      */
     async flush() {
+        await this.sealing;
         console.log(`🔄 Flushing ${this.pendingQueue.length} pending activities...`);
 
         while (this.pendingQueue.length > 0) {
-            await this.processBatch();
+            await this.processBatch({ force: true });
         }
 
         console.log('✓ All pending activities flushed');
@@ -504,11 +933,31 @@ class XanoIntegration {
     getQueueStatus() {
         return {
             pending: this.pendingQueue.length,
+            deadLetters: this.outbox.deadLetters.length,
+            nextAttemptAt: this.pendingQueue.length > 0
+                ? new Date(Math.min(...this.pendingQueue.map(e => e.nextAttemptAt))).toISOString()
+                : null,
             cached: this.activityCache.length,
             batchSize: this.batchSize,
             batchInterval: this.batchIntervalMs
         };
     }
+
+    /**
+     * Get hash chain status: this writer's chain id, sequence and latest checkpoint
+     */
+    getChainStatus() {
+        if (!this.chain) {
+            return null;
+        }
+
+        return {
+            chainId: this.chain.chainId,
+            seq: this.chain.seq,
+            signed: Boolean(this.chain.secret),
+            latestCheckpoint: this.chain.getLatestCheckpoint()
+        };
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,2137 @@
+#!/usr/bin/env node
+
+/**
+ * EO Sync Test Harness
+ *
+ * Runs sync, conflict and rewind scenarios end to end against the in-process
+ * mock Airtable, Xano and REST servers from eo_mock_services.js (and a temp
+ * CSV folder) - no credentials or network needed.
+ *
+ *   node test_sync_harness.js            # run all scenarios
+ *   node test_sync_harness.js conflict   # run scenarios whose name matches
+ *   node test_sync_harness.js --verbose  # keep module logging
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHmac } = require('crypto');
+
+const AirtableIntegration = require('./eo_airtable_integration.js');
+const XanoIntegration = require('./eo_xano_integration.js');
+const SyncEngine = require('./eo_sync_engine.js');
+const RewindEngine = require('./eo_rewind.js');
+const ChangeTracker = require('./eo_change_tracker.js');
+const { AttachmentStore, ATTACHMENT_STORE_NAMES } = require('./eo_attachment_store.js');
+const { CredentialVault } = require('./eo_credential_vault.js');
+const { ActivityChain } = require('./eo_activity_chain.js');
+const { ActivityProjector } = require('./eo_activity_projector.js');
+const { BranchManager } = require('./eo_rewind_branches.js');
+const { SchemaHistory } = require('./eo_schema_history.js');
+const { RestConnector, CsvFolderConnector } = require('./eo_sync_connector.js');
+const { mergeRecords, mergeFields, bulkEditRecords, initWorkbenchHistory, recordWorkbenchTransaction } = require('./eo_structural_operations.js');
+const { MemoryStorageAdapter, FileStorageAdapter, CHANGE_STORE_NAMES } = require('./eo_change_store.js');
+const { SyncScheduler } = require('./eo_sync_scheduler.js');
+const { MockAirtableServer, MockXanoServer, MockRestServer, createMockFetch } = require('./eo_mock_services.js');
+
+const verbose = process.argv.includes('--verbose');
+const filter = process.argv.slice(2).find(arg => !arg.startsWith('--')) || null;
+const print = console.log.bind(console);
+
+// The modules log every step; keep the harness output readable
+if (!verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
+
+/**
+ * SyncEngine with an in-memory EO record store in place of the EO data stubs
+ */
+class InMemorySyncEngine extends SyncEngine {
+    constructor(config = {}) {
+        super(config);
+        this.eoStore = new Map(); // recordId -> EO record
+    }
+
+    getEORecords(tableId) {
+        return Array.from(this.eoStore.values()).filter(r => r.tableId === tableId);
+    }
+
+    async createEORecord(record, table) {
+        this.eoStore.set(record.id, clone({ ...record, tableId: table.id }));
+    }
+
+    async updateEORecord(record) {
+        const existing = this.eoStore.get(record.id) || {};
+        this.eoStore.set(record.id, clone({ ...existing, ...record }));
+    }
+
+    async deleteEORecord(recordId) {
+        this.eoStore.delete(recordId);
+    }
+
+    /**
+     * Record ids an EO record is connected to through a link field
+     */
+    connectedIds(recordId, fieldId) {
+        return Array.from(this.eoState.connections.values())
+            .filter(c => c.subject.id === recordId && c.relationId === `rel_${fieldId}`)
+            .map(c => c.operand.id);
+    }
+
+    /**
+     * Edit a field in EO the way the app would (value + pending change)
+     */
+    editEO(recordId, fieldName, value) {
+        const record = this.eoStore.get(recordId);
+        record.fields[fieldName] = { ...(record.fields[fieldName] || {}), value };
+        record.lastModified = new Date().toISOString();
+        this.changeTracker.eoChanges.set(recordId, { after: record.fields, timestamp: record.lastModified });
+    }
+
+    /**
+     * Plain value of an EO field
+     */
+    eoValue(recordId, fieldName) {
+        return this.getFieldValue(this.eoStore.get(recordId)?.fields[fieldName]);
+    }
+}
+
+/**
+ * Stand-in for the browser-only SoftrContext
+ */
+const testUserContext = {
+    getUser: () => ({ id: 'usr_test', name: 'Test User', email: 'test@example.com', role: 'editor' }),
+    getUserContext: () => ({ user_id: 'usr_test', user_name: 'Test User', user_email: 'test@example.com' })
+};
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Mock servers, clients and a sync engine wired together like EOAirtableSync does
+ */
+async function createFixture(options = {}) {
+    const airtableServer = new MockAirtableServer({
+        requestsPerSecond: options.serverRequestsPerSecond ?? null,
+        rateLimitPenalty: options.serverRateLimitPenalty
+    });
+    const xanoServer = new MockXanoServer();
+    const fetch = createMockFetch(airtableServer, xanoServer);
+
+    const projects = airtableServer.addTable({
+        name: 'Projects',
+        fields: [
+            { name: 'Name', type: 'singleLineText' },
+            { name: 'Status', type: 'singleSelect', options: { choices: [{ name: 'Todo' }, { name: 'Doing' }, { name: 'Done' }] } },
+            { name: 'Estimate', type: 'number', options: { precision: 0 } },
+            { name: 'Last Modified', type: 'lastModifiedTime' }
+        ]
+    });
+
+    airtableServer.seedRecords(projects.id, options.records || [
+        { Name: 'Website', Status: 'Todo', Estimate: 5 },
+        { Name: 'Newsletter', Status: 'Doing', Estimate: 2 },
+        { Name: 'Launch', Status: 'Todo', Estimate: 8 }
+    ]);
+
+    const airtable = new AirtableIntegration({
+        apiKey: airtableServer.apiKey,
+        baseId: airtableServer.baseId,
+        requestsPerSecond: 1000,
+        fetch
+    });
+
+    const xano = new XanoIntegration({ baseUrl: xanoServer.baseUrl, fetch });
+
+    const engine = new InMemorySyncEngine({
+        airtable,
+        xano,
+        softr: testUserContext,
+        autoSync: false,
+        ...options.sync
+    });
+
+    const fixture = { airtableServer, xanoServer, airtable, xano, engine, projects, fetch };
+
+    fixture.teardown = () => {
+        engine.stopAutoSync();
+        xano.stopBatchProcessing();
+    };
+
+    if (options.connect !== false) {
+        await airtable.initialize();
+        await xano.initialize();
+        xano.stopBatchProcessing(); // flushed explicitly by scenarios
+    }
+
+    return fixture;
+}
+
+const scenarios = [];
+
+function scenario(name, run) {
+    scenarios.push({ name, run });
+}
+
+// ============================================================================
+// Airtable API
+// ============================================================================
+
+scenario('schema discovery and paginated record fetch', async () => {
+    const records = Array.from({ length: 230 }, (_, i) => ({ Name: `Item ${i}`, Estimate: i }));
+    const { airtableServer, airtable, projects, teardown } = await createFixture({ records });
+
+    try {
+        const tables = airtable.getTables();
+        assert.strictEqual(tables.length, 1);
+        assert.strictEqual(tables[0].name, 'Projects');
+        assert.deepStrictEqual(tables[0].fields.map(f => f.airtableType), ['singleLineText', 'singleSelect', 'number', 'lastModifiedTime']);
+        assert.strictEqual(tables[0].primaryFieldId, projects.fields[0].id);
+
+        airtableServer.clearRequests();
+        const fetched = await airtable.fetchTableRecords(projects.id);
+
+        assert.strictEqual(fetched.length, 230);
+        assert.strictEqual(new Set(fetched.map(r => r.id)).size, 230);
+
+        const pages = airtableServer.getRequests({ method: 'GET', path: `/v0/${airtableServer.baseId}/${projects.id}` });
+        assert.strictEqual(pages.length, 3);
+        assert.ok(!pages[0].query.offset);
+        assert.ok(pages[1].query.offset && pages[2].query.offset);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('typecast creates missing select options', async () => {
+    const { airtableServer, airtable, projects, teardown } = await createFixture();
+
+    try {
+        await assert.rejects(
+            airtable.upsertRecord(projects.id, { fields: { Name: 'Audit', Status: 'Blocked' } }),
+            /Insufficient permissions to create new select option/
+        );
+
+        const created = await airtable.upsertRecord(projects.id, { fields: { Name: 'Audit', Status: 'Blocked', Estimate: '3' } }, { typecast: true });
+
+        assert.strictEqual(created.fields.Status.value, 'Blocked');
+        assert.strictEqual(created.fields.Estimate.value, 3);
+        assert.ok(airtableServer.getTable(projects.id).fields[1].options.choices.some(c => c.name === 'Blocked'));
+    } finally {
+        teardown();
+    }
+});
+
+scenario('rate limiter waits out 429s and serves interactive requests first', async () => {
+    const { airtableServer, airtable, projects, fetch, teardown } = await createFixture({
+        connect: false,
+        serverRequestsPerSecond: 2,
+        serverRateLimitPenalty: 1000
+    });
+
+    try {
+        const url = `${airtableServer.baseUrl}/${airtableServer.baseId}/${projects.id}`;
+        const headers = { Authorization: `Bearer ${airtableServer.apiKey}` };
+
+        assert.strictEqual((await fetch(url, { headers })).status, 200);
+        assert.strictEqual((await fetch(url, { headers })).status, 200);
+
+        const limited = await fetch(url, { headers });
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.headers.get('Retry-After'), '1');
+
+        // The integration pauses the bucket for Retry-After and retries instead of failing
+        airtableServer.resetRateLimit();
+        airtableServer.clearRequests();
+        const started = Date.now();
+
+        const results = await Promise.all([1, 2, 3].map(() => airtable.fetchBaseMetadata()));
+
+        assert.ok(results.every(metadata => metadata.tables.length === 1));
+        assert.deepStrictEqual(airtableServer.getRequests().map(r => r.status).sort(), [200, 200, 200, 429]);
+        assert.strictEqual(airtable.getSyncStats().rateLimited, 1);
+        assert.ok(Date.now() - started >= 1000);
+
+        // One request at a time: a later interactive request overtakes queued background ones
+        airtableServer.rateLimit.requestsPerSecond = null;
+        const serial = new AirtableIntegration({
+            apiKey: airtableServer.apiKey,
+            baseId: airtableServer.baseId,
+            requestsPerSecond: 20,
+            maxConcurrentRequests: 1,
+            fetch
+        });
+        const order = [];
+        const background = [1, 2, 3].map(n => serial.apiRequest(url, { priority: 'background' }).then(() => order.push(`background ${n}`)));
+        const interactive = serial.apiRequest(url).then(() => order.push('interactive'));
+
+        await Promise.all([...background, interactive]);
+        assert.deepStrictEqual(order, ['background 1', 'interactive', 'background 2', 'background 3']);
+
+        // Stopping auto-sync cancels queued background requests, not interactive ones
+        const engine = new SyncEngine({ connector: serial, autoSync: false });
+        const queued = [1, 2, 3].map(() => serial.apiRequest(url, { priority: 'background' }).catch(error => error));
+        const edit = serial.apiRequest(url);
+
+        engine.stopAutoSync();
+
+        assert.ok((await Promise.all(queued)).slice(1).every(error => error.cancelled === true));
+        assert.ok(Array.isArray((await edit).records));
+    } finally {
+        teardown();
+    }
+});
+
+// ============================================================================
+// Sync
+// ============================================================================
+
+scenario('initial sync pulls Airtable records into EO and logs to Xano', async () => {
+    const { engine, xano, xanoServer, airtableServer, projects, teardown } = await createFixture();
+
+    try {
+        await engine.initialize();
+        await xano.flush();
+
+        assert.strictEqual(engine.eoStore.size, 3);
+        assert.strictEqual(engine.changeTracker.baseSnapshots.size, 3);
+
+        for (const record of airtableServer.getRecords(projects.id)) {
+            assert.strictEqual(engine.eoValue(record.id, 'Name'), record.fields.Name);
+        }
+
+        assert.strictEqual(xanoServer.getActivities({ action: 'create' }).length, 3);
+        assert.strictEqual(xanoServer.getActivities({ action: 'sync_complete' }).length, 1);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('non-conflicting edits on both sides are merged', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture();
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+
+        engine.editEO(record.id, 'Status', 'Done');
+        airtableServer.editRecord(projects.id, record.id, { Estimate: 13 });
+
+        await engine.performFullSync();
+
+        const remote = airtableServer.getRecord(projects.id, record.id);
+        assert.strictEqual(remote.fields.Status, 'Done');
+        assert.strictEqual(remote.fields.Estimate, 13);
+        assert.strictEqual(engine.eoValue(record.id, 'Status'), 'Done');
+        assert.strictEqual(engine.eoValue(record.id, 'Estimate'), 13);
+        assert.strictEqual(engine.syncState.stats.conflictsResolved, 0);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('merge bases survive a reload, so the first sync still merges field by field', async () => {
+    const baseStorage = new MemoryStorageAdapter({ storeNames: ['bases'] });
+    const { engine, airtable, xano, airtableServer, projects, teardown } = await createFixture({ sync: { baseStorage } });
+    let reloaded = null;
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+
+        engine.editEO(record.id, 'Status', 'Done');
+        airtableServer.editRecord(projects.id, record.id, { Estimate: 13 });
+        await new Promise(resolve => setImmediate(resolve));
+
+        // The page reloads: EO keeps its records, the engine starts from storage
+        reloaded = new InMemorySyncEngine({ airtable, xano, softr: testUserContext, autoSync: false, baseStorage });
+        reloaded.eoStore = new Map(clone([...engine.eoStore]));
+        await reloaded.initialize();
+
+        const remote = airtableServer.getRecord(projects.id, record.id);
+        assert.strictEqual(remote.fields.Status, 'Done');
+        assert.strictEqual(remote.fields.Estimate, 13);
+        assert.strictEqual(reloaded.eoValue(record.id, 'Estimate'), 13);
+        assert.strictEqual(reloaded.syncState.stats.conflictsResolved, 0);
+        assert.strictEqual((await baseStorage.get('bases', record.id)).fields.Status, 'Done');
+    } finally {
+        reloaded?.stopAutoSync();
+        teardown();
+    }
+});
+
+scenario('conflicting edits resolve to a SUP value', async () => {
+    const { engine, xano, xanoServer, airtableServer, projects, teardown } = await createFixture();
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+        const detected = [];
+        engine.on('conflictDetected', conflict => detected.push(conflict));
+
+        engine.editEO(record.id, 'Status', 'Done');
+        airtableServer.editRecord(projects.id, record.id, { Status: 'Doing' });
+
+        await engine.performFullSync();
+        await xano.flush();
+
+        assert.strictEqual(detected.length, 1);
+        assert.deepStrictEqual(detected[0].conflict.fieldConflicts.map(c => c.field), ['Status']);
+
+        const sup = engine.eoStore.get(record.id).fields.Status;
+        assert.strictEqual(sup.eoOperator, 'SUP');
+        assert.strictEqual(sup.value_1.value, 'Done');
+        assert.strictEqual(sup.value_2.value, 'Doing');
+        assert.strictEqual(sup.baseValue, 'Todo');
+
+        // Airtable keeps its measured value
+        assert.strictEqual(airtableServer.getRecord(projects.id, record.id).fields.Status, 'Doing');
+        assert.strictEqual(xanoServer.getActivities({ action: 'conflict_resolved', entityId: record.id }).length, 1);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('airtable_wins keeps the Airtable value and the EO-only edits', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture({ sync: { conflictResolution: 'airtable_wins' } });
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+
+        engine.editEO(record.id, 'Status', 'Done');
+        engine.editEO(record.id, 'Name', 'Website v2');
+        airtableServer.editRecord(projects.id, record.id, { Status: 'Doing' });
+
+        await engine.performFullSync();
+
+        assert.strictEqual(engine.eoValue(record.id, 'Status'), 'Doing');
+        assert.strictEqual(engine.eoValue(record.id, 'Name'), 'Website v2');
+        assert.strictEqual(airtableServer.getRecord(projects.id, record.id).fields.Name, 'Website v2');
+        assert.strictEqual(airtableServer.getRecord(projects.id, record.id).fields.Status, 'Doing');
+    } finally {
+        teardown();
+    }
+});
+
+scenario('manual resolution applies per-field choices from the held conflict', async () => {
+    const { engine, xano, xanoServer, airtableServer, projects, teardown } = await createFixture({ sync: { conflictResolution: 'manual' } });
+
+    try {
+        await engine.initialize();
+        const [website, newsletter] = airtableServer.getRecords(projects.id);
+
+        engine.editEO(website.id, 'Status', 'Done');
+        engine.editEO(website.id, 'Estimate', 7);
+        engine.editEO(website.id, 'Name', 'Website v2');
+        airtableServer.editRecord(projects.id, website.id, { Status: 'Doing', Estimate: 6 });
+        engine.editEO(newsletter.id, 'Estimate', 4);
+        airtableServer.editRecord(projects.id, newsletter.id, { Estimate: 5 });
+
+        await engine.performFullSync();
+
+        // Held, not resolved: neither side changed yet
+        const held = engine.getHeldConflicts().find(conflict => conflict.recordId === website.id);
+        assert.strictEqual(engine.getHeldConflicts().length, 2);
+        assert.deepStrictEqual(held.fields.map(f => [f.field, f.baseValue, f.eoValue, f.airtableValue]), [
+            ['Status', 'Todo', 'Done', 'Doing'],
+            ['Estimate', 5, 7, 6]
+        ]);
+        assert.strictEqual(engine.eoValue(website.id, 'Status'), 'Done');
+        assert.strictEqual(airtableServer.getRecord(projects.id, website.id).fields.Name, 'Website');
+
+        await assert.rejects(() => engine.resolveHeldConflict(website.id, { Status: { choice: 'mine' } }), /Invalid choice/);
+
+        const resolution = await engine.resolveHeldConflict(website.id, {
+            Status: { choice: 'sup' },
+            Estimate: { choice: 'custom', value: 10 }
+        });
+        await xano.flush();
+
+        assert.deepStrictEqual(resolution.fieldChoices, { Status: 'sup', Estimate: 'custom' });
+        assert.strictEqual(engine.eoStore.get(website.id).fields.Status.eoOperator, 'SUP');
+        assert.strictEqual(engine.eoValue(website.id, 'Estimate'), 10);
+        assert.strictEqual(engine.eoValue(website.id, 'Name'), 'Website v2');
+
+        // Airtable keeps its value for the SUP field and receives the edit and the merged EO change
+        const remote = airtableServer.getRecord(projects.id, website.id).fields;
+        assert.deepStrictEqual([remote.Status, remote.Estimate, remote.Name], ['Doing', 10, 'Website v2']);
+
+        const [logged] = xanoServer.getActivities({ action: 'conflict_resolved', entityId: website.id });
+        assert.strictEqual(logged.conflict_resolution, 'manual');
+        assert.deepStrictEqual(logged.metadata.fieldChoices, { Status: 'sup', Estimate: 'custom' });
+
+        await engine.resolveHeldConflict(newsletter.id, { Estimate: { choice: 'eo' } });
+        assert.strictEqual(airtableServer.getRecord(projects.id, newsletter.id).fields.Estimate, 4);
+        assert.strictEqual(engine.getHeldConflicts().length, 0);
+
+        // The SUP value is not pushed back on the next sync
+        airtableServer.clearRequests();
+        await engine.performFullSync();
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+        assert.strictEqual(engine.syncState.conflicts.size, 0);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('deletions propagate in both directions', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture();
+
+    try {
+        await engine.initialize();
+        const [first, second] = airtableServer.getRecords(projects.id);
+
+        // Deleted in Airtable -> deleted in EO
+        airtableServer.removeRecord(projects.id, first.id);
+
+        // Deleted in EO -> deleted in Airtable
+        engine.eoStore.delete(second.id);
+        engine.recordLocalDeletion(second.id, projects.id);
+
+        await engine.performFullSync();
+
+        assert.ok(!engine.eoStore.has(first.id));
+        assert.strictEqual(airtableServer.getRecord(projects.id, second.id), null);
+        assert.strictEqual(engine.eoStore.size, 1);
+        assert.strictEqual(airtableServer.getRecords(projects.id).length, 1);
+
+        // Nothing is resurrected on the next pass
+        await engine.performFullSync();
+        assert.strictEqual(engine.eoStore.size, 1);
+        assert.strictEqual(airtableServer.getRecords(projects.id).length, 1);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('records deleted in Airtable move into the archive set with soft delete', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture({ sync: { softDelete: true, archiveSetId: 'set_archive' } });
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+
+        airtableServer.removeRecord(projects.id, record.id);
+        await engine.performFullSync();
+
+        const archived = engine.eoStore.get(record.id);
+        assert.strictEqual(archived.tableId, 'set_archive');
+        assert.deepStrictEqual(archived.archivedFrom, { tableId: projects.id, tableName: 'Projects' });
+        assert.strictEqual(engine.eoValue(record.id, 'Name'), 'Website');
+        assert.ok(!engine.getEORecords(projects.id).some(r => r.id === record.id));
+        assert.strictEqual(engine.syncState.stats.recordsArchived, 1);
+
+        // Not recreated from the archive on the next pass
+        await engine.performFullSync();
+        assert.strictEqual(engine.getEORecords(projects.id).length, 2);
+        assert.strictEqual(airtableServer.getRecords(projects.id).length, 2);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('a local deletion survives a reload before the next sync', async () => {
+    const tombstoneStorage = new MemoryStorageAdapter({ storeNames: ['tombstones'] });
+    const { engine, airtable, xano, airtableServer, projects, teardown } = await createFixture({ sync: { tombstoneStorage } });
+    let reloaded = null;
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+
+        engine.eoStore.delete(record.id);
+        engine.recordLocalDeletion(record.id, projects.id);
+        await new Promise(resolve => setImmediate(resolve));
+
+        // The page reloads: EO keeps its records, the engine starts from storage
+        reloaded = new InMemorySyncEngine({ airtable, xano, softr: testUserContext, autoSync: false, tombstoneStorage });
+        reloaded.eoStore = new Map(clone([...engine.eoStore]));
+        await reloaded.initialize();
+
+        assert.strictEqual(airtableServer.getRecord(projects.id, record.id), null);
+        assert.ok(!reloaded.eoStore.has(record.id));
+        assert.strictEqual((await tombstoneStorage.get('tombstones', record.id)).propagated, true);
+    } finally {
+        reloaded?.stopAutoSync();
+        teardown();
+    }
+});
+
+scenario('delete-vs-edit conflict restores the edited record', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture();
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+        const detected = [];
+        engine.on('conflictDetected', conflict => detected.push(conflict.conflict));
+
+        engine.editEO(record.id, 'Estimate', 21);
+        airtableServer.removeRecord(projects.id, record.id);
+
+        await engine.performFullSync();
+
+        assert.strictEqual(detected.length, 1);
+        assert.strictEqual(detected[0].type, 'delete_edit');
+        assert.strictEqual(detected[0].deletedOn, 'airtable');
+        assert.ok(airtableServer.getRecords(projects.id).some(r => r.fields.Estimate === 21));
+    } finally {
+        teardown();
+    }
+});
+
+scenario('incremental pulls only request modified records', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture({ sync: { incremental: true } });
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+
+        airtableServer.editRecord(projects.id, record.id, { Estimate: 34 });
+        airtableServer.clearRequests();
+
+        await engine.performFullSync();
+
+        const pulls = airtableServer.getRequests({ method: 'GET', path: `/v0/${airtableServer.baseId}/${projects.id}` });
+        assert.strictEqual(pulls.length, 1);
+        assert.match(pulls[0].query.filterByFormula, /^IS_AFTER\(LAST_MODIFIED_TIME\(\)/);
+        assert.strictEqual(engine.eoValue(record.id, 'Estimate'), 34);
+        assert.strictEqual(engine.eoStore.size, 3);
+        assert.strictEqual(engine.syncState.stats.incrementalPulls, 1);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('webhook payloads refresh only the changed records', async () => {
+    const webhookStorage = new MemoryStorageAdapter({ storeNames: ['webhook'] });
+    const { engine, airtable, xano, airtableServer, projects, teardown } = await createFixture({
+        sync: { webhookNotificationUrl: 'https://hooks.example.com/airtable', webhookStorage }
+    });
+    const recordsPath = `/v0/${airtableServer.baseId}/${projects.id}`;
+
+    try {
+        await engine.initialize();
+        assert.strictEqual(airtableServer.webhooks.size, 1);
+
+        const [website, newsletter, launch] = airtableServer.getRecords(projects.id);
+        airtableServer.editRecord(projects.id, website.id, { Estimate: 13 });
+        airtableServer.removeRecord(projects.id, launch.id);
+        const [podcast] = airtableServer.seedRecords(projects.id, [{ Name: 'Podcast', Status: 'Todo' }]);
+        airtableServer.clearRequests();
+
+        const result = await engine.handleWebhookNotification(airtableServer.notifications.pop());
+
+        assert.deepStrictEqual(result, { payloads: 3, fullSync: false, reason: null, tables: 1, records: 3 });
+        const reads = airtableServer.getRequests({ method: 'GET', path: recordsPath });
+        assert.strictEqual(reads.length, 1);
+        assert.match(reads[0].query.filterByFormula, /^OR\(RECORD_ID\(\)='rec/);
+        assert.strictEqual(engine.eoValue(website.id, 'Estimate'), 13);
+        assert.ok(!engine.eoStore.has(launch.id));
+        assert.strictEqual(engine.eoValue(podcast.id, 'Name'), 'Podcast');
+        assert.strictEqual(engine.eoValue(newsletter.id, 'Estimate'), 2);
+
+        // The cursor survives a restart, and the webhook is reused
+        const resumed = new SyncEngine({ airtable, xano, softr: testUserContext, autoSync: false, webhookStorage });
+        await resumed.loadWebhookState();
+        assert.strictEqual(resumed.webhookState.cursor, 4);
+        assert.strictEqual((await resumed.enableWebhookSync('https://hooks.example.com/airtable')).id, engine.webhookState.webhook.id);
+        assert.strictEqual(airtableServer.webhooks.size, 1);
+
+        // Payloads that expired before they were read leave a gap: full sync instead
+        airtableServer.editRecord(projects.id, newsletter.id, { Status: 'Done' });
+        airtableServer.editRecord(projects.id, newsletter.id, { Estimate: 3 });
+        airtableServer.expireWebhookPayloads(null, 4); // The 3 payloads read above and the Status edit
+        airtableServer.clearRequests();
+
+        const fallback = await engine.processWebhookPayloads();
+
+        assert.strictEqual(fallback.fullSync, true);
+        assert.match(fallback.reason, /expired/);
+        assert.ok(airtableServer.getRequests({ method: 'GET', path: recordsPath }).some(r => !r.query.filterByFormula));
+        assert.strictEqual(engine.eoValue(newsletter.id, 'Status'), 'Done');
+        assert.strictEqual(engine.syncState.stats.webhookFullSyncs, 1);
+
+        // Schema changes also take the full sync path (drift detection runs first)
+        airtableServer.addField(projects.id, { name: 'Owner', type: 'singleLineText' });
+        assert.strictEqual((await engine.processWebhookPayloads()).reason, 'schema changed');
+        assert.strictEqual((await engine.processWebhookPayloads()).payloads, 0);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('scheduled syncs run only the due tables of the profile', async () => {
+    let now = new Date(2026, 0, 5, 12, 0).getTime(); // Monday noon, local time
+    const scheduler = new SyncScheduler({
+        schedule: { interval: 15 * 60000, quietHours: { start: '22:00', end: '06:00' } },
+        now: () => now
+    });
+    const { engine, airtable, airtableServer, projects, teardown } = await createFixture({
+        connect: false,
+        sync: { scheduler, tables: ['Projects', 'Tasks'] }
+    });
+
+    const tasks = airtableServer.addTable({ name: 'Tasks', fields: [{ name: 'Title', type: 'singleLineText' }] });
+    const archive = airtableServer.addTable({ name: 'Archive', fields: [{ name: 'Title', type: 'singleLineText' }] });
+    const [task] = airtableServer.seedRecords(tasks.id, [{ Title: 'Write copy' }]);
+    airtableServer.seedRecords(archive.id, [{ Title: 'Old launch' }]);
+    scheduler.setSchedules(scheduler.schedule, { [tasks.id]: { cron: '0 * * * *' } });
+
+    try {
+        await airtable.initialize();
+        await engine.initialize();
+
+        // The profile's tables only
+        assert.deepStrictEqual(engine.getSyncTables().map(t => t.name), ['Projects', 'Tasks']);
+        assert.strictEqual(airtableServer.getRequests({ method: 'GET', path: `/v0/${airtableServer.baseId}/${archive.id}` }).length, 0);
+        assert.ok(engine.eoStore.has(task.id));
+
+        now += 10 * 60000;
+        assert.deepStrictEqual(scheduler.getDueTables([projects.id, tasks.id]), []);
+
+        // 12:16: the 15-minute table is due, the hourly cron table is not
+        const [record] = airtableServer.getRecords(projects.id);
+        airtableServer.editRecord(projects.id, record.id, { Estimate: 13 });
+        airtableServer.editRecord(tasks.id, task.id, { Title: 'Write launch copy' });
+        now += 6 * 60000;
+
+        await engine.runScheduledSync();
+        assert.strictEqual(engine.eoValue(record.id, 'Estimate'), 13);
+        assert.strictEqual(engine.eoValue(task.id, 'Title'), 'Write copy');
+
+        now = new Date(2026, 0, 5, 13, 0).getTime();
+        await engine.runScheduledSync();
+        assert.strictEqual(engine.eoValue(task.id, 'Title'), 'Write launch copy');
+
+        // Runs due in quiet hours wait for their end; cron tables for their first slot after it
+        now = new Date(2026, 0, 5, 22, 30).getTime();
+        const nextMorning = new Date(2026, 0, 6, 6, 0).toISOString();
+        const status = engine.getTableStatus();
+
+        assert.deepStrictEqual(status.map(t => [t.tableName, t.status, t.nextSync]), [
+            ['Projects', 'synced', nextMorning],
+            ['Tasks', 'synced', nextMorning]
+        ]);
+        assert.strictEqual(status[0].schedule, 'every 15m, quiet 22:00-06:00');
+        assert.strictEqual(status[1].schedule, 'cron 0 * * * *, quiet 22:00-06:00');
+        assert.deepStrictEqual(scheduler.getDueTables([projects.id, tasks.id]), []);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('sync history records sessions with counts, requests and errors', async () => {
+    const historyStorage = new MemoryStorageAdapter({ storeNames: ['sessions'] });
+    const { engine, airtable, xano, airtableServer, projects, teardown } = await createFixture({
+        sync: { historyStorage, conflictResolution: 'airtable_wins' }
+    });
+    const recordsPath = `/v0/${airtableServer.baseId}/${projects.id}`;
+
+    try {
+        await engine.initialize();
+        const [website, newsletter] = airtableServer.getRecords(projects.id);
+
+        // One conflict, one pulled update, one 429 retried along the way
+        engine.editEO(website.id, 'Status', 'Done');
+        airtableServer.editRecord(projects.id, website.id, { Status: 'Doing' });
+        airtableServer.editRecord(projects.id, newsletter.id, { Estimate: 3 });
+        airtableServer.failNext(429, { headers: { 'Retry-After': '0' }, match: request => request.method === 'GET' });
+
+        await engine.performFullSync();
+
+        // A failing table ends the session as an error
+        airtableServer.failNext(503, { match: request => request.parsed.pathname === recordsPath });
+        await assert.rejects(() => engine.performFullSync({ trigger: 'scheduled' }));
+
+        const [initial, edits, failed] = engine.syncHistory.sessions;
+        assert.strictEqual(engine.syncHistory.sessions.length, 3);
+        assert.deepStrictEqual([initial.trigger, edits.trigger, failed.trigger], ['initial', 'manual', 'scheduled']);
+        assert.strictEqual(initial.tables[projects.id].created, 3);
+        assert.notStrictEqual(edits.id, initial.id);
+
+        assert.strictEqual(edits.status, 'success');
+        assert.deepStrictEqual(edits.totals, { created: 0, updated: 1, deleted: 0, archived: 0, conflicts: 1 });
+        assert.strictEqual(edits.retries, 1);
+        assert.ok(edits.apiCalls >= 2);
+        assert.deepStrictEqual(
+            edits.changes.map(change => [change.recordId, change.action, change.fields]),
+            [[website.id, 'conflict', ['Status']], [newsletter.id, 'update', ['Estimate', 'Last Modified']]]
+        );
+
+        assert.strictEqual(failed.status, 'error');
+        assert.strictEqual(failed.failedRequests, 1);
+        assert.deepStrictEqual(failed.errors.map(error => [error.tableId, error.category]), [[projects.id, 'server']]);
+        assert.strictEqual(engine.getSyncSession(failed.id).tables[projects.id].status, 'error');
+
+        const analytics = engine.getSyncAnalytics();
+        assert.strictEqual(analytics.summary.sessions, 3);
+        assert.strictEqual(analytics.summary.failed, 1);
+        assert.strictEqual(analytics.summary.conflicts, 1);
+        assert.deepStrictEqual(analytics.trend.map(point => point.status), ['success', 'success', 'error']);
+        assert.deepStrictEqual(analytics.slowestTables.map(table => [table.tableName, table.runs]), [['Projects', 2]]);
+        assert.deepStrictEqual(analytics.errorBreakdown.byCategory, { server: 1 });
+        assert.deepStrictEqual(analytics.errorBreakdown.byTable.map(entry => entry.count), [1]);
+
+        // The history survives a restart and is pruned to historyLimit
+        const resumed = new SyncEngine({ airtable, xano, softr: testUserContext, autoSync: false, historyStorage, historyLimit: 2 });
+        await resumed.loadSyncHistory();
+        assert.deepStrictEqual(resumed.getSyncHistory().map(session => session.id), [failed.id, edits.id]);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('field mappings rename, transform and restrict fields', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture({ connect: false });
+    const [nameField, statusField] = projects.fields;
+
+    engine.setFieldMappings({
+        [projects.id]: {
+            fields: {
+                [nameField.id]: { eoField: 'Title', direction: 'airtable_to_eo', transforms: [{ type: 'case', mode: 'upper' }] },
+                [statusField.id]: { eoField: 'Stage', transforms: [{ type: 'lookup', map: { Todo: 'Backlog', Doing: 'In progress', Done: 'Shipped' } }] },
+                Estimate: { eoField: 'Hours', transforms: [{ type: 'unit', from: 'd', to: 'h' }] },
+                'Last Modified': { include: false }
+            }
+        }
+    });
+
+    try {
+        await engine.airtable.initialize();
+        await engine.initialize();
+
+        const [record] = airtableServer.getRecords(projects.id);
+        const eoRecord = engine.eoStore.get(record.id);
+        assert.deepStrictEqual(Object.keys(eoRecord.fields).sort(), ['Hours', 'Stage', 'Title']);
+        assert.strictEqual(engine.eoValue(record.id, 'Title'), 'WEBSITE');
+        assert.strictEqual(engine.eoValue(record.id, 'Stage'), 'Backlog');
+        assert.strictEqual(engine.eoValue(record.id, 'Hours'), 120);
+
+        // Pushed back through the inverse transforms; the read-only Title is reverted
+        engine.editEO(record.id, 'Stage', 'Shipped');
+        engine.editEO(record.id, 'Hours', 36);
+        engine.editEO(record.id, 'Title', 'Renamed in EO');
+
+        await engine.performFullSync();
+
+        const remote = airtableServer.getRecord(projects.id, record.id);
+        assert.strictEqual(remote.fields.Status, 'Done');
+        assert.strictEqual(remote.fields.Estimate, 1.5);
+        assert.strictEqual(remote.fields.Name, 'Website');
+        assert.strictEqual(engine.eoValue(record.id, 'Title'), 'WEBSITE');
+
+        // Nothing left to push on the next pass
+        airtableServer.clearRequests();
+        await engine.performFullSync();
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('excluded and unmapped EO fields stay local and never count as EO edits', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture({ connect: false });
+
+    engine.setFieldMappings({
+        [projects.id]: {
+            includeUnmapped: false,
+            fields: { Name: {}, Status: {}, Estimate: { include: false } }
+        }
+    });
+
+    try {
+        await engine.airtable.initialize();
+        await engine.initialize();
+
+        const [website, newsletter] = airtableServer.getRecords(projects.id);
+        assert.deepStrictEqual(Object.keys(engine.eoStore.get(website.id).fields).sort(), ['Name', 'Status']);
+
+        // EO-side values of an excluded and an unmapped field
+        engine.editEO(website.id, 'Estimate', 99);
+        engine.editEO(website.id, 'Notes', 'Call back');
+        engine.eoStore.get(newsletter.id).fields.Notes = { value: 'Draft' };
+        airtableServer.clearRequests();
+
+        await engine.performFullSync();
+        await engine.performFullSync();
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+
+        // Airtable edits still merge in, and EO keeps its local fields
+        airtableServer.editRecord(projects.id, website.id, { Status: 'Done', Estimate: 1 });
+        await engine.performFullSync();
+
+        assert.strictEqual(engine.eoValue(website.id, 'Status'), 'Done');
+        assert.strictEqual(engine.eoValue(website.id, 'Estimate'), 99);
+        assert.strictEqual(engine.eoValue(website.id, 'Notes'), 'Call back');
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+        assert.strictEqual(engine.syncState.stats.conflictsResolved, 0);
+
+        // A local-only field is not an edit that holds back a remote deletion
+        airtableServer.removeRecord(projects.id, newsletter.id);
+        await engine.performFullSync();
+        assert.ok(!engine.eoStore.has(newsletter.id));
+    } finally {
+        teardown();
+    }
+});
+
+scenario('dry-run plan applies only approved, unchanged changes', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture();
+
+    try {
+        await engine.initialize();
+        const [first, second, third] = airtableServer.getRecords(projects.id);
+
+        engine.editEO(first.id, 'Status', 'Done');
+        airtableServer.editRecord(projects.id, second.id, { Estimate: 13 });
+        airtableServer.removeRecord(projects.id, third.id);
+        airtableServer.clearRequests();
+
+        const plan = await engine.performFullSync({ dryRun: true });
+
+        // Nothing written on either side
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+        assert.strictEqual(engine.eoValue(second.id, 'Estimate'), 2);
+        assert.ok(engine.eoStore.has(third.id));
+
+        assert.deepStrictEqual(plan.summary, { create: 0, update: 2, delete: 1, conflict: 0 });
+        const [table] = plan.tables;
+        const push = table.changes.find(e => e.recordId === first.id);
+        assert.strictEqual(push.direction, 'eo_to_airtable');
+        assert.strictEqual(push.title, 'Website');
+        assert.deepStrictEqual(push.fieldDiffs, [{ field: 'Status', before: 'Todo', after: 'Done' }]);
+
+        // Reject the delete; the pull goes stale when Airtable changes again before applying
+        engine.setPlanChangeApproval(table.changes.find(e => e.type === 'delete').id, false);
+        airtableServer.editRecord(projects.id, second.id, { Estimate: 21 });
+
+        await engine.applySyncPlan();
+
+        assert.strictEqual(plan.status, 'applied');
+        assert.strictEqual(engine.syncState.pendingPlan, null);
+        assert.deepStrictEqual([plan.result.applied, plan.result.rejected, plan.result.stale], [1, 1, 1]);
+        assert.strictEqual(airtableServer.getRecord(projects.id, first.id).fields.Status, 'Done');
+        assert.strictEqual(engine.eoValue(second.id, 'Estimate'), 2);
+        assert.ok(engine.eoStore.has(third.id));
+
+        // Skipped changes are picked up by the next regular sync
+        await engine.performFullSync();
+        assert.strictEqual(engine.eoValue(second.id, 'Estimate'), 21);
+        assert.ok(!engine.eoStore.has(third.id));
+    } finally {
+        teardown();
+    }
+});
+
+scenario('linked records become EO connections and follow creates and deletes', async () => {
+    const { engine, airtable, airtableServer, projects, teardown } = await createFixture({ connect: false });
+    const [website, newsletter] = airtableServer.getRecords(projects.id);
+
+    // Listed before Projects, but its single-project link makes it sync after Projects
+    const tasks = airtableServer.addTable({ name: 'Tasks', fields: [{ name: 'Title', type: 'singleLineText' }] });
+    airtableServer.tables.delete(projects.id);
+    airtableServer.tables.set(projects.id, projects);
+
+    const { field: projectField, inverseField: tasksField } = airtableServer.addLinkField(tasks.id, {
+        name: 'Project',
+        linkedTable: projects.id,
+        inverseName: 'Tasks',
+        prefersSingleRecordLink: true
+    });
+    const [copy, outline] = airtableServer.seedRecords(tasks.id, [
+        { Title: 'Write copy', Project: [website.id] },
+        { Title: 'Outline', Project: [newsletter.id] }
+    ]);
+
+    try {
+        await airtable.initialize();
+        assert.deepStrictEqual(engine.orderTablesByLinks(airtable.getTables()).map(t => t.name), ['Projects', 'Tasks']);
+
+        await engine.initialize();
+
+        assert.strictEqual(engine.eoState.connectionRelations.get(`rel_${projectField.id}`).cardinality, 'many_to_one');
+        assert.strictEqual(engine.eoState.connectionRelations.get(`rel_${tasksField.id}`).cardinality, 'one_to_many');
+        assert.deepStrictEqual(engine.connectedIds(copy.id, projectField.id), [website.id]);
+        assert.deepStrictEqual(engine.connectedIds(website.id, tasksField.id), [copy.id]);
+
+        // New EO project and task linking to it: the task is pushed with the project's Airtable id
+        createEO(engine, projects.id, 'eo-project', { Name: 'Podcast', Status: 'Todo' });
+        createEO(engine, tasks.id, 'eo-task', { Title: 'Book guests', Project: ['eo-project'] });
+        airtableServer.clearRequests();
+
+        await engine.performFullSync();
+
+        const podcast = airtableServer.getRecords(projects.id).find(r => r.fields.Name === 'Podcast');
+        const guests = airtableServer.getRecords(tasks.id).find(r => r.fields.Title === 'Book guests');
+        assert.deepStrictEqual(guests.fields.Project, [podcast.id]);
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+        assert.ok(engine.eoStore.has(podcast.id) && !engine.eoStore.has('eo-project'));
+        assert.deepStrictEqual(engine.connectedIds(guests.id, projectField.id), [podcast.id]);
+
+        // Airtable's inverse link arrives on the next pull
+        await engine.performFullSync();
+        assert.deepStrictEqual(engine.connectedIds(podcast.id, tasksField.id), [guests.id]);
+
+        // Deleting a project in Airtable unlinks its task on both sides without a push
+        airtableServer.removeRecord(projects.id, newsletter.id);
+        airtableServer.clearRequests();
+
+        await engine.performFullSync();
+
+        assert.strictEqual(engine.eoValue(outline.id, 'Project'), undefined);
+        assert.deepStrictEqual(engine.connectedIds(outline.id, projectField.id), []);
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+        assert.strictEqual(engine.getStats().unresolvedLinks, 0);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('EO connections survive a reload and still follow link changes', async () => {
+    const linkStorage = new MemoryStorageAdapter({ storeNames: ['relations', 'connections', 'deferred'] });
+    const eoState = { connectionRelations: new Map(), connections: new Map() };
+    const { engine, airtable, xano, airtableServer, projects, teardown } = await createFixture({ connect: false, sync: { linkStorage, eoState } });
+    const [website] = airtableServer.getRecords(projects.id);
+
+    const tasks = airtableServer.addTable({ name: 'Tasks', fields: [{ name: 'Title', type: 'singleLineText' }] });
+    const { field: projectField } = airtableServer.addLinkField(tasks.id, {
+        name: 'Project',
+        linkedTable: projects.id,
+        inverseName: 'Tasks',
+        prefersSingleRecordLink: true
+    });
+    const [copy] = airtableServer.seedRecords(tasks.id, [{ Title: 'Write copy', Project: [website.id] }]);
+    const connectionId = `link_${projectField.id}_${copy.id}_${website.id}`;
+    let reloaded = null;
+
+    try {
+        await airtable.initialize();
+        await engine.initialize();
+
+        // Written into the workbench state in its shape
+        const relation = eoState.connectionRelations.get(`rel_${projectField.id}`);
+        assert.strictEqual(relation.mode, 'many_to_one');
+        assert.deepStrictEqual([relation.requiredParams, relation.optionalParams], [[], []]);
+        assert.deepStrictEqual(eoState.connections.get(connectionId).params, {});
+        await new Promise(resolve => setImmediate(resolve));
+
+        // The page reloads: EO keeps its records and connections, the engine starts from storage
+        reloaded = new InMemorySyncEngine({ airtable, xano, softr: testUserContext, autoSync: false, linkStorage, eoState });
+        reloaded.eoStore = new Map(clone([...engine.eoStore]));
+        await reloaded.initialize();
+
+        assert.strictEqual(reloaded.syncState.stats.connectionsCreated, 0);
+        assert.ok(eoState.connections.has(connectionId));
+
+        // Unlinked in Airtable after the reload: the connection and its inverse are removed, not orphaned
+        airtableServer.editRecord(tasks.id, copy.id, { Project: [] });
+        await reloaded.performFullSync();
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.ok(!eoState.connections.has(connectionId));
+        assert.strictEqual(reloaded.syncState.stats.connectionsRemoved, 2);
+        assert.strictEqual(eoState.connections.size, 0);
+        assert.strictEqual(await linkStorage.get('connections', connectionId), null);
+    } finally {
+        reloaded?.stopAutoSync();
+        teardown();
+    }
+});
+
+scenario('attachments sync by checksum through the blob cache and uploader', async () => {
+    const { engine, airtable, airtableServer, projects, fetch, teardown } = await createFixture({ connect: false });
+    const [website] = airtableServer.getRecords(projects.id);
+    const downloads = () => airtableServer.getRequests().filter(r => r.url.startsWith(airtableServer.contentUrl)).length;
+    const text = async checksum => Buffer.from((await store.get(checksum)).data).toString();
+
+    const store = new AttachmentStore({ fetch });
+    engine.attachments.store = store;
+    engine.attachments.uploader = async file => ({ url: airtableServer.hostFile(file.data, file.mime) });
+
+    airtableServer.addField(projects.id, { name: 'Files', type: 'multipleAttachments' });
+    airtableServer.editRecord(projects.id, website.id, {
+        Files: [
+            airtableServer.createAttachment({ data: 'spec v1', filename: 'spec.txt', type: 'text/plain' }),
+            airtableServer.createAttachment({ data: 'PNG', filename: 'logo.png', type: 'image/png' })
+        ]
+    });
+
+    try {
+        await airtable.initialize();
+        await engine.initialize();
+
+        const [spec, logo] = engine.eoValue(website.id, 'Files');
+        assert.strictEqual(await text(spec.checksum), 'spec v1');
+        assert.strictEqual(spec.mime, 'text/plain');
+        assert.ok(!('url' in spec));
+        assert.strictEqual(logo.thumbnails.small.checksum, logo.checksum);
+        assert.ok(!('url' in logo.thumbnails.small));
+
+        // Fresh signed URLs on every read are not changes, and cached files are not downloaded again
+        airtableServer.clearRequests();
+        await engine.performFullSync();
+        assert.strictEqual(downloads(), 0);
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+
+        // A replaced file in Airtable arrives with a new checksum
+        airtableServer.editRecord(projects.id, website.id, {
+            Files: [airtableServer.createAttachment({ data: 'spec v2', filename: 'spec.txt', type: 'text/plain' })]
+        });
+        airtableServer.clearRequests();
+        await engine.performFullSync();
+        assert.strictEqual(downloads(), 1);
+        assert.strictEqual(await text(engine.eoValue(website.id, 'Files')[0].checksum), 'spec v2');
+
+        // The replaced and the removed file are no longer referenced and are pruned
+        store.pruneGrace = 0;
+        assert.deepStrictEqual(await store.prune(engine.getReferencedAttachments()), { removed: 2, freedBytes: 10 });
+        assert.deepStrictEqual(
+            [await store.has(spec.checksum), await store.has(logo.checksum), await store.has(engine.eoValue(website.id, 'Files')[0].checksum)],
+            [false, false, true]
+        );
+
+        // A local file is uploaded on push and takes the id Airtable gave it
+        const notes = await store.addFile('meeting notes', { filename: 'notes.txt', mime: 'text/plain' });
+        engine.editEO(website.id, 'Files', [...engine.eoValue(website.id, 'Files'), notes]);
+        airtableServer.clearRequests();
+        await engine.performFullSync();
+
+        const pushed = airtableServer.getRecords(projects.id).find(r => r.id === website.id).fields.Files;
+        assert.deepStrictEqual(pushed.map(a => a.filename), ['spec.txt', 'notes.txt']);
+        assert.strictEqual(engine.eoValue(website.id, 'Files')[1].id, pushed[1].id);
+        assert.strictEqual(engine.getStats().attachmentsUploaded, 1);
+        assert.strictEqual(downloads(), 0);
+
+        airtableServer.clearRequests();
+        await engine.performFullSync();
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('attachment cache keeps to its size cap and survives a reopen', async () => {
+    const storage = new MemoryStorageAdapter({ storeNames: ATTACHMENT_STORE_NAMES });
+    const store = new AttachmentStore({ storage, maxBytes: 24 });
+
+    const first = await store.put('a'.repeat(10));
+    await store.remember('attFirst', first.checksum);
+    const second = await store.put('b'.repeat(10));
+    await store.remember('attSecond', second.checksum);
+    const local = await store.addFile('c'.repeat(10), { filename: 'local.txt' });
+
+    // Over the cap: the oldest file Airtable still has is evicted, the never-uploaded local file stays
+    assert.deepStrictEqual(
+        [await store.has(first.checksum), await store.has(second.checksum), await store.has(local.checksum)],
+        [false, true, true]
+    );
+    assert.strictEqual(store.getSize(), 20);
+    assert.strictEqual(typeof (await storage.get('blobs', second.checksum)).data, 'string'); // JSON adapter: base64
+
+    // Reopened from storage; files still indexed
+    const reopened = new AttachmentStore({ storage });
+    assert.strictEqual(await reopened.has(local.checksum), true);
+    assert.strictEqual(reopened.getSize(), 20);
+    assert.strictEqual(Buffer.from((await reopened.get(local.checksum)).data).toString(), 'c'.repeat(10));
+
+    // Files stored within the grace period are kept by prune
+    assert.deepStrictEqual(await reopened.prune([]), { removed: 0, freedBytes: 0 });
+
+    // Caches from before the entry index are indexed on open
+    const legacy = new MemoryStorageAdapter({ storeNames: ATTACHMENT_STORE_NAMES });
+    await legacy.put('blobs', 'abc123', { checksum: 'abc123', size: 3, mime: 'text/plain', data: Buffer.from('old').toString('base64'), storedAt: '2024-01-01T00:00:00Z' });
+    const migrated = new AttachmentStore({ storage: legacy });
+    assert.strictEqual(await migrated.has('abc123'), true);
+    assert.deepStrictEqual(await migrated.prune([]), { removed: 1, freedBytes: 3 });
+
+    // Without a storage adapter files are kept as Blobs
+    const memory = new AttachmentStore();
+    const { checksum } = await memory.put('in memory', 'text/plain');
+    assert.ok(memory.blobs.get(checksum).data instanceof Blob);
+    assert.strictEqual(Buffer.from((await memory.get(checksum)).data).toString(), 'in memory');
+});
+
+scenario('schema drift migrates EO fields before records sync', async () => {
+    const { engine, xano, xanoServer, airtableServer, projects, teardown } = await createFixture();
+
+    try {
+        airtableServer.addField(projects.id, { name: 'Owner', type: 'singleLineText' });
+        const [record] = airtableServer.getRecords(projects.id);
+        airtableServer.editRecord(projects.id, record.id, { Owner: 'Ada' });
+
+        await engine.initialize();
+        assert.strictEqual(engine.eoValue(record.id, 'Owner'), 'Ada');
+
+        const drifts = [];
+        engine.on('schemaChanged', drift => drifts.push(drift));
+
+        airtableServer.updateField(projects.id, 'Status', { name: 'Stage' });
+        airtableServer.updateField(projects.id, 'Estimate', { type: 'singleLineText' });
+        airtableServer.removeField(projects.id, 'Owner');
+        airtableServer.clearRequests();
+
+        await engine.performFullSync();
+        await xano.flush();
+
+        assert.strictEqual(drifts.length, 1);
+        assert.deepStrictEqual(drifts[0].changes.map(c => c.kind), ['field_renamed', 'field_type_changed', 'field_removed']);
+        assert.deepStrictEqual(drifts[0].migrations.map(m => m.type), ['rename_field', 'convert_values', 'archive_field']);
+
+        const eoRecord = engine.eoStore.get(record.id);
+        assert.strictEqual(engine.eoValue(record.id, 'Stage'), 'Todo');
+        assert.ok(!('Status' in eoRecord.fields));
+        assert.strictEqual(engine.eoValue(record.id, 'Estimate'), '5');
+        assert.strictEqual(eoRecord.archivedFields.Owner.value, 'Ada');
+        assert.ok(!('Owner' in eoRecord.fields));
+
+        // Migrations are local: nothing is pushed back and nothing conflicts
+        assert.strictEqual(airtableServer.getRequests({ method: 'PATCH' }).length, 0);
+        assert.strictEqual(engine.syncState.stats.conflictsResolved, 0);
+        assert.strictEqual(xanoServer.getActivities({ action: 'schema_changed' }).length, 1);
+        assert.strictEqual(xanoServer.getActivities({ action: 'schema_migration' }).length, 3);
+
+        // The new schema is the baseline for the next sync
+        await engine.performFullSync();
+        assert.strictEqual(drifts.length, 1);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('manual schema migration holds the table until applied', async () => {
+    const { engine, airtableServer, projects, teardown } = await createFixture({ sync: { schemaMigration: 'manual' } });
+
+    try {
+        await engine.initialize();
+        const [record] = airtableServer.getRecords(projects.id);
+
+        airtableServer.updateField(projects.id, 'Status', { name: 'Stage' });
+        airtableServer.editRecord(projects.id, record.id, { Name: 'Website v2' });
+
+        await engine.performFullSync();
+
+        assert.strictEqual(engine.getStats().pendingSchemaChanges, 1);
+        assert.strictEqual(engine.eoValue(record.id, 'Name'), 'Website');
+        assert.strictEqual(engine.eoValue(record.id, 'Status'), 'Todo');
+
+        const results = await engine.applySchemaMigrations();
+        await engine.performFullSync();
+
+        assert.deepStrictEqual(results.map(r => [r.type, r.records]), [['rename_field', 3]]);
+        assert.strictEqual(engine.getStats().pendingSchemaChanges, 0);
+        assert.strictEqual(engine.eoValue(record.id, 'Stage'), 'Todo');
+        assert.strictEqual(engine.eoValue(record.id, 'Name'), 'Website v2');
+    } finally {
+        teardown();
+    }
+});
+
+// ============================================================================
+// Connectors
+// ============================================================================
+
+/**
+ * Sync engine over any connector, logging to a mock Xano
+ */
+async function createConnectorEngine(connector, xanoServer) {
+    const xano = new XanoIntegration({ baseUrl: xanoServer.baseUrl, fetch: xanoServer.fetch });
+    await xano.initialize();
+    xano.stopBatchProcessing();
+
+    await connector.initialize();
+
+    const engine = new InMemorySyncEngine({ connector, xano, softr: testUserContext, autoSync: false });
+
+    return { engine, xano, teardown: () => engine.stopAutoSync() };
+}
+
+/**
+ * Add a record on the EO side as a pending create
+ */
+function createEO(engine, tableId, recordId, values) {
+    const fields = {};
+    for (const [name, value] of Object.entries(values)) {
+        fields[name] = { value };
+    }
+
+    engine.eoStore.set(recordId, { id: recordId, tableId, fields, lastModified: new Date().toISOString() });
+    engine.changeTracker.eoChanges.set(recordId, { after: fields, timestamp: new Date().toISOString() });
+}
+
+scenario('REST connector syncs a JSON collection both ways', async () => {
+    const restServer = new MockRestServer();
+    const xanoServer = new MockXanoServer();
+
+    restServer.seedRows('contacts', [
+        { id: '1', name: 'Ada', company: 'Analytical', score: 9 },
+        { id: '2', name: 'Grace', company: 'Navy', score: 8 }
+    ]);
+
+    const connector = new RestConnector({
+        baseUrl: restServer.baseUrl,
+        tables: [{ id: 'contacts', name: 'Contacts', updatedField: 'updated_at' }],
+        requestsPerSecond: 1000,
+        fetch: restServer.fetch
+    });
+
+    const { engine, xano, teardown } = await createConnectorEngine(connector, xanoServer);
+
+    try {
+        const [table] = connector.getTables();
+        assert.deepStrictEqual(table.fields.map(f => [f.name, f.type]),
+            [['name', 'text'], ['company', 'text'], ['score', 'number'], ['updated_at', 'date']]);
+
+        await engine.initialize();
+        assert.strictEqual(engine.eoValue('1', 'name'), 'Ada');
+
+        engine.editEO('1', 'company', 'Babbage & Co');
+        restServer.editRow('contacts', '2', { score: 10 });
+        createEO(engine, 'contacts', 'eo-3', { name: 'Katherine', company: 'NASA', score: 7 });
+
+        await engine.performFullSync();
+        await xano.flush();
+
+        assert.strictEqual(restServer.getRow('contacts', '1').company, 'Babbage & Co');
+        assert.strictEqual(engine.eoValue('2', 'score'), 10);
+        assert.strictEqual(restServer.getRow('contacts', 'eo-3').name, 'Katherine');
+        assert.strictEqual(xanoServer.getActivities({ action: 'create', entityId: 'eo-3' }).length, 1);
+        assert.strictEqual(xanoServer.getActivities({ entityId: 'eo-3' })[0].base_id, 'rest');
+
+        // Deleted in EO -> DELETE on the collection
+        engine.eoStore.delete('2');
+        engine.recordLocalDeletion('2', 'contacts');
+        await engine.performFullSync();
+
+        assert.strictEqual(restServer.getRow('contacts', '2'), null);
+        assert.strictEqual(restServer.getRequests({ method: 'DELETE' }).length, 1);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('CSV folder connector syncs files as tables', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eo-csv-'));
+    const file = path.join(directory, 'inventory.csv');
+
+    fs.writeFileSync(file, 'id,Item,Quantity,Notes,Tags,Size\nsku-1,Widget,4,,"[""blue""]","{""w"":1,""h"":1}"\nsku-2,Gadget,10,"Fragile, ""handle"" with care",,\n');
+
+    const connector = new CsvFolderConnector({ directory });
+    const { engine, teardown } = await createConnectorEngine(connector, new MockXanoServer());
+
+    try {
+        const [table] = connector.getTables();
+        assert.strictEqual(table.id, 'inventory');
+        assert.deepStrictEqual(table.fields.map(f => [f.name, f.type]), [
+            ['Item', 'text'], ['Quantity', 'number'], ['Notes', 'text'], ['Tags', 'multiSelect'], ['Size', 'json']
+        ]);
+
+        await engine.initialize();
+        assert.strictEqual(engine.eoValue('sku-2', 'Notes'), 'Fragile, "handle" with care');
+        assert.deepStrictEqual(engine.eoValue('sku-1', 'Tags'), ['blue']);
+
+        engine.editEO('sku-1', 'Quantity', 3);
+        createEO(engine, 'inventory', 'sku-3', { Item: 'Gizmo', Quantity: 1, Tags: ['new', 'small'], Size: { w: 2, h: 3 } });
+
+        // Removed from the file by someone else
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').split('\n').filter(line => !line.startsWith('sku-2')).join('\n'));
+
+        await engine.performFullSync();
+
+        const rows = connector.parseCsv(fs.readFileSync(file, 'utf8')).rows;
+        assert.deepStrictEqual(rows.map(r => [r.id, r.Item, r.Quantity]), [['sku-1', 'Widget', '3'], ['sku-3', 'Gizmo', '1']]);
+        assert.ok(!engine.eoStore.has('sku-2'));
+        assert.ok(!fs.readdirSync(directory).some(name => name.endsWith('.tmp')));
+
+        // Arrays and objects are written as JSON and read back as the same values
+        assert.deepStrictEqual([rows[1].Tags, rows[1].Size], ['["new","small"]', '{"w":2,"h":3}']);
+
+        await engine.performFullSync();
+        assert.deepStrictEqual(engine.eoValue('sku-3', 'Tags'), ['new', 'small']);
+        assert.deepStrictEqual(engine.eoValue('sku-3', 'Size'), { w: 2, h: 3 });
+        assert.deepStrictEqual(connector.parseCsv(fs.readFileSync(file, 'utf8')).rows[1].Tags, '["new","small"]');
+    } finally {
+        teardown();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+// ============================================================================
+// Activity log and rewind
+// ============================================================================
+
+scenario('Xano outbox retries failed deliveries', async () => {
+    const { xano, xanoServer, teardown } = await createFixture();
+
+    try {
+        xanoServer.failNext(500);
+        xano.queueActivity({ action: 'update', entityType: 'record', entityId: 'recRetry', after: { Name: 'A' } });
+
+        await assert.rejects(xano.processBatch({ force: true }), /Xano API error/);
+        assert.strictEqual(xano.pendingQueue.length, 1);
+        assert.strictEqual(xano.pendingQueue[0].attempts, 1);
+
+        await xano.flush();
+
+        assert.strictEqual(xano.pendingQueue.length, 0);
+        assert.strictEqual(xanoServer.getActivities({ entityId: 'recRetry' }).length, 1);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('hash-chained activity log reports edited and deleted rows', async () => {
+    const { xano, xanoServer, teardown } = await createFixture();
+    const storage = new MemoryStorageAdapter({ storeNames: ['chain', 'checkpoints'] });
+
+    try {
+        xano.chain = new ActivityChain({ storage, secret: 'checkpoint-key', checkpointInterval: 4 });
+
+        // recA: seq 1, 3, 6 · recB: seq 2, 4, 7 · checkpoint of seq 4: seq 5
+        for (let i = 1; i <= 6; i++) {
+            xano.queueActivity({ id: `act_chain_${i}`, action: 'update', entityType: 'record', entityId: i % 2 ? 'recA' : 'recB', after: { Estimate: i } });
+        }
+        xano.queueActivity({ id: 'act_chain_1', action: 'update', entityType: 'record', entityId: 'recA' }); // duplicate: not sealed
+        await xano.flush();
+
+        let report = await xano.verifyHistory();
+        assert.strictEqual(report.verified, true);
+        assert.strictEqual(report.checked, 7);
+        assert.deepStrictEqual(
+            { seq: report.verifiedUpTo.seq, signed: report.verifiedUpTo.signed },
+            { seq: 4, signed: true }
+        );
+        const [{ metadata: { checkpoint } }] = xanoServer.getActivities({ action: 'chain_checkpoint' });
+        assert.strictEqual(checkpoint.seq, 4);
+        assert.strictEqual(checkpoint.signature, createHmac('sha256', 'checkpoint-key')
+            .update([checkpoint.chain_id, checkpoint.seq, checkpoint.hash, checkpoint.created_at].join('|'))
+            .digest('hex'));
+
+        // A restarted writer continues its chain
+        await new Promise(resolve => setImmediate(resolve));
+        const restored = new ActivityChain({ storage });
+        await restored.restore();
+        assert.deepStrictEqual([restored.chainId, restored.seq, restored.head], [xano.chain.chainId, 7, xano.chain.head]);
+
+        // Edit one row, delete another and forge the logged checkpoint
+        const rowAt = seq => xanoServer.activities.find(a => a.chain_seq === seq);
+        rowAt(2).after.Estimate = 99;
+        xanoServer.activities.splice(xanoServer.activities.indexOf(rowAt(3)), 1);
+        rowAt(5).metadata.checkpoint.hash = 'f'.repeat(64);
+
+        report = await xano.verifyHistory();
+        assert.strictEqual(report.verified, false);
+        assert.strictEqual(report.verifiedUpTo, null);
+        assert.deepStrictEqual(
+            report.breaks.map(problem => `${problem.type}:${problem.seq}`).sort(),
+            ['checkpoint_signature:4', 'content_modified:2', 'content_modified:5', 'missing:3']
+        );
+
+        // Verifying one entity checks its own sequence
+        const entityReport = await xano.verifyHistory({ entityType: 'record', entityId: 'recA' });
+        assert.deepStrictEqual(entityReport.breaks.map(problem => [problem.type, problem.fromSeq]), [['entity_missing', 2]]);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('activities are logged unsealed when Web Crypto is unavailable', async () => {
+    const { xano, xanoServer, fetch, teardown } = await createFixture();
+    const cryptoDescriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+
+    try {
+        // A non-HTTPS origin has no crypto.subtle: the default chain is left off
+        Object.defineProperty(globalThis, 'crypto', { value: {}, configurable: true });
+        global.ActivityChain = ActivityChain;
+        const insecure = new XanoIntegration({ baseUrl: xanoServer.baseUrl, fetch });
+        assert.strictEqual(insecure.chain, null);
+
+        // A chain that cannot seal does not fail logging either
+        xano.chain = new ActivityChain({ checkpointInterval: 1 });
+        await xano.logActivity({ id: 'act_unsealed', action: 'update', entityType: 'record', entityId: 'recA', after: { Estimate: 1 } });
+        xano.queueActivity({ id: 'act_unsealed_queued', action: 'update', entityType: 'record', entityId: 'recA', after: { Estimate: 2 } });
+        await xano.flush();
+
+        const logged = xanoServer.activities.filter(a => a.entity_id === 'recA');
+        assert.deepStrictEqual(logged.map(a => [a.activity_id, a.hash]), [['act_unsealed', undefined], ['act_unsealed_queued', undefined]]);
+    } finally {
+        Object.defineProperty(globalThis, 'crypto', cryptoDescriptor);
+        delete global.ActivityChain;
+        teardown();
+    }
+});
+
+scenario('credential vault encrypts, rotates and locks on idle', async () => {
+    const items = new Map();
+    const storage = {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: key => items.delete(key)
+    };
+    const secrets = { airtable: { apiKey: 'keyTest1234567890' }, xano: { authToken: 'xano-token' } };
+    const vault = new CredentialVault({ storage, iterations: 1000, idleTimeout: 30 });
+    const locks = [];
+    vault.on('locked', ({ reason }) => locks.push(reason));
+
+    await vault.create('correct horse', secrets);
+    const stored = items.get('eo_sync_vault');
+    assert.ok(!stored.includes('keyTest') && !stored.includes('xano-token'));
+    assert.strictEqual(JSON.parse(stored).kdf.name, 'PBKDF2');
+
+    // A new session starts locked; a wrong passphrase fails authentication
+    const session = new CredentialVault({ storage, iterations: 1000, idleTimeout: 0 });
+    assert.strictEqual(session.isUnlocked(), false);
+    await assert.rejects(session.unlock('wrong horse'), /Wrong passphrase/);
+    assert.deepStrictEqual(await session.unlock('correct horse'), secrets);
+
+    // Rotation needs the current passphrase and re-encrypts under a new salt
+    await assert.rejects(session.rotate('wrong horse', 'battery staple'), /Wrong passphrase/);
+    await session.rotate('correct horse', 'battery staple');
+    assert.notStrictEqual(JSON.parse(items.get('eo_sync_vault')).kdf.salt, JSON.parse(stored).kdf.salt);
+    session.lock();
+    await assert.rejects(session.unlock('correct horse'), /Wrong passphrase/);
+    assert.deepStrictEqual(await session.unlock('battery staple'), secrets);
+
+    // Idle sessions lock themselves and forget the secrets
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual(vault.isUnlocked(), false);
+    assert.deepStrictEqual(locks, ['idle']);
+    assert.throws(() => vault.getSecrets(), /locked/);
+});
+
+scenario('locking the vault pauses syncing and unlocking resumes it with the credentials', async () => {
+    const fixture = await createFixture();
+    const { airtableServer, airtable, xano, engine } = fixture;
+
+    // The configuration and main integration modules expect a browser page
+    const items = new Map();
+    const eventTarget = { addEventListener: () => {}, removeEventListener: () => {} };
+    let configManager = null;
+    Object.assign(global, {
+        window: { ...eventTarget },
+        document: { ...eventTarget },
+        localStorage: {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        },
+        CredentialVault
+    });
+
+    try {
+        global.SyncConfiguration = require('./eo_sync_config.js');
+        const EOAirtableSync = require('./eo_airtable_sync.js');
+
+        const sync = new EOAirtableSync();
+        configManager = sync.configManager;
+        configManager.vault.iterations = 1000;
+        configManager.config.airtable.apiKey = airtableServer.apiKey;
+        configManager.config.xano.authToken = 'xano-token';
+        await configManager.enableVault('correct horse');
+        assert.ok(!items.get('eo_sync_config').includes(airtableServer.apiKey));
+
+        // As initialize() leaves it
+        Object.assign(sync, { initialized: true, isRunning: true, xano, airtable, syncEngine: engine });
+        sync.profiles.set('default', { profile: { id: 'default' }, airtable, syncEngine: engine, scheduler: null });
+
+        configManager.lockVault();
+        assert.deepStrictEqual([airtable.apiKey, xano.authToken, engine.autoSyncActive, sync.isRunning], [null, null, false, false]);
+        await assert.rejects(engine.performFullSync(), /Authentication required/);
+
+        // Later listeners (and the resumed engines) see the credentials, not the locked nulls
+        let seenByListener;
+        configManager.vault.on('unlocked', () => { seenByListener = configManager.getConfig().airtable.apiKey; });
+
+        await configManager.unlockVault('correct horse');
+        assert.strictEqual(seenByListener, airtableServer.apiKey);
+        assert.deepStrictEqual([airtable.apiKey, xano.authToken, engine.autoSyncActive, sync.isRunning], [airtableServer.apiKey, 'xano-token', true, true]);
+
+        airtableServer.seedRecords(fixture.projects.id, [{ Name: 'After unlock', Status: 'Todo', Estimate: 1 }]);
+        await engine.performFullSync();
+        assert.ok(engine.getEORecords(fixture.projects.id).some(r => engine.eoValue(r.id, 'Name') === 'After unlock'));
+    } finally {
+        configManager?.vault.lock(); // Clears the idle timer
+        fixture.teardown();
+        ['window', 'document', 'localStorage', 'CredentialVault', 'SyncConfiguration'].forEach(name => delete global[name]);
+    }
+});
+
+scenario('rewind restores a previous snapshot from the activity log', async () => {
+    const { xano, xanoServer, teardown } = await createFixture();
+
+    try {
+        const changeTracker = new ChangeTracker({ xano, softr: testUserContext, autoSave: false });
+        const rewind = new RewindEngine({ xano, softr: testUserContext, changeTracker });
+        rewind.initialize();
+
+        const t1 = '2024-03-01T10:00:00.000Z';
+        const t2 = '2024-03-02T10:00:00.000Z';
+        const t3 = '2024-03-03T10:00:00.000Z';
+
+        await xano.logActivity({ action: 'create', entityType: 'record', entityId: 'recRewind', timestamp: t1, after: { Name: 'Draft' } });
+        await xano.logActivity({ action: 'update', entityType: 'record', entityId: 'recRewind', timestamp: t2, before: { Name: 'Draft' }, after: { Name: 'Review' } });
+        await xano.logActivity({ action: 'update', entityType: 'record', entityId: 'recRewind', timestamp: t3, before: { Name: 'Review' }, after: { Name: 'Final' } });
+
+        const timeline = await rewind.getTimeline('recRewind');
+        assert.deepStrictEqual(timeline.map(entry => entry.after.Name), ['Final', 'Review', 'Draft']);
+        assert.deepStrictEqual(timeline[0].changes.map(c => c.field), ['Name']);
+
+        const preview = await rewind.previewAtTime('recRewind', '2024-03-02T12:00:00.000Z');
+        assert.strictEqual(preview.data.Name, 'Review');
+
+        const result = await rewind.rewindTo('recRewind', '2024-03-01T12:00:00.000Z');
+        assert.strictEqual(result.applied, true);
+
+        const rewound = xanoServer.getActivities({ action: 'rewind', entityId: 'recRewind' });
+        assert.strictEqual(rewound.length, 1);
+        assert.strictEqual(rewound[0].after.Name, 'Draft');
+
+        await assert.rejects(rewind.rewindTo('recRewind', '2020-01-01T00:00:00.000Z'), /No snapshot/);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('local projection rebuilds records and sets offline and cross-checks the server', async () => {
+    const { xano, xanoServer, teardown } = await createFixture();
+    const storage = new MemoryStorageAdapter({ storeNames: ['activities'] });
+
+    try {
+        const rewind = new RewindEngine({ xano, softr: testUserContext, projector: new ActivityProjector({ storage }) });
+        rewind.initialize();
+
+        const at = day => `2024-04-0${day}T10:00:00.000Z`;
+        const log = activity => xano.logActivity({ entityType: 'record', tableId: 'tblProjects', ...activity });
+
+        await log({ action: 'create', entityId: 'recOne', timestamp: at(1), after: { Name: 'Site', Estimate: 3 } });
+        await log({ action: 'create', entityId: 'recTwo', timestamp: at(1), after: { Name: 'Blog' } });
+        await log({ action: 'update', entityId: 'recOne', timestamp: at(2), before: { Name: 'Site', Estimate: 3 }, after: { Name: 'Website', Estimate: 3 } });
+        await log({ action: 'update', entityId: 'recOne', timestamp: at(3), changes: [{ field: 'Estimate', before: 3, after: 5, type: 'modified' }] });
+        await log({ action: 'delete', entityId: 'recTwo', timestamp: at(4), before: { Name: 'Blog' } });
+
+        // The server's snapshots only follow full `after` states, so the field-level update shows up
+        assert.strictEqual((await rewind.crossCheck('recOne', at(2))).matches, true);
+        const check = await rewind.crossCheck('recOne', at(3));
+        assert.strictEqual(check.matches, false);
+        assert.deepStrictEqual(check.differences.map(d => [d.field, d.before, d.after]), [['Estimate', 5, 3]]);
+
+        // The first whole-log refresh reads everything; later ones only ask for what the server
+        // received since, whatever the activities' own timestamps
+        const historyReads = () => xanoServer.getRequests({ method: 'GET' })
+            .filter(r => r.path.endsWith('/activity') && !r.query.entity_type && !r.query.entity_id);
+        const lastReceived = () => xanoServer.activities.map(a => a.received_at).sort().pop();
+        xanoServer.clearRequests();
+        await rewind.getSetAt('tblProjects', at(4));
+        const loadedUntil = lastReceived();
+        await log({ action: 'create', entityId: 'recThree', timestamp: at(5), after: { Name: 'Shop' } });
+        const grown = await rewind.getSetAt('tblProjects', at(5));
+        assert.deepStrictEqual(historyReads().map(r => r.query.received_since),
+            [undefined, new Date(new Date(loadedUntil).getTime() - xano.historyOverlap).toISOString()]);
+        assert.deepStrictEqual(grown.records.map(r => r.entityId), ['recOne', 'recThree']);
+
+        // Another client's outbox delivers a day-old activity late; it still reaches the projection
+        const [created] = xanoServer.getActivities({ entityId: 'recTwo', action: 'create' });
+        xanoServer.storeActivities({ ...created, activity_id: 'act_late', entity_id: 'recLate', table_id: 'tblArchive', timestamp: at(1), after: { Name: 'Late' } });
+        await rewind.getSetAt('tblArchive', at(5));
+        assert.ok(historyReads().pop().query.received_since);
+        assert.deepStrictEqual(rewind.projector.getEntityAt('recLate').data, { Name: 'Late' });
+
+        await rewind.refreshProjection(null, { full: true });
+        assert.strictEqual(historyReads().pop().query.received_since, undefined);
+
+        // Offline: snapshots, timelines, comparisons and sets come from the projection
+        xano.fetch = async () => { throw new TypeError('fetch failed'); };
+
+        const snapshot = await rewind.getSnapshot('recOne', '2024-04-02T12:00:00.000Z');
+        assert.deepStrictEqual([snapshot.source, snapshot.data], ['local', { Name: 'Website', Estimate: 3 }]);
+
+        const timeline = await rewind.getTimeline('recOne');
+        assert.deepStrictEqual(timeline.map(entry => entry.changes.map(c => c.field)), [['Estimate'], ['Name'], ['Name', 'Estimate']]);
+
+        const comparison = await rewind.compareStates('recOne', at(1), at(3));
+        assert.deepStrictEqual(comparison.sources, ['local', 'local']);
+        assert.deepStrictEqual(comparison.differences.map(d => d.field), ['Name', 'Estimate']);
+
+        const before = await rewind.getSetAt('tblProjects', at(3));
+        const after = await rewind.getSetAt('tblProjects', at(4));
+        assert.deepStrictEqual(before.records.map(r => r.entityId), ['recOne', 'recTwo']);
+        assert.deepStrictEqual([after.records.map(r => r.entityId), after.deleted.map(r => r.entityId)], [['recOne'], ['recTwo']]);
+
+        const preview = await rewind.previewAtTime('recTwo', at(4));
+        assert.strictEqual(preview, null); // deleted by then
+
+        // The projection survives a reload
+        await new Promise(resolve => setImmediate(resolve));
+        const reloaded = new ActivityProjector({ storage });
+        await reloaded.restore();
+        assert.deepStrictEqual(reloaded.getEntityAt('recOne').data, { Name: 'Website', Estimate: 5 });
+    } finally {
+        teardown();
+    }
+});
+
+scenario('set rewind previews, applies as one batch with linked records and can be undone', async () => {
+    const { xano, xanoServer, teardown } = await createFixture();
+
+    try {
+        const eoRecords = new Map(); // What the record applier writes to
+        const changeTracker = new ChangeTracker({ xano, softr: testUserContext, autoSave: false });
+        changeTracker.registerApplier('record', (change, value) => {
+            if (value) {
+                eoRecords.set(change.entityId, clone(value));
+            } else {
+                eoRecords.delete(change.entityId);
+            }
+        });
+
+        const rewind = new RewindEngine({ xano, softr: testUserContext, changeTracker, projector: new ActivityProjector() });
+        rewind.initialize();
+
+        const t1 = '2024-05-01T10:00:00.000Z';
+        const t2 = '2024-05-02T10:00:00.000Z';
+        const t3 = '2024-05-03T10:00:00.000Z';
+        const log = async activity => {
+            await xano.logActivity({ entityType: 'record', tableId: 'tblTasks', timestamp: t3, ...activity });
+            if (activity.action === 'delete') {
+                eoRecords.delete(activity.entityId);
+            } else {
+                eoRecords.set(activity.entityId, clone(activity.after));
+            }
+        };
+
+        await log({ action: 'create', entityId: 'recA', timestamp: t1, after: { Name: 'Plan', Owner: ['recP'] } });
+        await log({ action: 'create', entityId: 'recB', timestamp: t1, after: { Name: 'Build' } });
+        await log({ action: 'create', entityId: 'recP', tableId: 'tblPeople', timestamp: t1, after: { Name: 'Pat' } });
+
+        // A bad import at t3
+        await log({ action: 'update', entityId: 'recA', before: { Name: 'Plan', Owner: ['recP'] }, after: { Name: '???', Owner: ['recP'] } });
+        await log({ action: 'delete', entityId: 'recB', before: { Name: 'Build' } });
+        await log({ action: 'create', entityId: 'recC', after: { Name: 'Junk' } });
+        await log({ action: 'update', entityId: 'recP', tableId: 'tblPeople', before: { Name: 'Pat' }, after: { Name: '!!!' } });
+
+        const preview = await rewind.rewindSet('tblTasks', t2, { preview: true });
+        assert.deepStrictEqual(preview.plan.entities.map(e => [e.entityId, e.action]).sort(),
+            [['recA', 'update'], ['recB', 'restore'], ['recC', 'delete']]);
+        assert.strictEqual(preview.plan.summary.changed, 3);
+        assert.strictEqual(eoRecords.get('recA').Name, '???'); // nothing applied yet
+
+        const withLinks = await rewind.planRewind({ entityIds: ['recA'], includeLinked: true }, t2);
+        assert.deepStrictEqual(withLinks.entities.map(e => [e.entityId, e.action, e.linked]),
+            [['recA', 'update', false], ['recP', 'update', true]]);
+
+        const result = await rewind.applyPreview();
+        assert.deepStrictEqual([...eoRecords.keys()].sort(), ['recA', 'recB', 'recP']);
+        assert.strictEqual(eoRecords.get('recA').Name, 'Plan');
+        assert.strictEqual(eoRecords.get('recP').Name, '!!!'); // not part of the set
+
+        // One activity for the batch, projected per record
+        const batch = xanoServer.getActivities({ action: 'rewind' });
+        assert.deepStrictEqual(batch.map(a => [a.entity_type, a.metadata.entities.length]), [['set', 3]]);
+        const projected = await rewind.getSetAt('tblTasks', null, { fromServer: false });
+        assert.deepStrictEqual(projected.records.map(r => r.entityId), ['recA', 'recB']);
+        assert.strictEqual(changeTracker.getUndoHistory().undo[0].label, `Rewind set tblTasks to ${t2}`);
+
+        // Undoing the rewind restores the import's state and is logged as one activity too
+        await rewind.undoRewind(result.rewindId);
+        assert.deepStrictEqual([...eoRecords.keys()].sort(), ['recA', 'recC', 'recP']);
+        assert.strictEqual(eoRecords.get('recA').Name, '???');
+        const undone = xanoServer.getActivities({ action: 'rewind' }).find(a => a.metadata.undoOf);
+        assert.strictEqual(undone.metadata.undoOf, result.rewindId);
+        assert.strictEqual(rewind.projector.getEntityAt('recC').exists, true);
+        await assert.rejects(rewind.undoRewind(), /not a rewind/);
+
+        // A plan that no longer matches the records is refused
+        const stale = await rewind.planRewind({ tableId: 'tblTasks' }, t2);
+        await log({ action: 'update', entityId: 'recA', timestamp: new Date().toISOString(), before: { Name: '???', Owner: ['recP'] }, after: { Name: 'Fixed by hand', Owner: ['recP'] } });
+        await assert.rejects(rewind.applyRewindPlan(stale), /out of date: recA/);
+        assert.strictEqual(eoRecords.get('recA').Name, 'Fixed by hand');
+    } finally {
+        teardown();
+    }
+});
+
+scenario('branches fork a set, keep edits off main and merge back with conflicts surfaced', async () => {
+    const { xano, xanoServer, teardown } = await createFixture();
+    const storage = new MemoryStorageAdapter({ storeNames: ['branches'] });
+
+    try {
+        const eoRecords = new Map();
+        const changeTracker = new ChangeTracker({ xano, softr: testUserContext, autoSave: false });
+        changeTracker.registerApplier('record', (change, value) => {
+            if (value) {
+                eoRecords.set(change.entityId, clone(value));
+            } else {
+                eoRecords.delete(change.entityId);
+            }
+        });
+
+        const rewind = new RewindEngine({ xano, softr: testUserContext, changeTracker, projector: new ActivityProjector() });
+        rewind.branches = new BranchManager({ rewind, storage });
+        rewind.initialize();
+        const branches = rewind.branches;
+
+        const t1 = '2024-05-01T10:00:00.000Z';
+        const log = async activity => {
+            await xano.logActivity({ entityType: 'record', tableId: 'tblTasks', timestamp: new Date().toISOString(), ...activity });
+            eoRecords.set(activity.entityId, clone(activity.after));
+        };
+
+        await log({ action: 'create', entityId: 'recA', timestamp: t1, after: { Name: 'Plan', Status: 'Todo' } });
+        await log({ action: 'create', entityId: 'recB', timestamp: t1, after: { Name: 'Build', Status: 'Todo' } });
+
+        await branches.fork('what-if', { tableId: 'tblTasks' });
+        await assert.rejects(branches.fork('what-if', { tableId: 'tblTasks' }), /already exists/);
+
+        branches.updateRecord('what-if', 'recA', { Status: 'Done' });
+        branches.updateRecord('what-if', 'recB', { Name: 'Build v2', Status: 'Blocked' });
+        branches.createRecord('what-if', { Name: 'Ship' }, { entityId: 'recN' });
+        assert.strictEqual(eoRecords.get('recA').Status, 'Todo'); // main untouched
+        assert.strictEqual(xano.activityCache.length, 2);
+
+        // Main moves on: recA's Name (no conflict) and recB's Status (conflict)
+        await log({ action: 'update', entityId: 'recA', before: { Name: 'Plan', Status: 'Todo' }, after: { Name: 'Plan 2', Status: 'Todo' } });
+        await log({ action: 'update', entityId: 'recB', before: { Name: 'Build', Status: 'Todo' }, after: { Name: 'Build', Status: 'Doing' } });
+
+        const comparison = await branches.compare('what-if');
+        assert.deepStrictEqual(comparison.entities.map(e => [e.entityId, e.status]),
+            [['recA', 'both_changed'], ['recB', 'both_changed'], ['recN', 'branch_changed']]);
+        const compared = await rewind.compareStates('recA', new Date().toISOString(), 'branch:what-if');
+        assert.deepStrictEqual(compared.differences.map(d => d.field).sort(), ['Name', 'Status']);
+
+        const blocked = await branches.merge('what-if');
+        assert.strictEqual(blocked.merged, false);
+        assert.deepStrictEqual(blocked.conflicts.map(c => [c.entityId, c.field, c.main, c.branch]),
+            [['recB', 'Status', 'Doing', 'Blocked']]);
+        assert.strictEqual(eoRecords.has('recN'), false);
+
+        const result = await branches.merge('what-if', { resolutions: { recB: { Status: 'main' } } });
+        assert.strictEqual(result.merged, true);
+        assert.deepStrictEqual(eoRecords.get('recA'), { Name: 'Plan 2', Status: 'Done' });
+        assert.deepStrictEqual(eoRecords.get('recB'), { Name: 'Build v2', Status: 'Doing' });
+        assert.deepStrictEqual(eoRecords.get('recN'), { Name: 'Ship' });
+        assert.strictEqual(changeTracker.getUndoHistory().undo[0].label, 'Merge branch what-if');
+
+        // One batch activity, projected per record
+        const merges = xanoServer.getActivities({ action: 'branch_merge' });
+        assert.deepStrictEqual(merges.map(a => [a.metadata.branchName, a.metadata.entities.length]), [['what-if', 3]]);
+        assert.strictEqual(rewind.projector.getEntityAt('recN').data.Name, 'Ship');
+        assert.throws(() => branches.updateRecord('what-if', 'recA', { Status: 'Todo' }), /not found|merged/);
+
+        // A discarded branch leaves main as it was
+        await branches.fork('scratch', { entityIds: ['recA'] });
+        branches.deleteRecord('scratch', 'recA');
+        branches.discard('scratch');
+        assert.strictEqual(branches.get('scratch'), null);
+        assert.strictEqual(eoRecords.get('recA').Status, 'Done');
+
+        // Branches survive a reload
+        const restored = new BranchManager({ rewind, storage });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.strictEqual(await restored.restore(), 1);
+        assert.strictEqual(restored.list()[0].status, 'merged');
+    } finally {
+        teardown();
+    }
+});
+
+scenario('rewind maps values across schema changes, warns, and can restore the workbench schema', async () => {
+    const { xano, teardown } = await createFixture();
+
+    try {
+        const changeTracker = new ChangeTracker({ xano, softr: testUserContext, autoSave: false });
+        const schemaHistory = new SchemaHistory({ converters: { sync: (value, change) => (change.toType === 'number' ? Number(value) : value) } });
+        const rewind = new RewindEngine({ xano, softr: testUserContext, changeTracker, projector: new ActivityProjector(), schemaHistory });
+        rewind.initialize();
+
+        // Synced records are keyed by EO field name; the sync engine logs its migrations
+        const t1 = '2024-06-01T10:00:00.000Z';
+        const t2 = '2024-06-02T10:00:00.000Z';
+        const t3 = '2024-06-03T10:00:00.000Z';
+        const migration = (fieldId, metadata) => xano.logActivity({ action: 'schema_migration', entityType: 'field', entityId: fieldId, tableId: 'tblTasks', timestamp: t2, metadata });
+
+        await xano.logActivity({ action: 'create', entityType: 'record', entityId: 'recS', tableId: 'tblTasks', timestamp: t1, after: { Status: 'Todo', Estimate: '5', Owner: 'Ada' } });
+        await migration('fldStatus', { type: 'rename_field', from: 'Status', to: 'Stage' });
+        await migration('fldEstimate', { type: 'convert_values', field: 'Estimate', fromType: 'text', toType: 'number' });
+        await migration('fldOwner', { type: 'archive_field', field: 'Owner' });
+        await xano.logActivity({ action: 'schema_changed', entityType: 'schema', entityId: 'app1', timestamp: t2, changes: [{ kind: 'field_added', tableId: 'tblTasks', fieldId: 'fldPriority', fieldName: 'Priority', current: { name: 'Priority' } }] });
+        await xano.logActivity({ action: 'update', entityType: 'record', entityId: 'recS', tableId: 'tblTasks', timestamp: t3, before: { Stage: 'Todo', Estimate: 5 }, after: { Stage: 'Doing', Estimate: 8, Priority: 'High' } });
+
+        const { targetState } = await rewind.rewindTo('recS', '2024-06-01T12:00:00.000Z', { preview: true });
+        assert.deepStrictEqual(targetState.original, { Status: 'Todo', Estimate: '5', Owner: 'Ada' });
+        assert.deepStrictEqual(targetState.snapshot, { Stage: 'Todo', Estimate: 5, Priority: 'High' });
+        assert.deepStrictEqual([targetState.schema.fromVersion, targetState.schema.toVersion], [0, 4]);
+        const validation = await rewind.validateRewind('recS', targetState);
+        assert.strictEqual(validation.isValid, true);
+        assert.deepStrictEqual(validation.warnings.map(w => [w.kind, w.field]), [['field_type_changed', 'Estimate'], ['field_removed', 'Owner']]);
+        rewind.cancelPreview();
+
+        // Workbench records are keyed by field id; field and view changes are logged by the tracker
+        const state = { sets: new Map([['setPeople', { id: 'setPeople', name: 'People', schema: [], records: new Map(), views: new Map() }]]), views: new Map(), changeTracker };
+        const set = state.sets.get('setPeople');
+        initWorkbenchHistory(state);
+        const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+        await recordWorkbenchTransaction(state, 'Create People', ['setPeople'], () => {
+            set.schema.push({ id: 'name', name: 'Name', type: 'TEXT' }, { id: 'age', name: 'Age', type: 'TEXT' },
+                { id: 'email', name: 'Email', type: 'TEXT' }, { id: 'mail2', name: 'Mail 2', type: 'TEXT' });
+            set.records.set('r1', { id: 'r1', name: 'Ada', age: '36', email: '', mail2: 'ada@example.com' });
+            state.views.set('v1', { id: 'v1', setId: 'setPeople', name: 'All', visibleFieldIds: ['name', 'age'] });
+        });
+        await tick();
+        const before = new Date().toISOString();
+        await tick();
+
+        await recordWorkbenchTransaction(state, 'Change type of Age', ['setPeople'], () => {
+            set.schema.find(f => f.id === 'age').type = 'NUMBER';
+            set.records.get('r1').age = 36;
+        });
+        await recordWorkbenchTransaction(state, 'Merge email fields', ['setPeople'], () => {
+            mergeFields(state, 'setPeople', ['email', 'mail2'], { id: 'emailAll', name: 'Email (all)', type: 'EMAIL' });
+            state.views.get('v1').visibleFieldIds.push('emailAll');
+        });
+
+        const mapped = await rewind.planRewind({ tableId: 'setPeople' }, before);
+        assert.deepStrictEqual(mapped.entities.map(e => [e.entityId, e.action, e.differences.map(d => d.field)]), [['r1', 'update', ['age']]]);
+        assert.strictEqual(mapped.entities[0].after.emailAll, 'ada@example.com');
+        assert.deepStrictEqual(mapped.schema.warnings.map(w => [w.kind, w.field]),
+            [['field_type_changed', 'age'], ['fields_merged', 'email'], ['fields_merged', 'mail2']]);
+        assert.strictEqual(schemaHistory.getSetVersion('setPeople', before).fields.find(f => f.id === 'age').type, 'TEXT');
+        assert.deepStrictEqual(schemaHistory.getViewVersion('v1').definition.visibleFieldIds, ['name', 'age', 'emailAll']);
+
+        // Restoring the schema puts fields, views and records back as they were, in one undo step
+        await assert.rejects(rewind.planRewind({ entityIds: ['r1'] }, before, { schema: 'restore' }), /whole-set/);
+        await rewind.rewindSet('setPeople', before, { schema: 'restore' });
+        assert.deepStrictEqual(set.schema.map(f => [f.id, f.type, Boolean(f._mergedInto)]),
+            [['name', 'TEXT', false], ['age', 'TEXT', false], ['email', 'TEXT', false], ['mail2', 'TEXT', false]]);
+        assert.deepStrictEqual(state.views.get('v1').visibleFieldIds, ['name', 'age']);
+        assert.deepStrictEqual(set.records.get('r1'), { id: 'r1', name: 'Ada', age: '36', email: '', mail2: 'ada@example.com' });
+
+        await changeTracker.undo();
+        assert.deepStrictEqual(set.schema.map(f => f.id), ['name', 'age', 'email', 'mail2', 'emailAll']);
+        assert.strictEqual(set.records.get('r1').emailAll, 'ada@example.com');
+    } finally {
+        teardown();
+    }
+});
+
+scenario('rewind timeline steps through previews and restores a single field', async () => {
+    const { xano, xanoServer, teardown } = await createFixture();
+
+    try {
+        const eoRecords = new Map([['recStep', { Name: 'Final', Owner: 'Bo' }]]);
+        const changeTracker = new ChangeTracker({ xano, softr: testUserContext, autoSave: false });
+        changeTracker.registerApplier('record', (change, value) => eoRecords.set(change.entityId, clone(value)));
+
+        const rewind = new RewindEngine({ xano, softr: testUserContext, changeTracker, projector: new ActivityProjector() });
+        rewind.initialize();
+
+        const t1 = '2024-07-01T10:00:00.000Z';
+        const t2 = '2024-07-02T10:00:00.000Z';
+        const t3 = '2024-07-03T10:00:00.000Z';
+        const log = activity => xano.logActivity({ entityType: 'record', entityId: 'recStep', tableId: 'tblSteps', ...activity });
+
+        await log({ action: 'create', timestamp: t1, after: { Name: 'Draft', Owner: 'Ada' } });
+        await log({ action: 'update', timestamp: t2, before: { Name: 'Draft', Owner: 'Ada' }, after: { Name: 'Review', Owner: 'Ada' } });
+        await log({ action: 'update', timestamp: t3, before: { Name: 'Review', Owner: 'Ada' }, after: { Name: 'Final', Owner: 'Bo' } });
+
+        // Stepping from a scrubbed point only previews: nothing is written or logged
+        const back = await rewind.stepBackward('recStep', { from: t3, preview: true });
+        assert.deepStrictEqual([back.preview, back.targetState.timestamp, back.targetState.snapshot.Name], [true, t2, 'Review']);
+        rewind.cancelPreview();
+
+        const forward = await rewind.stepForward('recStep', { from: t1, preview: true });
+        assert.strictEqual(forward.targetState.timestamp, t2);
+        rewind.cancelPreview();
+
+        assert.strictEqual(await rewind.stepBackward('recStep', { from: t1, preview: true }), null);
+        assert.strictEqual(await rewind.stepForward('recStep', { from: t3, preview: true }), null);
+        assert.strictEqual(xanoServer.getActivities({ action: 'rewind', entityId: 'recStep' }).length, 0);
+        assert.deepStrictEqual(eoRecords.get('recStep'), { Name: 'Final', Owner: 'Bo' });
+
+        // Previews carry the values in the current schema alongside the raw snapshot
+        const preview = await rewind.previewAtTime('recStep', t1);
+        assert.deepStrictEqual(preview.schema.data, { Name: 'Draft', Owner: 'Ada' });
+
+        // One field goes back; the others keep their current values, as one undoable update
+        const restored = await rewind.restoreField('recStep', 'Owner', t1);
+        assert.deepStrictEqual([restored.before, restored.after], ['Bo', 'Ada']);
+        assert.deepStrictEqual(eoRecords.get('recStep'), { Name: 'Final', Owner: 'Ada' });
+
+        const [change] = changeTracker.getAllChanges().slice(-1);
+        assert.deepStrictEqual([change.action, change.metadata], ['update', { restoredField: 'Owner', targetTimestamp: t1 }]);
+        assert.strictEqual(changeTracker.getUndoHistory().undo[0].label, 'Restore Owner of recStep');
+
+        await changeTracker.undo();
+        assert.deepStrictEqual(eoRecords.get('recStep'), { Name: 'Final', Owner: 'Bo' });
+    } finally {
+        teardown();
+    }
+});
+
+scenario('undo and redo replay grouped workbench actions through appliers', async () => {
+    const { xano, xanoServer, teardown } = await createFixture();
+    const storage = new MemoryStorageAdapter({ storeNames: ['changes', 'snapshots', 'dirty', 'meta'] });
+
+    try {
+        const changeTracker = new ChangeTracker({ xano, softr: testUserContext, autoSave: false, storage });
+        const state = {
+            sets: new Map([['setPeople', {
+                id: 'setPeople',
+                name: 'People',
+                schema: [{ id: 'name', name: 'Name' }, { id: 'email', name: 'Email' }],
+                records: new Map([
+                    ['r1', { id: 'r1', name: 'Ada', email: '' }],
+                    ['r2', { id: 'r2', name: 'Ada L.', email: 'ada@example.com' }]
+                ])
+            }]]),
+            changeTracker
+        };
+        const records = state.sets.get('setPeople').records;
+        initWorkbenchHistory(state);
+
+        const merged = await recordWorkbenchTransaction(state, 'Merge 2 records', ['setPeople'],
+            () => mergeRecords(state, 'setPeople', ['r1', 'r2'], (fieldId, candidates) => candidates[candidates.length - 1]));
+        await recordWorkbenchTransaction(state, 'Edit 2 records', ['setPeople'],
+            () => bulkEditRecords(state, 'setPeople', ['r1', merged.id], { email: 'ada@lovelace.dev' }));
+
+        assert.deepStrictEqual(changeTracker.getUndoHistory().undo.map(e => [e.label, e.changeCount]),
+            [['Edit 2 records', 2], ['Merge 2 records', 3]]);
+
+        // One undo step per action, whatever it touched
+        await changeTracker.undo();
+        assert.strictEqual(records.get('r1').email, '');
+        await changeTracker.undo();
+        assert.deepStrictEqual([...records.keys()], ['r1', 'r2']);
+        assert.strictEqual(records.get('r1')._supersededBy, undefined);
+
+        const redone = await changeTracker.redo();
+        assert.strictEqual(redone.label, 'Merge 2 records');
+        assert.strictEqual(records.get(merged.id).email, 'ada@example.com');
+        assert.strictEqual(records.get('r2')._supersededBy, merged.id);
+        assert.deepStrictEqual(changeTracker.getUndoHistory().redo.map(e => e.label), ['Edit 2 records']);
+
+        // A failing action leaves nothing behind and no undo entry
+        await assert.rejects(recordWorkbenchTransaction(state, 'Broken import', null, () => {
+            records.set('r9', { id: 'r9', name: 'Partial' });
+            throw new Error('bad row');
+        }), /bad row/);
+        assert.strictEqual(records.has('r9'), false);
+        assert.strictEqual(changeTracker.getUndoHistory().undo[0].label, 'Merge 2 records');
+
+        // Entity types without an applier cannot be undone, and the stacks stay as they were
+        changeTracker.trackChange({ entityType: 'widget', entityId: 'w1', action: 'create', after: { size: 1 } });
+        await assert.rejects(changeTracker.undo(), /No undo applier registered for widget/);
+        assert.strictEqual(changeTracker.getUndoHistory().undo[0].label, 'Create widget');
+
+        // Undone creates are logged as deletes that point at the original change
+        await changeTracker.processBatch();
+        await xano.flush();
+        const undoneCreate = xanoServer.getActivities({ action: 'delete', entityId: merged.id });
+        assert.strictEqual(undoneCreate.length, 1);
+        assert.ok(undoneCreate[0].metadata.undoOf.startsWith('chg_'));
+
+        // Labelled stacks survive a reload
+        await new Promise(resolve => setImmediate(resolve));
+        const reloaded = new ChangeTracker({ autoSave: false, storage });
+        await reloaded.rehydrate();
+        assert.deepStrictEqual(reloaded.getUndoHistory().undo.map(e => e.label), ['Create widget', 'Merge 2 records']);
+    } finally {
+        teardown();
+    }
+});
+
+scenario('change history is compacted by the retention policy and kept in a JSON file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eo-changes-'));
+    const filePath = path.join(directory, 'changes.json');
+    const day = 24 * 60 * 60 * 1000;
+    const old = new Date(Date.now() - 2 * day).toISOString();
+    const recent = new Date().toISOString();
+    const change = (id, entityId, timestamp) => ({ id, entityId, entityType: 'record', action: 'update', timestamp });
+    const snapshot = timestamp => ({ timestamp, data: {}, checksum: '0' });
+
+    fs.writeFileSync(filePath, JSON.stringify({
+        stores: {
+            changes: {
+                c1: change('c1', 'recOld', old),
+                c2: change('c2', 'recDirty', old),
+                c3: change('c3', 'recBusy', recent),
+                c4: change('c4', 'recBusy', recent),
+                c5: change('c5', 'recBusy', recent)
+            },
+            snapshots: { recOld: snapshot(old), recDirty: snapshot(old), recBusy: snapshot(recent) },
+            dirty: { recDirty: { entityId: 'recDirty' } },
+            meta: {
+                stacks: {
+                    undoStack: [
+                        { id: 'u1', label: 'Old edit', timestamp: old, changeIds: ['c1'] },
+                        { id: 'u2', label: 'Busy edit', timestamp: recent, changeIds: ['c5'] }
+                    ],
+                    redoStack: []
+                }
+            }
+        }
+    }));
+
+    try {
+        const storage = new FileStorageAdapter({ filePath });
+        const changeTracker = new ChangeTracker({ autoSave: false, storage, retention: { maxAge: day, maxChangesPerEntity: 2 } });
+        assert.deepStrictEqual(await changeTracker.rehydrate(), { changes: 5, snapshots: 3, dirtyEntities: 1 });
+
+        // Too old or beyond the per-entity cap; the dirty entity keeps its history
+        assert.deepStrictEqual(await changeTracker.compact(), { removed: 2, snapshots: 1 });
+        assert.deepStrictEqual(changeTracker.getUndoHistory().undo.map(e => e.label), ['Busy edit']);
+
+        const reopened = await new FileStorageAdapter({ filePath }).open();
+        assert.deepStrictEqual((await reopened.getAll('changes')).map(e => e.key).sort(), ['c2', 'c4', 'c5']);
+        assert.deepStrictEqual((await reopened.getAll('snapshots')).map(e => e.key).sort(), ['recBusy', 'recDirty']);
+        assert.deepStrictEqual((await reopened.get('meta', 'stacks')).undoStack.map(e => e.id), ['u2']);
+
+        // Clearing the tracker empties every store of the file
+        changeTracker.clear();
+        await new Promise(resolve => setImmediate(resolve));
+        await storage.writeChain;
+        const cleared = await new FileStorageAdapter({ filePath }).open();
+        for (const storeName of CHANGE_STORE_NAMES) {
+            assert.deepStrictEqual(await cleared.getAll(storeName), [], storeName);
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+// ============================================================================
+// Runner
+// ============================================================================
+
+async function run() {
+    const selected = scenarios.filter(s => !filter || s.name.includes(filter));
+    let failed = 0;
+
+    print(`\n🧪 EO sync harness: ${selected.length} scenario(s)\n${'-'.repeat(60)}`);
+
+    for (const { name, run } of selected) {
+        const started = Date.now();
+
+        try {
+            await run();
+            print(`✓ ${name} (${Date.now() - started}ms)`);
+        } catch (error) {
+            failed++;
+            print(`✗ ${name}\n    ${error.stack.split('\n').slice(0, 4).join('\n    ')}`);
+        }
+    }
+
+    print('-'.repeat(60));
+    print(failed === 0
+        ? `✅ All ${selected.length} scenarios passed\n`
+        : `❌ ${failed} of ${selected.length} scenarios failed\n`);
+
+    process.exitCode = failed === 0 ? 0 : 1;
+}
+
+run();